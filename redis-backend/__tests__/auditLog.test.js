@@ -0,0 +1,95 @@
+const {
+  summarizeState,
+  buildAuditEntry,
+  parseAuditQuery,
+  matchesAuditFilters,
+  toAuditCsv
+} = require('../utils/auditLog');
+
+describe('Audit Log Tests', () => {
+  describe('summarizeState', () => {
+    it('should keep only the fields that changed', () => {
+      const before = { id: '1', firstName: 'Ana', lastName: 'Cruz' };
+      const after = { id: '1', firstName: 'Ana', lastName: 'Santos' };
+
+      expect(summarizeState(before, after)).toBe('{"lastName":"Cruz"}');
+      expect(summarizeState(after, before)).toBe('{"lastName":"Santos"}');
+    });
+
+    it('should never record passwords', () => {
+      expect(summarizeState({ username: 'juan', password: 'hash' }, null)).toBe('{"username":"juan"}');
+      expect(summarizeState(null, { username: 'juan' })).toBe('');
+    });
+  });
+
+  describe('buildAuditEntry', () => {
+    it('should fill every field with a string', () => {
+      expect(buildAuditEntry({
+        actor: 'admin',
+        action: 'student.deleteAll',
+        targetType: 'student',
+        before: { count: 12 },
+        timestamp: '2024-05-01T00:00:00.000Z'
+      })).toEqual({
+        timestamp: '2024-05-01T00:00:00.000Z',
+        actor: 'admin',
+        action: 'student.deleteAll',
+        targetType: 'student',
+        targetId: '',
+        ip: '',
+        before: '{"count":12}',
+        after: ''
+      });
+    });
+  });
+
+  describe('parseAuditQuery', () => {
+    it('should parse filters, paging and a whole-day date range', () => {
+      expect(parseAuditQuery({
+        actor: ' admin ',
+        action: '',
+        from: '2024-05-01',
+        to: '2024-05-01',
+        page: '2',
+        pageSize: '20'
+      })).toEqual({
+        actor: 'admin',
+        page: 2,
+        pageSize: 20,
+        from: Date.UTC(2024, 4, 1),
+        to: Date.UTC(2024, 4, 2) - 1
+      });
+    });
+
+    it('should fall back to default paging and ignore invalid dates', () => {
+      expect(parseAuditQuery({ page: '0', pageSize: '1000', from: 'yesterday' })).toEqual({ page: 1, pageSize: 50 });
+    });
+  });
+
+  describe('matchesAuditFilters', () => {
+    const entry = { actor: 'Admin', action: 'resident.delete', targetType: 'resident', targetId: 'r1' };
+
+    it('should match the user case-insensitively and other fields exactly', () => {
+      expect(matchesAuditFilters(entry, { actor: 'admin', targetType: 'resident' })).toBe(true);
+      expect(matchesAuditFilters(entry, { action: 'resident.update' })).toBe(false);
+      expect(matchesAuditFilters(entry, { targetId: 'r2' })).toBe(false);
+    });
+
+    it('should search the user, target and change summaries for q', () => {
+      const withSummary = { ...entry, before: '{"lastName":"Cruz"}', after: '' };
+      expect(matchesAuditFilters(withSummary, { q: 'cruz' })).toBe(true);
+      expect(matchesAuditFilters(withSummary, { q: 'santos' })).toBe(false);
+    });
+  });
+
+  describe('toAuditCsv', () => {
+    it('should quote values containing commas, quotes or line breaks', () => {
+      const csv = toAuditCsv([{ timestamp: 't', actor: 'admin', action: 'a', after: '{"name":"Cruz, Ana"}' }]);
+
+      expect(csv.split('\r\n')).toEqual([
+        'Timestamp,User,Action,Target Type,Target ID,IP Address,Before,After',
+        't,admin,a,,,,,"{""name"":""Cruz, Ana""}"'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { hashToken } = require('../utils/authTokens');
+
+// Keep the data in memory so the server can be loaded without Redis
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'auth-endpoint-secret';
+const { app, client } = require('../server');
+
+describe('Auth Endpoint Tests', () => {
+  const login = async () => {
+    const response = await request(app)
+      .post('/auth/login')
+      .send({ username: 'clerk', password: 'secret1' })
+      .expect(200);
+    return response.body;
+  };
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+  beforeAll(async () => {
+    await client.connect();
+  });
+
+  afterAll(async () => {
+    await client.quit();
+  });
+
+  beforeEach(async () => {
+    await client.flushAll();
+    await client.hSet('user:clerk', { password: await bcrypt.hash('secret1', 4), role: 'user' });
+  });
+
+  it('should issue a short-lived access token and a refresh token', async () => {
+    const { token, refreshToken, expiresIn, roleLabel } = await login();
+
+    expect(refreshToken).toEqual(expect.any(String));
+    expect(expiresIn).toBe(15 * 60);
+    expect(roleLabel).toBe('Regular User');
+    expect(jwt.decode(token)).toMatchObject({ username: 'clerk', jti: expect.any(String) });
+    const { body } = await request(app).get('/auth/verify').set(bearer(token)).expect(200);
+    expect(body).toMatchObject({ role: 'user', roleLabel: 'Regular User' });
+  });
+
+  it('should answer an expired access token with 401', async () => {
+    const token = jwt.sign({ username: 'clerk', role: 'user' }, process.env.JWT_SECRET, { expiresIn: -1 });
+
+    const response = await request(app).get('/auth/verify').set(bearer(token)).expect(401);
+    expect(response.body.message).toBe('Access token expired');
+  });
+
+  it('should rotate refresh tokens', async () => {
+    const first = await login();
+
+    const { body: second } = await request(app)
+      .post('/auth/refresh')
+      .send({ refreshToken: first.refreshToken })
+      .expect(200);
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    await request(app).get('/auth/verify').set(bearer(second.token)).expect(200);
+    await request(app).post('/auth/refresh').send({ refreshToken: 'unknown' }).expect(401);
+  });
+
+  it('should end every session when a rotated refresh token is replayed', async () => {
+    const first = await login();
+    const { body: second } = await request(app).post('/auth/refresh').send({ refreshToken: first.refreshToken });
+
+    // Move the rotation out of the grace period for concurrent tabs
+    const rotatedAt = new Date(Date.now() - 60 * 1000).toISOString();
+    await client.hSet(`refreshToken:${hashToken(first.refreshToken)}`, 'rotatedAt', rotatedAt);
+
+    await request(app).post('/auth/refresh').send({ refreshToken: first.refreshToken }).expect(401);
+    await request(app).post('/auth/refresh').send({ refreshToken: second.refreshToken }).expect(401);
+    await request(app).get('/auth/verify').set(bearer(second.token)).expect(401);
+  });
+
+  it('should revoke the access and refresh token on logout', async () => {
+    const { token, refreshToken } = await login();
+
+    await request(app).post('/auth/logout').set(bearer(token)).send({ refreshToken }).expect(200);
+
+    const response = await request(app).get('/auth/verify').set(bearer(token)).expect(401);
+    expect(response.body.message).toBe('Access token has been revoked');
+    await request(app).post('/auth/refresh').send({ refreshToken }).expect(401);
+  });
+
+  it('should make a user wait after repeated failed logins', async () => {
+    const fail = () => request(app).post('/auth/login').send({ username: 'clerk', password: 'wrong' });
+
+    await fail().expect(401);
+    await fail().expect(401);
+    const third = await fail().expect(401);
+    expect(third.body.retryAfter).toBe(2);
+
+    const blocked = await request(app)
+      .post('/auth/login')
+      .send({ username: 'clerk', password: 'secret1' })
+      .expect(429);
+    expect(blocked.body.retryAfter).toBeGreaterThan(0);
+    expect(blocked.headers['retry-after']).toBe(String(blocked.body.retryAfter));
+  });
+
+  it('should not let parallel guesses past the free attempts', async () => {
+    const responses = await Promise.all(Array.from({ length: 6 }, () =>
+      request(app).post('/auth/login').send({ username: 'clerk', password: 'wrong' })));
+
+    expect(responses.map(response => response.status).sort()).toEqual([401, 401, 401, 429, 429, 429]);
+    expect(await client.hGet('loginFailures:user:clerk', 'count')).toBe('3');
+    expect(await client.hGet('loginPending:user:clerk', 'count')).toBe('0');
+  });
+
+  it('should forget failed logins after a successful one', async () => {
+    await request(app).post('/auth/login').send({ username: 'clerk', password: 'wrong' }).expect(401);
+    await login();
+
+    expect(await client.exists('loginFailures:user:clerk')).toBe(0);
+  });
+
+  it('should log out of every device', async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    await request(app).post('/auth/logout-all').set(bearer(phone.token)).expect(200);
+
+    await request(app).get('/auth/verify').set(bearer(laptop.token)).expect(401);
+    await request(app).post('/auth/refresh').send({ refreshToken: laptop.refreshToken }).expect(401);
+
+    const again = await login();
+    await request(app).get('/auth/verify').set(bearer(again.token)).expect(200);
+  });
+});
@@ -0,0 +1,36 @@
+const {
+  REFRESH_REUSE_GRACE_MS,
+  generateRefreshToken,
+  hashToken,
+  isRefreshTokenReuse,
+  isIssuedBeforeRevocation
+} = require('../utils/authTokens');
+
+describe('Auth Tokens Tests', () => {
+  it('should store refresh tokens under a stable hash', () => {
+    const token = generateRefreshToken();
+
+    expect(token).not.toBe(generateRefreshToken());
+    expect(hashToken(token)).toBe(hashToken(token));
+    expect(hashToken(token)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('should only treat a replay after the grace period as reuse', () => {
+    const rotatedAt = '2024-01-01T00:00:00.000Z';
+    const now = Date.parse(rotatedAt);
+
+    expect(isRefreshTokenReuse({}, now)).toBe(false);
+    expect(isRefreshTokenReuse({ rotatedAt }, now + REFRESH_REUSE_GRACE_MS)).toBe(false);
+    expect(isRefreshTokenReuse({ rotatedAt }, now + REFRESH_REUSE_GRACE_MS + 1)).toBe(true);
+  });
+
+  it('should refuse access tokens issued before the sessions were ended', () => {
+    const account = { tokensValidAfter: '1700000000500' };
+
+    expect(isIssuedBeforeRevocation({ issuedAt: 1700000000499 }, account)).toBe(true);
+    expect(isIssuedBeforeRevocation({ issuedAt: 1700000000500 }, account)).toBe(false);
+    // Tokens signed without issuedAt fall back to iat, in seconds
+    expect(isIssuedBeforeRevocation({ iat: 1700000000 }, account)).toBe(true);
+    expect(isIssuedBeforeRevocation({ iat: 1700000000 }, {})).toBe(false);
+  });
+});
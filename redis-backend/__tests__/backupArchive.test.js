@@ -0,0 +1,108 @@
+const {
+  createBackupArchive,
+  encodeBackup,
+  decodeBackup,
+  validateBackupArchive
+} = require('../utils/backupArchive');
+
+describe('Backup Archive Tests', () => {
+  const data = {
+    residents: [{ id: 'r1', firstName: 'Ana', householdId: 'h1' }],
+    deletedResidents: [{ id: 'r2', firstName: 'Ben', householdId: 'gone', deletedAt: '2024-05-01T00:00:00.000Z' }],
+    histories: { r1: [{ action: 'create', changes: [], snapshot: { firstName: 'Ana' } }] },
+    households: [{ id: 'h1', householdNo: '7' }],
+    students: [{ id: 's1', studentId: '2024001' }],
+    users: [{ username: 'admin', role: 'admin', password: '$2a$10$hash' }],
+    roles: { encoder: JSON.stringify({ label: 'Encoder', permissions: ['residents:read'] }) },
+    stats: { totalResidents: '1' },
+    images: [{ name: '1742230336046-464897980.png', data: 'iVBORw0KGgo=' }],
+    schemaVersion: 3,
+    createdBy: 'admin'
+  };
+
+  describe('createBackupArchive', () => {
+    it('should drop password hashes when asked', () => {
+      expect(createBackupArchive(data).users[0].password).toBe('$2a$10$hash');
+
+      const archive = createBackupArchive({ ...data, includePasswords: false });
+      expect(archive.includesPasswords).toBe(false);
+      expect(archive.users).toEqual([{ username: 'admin', role: 'admin' }]);
+    });
+  });
+
+  describe('encodeBackup / decodeBackup', () => {
+    it('should round-trip an archive through gzip and accept plain JSON', () => {
+      const archive = createBackupArchive(data);
+      expect(decodeBackup(encodeBackup(archive))).toEqual(archive);
+      expect(decodeBackup(Buffer.from(JSON.stringify(archive)))).toEqual(archive);
+    });
+
+    it('should reject files that are neither gzip nor JSON', () => {
+      expect(() => decodeBackup(Buffer.from('not a backup'))).toThrow('Backup file is not a valid archive');
+    });
+  });
+
+  describe('validateBackupArchive', () => {
+    it('should accept an archive created by the server', () => {
+      expect(validateBackupArchive(createBackupArchive(data))).toEqual([]);
+    });
+
+    it('should reject other files and newer archive versions', () => {
+      expect(validateBackupArchive({ residents: [] })).toEqual(['File is not a barangay backup']);
+      expect(validateBackupArchive({ ...createBackupArchive(data), version: 2 })).toEqual(['Unsupported backup version 2']);
+    });
+
+    it('should reject unsafe IDs, image names and duplicate records', () => {
+      const errors = validateBackupArchive(createBackupArchive({
+        ...data,
+        students: [{ id: 's1' }, { id: 's1' }, { id: 'x:1' }],
+        images: [{ name: '../server.js', data: 'AAAA' }]
+      }));
+
+      expect(errors).toEqual([
+        'students[1] repeats id s1',
+        'students[2] must have a valid id and only text fields',
+        'images[0] must have a plain file name and base64 data'
+      ]);
+    });
+
+    it('should reject history under unsafe IDs or without snapshots', () => {
+      const errors = validateBackupArchive(createBackupArchive({
+        ...data,
+        histories: {
+          'r1:x': [],
+          r2: [{ action: 'update', changes: [] }],
+          r3: [null],
+          r4: 'not a list'
+        }
+      }));
+
+      expect(errors).toEqual([
+        'histories has an invalid resident ID "r1:x"',
+        'histories.r2 must be a list of entries with a snapshot',
+        'histories.r3 must be a list of entries with a snapshot',
+        'histories.r4 must be a list of entries with a snapshot'
+      ]);
+    });
+
+    it('should check roles, and accept archives made before roles were backed up', () => {
+      const { roles, ...withoutRoles } = createBackupArchive(data);
+      expect(validateBackupArchive(withoutRoles)).toEqual([]);
+
+      const errors = validateBackupArchive(createBackupArchive({
+        ...data,
+        roles: { encoder: 'not json', Bad: JSON.stringify({ label: 'Bad', permissions: [] }), clerk: JSON.stringify({ label: 'Clerk', permissions: ['everything'] }) }
+      }));
+      expect(errors).toEqual([
+        'roles.encoder must be a valid role',
+        'roles.Bad must be a valid role',
+        'roles.clerk must be a valid role'
+      ]);
+    });
+
+    it('should reject active residents whose household is not in the archive', () => {
+      expect(validateBackupArchive(createBackupArchive({ ...data, households: [] })))
+        .toEqual(['Resident r1 belongs to missing household h1']);
+    });
+  });
+});
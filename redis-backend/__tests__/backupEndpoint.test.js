@@ -0,0 +1,109 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Keep the data in memory so the server can be loaded without Redis
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'backup-endpoint-secret';
+const { app, client } = require('../server');
+
+describe('Backup Endpoint Tests', () => {
+  const tokenFor = (username, role) => ({
+    Authorization: `Bearer ${jwt.sign({ username, role }, process.env.JWT_SECRET)}`
+  });
+  const admin = () => tokenFor('admin', 'admin');
+
+  // Collects the gzipped archive as a buffer instead of parsing it
+  const download = () => request(app)
+    .get('/backup')
+    .set(admin())
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    })
+    .expect(200);
+
+  beforeAll(async () => {
+    await client.connect();
+  });
+
+  afterAll(async () => {
+    await client.quit();
+  });
+
+  beforeEach(async () => {
+    await client.flushAll();
+    await client.hSet('user:admin', { password: 'unused', role: 'admin' });
+  });
+
+  it('should bring back custom roles so restored accounts keep their permissions', async () => {
+    await request(app)
+      .post('/roles')
+      .set(admin())
+      .send({ name: 'encoder', label: 'Encoder', permissions: ['residents:read', 'residents:write'] })
+      .expect(201);
+    await client.hSet('user:clerk', { password: 'hash', role: 'encoder' });
+
+    const { body: archive } = await download();
+
+    // Restore onto a fresh instance
+    await client.flushAll();
+    await client.hSet('user:admin', { password: 'unused', role: 'admin' });
+
+    const { body } = await request(app)
+      .post('/backup/restore')
+      .set(admin())
+      .field('mode', 'merge')
+      .attach('archive', archive, 'backup.json.gz')
+      .expect(200);
+    expect(body.restored).toMatchObject({ users: 1, roles: 1 });
+
+    const { body: verify } = await request(app).get('/auth/verify').set(tokenFor('clerk', 'encoder')).expect(200);
+    expect(verify).toMatchObject({ roleLabel: 'Encoder', permissions: ['residents:read', 'residents:write'] });
+  });
+
+  it('should keep the current roles when merging an archive with the same role names', async () => {
+    await request(app)
+      .post('/roles')
+      .set(admin())
+      .send({ name: 'encoder', label: 'Encoder', permissions: ['residents:read'] })
+      .expect(201);
+    const { body: archive } = await download();
+
+    await request(app)
+      .put('/roles/encoder')
+      .set(admin())
+      .send({ label: 'Data Encoder', permissions: ['residents:read'] })
+      .expect(200);
+
+    const { body } = await request(app)
+      .post('/backup/restore')
+      .set(admin())
+      .field('mode', 'merge')
+      .attach('archive', archive, 'backup.json.gz')
+      .expect(200);
+
+    expect(body.skipped.roles).toBe(1);
+    const { body: roles } = await request(app).get('/roles').set(admin()).expect(200);
+    expect(roles.data.find(role => role.name === 'encoder').label).toBe('Data Encoder');
+  });
+
+  it('should leave users and roles to admins', async () => {
+    await client.hSet('roles', 'archivist', JSON.stringify({ label: 'Archivist', permissions: ['backup:manage'] }));
+    await client.hSet('user:keeper', { password: 'keeper-hash', role: 'archivist' });
+    const { body: archive } = await download();
+    await client.hSet('user:admin', 'password', 'changed-hash');
+
+    const { body } = await request(app)
+      .post('/backup/restore')
+      .set(tokenFor('keeper', 'archivist'))
+      .field('mode', 'replace')
+      .attach('archive', archive, 'backup.json.gz')
+      .expect(200);
+
+    expect(body.restored).toMatchObject({ users: 0, roles: 0 });
+    expect(await client.hGet('user:admin', 'password')).toBe('changed-hash');
+    expect(await client.hGet('user:keeper', 'role')).toBe('archivist');
+  });
+});
@@ -0,0 +1,72 @@
+const {
+  UTF8_BOM,
+  escapeCsvValue,
+  unescapeFormulaValue,
+  toCsv,
+  selectCsvColumns
+} = require('../utils/csv');
+
+describe('CSV Tests', () => {
+  describe('escapeCsvValue', () => {
+    it('should quote values containing commas, quotes or line breaks', () => {
+      expect(escapeCsvValue('Cruz')).toBe('Cruz');
+      expect(escapeCsvValue('Cruz, Ana')).toBe('"Cruz, Ana"');
+      expect(escapeCsvValue('Ana "Annie" Cruz')).toBe('"Ana ""Annie"" Cruz"');
+      expect(escapeCsvValue('Line 1\nLine 2')).toBe('"Line 1\nLine 2"');
+      expect(escapeCsvValue(undefined)).toBe('');
+    });
+
+    it('should keep formulas from running in a spreadsheet', () => {
+      expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+      expect(escapeCsvValue('+639171234567')).toBe("'+639171234567");
+      expect(escapeCsvValue('@SUM(A1)')).toBe("'@SUM(A1)");
+      expect(escapeCsvValue('-5')).toBe("'-5");
+      expect(escapeCsvValue(-5)).toBe('-5');
+    });
+  });
+
+  describe('unescapeFormulaValue', () => {
+    it('should undo the formula guard only', () => {
+      expect(unescapeFormulaValue("'+639171234567")).toBe('+639171234567');
+      expect(unescapeFormulaValue("'Ana")).toBe("'Ana");
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should write the chosen columns with CRLF line endings and an optional BOM', () => {
+      const columns = [{ header: 'Last Name', field: 'lastName' }, { header: 'Purok', field: 'purok' }];
+      const csv = toCsv(columns, [{ lastName: 'Peñaflor', purok: 'Purok 1', firstName: 'Ana' }], { bom: true });
+
+      expect(csv.startsWith(UTF8_BOM)).toBe(true);
+      expect(csv.slice(1).split('\r\n')).toEqual(['Last Name,Purok', 'Peñaflor,Purok 1']);
+      expect(toCsv(columns, []).startsWith(UTF8_BOM)).toBe(false);
+    });
+  });
+
+  describe('selectCsvColumns', () => {
+    const available = [
+      { header: 'First Name', field: 'firstName' },
+      { header: 'Last Name', field: 'lastName' },
+      { header: 'Purok', field: 'purok' }
+    ];
+
+    it('should return every column when none are named', () => {
+      expect(selectCsvColumns(available, '')).toEqual({ columns: available, errors: [] });
+    });
+
+    it('should keep the order given', () => {
+      const { columns, errors } = selectCsvColumns(available, 'purok, lastName');
+
+      expect(errors).toEqual([]);
+      expect(columns.map(column => column.field)).toEqual(['purok', 'lastName']);
+    });
+
+    it('should report unknown and repeated columns', () => {
+      const { errors } = selectCsvColumns(available, 'lastName,password,lastName');
+
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toMatch(/^Unknown columns: password\./);
+      expect(errors[1]).toBe('Columns listed more than once: lastName');
+    });
+  });
+});
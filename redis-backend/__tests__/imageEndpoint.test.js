@@ -1,11 +1,10 @@
 const request = require('supertest');
 const path = require('path');
 const fs = require('fs');
-const express = require('express');
-const app = express();
 
-// Import the endpoint configuration
-require('../server');
+// Keep the data in memory so the server can be loaded without Redis
+process.env.STORAGE_DRIVER = 'memory';
+const { app } = require('../server');
 
 describe('Image Endpoint Tests', () => {
   const testImagePath = path.join(__dirname, '..', 'uploads', 'profiles', 'test-image.jpg');
@@ -0,0 +1,53 @@
+const {
+  USERNAME_POLICY,
+  IP_POLICY,
+  LOCKOUT_SECONDS,
+  getBlockSeconds,
+  getRetryAfter,
+  getAttemptWait,
+  getLockedUntil,
+  formatWait
+} = require('../utils/loginThrottle');
+
+describe('Login Throttle Tests', () => {
+  it('should double the wait after the free attempts, up to a lockout', () => {
+    const waits = [0, 1, 2, 3, 4, 5, 9, 10, 25].map(failures => getBlockSeconds(failures, USERNAME_POLICY));
+
+    expect(waits).toEqual([0, 0, 0, 2, 4, 8, 128, LOCKOUT_SECONDS, LOCKOUT_SECONDS]);
+    expect(getBlockSeconds(10, IP_POLICY)).toBe(0);
+  });
+
+  it('should count the wait from the last failure', () => {
+    const lastFailureAt = Date.parse('2024-01-01T00:00:00.000Z');
+    const record = { count: 5, lastFailureAt };
+
+    expect(getRetryAfter(record, USERNAME_POLICY, lastFailureAt)).toBe(8);
+    expect(getRetryAfter(record, USERNAME_POLICY, lastFailureAt + 7500)).toBe(1);
+    expect(getRetryAfter(record, USERNAME_POLICY, lastFailureAt + 8000)).toBe(0);
+    expect(getRetryAfter({ count: 0, lastFailureAt: 0 }, USERNAME_POLICY, lastFailureAt)).toBe(0);
+  });
+
+  it('should let only one attempt at a time past the free attempts', () => {
+    const now = Date.parse('2024-01-01T00:00:00.000Z');
+    const wait = (count, pending) => getAttemptWait({ count, lastFailureAt: now - 60 * 1000, pending }, USERNAME_POLICY, now);
+
+    expect([1, 2, 3, 4].map(pending => wait(0, pending))).toEqual([0, 0, 0, 2]);
+    expect([1, 2].map(pending => wait(5, pending))).toEqual([0, 16]);
+    expect(wait(10, 1)).toBeGreaterThan(0);
+  });
+
+  it('should report when a username lockout ends', () => {
+    const lastFailureAt = Date.parse('2024-01-01T00:00:00.000Z');
+
+    expect(getLockedUntil({ count: 10, lastFailureAt }, lastFailureAt)).toBe('2024-01-01T00:15:00.000Z');
+    expect(getLockedUntil({ count: 10, lastFailureAt }, lastFailureAt + LOCKOUT_SECONDS * 1000)).toBeNull();
+    expect(getLockedUntil({ count: 9, lastFailureAt }, lastFailureAt)).toBeNull();
+  });
+
+  it('should format waits in seconds or whole minutes', () => {
+    expect(formatWait(1)).toBe('1 second');
+    expect(formatWait(45)).toBe('45 seconds');
+    expect(formatWait(61)).toBe('2 minutes');
+    expect(formatWait(LOCKOUT_SECONDS)).toBe('15 minutes');
+  });
+});
@@ -0,0 +1,41 @@
+const { createMemoryClient } = require('../storage/memoryClient');
+const { createStorageClient } = require('../storage');
+
+// Redis behaviour shared with the redis driver is checked in storageContract.test.js
+describe('Memory Client Tests', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = createMemoryClient();
+    await client.connect();
+  });
+
+  it('should refuse commands until connected', async () => {
+    const closed = createMemoryClient();
+
+    await expect(closed.get('key')).rejects.toThrow('The client is closed');
+    await closed.connect();
+    expect(await closed.ping()).toBe('PONG');
+  });
+
+  it('should expire keys set with EX', async () => {
+    const now = Date.now();
+    const spy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    expect(await client.set('lock', '1', { NX: true, EX: 10 })).toBe('OK');
+    expect(await client.set('lock', '1', { NX: true, EX: 10 })).toBeNull();
+
+    spy.mockReturnValue(now + 10000);
+    expect(await client.get('lock')).toBeNull();
+    spy.mockRestore();
+  });
+
+  it('should only add stream entries with generated IDs', async () => {
+    await expect(client.xAdd('audit', '1-1', { action: 'create' })).rejects.toThrow(/generated/);
+  });
+
+  it('should be created by the storage module for the memory driver', () => {
+    expect(createStorageClient({ driver: 'memory' }).isOpen).toBe(false);
+    expect(() => createStorageClient({ driver: 'postgres' })).toThrow(/Unknown storage driver "postgres"/);
+  });
+});
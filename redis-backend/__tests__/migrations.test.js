@@ -0,0 +1,102 @@
+const {
+  SCHEMA_VERSION_KEY,
+  sortMigrations,
+  getPendingMigrations,
+  runMigrations
+} = require('../utils/migrations');
+
+/**
+ * Minimal stand-in for the Redis commands the runner uses
+ */
+const createClient = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    data,
+    get: async (key) => data.get(key) ?? null,
+    set: async (key, value, options = {}) => {
+      if (options.NX && data.has(key)) return null;
+      data.set(key, value);
+      return 'OK';
+    },
+    del: async (key) => data.delete(key)
+  };
+};
+
+const migration = (version, up = async () => 0) => ({
+  file: `${String(version).padStart(3, '0')}-test.js`,
+  version,
+  description: `Migration ${version}`,
+  up
+});
+
+describe('Migration Runner Tests', () => {
+  describe('sortMigrations', () => {
+    it('should order migrations by version', () => {
+      expect(sortMigrations([migration(2), migration(1)]).map(m => m.version)).toEqual([1, 2]);
+    });
+
+    it('should reject duplicate versions and misnamed files', () => {
+      expect(() => sortMigrations([migration(1), { ...migration(1), file: '001-other.js' }]))
+        .toThrow('share version 1');
+      expect(() => sortMigrations([{ ...migration(2), file: '001-test.js' }]))
+        .toThrow('must be named 002-{name}.js');
+    });
+  });
+
+  describe('getPendingMigrations', () => {
+    it('should return only versions above the applied one', () => {
+      const migrations = [migration(1), migration(2), migration(3)];
+      expect(getPendingMigrations(migrations, 1).map(m => m.version)).toEqual([2, 3]);
+      expect(getPendingMigrations(migrations, 3)).toEqual([]);
+    });
+  });
+
+  describe('runMigrations', () => {
+    const log = () => {};
+
+    it('should run pending migrations in order and record each version', async () => {
+      const client = createClient({ [SCHEMA_VERSION_KEY]: '1' });
+      const ran = [];
+      const migrations = [1, 2, 3].map(version => migration(version, async () => {
+        ran.push(version);
+        return 1;
+      }));
+
+      const result = await runMigrations(client, { migrations, log });
+
+      expect(ran).toEqual([2, 3]);
+      expect(result).toEqual({
+        from: 1,
+        to: 3,
+        applied: [
+          { version: 2, description: 'Migration 2', changed: 1 },
+          { version: 3, description: 'Migration 3', changed: 1 }
+        ]
+      });
+      expect(client.data.get(SCHEMA_VERSION_KEY)).toBe('3');
+    });
+
+    it('should leave the version unchanged in a dry run', async () => {
+      const client = createClient();
+      const up = jest.fn(async () => 4);
+
+      const result = await runMigrations(client, { migrations: [migration(1, up)], dryRun: true, log });
+
+      expect(up).toHaveBeenCalledWith(client, expect.objectContaining({ dryRun: true }));
+      expect(result.to).toBe(0);
+      expect(client.data.has(SCHEMA_VERSION_KEY)).toBe(false);
+    });
+
+    it('should stop at a failing migration, keeping the versions applied before it', async () => {
+      const client = createClient();
+      const migrations = [
+        migration(1),
+        migration(2, async () => { throw new Error('bad data'); }),
+        migration(3)
+      ];
+
+      await expect(runMigrations(client, { migrations, log })).rejects.toThrow('Migration 2 failed: bad data');
+      expect(client.data.get(SCHEMA_VERSION_KEY)).toBe('1');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const {
+  foldWord,
+  foldName,
+  getNameTokens,
+  getSearchEntries,
+  parseSearchQuery,
+  editDistance,
+  isNearMatch
+} = require('../utils/nameSearch');
+
+describe('Name Search Tests', () => {
+  describe('foldWord', () => {
+    it('should fold common Filipino spelling variants together', () => {
+      expect(foldWord('cristina')).toBe(foldWord('kristina'));
+      expect(foldWord('vicente')).toBe(foldWord('bicente'));
+      expect(foldWord('jhon')).toBe(foldWord('jon'));
+      expect(foldWord('ninyo')).toBe(foldWord('nino'));
+      expect(foldWord('joy')).toBe(foldWord('joi'));
+      expect(foldWord('anne')).toBe(foldWord('ane'));
+    });
+
+    it('should keep distinct names apart', () => {
+      expect(foldWord('maria')).not.toBe(foldWord('mario'));
+      expect(foldWord('charles')).not.toBe(foldWord('carles'));
+    });
+  });
+
+  describe('foldName', () => {
+    it('should reduce a full name to one canonical form', () => {
+      expect(foldName('Ma. Cristina')).toBe('maria kristina');
+      expect(foldName('  Maria  Kristina ')).toBe('maria kristina');
+      expect(foldName('')).toBe('');
+    });
+  });
+
+  describe('getNameTokens', () => {
+    it('should drop accents and punctuation and expand abbreviations', () => {
+      const tokens = getNameTokens({ firstName: 'Ma. Niña', lastName: 'Dela Peña-Santos' });
+      expect(tokens).toEqual(expect.arrayContaining(['ma', 'maria', 'nina', 'dela', 'pena', 'santos']));
+    });
+
+    it('should index the alias and ignore empty fields', () => {
+      expect(getNameTokens({ firstName: 'Jose', alias: 'Pepe', middleName: '' })).toEqual(['jose', 'pepe']);
+    });
+  });
+
+  describe('getSearchEntries', () => {
+    it('should pair each token with the resident ID', () => {
+      expect(getSearchEntries('abc', { firstName: 'Ana', lastName: 'Cruz' })).toEqual(['ana:abc', 'krus:abc']);
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('should fold each query word the same way as indexed names', () => {
+      expect(parseSearchQuery('Ma. Kristina')).toEqual([['ma', 'maria'], [foldWord('cristina')]]);
+      expect(parseSearchQuery('  ')).toEqual([]);
+    });
+  });
+
+  describe('isNearMatch', () => {
+    it('should accept a single typo in a full name or a prefix', () => {
+      expect(editDistance('santos', 'santso')).toBe(2);
+      expect(isNearMatch('santis', 'santos')).toBe(true);
+      expect(isNearMatch('gonsal', 'gonsales')).toBe(true);
+      expect(isNearMatch('gomsal', 'gonsales')).toBe(true);
+    });
+
+    it('should reject names more than one edit away', () => {
+      expect(isNearMatch('reies', 'santos')).toBe(false);
+      expect(isNearMatch('mraia', 'maria')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+// Keep the data in memory so the server can be loaded without Redis
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'password-endpoint-secret';
+const { app, client } = require('../server');
+
+describe('Password Endpoint Tests', () => {
+  const tokenFor = (username, role) => ({
+    Authorization: `Bearer ${jwt.sign({ username, role }, process.env.JWT_SECRET)}`
+  });
+  const admin = () => tokenFor('admin', 'admin');
+  const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+  const login = (password) => request(app).post('/auth/login').send({ username: 'clerk', password });
+
+  beforeAll(async () => {
+    await client.connect();
+  });
+
+  afterAll(async () => {
+    await client.quit();
+  });
+
+  beforeEach(async () => {
+    await client.flushAll();
+    await client.hSet('user:admin', { password: 'unused', role: 'admin' });
+    await client.hSet('user:clerk', { password: await bcrypt.hash('secret123', 4), role: 'user' });
+  });
+
+  describe('POST /auth/change-password', () => {
+    it('should change the password and end the other sessions', async () => {
+      const { body: other } = await login('secret123').expect(200);
+      const { body: current } = await login('secret123').expect(200);
+
+      const { body } = await request(app)
+        .post('/auth/change-password')
+        .set(bearer(current.token))
+        .send({ currentPassword: 'secret123', newPassword: 'tanod2024gate' })
+        .expect(200);
+
+      await request(app).get('/auth/verify').set(bearer(body.token)).expect(200);
+      await request(app).post('/auth/refresh').send({ refreshToken: body.refreshToken }).expect(200);
+      await request(app).post('/auth/refresh').send({ refreshToken: other.refreshToken }).expect(401);
+      await login('secret123').expect(401);
+      await login('tanod2024gate').expect(200);
+    });
+
+    it('should refuse a wrong current password or a weak new one', async () => {
+      const clerk = tokenFor('clerk', 'user');
+
+      const wrong = await request(app)
+        .post('/auth/change-password')
+        .set(clerk)
+        .send({ currentPassword: 'wrong', newPassword: 'tanod2024gate' })
+        .expect(400);
+      expect(wrong.body.errors).toEqual({ currentPassword: 'Current password is incorrect' });
+      expect(await client.exists('loginFailures:user:clerk')).toBe(1);
+
+      const weak = await request(app)
+        .post('/auth/change-password')
+        .set(clerk)
+        .send({ currentPassword: 'secret123', newPassword: 'clerk2024' })
+        .expect(400);
+      expect(weak.body.errors).toEqual({ newPassword: 'Password must not contain the username' });
+
+      await login('secret123').expect(200);
+    });
+
+    it('should clear the forced password change flag', async () => {
+      await client.hSet('user:clerk', 'mustChangePassword', 'true');
+      const { body } = await login('secret123').expect(200);
+      expect(body.user.mustChangePassword).toBe(true);
+
+      await request(app)
+        .post('/auth/change-password')
+        .set(bearer(body.token))
+        .send({ currentPassword: 'secret123', newPassword: 'tanod2024gate' })
+        .expect(200);
+
+      const { body: again } = await login('tanod2024gate').expect(200);
+      expect(again.user.mustChangePassword).toBe(false);
+    });
+
+    it('should allow only the password change until the forced change is done', async () => {
+      await client.hSet('user:clerk', 'mustChangePassword', 'true');
+      const { body: session } = await login('secret123').expect(200);
+
+      const refused = await request(app).get('/residents').set(bearer(session.token)).expect(403);
+      expect(refused.body.mustChangePassword).toBe(true);
+      await request(app).get('/auth/verify').set(bearer(session.token)).expect(200);
+
+      const { body: refreshed } = await request(app)
+        .post('/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .expect(200);
+      expect(refreshed.user.mustChangePassword).toBe(true);
+
+      const { body } = await request(app)
+        .post('/auth/change-password')
+        .set(bearer(refreshed.token))
+        .send({ currentPassword: 'secret123', newPassword: 'tanod2024gate' })
+        .expect(200);
+
+      await request(app).get('/residents').set(bearer(body.token)).expect(200);
+    });
+  });
+
+  describe('reset tokens', () => {
+    const issue = async () => {
+      const { body } = await request(app).post('/users/clerk/reset-token').set(admin()).expect(200);
+      return body.resetToken;
+    };
+    const reset = (token, newPassword) => request(app).post('/auth/reset-password').send({ token, newPassword });
+
+    it('should set a new password once per token', async () => {
+      const { body } = await request(app).post('/users/clerk/reset-token').set(admin()).expect(200);
+      expect(Date.parse(body.expiresAt)).toBeGreaterThan(Date.now());
+
+      await reset(body.resetToken, 'tanod2024gate').expect(200);
+      const reused = await reset(body.resetToken, 'another2024').expect(400);
+      expect(reused.body.message).toBe('Invalid or expired reset token');
+
+      await login('secret123').expect(401);
+      await login('tanod2024gate').expect(200);
+    });
+
+    it('should keep the token usable when the new password is too weak', async () => {
+      const token = await issue();
+
+      const weak = await reset(token, 'short1').expect(400);
+      expect(weak.body.errors).toEqual({ newPassword: 'Password must be at least 8 characters long' });
+
+      await reset(token, 'tanod2024gate').expect(200);
+    });
+
+    it('should cancel the earlier token when a new one is issued', async () => {
+      const first = await issue();
+      const second = await issue();
+
+      await reset(first, 'tanod2024gate').expect(400);
+      await reset(second, 'tanod2024gate').expect(200);
+    });
+
+    it('should leave admin accounts to admins', async () => {
+      await client.hSet('user:sec', { password: 'unused', role: 'secretary' });
+
+      await request(app).post('/users/admin/reset-token').set(tokenFor('sec', 'secretary')).expect(403);
+      await request(app).post('/users/clerk/reset-token').set(tokenFor('clerk', 'user')).expect(403);
+      await request(app).post('/users/nobody/reset-token').set(admin()).expect(404);
+    });
+  });
+
+  it('should apply the strength check when registering', async () => {
+    const response = await request(app)
+      .post('/auth/register-user')
+      .send({ username: 'newclerk', password: 'secret1' })
+      .expect(400);
+
+    expect(response.body.message).toBe('Password must be at least 8 characters long');
+  });
+});
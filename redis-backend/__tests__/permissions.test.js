@@ -0,0 +1,61 @@
+const {
+  PERMISSION_NAMES,
+  DEFAULT_ROLES,
+  hasPermissions,
+  validateRole,
+  canManageRole,
+  findUngrantablePermissions
+} = require('../utils/permissions');
+
+describe('Permissions Tests', () => {
+  it('should only grant known permissions in the default roles', () => {
+    Object.values(DEFAULT_ROLES).forEach(role => {
+      expect(role.permissions.every(permission => PERMISSION_NAMES.includes(permission))).toBe(true);
+    });
+    expect(DEFAULT_ROLES.admin.permissions).toEqual(PERMISSION_NAMES);
+  });
+
+  it('should require every listed permission', () => {
+    expect(hasPermissions(['residents:read', 'export'], ['residents:read', 'export'])).toBe(true);
+    expect(hasPermissions(['residents:read'], ['residents:read', 'export'])).toBe(false);
+    expect(hasPermissions(undefined, ['residents:read'])).toBe(false);
+  });
+
+  describe('validateRole', () => {
+    it('should keep known permissions in catalog order without duplicates', () => {
+      const { values, errors } = validateRole({
+        name: ' encoder ',
+        label: ' Encoder ',
+        permissions: ['residents:write', 'residents:read', 'residents:write']
+      }, { isNew: true });
+
+      expect(errors).toEqual({});
+      expect(values).toEqual({ name: 'encoder', label: 'Encoder', permissions: ['residents:read', 'residents:write'] });
+    });
+
+    it('should report every invalid field', () => {
+      const { errors } = validateRole({ name: 'Bad Name', label: '', permissions: ['residents:fly'] }, { isNew: true });
+
+      expect(errors).toEqual({
+        name: expect.any(String),
+        label: 'Label is required',
+        permissions: 'Unknown permissions: residents:fly'
+      });
+      expect(validateRole({ label: 'Encoder' }).errors).toEqual({ permissions: 'Permissions must be a list' });
+    });
+  });
+
+  it('should leave admin accounts to admins', () => {
+    expect(canManageRole('admin', 'admin')).toBe(true);
+    expect(canManageRole('secretary', 'user', 'treasurer')).toBe(true);
+    expect(canManageRole('secretary', 'user', 'admin')).toBe(false);
+  });
+
+  it('should list the permissions a user cannot pass on', () => {
+    const granted = ['residents:read', 'roles:manage'];
+
+    expect(findUngrantablePermissions(granted, ['residents:read'])).toEqual([]);
+    expect(findUngrantablePermissions(granted, ['roles:manage', 'users:manage', 'backup:manage']))
+      .toEqual(['users:manage', 'backup:manage']);
+  });
+});
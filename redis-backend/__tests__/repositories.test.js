@@ -0,0 +1,233 @@
+const { createMemoryClient } = require('../storage/memoryClient');
+const { createResidentRepository } = require('../repositories/residentRepository');
+const { createStudentRepository } = require('../repositories/studentRepository');
+const { createUserRepository } = require('../repositories/userRepository');
+const { createStatsRepository } = require('../repositories/statsRepository');
+const { createSessionRepository } = require('../repositories/sessionRepository');
+const { createLoginAttemptRepository } = require('../repositories/loginAttemptRepository');
+const { createRoleRepository } = require('../repositories/roleRepository');
+const { createPasswordResetRepository } = require('../repositories/passwordResetRepository');
+const { PERMISSION_NAMES } = require('../utils/permissions');
+
+describe('Repository Tests', () => {
+  let client;
+
+  beforeEach(async () => {
+    client = createMemoryClient();
+    await client.connect();
+  });
+
+  describe('residentRepository', () => {
+    it('should create, find and update residents', async () => {
+      const residents = createResidentRepository(client);
+
+      const tx = client.multi();
+      residents.queueCreate(tx, '1', { firstName: 'Ana', purok: 'Purok 1' });
+      residents.queueCreate(tx, '2', { firstName: 'Ben', purok: 'Purok 2' });
+      await tx.exec();
+      await residents.update('1', { householdNo: 'HH-1' });
+
+      expect(await residents.count()).toBe(2);
+      expect(await residents.exists('1')).toBe(true);
+      expect(await residents.findById('1')).toEqual({ firstName: 'Ana', purok: 'Purok 1', householdNo: 'HH-1' });
+      expect(await residents.findById('3')).toBeNull();
+      expect((await residents.findByIds(['2', '3'])).map(resident => resident.id)).toEqual(['2']);
+    });
+
+    it('should move residents to the recycle bin and back', async () => {
+      const residents = createResidentRepository(client);
+      await residents.update('1', { firstName: 'Ana' });
+      await client.sAdd('residents', '1');
+
+      let tx = client.multi();
+      residents.queueMoveToRecycleBin(tx, '1', 'admin');
+      await tx.exec();
+
+      expect(await residents.exists('1')).toBe(false);
+      const [deleted] = await residents.findDeleted();
+      expect(deleted).toMatchObject({ id: '1', firstName: 'Ana', deletedBy: 'admin' });
+
+      tx = client.multi();
+      residents.queueRestore(tx, '1', { age: '30' });
+      await tx.exec();
+
+      expect(await residents.findById('1')).toEqual({ firstName: 'Ana', age: '30' });
+      expect(await residents.findDeleted()).toEqual([]);
+    });
+  });
+
+  describe('studentRepository', () => {
+    it('should keep student records', async () => {
+      const students = createStudentRepository(client);
+      await students.create('a', { firstName: 'Ana', studentId: '1001' });
+      await students.create('b', { firstName: 'Ben', studentId: '1002' });
+      await students.update('a', { section: 'A' });
+
+      expect(await students.findById('a')).toEqual({ firstName: 'Ana', studentId: '1001', section: 'A' });
+      expect((await students.findAll()).map(student => student.id).sort()).toEqual(['a', 'b']);
+
+      await students.remove('a');
+      expect(await students.findById('a')).toBeNull();
+      expect(await students.removeAll()).toBe(1);
+      expect(await students.findAll()).toEqual([]);
+    });
+  });
+
+  describe('userRepository', () => {
+    it('should save accounts and list them without passwords', async () => {
+      const users = createUserRepository(client);
+      await users.create('admin', { password: 'hash', role: 'admin' });
+
+      expect(await users.exists('admin')).toBe(true);
+      expect(await users.exists('guest')).toBe(false);
+      expect(await users.findByUsername('admin')).toMatchObject({ username: 'admin', password: 'hash', role: 'admin' });
+
+      const [listed] = await users.list();
+      expect(listed).toEqual({
+        username: 'admin',
+        role: 'admin',
+        createdAt: expect.any(String),
+        disabled: false,
+        mustChangePassword: false
+      });
+    });
+
+    it('should change account flags and delete accounts', async () => {
+      const users = createUserRepository(client);
+      await users.create('clerk', { password: 'hash', role: 'user' });
+      await users.update('clerk', { disabled: true, role: 'admin' });
+
+      expect(await users.findByUsername('clerk')).toMatchObject({ role: 'admin', disabled: true, mustChangePassword: false });
+      expect(await client.hGet('user:clerk', 'disabled')).toBe('true');
+
+      expect(await users.remove('clerk')).toBe(true);
+      expect(await users.remove('clerk')).toBe(false);
+      expect(await users.findByUsername('clerk')).toBeNull();
+    });
+  });
+
+  describe('sessionRepository', () => {
+    it('should let only one caller claim a refresh token', async () => {
+      const sessions = createSessionRepository(client);
+      await sessions.create('clerk', 'hash1', 60);
+
+      expect(await sessions.find('hash1')).toMatchObject({ username: 'clerk' });
+      expect(await client.ttl('refreshToken:hash1')).toBe(60);
+
+      const claims = await Promise.all([sessions.claim('clerk', 'hash1'), sessions.claim('clerk', 'hash1')]);
+      expect(claims.sort()).toEqual([false, true]);
+      expect(await sessions.find('hash1')).toMatchObject({ rotatedAt: expect.any(String) });
+    });
+
+    it('should revoke one or every refresh token and access tokens', async () => {
+      const sessions = createSessionRepository(client);
+      await sessions.create('clerk', 'hash1', 60);
+      await sessions.create('clerk', 'hash2', 60);
+      await sessions.create('clerk', 'hash3', 60);
+
+      await sessions.revoke('hash1');
+      expect(await sessions.find('hash1')).toBeNull();
+      expect(await sessions.revokeAll('clerk')).toBe(2);
+      expect(await sessions.find('hash2')).toBeNull();
+
+      await sessions.revokeAccessToken('jti-1', 60);
+      expect(await sessions.isAccessTokenRevoked('jti-1')).toBe(true);
+      expect(await sessions.isAccessTokenRevoked('jti-2')).toBe(false);
+    });
+  });
+
+  describe('loginAttemptRepository', () => {
+    it('should count failures until cleared', async () => {
+      const attempts = createLoginAttemptRepository(client);
+
+      expect(await attempts.get('user', 'clerk')).toEqual({ count: 0, lastFailureAt: 0 });
+      await attempts.recordFailure('user', 'clerk', 60);
+      const second = await attempts.recordFailure('user', 'clerk', 60);
+
+      expect(second).toEqual({ count: 2, lastFailureAt: expect.any(Number) });
+      expect(await attempts.get('user', 'clerk')).toEqual(second);
+      expect(await attempts.get('ip', 'clerk')).toEqual({ count: 0, lastFailureAt: 0 });
+      expect(await client.ttl('loginFailures:user:clerk')).toBe(60);
+
+      expect(await attempts.clear('user', 'clerk')).toBe(true);
+      expect(await attempts.get('user', 'clerk')).toEqual({ count: 0, lastFailureAt: 0 });
+    });
+
+    it('should count the attempts reserved until they are released', async () => {
+      const attempts = createLoginAttemptRepository(client);
+      const failure = await attempts.recordFailure('user', 'clerk', 60);
+
+      expect(await attempts.reserve('user', 'clerk', 30)).toEqual({ ...failure, pending: 1 });
+      expect((await attempts.reserve('user', 'clerk', 30)).pending).toBe(2);
+      expect(await client.ttl('loginPending:user:clerk')).toBe(30);
+
+      await attempts.release('user', 'clerk');
+      expect((await attempts.reserve('user', 'clerk', 30)).pending).toBe(2);
+    });
+  });
+
+  describe('passwordResetRepository', () => {
+    it('should keep one reset token per user that can be used once', async () => {
+      const resets = createPasswordResetRepository(client);
+      await resets.create('clerk', 'hash1', 60);
+      await resets.create('clerk', 'hash2', 60);
+
+      expect(await resets.find('hash1')).toBeNull();
+      expect(await resets.find('hash2')).toMatchObject({ username: 'clerk' });
+      expect(await client.ttl('passwordReset:hash2')).toBe(60);
+
+      const claims = await Promise.all([resets.claim('clerk', 'hash2'), resets.claim('clerk', 'hash2')]);
+      expect(claims.sort()).toEqual([false, true]);
+      expect(await resets.find('hash2')).toBeNull();
+      expect(await resets.revoke('clerk')).toBe(false);
+
+      await resets.create('clerk', 'hash3', 60);
+      expect(await resets.revoke('clerk')).toBe(true);
+      expect(await resets.find('hash3')).toBeNull();
+    });
+  });
+
+  describe('roleRepository', () => {
+    it('should let stored roles replace and extend the default roles', async () => {
+      const roles = createRoleRepository(client);
+      await roles.save('user', { label: 'Viewer', permissions: ['residents:read'] });
+      await roles.save('encoder', { label: 'Encoder', permissions: ['residents:read', 'residents:write'] });
+      await roles.save('admin', { label: 'Admin', permissions: [] });
+
+      expect(await roles.findByName('user')).toEqual({ name: 'user', label: 'Viewer', permissions: ['residents:read'], builtIn: true });
+      expect(await roles.findByName('encoder')).toMatchObject({ label: 'Encoder', builtIn: false });
+      expect((await roles.findByName('admin')).permissions).toEqual(PERMISSION_NAMES);
+      expect(await roles.findByName('owner')).toBeNull();
+
+      const names = (await roles.list()).map(role => role.name);
+      expect(names.slice(0, 2)).toEqual(['admin', 'user']);
+      expect(names[names.length - 1]).toBe('encoder');
+
+      expect(await roles.remove('user')).toBe(true);
+      expect((await roles.findByName('user')).label).toBe('Regular User');
+    });
+  });
+
+  describe('statsRepository', () => {
+    it('should count and uncount residents', async () => {
+      const stats = createStatsRepository(client);
+      const voter = { purok: 'Purok 1', votersStatus: 'Registered' };
+
+      let tx = client.multi();
+      stats.queueChange(tx, voter, 1);
+      stats.queueChange(tx, { purok: 'Purok 1' }, 1);
+      await tx.exec();
+      expect(await stats.get()).toEqual({ totalResidents: '2', totalVoters: '1', 'residents:Purok 1': '2' });
+
+      tx = client.multi();
+      stats.queueChange(tx, voter, -1);
+      await tx.exec();
+      expect(await stats.get()).toEqual({ totalResidents: '1', totalVoters: '0', 'residents:Purok 1': '1' });
+
+      tx = client.multi();
+      stats.queueReplace(tx, {});
+      await tx.exec();
+      expect(await stats.get()).toEqual({});
+    });
+  });
+});
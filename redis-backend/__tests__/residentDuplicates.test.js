@@ -0,0 +1,34 @@
+const { DUPLICATE_REASONS, getDuplicateReason } = require('../utils/residentDuplicates');
+
+describe('Resident Duplicates Tests', () => {
+  const existing = {
+    firstName: 'Maria Cristina',
+    lastName: 'Dela Peña',
+    birthdate: '1990-05-12',
+    householdId: 'h1'
+  };
+
+  it('should flag the same name and birthdate across spelling variants', () => {
+    const candidate = { firstName: 'Ma. Kristina', lastName: 'dela pena', birthdate: '1990-05-12' };
+    expect(getDuplicateReason(candidate, existing)).toBe(DUPLICATE_REASONS.SAME_NAME_AND_BIRTHDATE);
+  });
+
+  it('should not flag the same name with a different birthdate outside the household', () => {
+    const candidate = { firstName: 'Maria Cristina', lastName: 'Dela Peña', birthdate: '1991-05-12' };
+    expect(getDuplicateReason(candidate, existing)).toBeNull();
+  });
+
+  it('should flag a similar name in the same household', () => {
+    const candidate = { firstName: 'Maria Cristna', lastName: 'Dela Peña', householdId: 'h1' };
+    expect(getDuplicateReason(candidate, existing)).toBe(DUPLICATE_REASONS.SIMILAR_NAME_IN_HOUSEHOLD);
+  });
+
+  it('should not flag different household members', () => {
+    const candidate = { firstName: 'Jose', lastName: 'Dela Peña', householdId: 'h1' };
+    expect(getDuplicateReason(candidate, existing)).toBeNull();
+  });
+
+  it('should ignore records without a name', () => {
+    expect(getDuplicateReason({ birthdate: '1990-05-12' }, { birthdate: '1990-05-12' })).toBeNull();
+  });
+});
@@ -0,0 +1,341 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Keep the data in memory so the server can be loaded without Redis
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'resident-endpoint-secret';
+const { app, client } = require('../server');
+
+describe('Resident Endpoint Tests', () => {
+  const admin = () => ({
+    Authorization: `Bearer ${jwt.sign({ username: 'admin', role: 'admin' }, process.env.JWT_SECRET)}`
+  });
+
+  const validResident = {
+    firstName: 'Juan',
+    lastName: 'Dela Cruz',
+    birthplace: 'Cebu City',
+    birthdate: '1990-05-12',
+    civilStatus: 'Single',
+    gender: 'Male',
+    purok: 'Purok 1',
+    votersStatus: 'Registered',
+    precinctNo: '0012A',
+    address: '123 Mabini St.',
+    citizenship: 'Filipino'
+  };
+
+  const addResident = async (fields = {}) => {
+    const { body } = await request(app)
+      .post('/residents')
+      .set(admin())
+      .send({ ...validResident, allowDuplicate: 'true', ...fields })
+      .expect(201);
+    return body;
+  };
+
+  // Runs another request after a route has read its residents but before its transaction
+  const interleave = (concurrentRequest) => {
+    const executeIsolated = client.executeIsolated.bind(client);
+    jest.spyOn(client, 'executeIsolated').mockImplementationOnce(fn => executeIsolated(async (isolatedClient) => {
+      const multi = isolatedClient.multi.bind(isolatedClient);
+      isolatedClient.multi = () => {
+        const tx = multi();
+        const exec = tx.exec.bind(tx);
+        tx.exec = async () => {
+          await concurrentRequest();
+          return exec();
+        };
+        return tx;
+      };
+      return fn(isolatedClient);
+    }));
+  };
+
+  const expectStatsToMatchResidents = async () => {
+    const { body } = await request(app).post('/residents/stats/reconcile').set(admin()).expect(200);
+    expect(body.changes).toEqual([]);
+  };
+
+  beforeAll(async () => {
+    await client.connect();
+  });
+
+  afterAll(async () => {
+    await client.quit();
+  });
+
+  beforeEach(async () => {
+    await client.flushAll();
+    await client.hSet('user:admin', { password: 'unused', role: 'admin' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('PUT /residents/:id', () => {
+    it('should not count a resident that was deleted while it was being updated', async () => {
+      const resident = await addResident();
+      interleave(() => request(app).delete(`/residents/${resident.id}`).set(admin()).expect(200));
+
+      await request(app)
+        .put(`/residents/${resident.id}`)
+        .set(admin())
+        .send({ purok: 'Purok 2' })
+        .expect(404);
+
+      expect(await client.exists(`resident:${resident.id}`)).toBe(0);
+      await expectStatsToMatchResidents();
+    });
+  });
+
+  describe('POST /residents/:id/revert', () => {
+    it('should not bring back a resident deleted while it was being reverted', async () => {
+      const resident = await addResident();
+      await request(app).put(`/residents/${resident.id}`).set(admin()).send({ occupation: 'Teacher' }).expect(200);
+      interleave(() => request(app).delete(`/residents/${resident.id}`).set(admin()).expect(200));
+
+      await request(app).post(`/residents/${resident.id}/revert`).set(admin()).send({ version: 1 }).expect(404);
+
+      expect(await client.exists(`resident:${resident.id}`)).toBe(0);
+      await expectStatsToMatchResidents();
+    });
+
+    it('should record the original version once when two first edits run at the same time', async () => {
+      // Saved before history was kept
+      const resident = await addResident();
+      await client.del(`resident:${resident.id}:history`);
+      interleave(() => request(app).put(`/residents/${resident.id}`).set(admin()).send({ occupation: 'Farmer' }).expect(200));
+
+      await request(app).put(`/residents/${resident.id}`).set(admin()).send({ alias: 'Johnny' }).expect(200);
+
+      const { body: history } = await request(app).get(`/residents/${resident.id}/history`).set(admin()).expect(200);
+      expect(history.map(entry => entry.action)).toEqual(['update', 'update', 'original']);
+    });
+  });
+
+  describe('DELETE /residents/:id', () => {
+    it('should take off the counters of the values saved while it was being deleted', async () => {
+      const resident = await addResident();
+      interleave(() => request(app).put(`/residents/${resident.id}`).set(admin()).send({ purok: 'Purok 2' }).expect(200));
+
+      await request(app).delete(`/residents/${resident.id}`).set(admin()).expect(200);
+
+      expect(client.executeIsolated).toHaveBeenCalledTimes(3);
+      await expectStatsToMatchResidents();
+    });
+  });
+
+  describe('POST /residents/deleted/:id/restore', () => {
+    const restore = (id) => request(app).post(`/residents/deleted/${id}/restore`).set(admin());
+
+    it('should count a resident restored twice at the same time only once', async () => {
+      const resident = await addResident();
+      await request(app).delete(`/residents/${resident.id}`).set(admin()).expect(200);
+      interleave(() => restore(resident.id).expect(200));
+
+      await restore(resident.id).expect(404);
+
+      expect(client.executeIsolated).toHaveBeenCalledTimes(3);
+      await expectStatsToMatchResidents();
+    });
+
+    it('should not restore a resident purged while it was being restored', async () => {
+      const resident = await addResident();
+      await request(app).delete(`/residents/${resident.id}`).set(admin()).expect(200);
+      interleave(() => request(app).delete(`/residents/deleted/${resident.id}`).set(admin()).expect(200));
+
+      await restore(resident.id).expect(404);
+
+      expect(await client.exists(`resident:${resident.id}`)).toBe(0);
+      await expectStatsToMatchResidents();
+    });
+  });
+
+  describe('household routes', () => {
+    const addHousehold = async () => {
+      const { body } = await request(app)
+        .post('/households')
+        .set(admin())
+        .send({ householdNo: '12', purok: 'Purok 1', address: '123 Mabini St.' })
+        .expect(201);
+      return body;
+    };
+
+    const addMember = (householdId, residentId, relationshipToHead) => request(app)
+      .post(`/households/${householdId}/members`)
+      .set(admin())
+      .send({ residentId, relationshipToHead })
+      .expect(200);
+
+    const latestHistoryEntry = async (residentId) => {
+      const { body } = await request(app).get(`/residents/${residentId}/history`).set(admin()).expect(200);
+      return body[0];
+    };
+
+    it('should refuse a household number taken while the household was being created', async () => {
+      interleave(() => addHousehold());
+
+      await request(app)
+        .post('/households')
+        .set(admin())
+        .send({ householdNo: '12', purok: 'Purok 2' })
+        .expect(400);
+
+      expect(await client.sCard('households')).toBe(1);
+    });
+
+    it('should refuse a second head assigned while the first was being assigned', async () => {
+      const household = await addHousehold();
+      const first = await addResident();
+      const second = await addResident({ firstName: 'Maria' });
+      interleave(() => addMember(household.id, first.id, 'Head'));
+
+      await request(app)
+        .post(`/households/${household.id}/members`)
+        .set(admin())
+        .send({ residentId: second.id, relationshipToHead: 'Head' })
+        .expect(409);
+
+      expect(await client.hGet(`household:${household.id}`, 'headId')).toBe(first.id);
+      expect(await client.hGet(`resident:${second.id}`, 'householdId')).toBeNull();
+    });
+
+    it('should not add a member to a household deleted while the member was being added', async () => {
+      const household = await addHousehold();
+      const resident = await addResident();
+      interleave(() => request(app).delete(`/households/${household.id}`).set(admin()).expect(200));
+
+      await request(app)
+        .post(`/households/${household.id}/members`)
+        .set(admin())
+        .send({ residentId: resident.id, relationshipToHead: 'Head' })
+        .expect(404);
+
+      expect(await client.hGet(`resident:${resident.id}`, 'householdId')).toBeNull();
+      expect(await client.exists([`household:${household.id}`, `household:${household.id}:members`])).toBe(0);
+    });
+
+    it('should not add a resident to a household deleted while the resident was being added', async () => {
+      const household = await addHousehold();
+      interleave(() => request(app).delete(`/households/${household.id}`).set(admin()).expect(200));
+
+      await request(app)
+        .post('/residents')
+        .set(admin())
+        .send({ ...validResident, householdId: household.id, relationshipToHead: 'Head' })
+        .expect(404);
+
+      expect(await client.sCard('residents')).toBe(0);
+      expect(await client.exists(`household:${household.id}:members`)).toBe(0);
+    });
+
+    it('should renumber the members and move the head with the household', async () => {
+      const household = await addHousehold();
+      const head = await addResident();
+      const spouse = await addResident({ firstName: 'Maria' });
+      await addMember(household.id, head.id, 'Head');
+      await addMember(household.id, spouse.id, 'Spouse');
+
+      await request(app)
+        .put(`/households/${household.id}`)
+        .set(admin())
+        .send({ householdNo: '15', headId: spouse.id })
+        .expect(200);
+
+      expect(await client.hGetAll(`resident:${head.id}`)).toMatchObject({ householdNo: '15', relationshipToHead: '' });
+      expect(await client.hGetAll(`resident:${spouse.id}`)).toMatchObject({ householdNo: '15', relationshipToHead: 'Head' });
+      expect(await client.hGet('households:byNumber', '15')).toBe(household.id);
+
+      expect(await latestHistoryEntry(head.id)).toMatchObject({
+        action: 'household',
+        changedBy: 'admin',
+        changes: [
+          { field: 'householdNo', from: '12', to: '15' },
+          { field: 'relationshipToHead', from: 'Head', to: '' }
+        ]
+      });
+    });
+
+    it('should not bring back a member deleted while the household was being deleted', async () => {
+      const household = await addHousehold();
+      const kept = await addResident();
+      const deleted = await addResident({ firstName: 'Maria' });
+      await addMember(household.id, kept.id, 'Head');
+      await addMember(household.id, deleted.id, 'Spouse');
+      interleave(() => request(app).delete(`/residents/${deleted.id}`).set(admin()).expect(200));
+
+      await request(app).delete(`/households/${household.id}`).set(admin()).expect(200);
+
+      expect(await client.hGetAll(`resident:${kept.id}`)).toMatchObject({ householdId: '', householdNo: '', relationshipToHead: '' });
+      expect(await client.exists(`resident:${deleted.id}`)).toBe(0);
+      expect(await client.sIsMember('households', household.id)).toBe(false);
+      expect((await latestHistoryEntry(kept.id)).changes).toEqual([
+        { field: 'householdNo', from: '12', to: '' },
+        { field: 'relationshipToHead', from: 'Head', to: '' }
+      ]);
+    });
+
+    it('should clear the household fields of a removed member', async () => {
+      const household = await addHousehold();
+      const resident = await addResident();
+      await addMember(household.id, resident.id, 'Head');
+
+      await request(app).delete(`/households/${household.id}/members/${resident.id}`).set(admin()).expect(200);
+
+      expect(await client.hGetAll(`resident:${resident.id}`)).toMatchObject({ householdId: '', householdNo: '', relationshipToHead: '' });
+      expect(await client.sMembers(`household:${household.id}:members`)).toEqual([]);
+      expect(await client.hGet(`household:${household.id}`, 'headId')).toBe('');
+      expect((await latestHistoryEntry(resident.id)).action).toBe('household');
+    });
+  });
+
+  describe('POST /residents/merge', () => {
+    it('should take the chosen fields from the duplicate', async () => {
+      const primary = await addResident({ occupation: 'Farmer' });
+      const duplicate = await addResident({ occupation: 'Teacher' });
+
+      const { body } = await request(app)
+        .post('/residents/merge')
+        .set(admin())
+        .send({ primaryId: primary.id, duplicateId: duplicate.id, choices: { occupation: 'duplicate' } })
+        .expect(200);
+
+      expect(body.occupation).toBe('Teacher');
+      expect(await client.exists(`resident:${duplicate.id}`)).toBe(0);
+    });
+
+    it('should merge the values saved while the merge was running', async () => {
+      const primary = await addResident();
+      const duplicate = await addResident();
+      interleave(() => request(app).put(`/residents/${duplicate.id}`).set(admin()).send({ votersStatus: 'Not-Registered' }).expect(200));
+
+      const { body } = await request(app)
+        .post('/residents/merge')
+        .set(admin())
+        .send({ primaryId: primary.id, duplicateId: duplicate.id, choices: {} })
+        .expect(200);
+
+      expect(client.executeIsolated).toHaveBeenCalledTimes(3);
+      expect(body.votersStatus).toBe('Registered');
+      await expectStatsToMatchResidents();
+    });
+
+    it('should refuse to copy fields that are not resident fields', async () => {
+      const primary = await addResident();
+      const duplicate = await addResident();
+      await client.hSet(`resident:${duplicate.id}`, { role: 'admin' });
+
+      const { body } = await request(app)
+        .post('/residents/merge')
+        .set(admin())
+        .send({ primaryId: primary.id, duplicateId: duplicate.id, choices: { role: 'duplicate', id: 'duplicate', lastName: 'duplicate' } })
+        .expect(400);
+
+      expect(body.message).toBe('Fields cannot be merged: role, id');
+      expect(await client.hGet(`resident:${primary.id}`, 'role')).toBeNull();
+      expect(await client.exists(`resident:${duplicate.id}`)).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const { toSnapshot, diffResident, createHistoryEntry } = require('../utils/residentHistory');
+
+describe('Resident History Tests', () => {
+  describe('toSnapshot', () => {
+    it('should leave out the ID and profile image', () => {
+      expect(toSnapshot({ id: 'abc', firstName: 'Ana', profileImage: 'uploads/a.jpg' })).toEqual({ firstName: 'Ana' });
+    });
+  });
+
+  describe('diffResident', () => {
+    it('should list changed, added and cleared fields', () => {
+      const before = { firstName: 'Ana', lastName: 'Cruz', email: 'ana@example.com' };
+      const after = { firstName: 'Ana', lastName: 'Santos', email: '', occupation: 'Teacher' };
+
+      expect(diffResident(before, after)).toEqual([
+        { field: 'lastName', from: 'Cruz', to: 'Santos' },
+        { field: 'email', from: 'ana@example.com', to: '' },
+        { field: 'occupation', from: '', to: 'Teacher' }
+      ]);
+    });
+
+    it('should ignore photo and household ID changes', () => {
+      const before = { householdId: 'h1', householdNo: '7', profileImage: 'a.jpg' };
+      const after = { householdId: 'h2', householdNo: '8', profileImage: 'b.jpg' };
+
+      expect(diffResident(before, after)).toEqual([{ field: 'householdNo', from: '7', to: '8' }]);
+    });
+  });
+
+  describe('createHistoryEntry', () => {
+    it('should record who changed what along with the saved snapshot', () => {
+      const entry = createHistoryEntry({
+        action: 'revert',
+        before: { lastName: 'Santos' },
+        after: { lastName: 'Cruz', householdId: 'h1' },
+        changedBy: 'admin',
+        changedAt: '2024-05-01T00:00:00.000Z',
+        revertedTo: 1
+      });
+
+      expect(entry).toEqual({
+        action: 'revert',
+        changedAt: '2024-05-01T00:00:00.000Z',
+        changedBy: 'admin',
+        revertedTo: 1,
+        changes: [{ field: 'lastName', from: 'Santos', to: 'Cruz' }],
+        snapshot: { lastName: 'Cruz', householdId: 'h1' }
+      });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  RESIDENT_CSV_COLUMNS,
+  parseCsv,
+  suggestColumnMapping,
+  validateColumnMapping,
+  readImportRows
+} = require('../utils/residentImport');
+
+describe('Resident Import Tests', () => {
+  const exportHeaders = RESIDENT_CSV_COLUMNS.map(column => column.header);
+  const exportRow = {
+    'First Name': 'Juan',
+    'Middle Name': '',
+    'Last Name': 'Dela Cruz',
+    'Alias': '',
+    'Place of Birth': 'Cebu City',
+    'Birthdate': '1990-05-12',
+    'Age': '34',
+    'Civil Status': 'single',
+    'Gender': 'Male',
+    'Purok': 'Purok 1',
+    'Voters Status': 'Registered',
+    'Identified As': '',
+    'Email': '',
+    'Contact Number': '',
+    'Occupation': 'Farmer',
+    'Citizenship': 'Filipino',
+    'Address': '123 Mabini St., Poblacion',
+    'Household No.': '7',
+    'Precinct No.': '0012A'
+  };
+
+  it('should parse quoted fields with commas, quotes and line breaks', () => {
+    const text = '\uFEFFName,Address\r\n"Cruz, Juan","Blk 1 ""A""\nPoblacion"\r\n\r\nAna,';
+    expect(parseCsv(text)).toEqual([
+      ['Name', 'Address'],
+      ['Cruz, Juan', 'Blk 1 "A"\nPoblacion'],
+      [''],
+      ['Ana', '']
+    ]);
+  });
+
+  it('should reject a quoted field that is never closed', () => {
+    expect(() => parseCsv('Name\n"Juan')).toThrow('CSV file has a quoted value that is never closed');
+  });
+
+  it('should map the export headers to resident fields and skip derived columns', () => {
+    const mapping = suggestColumnMapping(exportHeaders);
+    expect(mapping['Place of Birth']).toBe('birthplace');
+    expect(mapping['Household No.']).toBe('householdNo');
+    expect(mapping['Age']).toBe('');
+    expect(mapping['Identified As']).toBe('');
+    expect(validateColumnMapping(exportHeaders, mapping)).toEqual([]);
+  });
+
+  it('should match differently written headers loosely', () => {
+    expect(suggestColumnMapping(['FIRST_NAME', 'surname', 'Last name', 'last-name', 'Voter Status'])).toEqual({
+      FIRST_NAME: 'firstName',
+      surname: '',
+      'Last name': 'lastName',
+      'last-name': '',
+      'Voter Status': 'votersStatus'
+    });
+  });
+
+  it('should report mapping problems', () => {
+    const errors = validateColumnMapping(['Given', 'Family', 'Family'], {
+      Given: 'firstName',
+      Family: 'firstName',
+      Other: 'lastName',
+      Extra: 'toString'
+    });
+    expect(errors).toContain('Column "Family" appears more than once');
+    expect(errors).toContain('First name is mapped from both "Given" and "Family"');
+    expect(errors).toContain('Column "Other" is not in the file');
+    expect(errors).toContain('Column "Extra" is not in the file');
+    expect(errors).toContain('No column is mapped to Last name');
+  });
+
+  it('should validate each data row and number rows like a spreadsheet', () => {
+    const records = [
+      exportHeaders,
+      exportHeaders.map(header => exportRow[header]),
+      exportHeaders.map(() => ' '),
+      exportHeaders.map(header => (header === 'Gender' ? 'Unknown' : exportRow[header]))
+    ];
+    const rows = readImportRows(records, suggestColumnMapping(exportHeaders));
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({ row: 2, householdNo: '7', relationshipToHead: '', errors: {} });
+    expect(rows[0].values).toMatchObject({ firstName: 'Juan', civilStatus: 'Single' });
+    expect(rows[0].values.age).toBeUndefined();
+    expect(rows[1].row).toBe(4);
+    expect(rows[1].errors.gender).toBe('Gender must be one of: Male, Female, Other');
+  });
+});
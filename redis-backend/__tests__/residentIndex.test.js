@@ -0,0 +1,98 @@
+const {
+  indexKey,
+  getResidentAge,
+  withCurrentAge,
+  getAgeBracket,
+  getAgeBracketKeys,
+  getIndexKeys
+} = require('../utils/residentIndex');
+
+describe('Resident Index Tests', () => {
+  const today = new Date(2025, 5, 15);
+
+  describe('indexKey', () => {
+    it('should lowercase values so mixed-case statuses share a set', () => {
+      expect(indexKey('votersStatus', 'Registered')).toBe('residents:index:votersStatus:registered');
+      expect(indexKey('votersStatus', 'registered ')).toBe('residents:index:votersStatus:registered');
+    });
+
+    it('should keep purok names as entered', () => {
+      expect(indexKey('purok', ' Purok 1 ')).toBe('residents:index:purok:Purok 1');
+    });
+  });
+
+  describe('getResidentAge', () => {
+    it('should compute age from birthdate', () => {
+      expect(getResidentAge({ birthdate: '1990-06-15' }, today)).toBe(35);
+      expect(getResidentAge({ birthdate: '1990-06-16' }, today)).toBe(34);
+    });
+
+    it('should prefer birthdate over a stale age field', () => {
+      expect(getResidentAge({ birthdate: '2000-01-01', age: '3' }, today)).toBe(25);
+    });
+
+    it('should fall back to the age field without a valid birthdate', () => {
+      expect(getResidentAge({ age: '42' }, today)).toBe(42);
+      expect(getResidentAge({ birthdate: 'not-a-date', age: '42' }, today)).toBe(42);
+      expect(getResidentAge({}, today)).toBeNull();
+    });
+  });
+
+  describe('withCurrentAge', () => {
+    it('should replace the stored age with the age on the given day', () => {
+      expect(withCurrentAge({ id: '1', birthdate: '1990-06-15', age: '34' }, today))
+        .toEqual({ id: '1', birthdate: '1990-06-15', age: '35' });
+      expect(withCurrentAge({ id: '2' }, today)).toEqual({ id: '2', age: '' });
+    });
+  });
+
+  describe('getAgeBracket', () => {
+    it('should place ages on bracket boundaries correctly', () => {
+      expect(getAgeBracket(0)).toBe('0-4');
+      expect(getAgeBracket(4)).toBe('0-4');
+      expect(getAgeBracket(5)).toBe('5-14');
+      expect(getAgeBracket(30)).toBe('15-30');
+      expect(getAgeBracket(31)).toBe('31-59');
+      expect(getAgeBracket(60)).toBe('60+');
+      expect(getAgeBracket(null)).toBeNull();
+    });
+  });
+
+  describe('getAgeBracketKeys', () => {
+    it('should list one set per age bracket', () => {
+      expect(getAgeBracketKeys()).toEqual([
+        'residents:index:ageBracket:0-4',
+        'residents:index:ageBracket:5-14',
+        'residents:index:ageBracket:15-30',
+        'residents:index:ageBracket:31-59',
+        'residents:index:ageBracket:60+'
+      ]);
+    });
+  });
+
+  describe('getIndexKeys', () => {
+    it('should index every non-empty field plus the age bracket', () => {
+      const keys = getIndexKeys({
+        purok: 'Purok 2',
+        gender: 'Female',
+        votersStatus: 'Registered',
+        civilStatus: 'Single',
+        birthdate: '1995-05-20'
+      }, today);
+
+      expect(keys).toEqual([
+        'residents:index:purok:Purok 2',
+        'residents:index:gender:female',
+        'residents:index:votersStatus:registered',
+        'residents:index:civilStatus:single',
+        'residents:index:ageBracket:15-30'
+      ]);
+    });
+
+    it('should skip empty fields', () => {
+      expect(getIndexKeys({ purok: '', gender: 'Male' }, today)).toEqual([
+        'residents:index:gender:male'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const {
+  parseResidentQuery,
+  matchesResidentQuery,
+  compareResidents
+} = require('../utils/residentQuery');
+
+describe('Resident Query Tests', () => {
+  describe('parseResidentQuery', () => {
+    it('should apply defaults when no options are given', () => {
+      const query = parseResidentQuery({});
+      expect(query.paginate).toBe(false);
+      expect(query.page).toBe(1);
+      expect(query.pageSize).toBe(10);
+      expect(query.sort).toEqual({ field: 'lastName', descending: false });
+      expect(query.filters).toEqual({});
+      expect(query.errors).toEqual([]);
+    });
+
+    it('should parse pagination, descending sort and filters', () => {
+      const query = parseResidentQuery({
+        page: '3', pageSize: '25', sort: '-age', purok: 'Purok 1', gender: 'Female', ageMin: '18'
+      });
+      expect(query.paginate).toBe(true);
+      expect(query.page).toBe(3);
+      expect(query.pageSize).toBe(25);
+      expect(query.sort).toEqual({ field: 'age', descending: true });
+      expect(query.filters).toEqual({ purok: 'Purok 1', gender: 'Female' });
+      expect(query.ageMin).toBe(18);
+      expect(query.errors).toEqual([]);
+    });
+
+    it('should reject invalid values', () => {
+      expect(parseResidentQuery({ page: '0' }).errors).toHaveLength(1);
+      expect(parseResidentQuery({ pageSize: '500' }).errors).toHaveLength(1);
+      expect(parseResidentQuery({ sort: 'password' }).errors).toHaveLength(1);
+      expect(parseResidentQuery({ ageMin: '-1' }).errors).toHaveLength(1);
+      expect(parseResidentQuery({ ageMin: '40', ageMax: '20' }).errors).toHaveLength(1);
+    });
+
+    it('should reject options given more than once instead of throwing', () => {
+      const query = parseResidentQuery({ sort: ['lastName', 'age'], purok: ['Purok 1', 'Purok 2'], q: { a: 'b' } });
+
+      expect(query.errors).toEqual(['sort, q, purok must be given only once']);
+      expect(query.sort).toEqual({ field: 'lastName', descending: false });
+      expect(query.filters).toEqual({});
+    });
+  });
+
+  describe('matchesResidentQuery', () => {
+    const resident = { firstName: 'Maria', lastName: 'Santos', age: '30' };
+
+    it('should filter by inclusive age range', () => {
+      expect(matchesResidentQuery(resident, { ageMin: 30, ageMax: 30 })).toBe(true);
+      expect(matchesResidentQuery(resident, { ageMin: 31 })).toBe(false);
+      expect(matchesResidentQuery({ firstName: 'No Age' }, { ageMax: 99 })).toBe(false);
+    });
+  });
+
+  describe('compareResidents', () => {
+    const residents = [
+      { lastName: 'Cruz', firstName: 'Juan', age: '33', purok: 'Purok 10' },
+      { lastName: 'Abad', firstName: 'Ana', age: '5', purok: 'Purok 2' },
+      { lastName: 'Cruz', firstName: 'Ana', purok: '' }
+    ];
+
+    it('should sort by name with first name as tie-breaker', () => {
+      const sorted = [...residents].sort(compareResidents({ field: 'lastName', descending: false }));
+      expect(sorted.map(r => r.firstName)).toEqual(['Ana', 'Ana', 'Juan']);
+      expect(sorted[0].lastName).toBe('Abad');
+    });
+
+    it('should sort ages numerically with unknown ages last', () => {
+      const sorted = [...residents].sort(compareResidents({ field: 'age', descending: false }));
+      expect(sorted.map(r => r.age)).toEqual(['5', '33', undefined]);
+    });
+
+    it('should sort text with embedded numbers naturally', () => {
+      const sorted = [...residents].sort(compareResidents({ field: 'purok', descending: false }));
+      expect(sorted.map(r => r.purok)).toEqual(['Purok 2', 'Purok 10', '']);
+    });
+  });
+});
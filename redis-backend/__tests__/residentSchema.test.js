@@ -0,0 +1,67 @@
+const { validateResident } = require('../utils/residentSchema');
+
+describe('Resident Schema Tests', () => {
+  const validResident = {
+    firstName: 'Juan',
+    lastName: 'Dela Cruz',
+    birthplace: 'Cebu City',
+    birthdate: '1990-05-12',
+    civilStatus: 'Single',
+    gender: 'Male',
+    purok: 'Purok 1',
+    votersStatus: 'Registered',
+    precinctNo: '0012A',
+    address: '123 Mabini St.',
+    citizenship: 'Filipino'
+  };
+
+  it('should accept a complete resident and trim values', () => {
+    const { values, errors } = validateResident({ ...validResident, firstName: '  Juan ' });
+    expect(errors).toEqual({});
+    expect(values.firstName).toBe('Juan');
+  });
+
+  it('should require the mandatory fields when creating', () => {
+    const { errors } = validateResident({ firstName: 'Juan' });
+    expect(errors.lastName).toBe('Last name is required');
+    expect(errors.birthdate).toBe('Birthdate is required');
+    expect(errors.firstName).toBeUndefined();
+  });
+
+  it('should only check the fields sent when updating', () => {
+    expect(validateResident({ email: 'juan@example.com' }, { partial: true })).toEqual({
+      values: { email: 'juan@example.com' },
+      errors: {}
+    });
+    expect(validateResident({ lastName: ' ' }, { partial: true }).errors.lastName).toBe('Last name is required');
+  });
+
+  it('should reject unknown fields but ignore server-managed ones', () => {
+    const { values, errors } = validateResident({ id: 'abc', householdNo: '5', age: '30', fristName: 'Juan' }, { partial: true });
+    expect(errors).toEqual({ fristName: 'Unknown field "fristName"' });
+    expect(values).toEqual({});
+  });
+
+  it('should normalize the casing of dropdown values and reject others', () => {
+    expect(validateResident({ votersStatus: 'registered' }, { partial: true }).values.votersStatus).toBe('Registered');
+    expect(validateResident({ gender: 'M' }, { partial: true }).errors.gender).toBe('Gender must be one of: Male, Female, Other');
+  });
+
+  it('should reject invalid emails, phone numbers and birthdates', () => {
+    const { errors } = validateResident({
+      email: 'juan@',
+      contactNumber: '12ab',
+      birthdate: '2999-01-01'
+    }, { partial: true });
+    expect(Object.keys(errors).sort()).toEqual(['birthdate', 'contactNumber', 'email']);
+    expect(errors.birthdate).toBe('Birthdate cannot be in the future');
+    expect(validateResident({ birthdate: '2001-02-30' }, { partial: true }).errors.birthdate)
+      .toBe('Birthdate must be a valid date (YYYY-MM-DD)');
+  });
+
+  it('should allow names with Filipino characters and punctuation', () => {
+    const { errors } = validateResident({ firstName: 'Ma. Niña', lastName: "D'Souza-Peña" }, { partial: true });
+    expect(errors).toEqual({});
+    expect(validateResident({ firstName: 'Juan3' }, { partial: true }).errors.firstName).toBeDefined();
+  });
+});
@@ -0,0 +1,54 @@
+const {
+  isRegisteredVoter,
+  getStatsContribution,
+  computeStats,
+  diffStats
+} = require('../utils/residentStats');
+
+describe('Resident Stats Tests', () => {
+  it('should recognize registered voters regardless of case', () => {
+    expect(isRegisteredVoter({ votersStatus: 'Registered' })).toBe(true);
+    expect(isRegisteredVoter({ votersStatus: ' registered ' })).toBe(true);
+    expect(isRegisteredVoter({ votersStatus: 'Not-Registered' })).toBe(false);
+    expect(isRegisteredVoter({})).toBe(false);
+  });
+
+  it('should count a registered voter in their purok', () => {
+    expect(getStatsContribution({ votersStatus: 'REGISTERED', purok: 'Purok 3' })).toEqual({
+      totalResidents: 1,
+      totalVoters: 1,
+      'residents:Purok 3': 1
+    });
+  });
+
+  it('should skip the purok counter when the purok is empty', () => {
+    expect(getStatsContribution({ votersStatus: 'Not-Registered', purok: '  ' })).toEqual({ totalResidents: 1 });
+  });
+
+  it('should compute the totals and purok counters from residents', () => {
+    expect(computeStats([
+      { votersStatus: 'Registered', purok: 'Purok 1' },
+      { votersStatus: 'Not-Registered', purok: 'Purok 1' },
+      { votersStatus: 'registered', purok: 'Purok 2' },
+      { votersStatus: 'Registered', purok: '' }
+    ])).toEqual({
+      totalResidents: 4,
+      totalVoters: 3,
+      'residents:Purok 1': 2,
+      'residents:Purok 2': 1
+    });
+    expect(computeStats([])).toEqual({ totalResidents: 0, totalVoters: 0 });
+  });
+
+  it('should report only the counters that changed', () => {
+    const current = { totalResidents: '5', totalVoters: '2', 'residents:Purok 1': '3', 'residents:Old': '2' };
+    const expected = { totalResidents: 4, totalVoters: 2, 'residents:Purok 1': 3, 'residents:Purok 2': 1 };
+
+    expect(diffStats(current, expected)).toEqual([
+      { field: 'residents:Old', before: 2, after: 0 },
+      { field: 'residents:Purok 2', before: 0, after: 1 },
+      { field: 'totalResidents', before: 5, after: 4 }
+    ]);
+    expect(diffStats({ totalResidents: '1', totalVoters: '0' }, { totalResidents: 1, totalVoters: 0 })).toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Keep the data in memory so the server can be loaded without Redis
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'role-endpoint-secret';
+const { app, client } = require('../server');
+
+describe('Role Endpoint Tests', () => {
+  const tokenFor = (username, role) => ({
+    Authorization: `Bearer ${jwt.sign({ username, role }, process.env.JWT_SECRET)}`
+  });
+  const admin = tokenFor('admin', 'admin');
+
+  beforeAll(async () => {
+    await client.connect();
+  });
+
+  afterAll(async () => {
+    await client.quit();
+  });
+
+  beforeEach(async () => {
+    await client.flushAll();
+    await client.hSet('user:admin', { password: 'unused', role: 'admin' });
+  });
+
+  it('should enforce the permissions of the account role', async () => {
+    await client.hSet('user:kagawad1', { password: 'unused', role: 'kagawad' });
+    const kagawad = tokenFor('kagawad1', 'kagawad');
+
+    const { body } = await request(app).get('/auth/verify').set(kagawad).expect(200);
+    expect(body.permissions).toEqual(['residents:read', 'households:read', 'students:read']);
+
+    await request(app).get('/residents').set(kagawad).expect(200);
+    await request(app).get('/residents/export/csv').set(kagawad).expect(403);
+    await request(app).post('/students').set(kagawad).send({ studentId: '1001', firstName: 'Ana', lastName: 'Cruz' }).expect(403);
+    await request(app).get('/students').expect(401);
+  });
+
+  it('should apply role changes to existing sessions', async () => {
+    await client.hSet('user:clerk', { password: 'unused', role: 'encoder' });
+    const clerk = tokenFor('clerk', 'encoder');
+    await request(app).get('/residents').set(clerk).expect(403);
+
+    await request(app)
+      .post('/roles')
+      .set(admin)
+      .send({ name: 'encoder', label: 'Encoder', permissions: ['residents:read'] })
+      .expect(201);
+    await request(app).get('/residents').set(clerk).expect(200);
+
+    await request(app).put('/roles/encoder').set(admin).send({ label: 'Encoder', permissions: [] }).expect(200);
+    await request(app).get('/residents').set(clerk).expect(403);
+  });
+
+  it('should protect the admin role and roles still in use', async () => {
+    await client.hSet('user:clerk', { password: 'unused', role: 'encoder' });
+    await request(app).post('/roles').set(admin).send({ name: 'encoder', label: 'Encoder', permissions: [] }).expect(201);
+
+    await request(app).put('/roles/admin').set(admin).send({ label: 'Admin', permissions: [] }).expect(400);
+    await request(app).delete('/roles/user').set(admin).expect(400);
+    await request(app).delete('/roles/encoder').set(admin).expect(400);
+
+    await client.del('user:clerk');
+    await request(app).delete('/roles/encoder').set(admin).expect(200);
+    await request(app).delete('/roles/encoder').set(admin).expect(404);
+  });
+
+  it('should keep user managers who are not admins away from admin accounts', async () => {
+    await request(app)
+      .put('/roles/secretary')
+      .set(admin)
+      .send({ label: 'Secretary', permissions: ['users:manage'] })
+      .expect(200);
+    await client.hSet('user:sec', { password: 'unused', role: 'secretary' });
+    await client.hSet('user:clerk', { password: 'unused', role: 'user' });
+    const secretary = tokenFor('sec', 'secretary');
+
+    await request(app).put('/users/clerk').set(secretary).send({ role: 'treasurer' }).expect(200);
+    await request(app).put('/users/clerk').set(secretary).send({ role: 'admin' }).expect(400);
+    await request(app).post('/users').set(secretary).send({ username: 'boss', password: 'secret123', role: 'admin' }).expect(400);
+    await request(app).post('/users/admin/reset-password').set(secretary).expect(403);
+    await request(app).delete('/users/admin').set(secretary).expect(403);
+    await request(app).post('/roles').set(secretary).send({ name: 'root', label: 'Root', permissions: [] }).expect(403);
+  });
+
+  it('should keep role managers who are not admins from raising their own permissions', async () => {
+    await request(app)
+      .post('/roles')
+      .set(admin)
+      .send({ name: 'manager', label: 'Manager', permissions: ['residents:read', 'roles:manage'] })
+      .expect(201);
+    await client.hSet('user:mgr', { password: 'unused', role: 'manager' });
+    const manager = tokenFor('mgr', 'manager');
+
+    await request(app)
+      .put('/roles/manager')
+      .set(manager)
+      .send({ label: 'Manager', permissions: ['residents:read', 'roles:manage', 'backup:manage'] })
+      .expect(403);
+    const { body } = await request(app)
+      .put('/roles/kagawad')
+      .set(manager)
+      .send({ label: 'Kagawad', permissions: ['residents:read', 'users:manage'] })
+      .expect(403);
+    expect(body.message).toBe('You cannot grant permissions you do not have: users:manage');
+    await request(app)
+      .post('/roles')
+      .set(manager)
+      .send({ name: 'keeper', label: 'Keeper', permissions: ['backup:manage'] })
+      .expect(403);
+
+    await request(app).put('/roles/kagawad').set(manager).send({ label: 'Kagawad', permissions: ['residents:read'] }).expect(200);
+    const { body: verify } = await request(app).get('/auth/verify').set(manager).expect(200);
+    expect(verify.permissions).toEqual(['residents:read', 'roles:manage']);
+  });
+});
@@ -0,0 +1,179 @@
+const { WatchError, createStorageClient } = require('../storage');
+
+// The memory driver is always checked. Set TEST_REDIS_URL to a Redis 7 server
+// to run the same tests against it; only keys under the prefix are touched.
+const drivers = [['memory', {}]];
+if (process.env.TEST_REDIS_URL) {
+  drivers.push(['redis', { url: process.env.TEST_REDIS_URL }]);
+}
+
+describe.each(drivers)('Storage Contract Tests (%s)', (driver, options) => {
+  const prefix = `storageContract:${process.pid}:`;
+  const key = (name) => `${prefix}${name}`;
+  let client;
+
+  beforeAll(async () => {
+    client = createStorageClient({ driver, ...options });
+    await client.connect();
+  });
+
+  afterEach(async () => {
+    const keys = await client.keys(`${prefix}*`);
+    if (keys.length > 0) {
+      await client.del(keys);
+    }
+  });
+
+  afterAll(async () => {
+    await client.quit();
+  });
+
+  it('should set, expire and delete strings', async () => {
+    expect(await client.get(key('lock'))).toBeNull();
+    expect(await client.set(key('lock'), '1', { NX: true, EX: 10 })).toBe('OK');
+    expect(await client.set(key('lock'), '2', { NX: true, EX: 10 })).toBeNull();
+    expect(await client.get(key('lock'))).toBe('1');
+    expect(await client.ttl(key('lock'))).toBe(10);
+
+    await client.set(key('version'), '3');
+    expect(await client.ttl(key('version'))).toBe(-1);
+    expect(await client.expire(key('version'), 20)).toBe(true);
+    expect(await client.ttl(key('version'))).toBe(20);
+    expect(await client.expire(key('missing'), 20)).toBe(false);
+    expect(await client.ttl(key('missing'))).toBe(-2);
+
+    expect(await client.exists([key('lock'), key('version'), key('missing')])).toBe(2);
+    expect(await client.del([key('lock'), key('missing')])).toBe(1);
+    expect(await client.exists(key('lock'))).toBe(0);
+  });
+
+  it('should match keys against glob patterns', async () => {
+    await client.set(key('student:1'), 'a');
+    await client.set(key('student:1:notes'), 'b');
+    await client.set(key('user:admin'), 'c');
+
+    expect((await client.keys(key('student:*'))).sort()).toEqual([key('student:1'), key('student:1:notes')]);
+    expect(await client.keys(key('user:adm?n'))).toEqual([key('user:admin')]);
+  });
+
+  it('should rename keys, refusing to overwrite with renameNX', async () => {
+    await client.hSet(key('resident:1'), { firstName: 'Ana' });
+    await client.hSet(key('resident:2'), { firstName: 'Ben' });
+
+    expect(await client.renameNX(key('resident:1'), key('resident:2'))).toBe(false);
+    expect(await client.rename(key('resident:1'), key('deletedResident:1'))).toBe('OK');
+    expect(await client.hGetAll(key('deletedResident:1'))).toEqual({ firstName: 'Ana' });
+    expect(await client.exists(key('resident:1'))).toBe(0);
+    await expect(client.rename(key('resident:1'), key('resident:3'))).rejects.toThrow(/no such key/);
+  });
+
+  it('should answer hash commands', async () => {
+    expect(await client.hSet(key('resident:1'), { firstName: 'Ana', age: 30 })).toBe(2);
+    expect(await client.hSet(key('resident:1'), 'lastName', 'Cruz')).toBe(1);
+    expect(await client.hGetAll(key('resident:1'))).toEqual({ firstName: 'Ana', age: '30', lastName: 'Cruz' });
+    expect(await client.hGetAll(key('resident:2'))).toEqual({});
+    expect(await client.hGet(key('resident:1'), 'age')).toBe('30');
+    expect(await client.hGet(key('resident:1'), 'email')).toBeNull();
+    expect((await client.hKeys(key('resident:1'))).sort()).toEqual(['age', 'firstName', 'lastName']);
+
+    expect(await client.hIncrBy(key('stats'), 'total', 2)).toBe(2);
+    expect(await client.hIncrBy(key('stats'), 'total', -1)).toBe(1);
+
+    // An emptied hash is removed
+    expect(await client.hDel(key('stats'), 'total')).toBe(1);
+    expect(await client.exists(key('stats'))).toBe(0);
+  });
+
+  it('should answer set commands', async () => {
+    expect(await client.sAdd(key('residents'), ['1', '2', '3'])).toBe(3);
+    expect(await client.sAdd(key('residents'), '3')).toBe(0);
+    await client.sAdd(key('index:purok:1'), ['2', '3', '4']);
+
+    expect((await client.sMembers(key('residents'))).sort()).toEqual(['1', '2', '3']);
+    expect(await client.sIsMember(key('residents'), '1')).toBe(true);
+    expect(await client.sIsMember(key('residents'), '4')).toBe(false);
+    expect(await client.sCard(key('residents'))).toBe(3);
+    expect((await client.sInter([key('residents'), key('index:purok:1')])).sort()).toEqual(['2', '3']);
+    expect(await client.sInterCard([key('residents'), key('index:purok:1')])).toBe(2);
+    expect(await client.sInterCard([key('residents'), key('missing')])).toBe(0);
+
+    // An emptied set is removed
+    expect(await client.sRem(key('index:purok:1'), ['2', '3', '4'])).toBe(3);
+    expect(await client.exists(key('index:purok:1'))).toBe(0);
+  });
+
+  it('should order sorted set members by score, then byte by byte', async () => {
+    await client.zAdd(key('names'), [
+      { score: 0, value: 'cruz:2' },
+      { score: 0, value: 'cruz:1' },
+      { score: 0, value: 'dela cruz:3' }
+    ]);
+
+    expect(await client.zRangeByLex(key('names'), '[cruz', '[cruz\xff')).toEqual(['cruz:1', 'cruz:2']);
+    expect(await client.zRange(key('names'), 0, -1, { REV: true })).toEqual(['dela cruz:3', 'cruz:2', 'cruz:1']);
+    expect(await client.zRange(key('names'), 0, 0)).toEqual(['cruz:1']);
+
+    expect(await client.zRem(key('names'), ['cruz:1', 'missing'])).toBe(1);
+    expect(await client.zRange(key('names'), 0, -1)).toEqual(['cruz:2', 'dela cruz:3']);
+  });
+
+  it('should answer list commands', async () => {
+    expect(await client.rPush(key('history'), 'v1')).toBe(1);
+    expect(await client.rPush(key('history'), ['v2', 'v3'])).toBe(3);
+
+    expect(await client.lRange(key('history'), 0, -1)).toEqual(['v1', 'v2', 'v3']);
+    expect(await client.lRange(key('history'), 1, 5)).toEqual(['v2', 'v3']);
+    expect(await client.lIndex(key('history'), 0)).toBe('v1');
+    expect(await client.lIndex(key('history'), 3)).toBeNull();
+    expect(await client.lLen(key('history'))).toBe(3);
+    expect(await client.lLen(key('missing'))).toBe(0);
+  });
+
+  it('should read stream entries newest first', async () => {
+    const first = await client.xAdd(key('audit'), '*', { action: 'create' });
+    const second = await client.xAdd(key('audit'), '*', { action: 'update' });
+
+    const entries = await client.xRevRange(key('audit'), '+', '-', { COUNT: 1 });
+    expect(entries).toEqual([{ id: second, message: { action: 'update' } }]);
+    expect(await client.xRevRange(key('audit'), '+', `(${second}`)).toEqual([]);
+    expect((await client.xRevRange(key('audit'), first, '-')).map(entry => entry.id)).toEqual([first]);
+  });
+
+  it('should fail commands on a key of another type', async () => {
+    await client.sAdd(key('residents'), '1');
+
+    await expect(client.hGetAll(key('residents'))).rejects.toThrow(/^WRONGTYPE/);
+  });
+
+  it('should answer a pipeline in the order its commands were queued', async () => {
+    await client.hSet(key('resident:1'), { firstName: 'Ana' });
+
+    const replies = await client.multi()
+      .hGetAll(key('resident:1'))
+      .hGetAll(key('resident:2'))
+      .execAsPipeline();
+    expect(replies).toEqual([{ firstName: 'Ana' }, {}]);
+  });
+
+  it('should apply a transaction or, when a watched key changed, none of it', async () => {
+    const replies = await client.multi()
+      .sAdd(key('residents'), '1')
+      .hSet(key('resident:1'), { firstName: 'Ana' })
+      .exec();
+    expect(replies).toEqual([1, 1]);
+
+    await client.executeIsolated(async (isolatedClient) => {
+      await isolatedClient.watch(key('stats'));
+      await client.hIncrBy(key('stats'), 'total', 1);
+
+      await expect(isolatedClient.multi().del(key('stats')).exec()).rejects.toBeInstanceOf(WatchError);
+    });
+    expect(await client.hGet(key('stats'), 'total')).toBe('1');
+
+    // Without a change the transaction goes through
+    await client.executeIsolated(async (isolatedClient) => {
+      await isolatedClient.watch(key('stats'));
+      expect(await isolatedClient.multi().del(key('stats')).exec()).toEqual([1]);
+    });
+  });
+});
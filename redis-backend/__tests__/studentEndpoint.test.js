@@ -0,0 +1,81 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+// Keep the data in memory so the server can be loaded without Redis
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'student-endpoint-secret';
+const { app, client } = require('../server');
+
+describe('Student Endpoint Tests', () => {
+  const token = jwt.sign({ username: 'admin', role: 'admin' }, process.env.JWT_SECRET);
+  const auth = { Authorization: `Bearer ${token}` };
+
+  const createStudent = async (student) => {
+    const response = await request(app).post('/students').set(auth).send(student).expect(201);
+    return response.body.student;
+  };
+
+  beforeAll(async () => {
+    await client.connect();
+  });
+
+  afterAll(async () => {
+    await client.quit();
+  });
+
+  beforeEach(async () => {
+    await client.flushAll();
+    await client.hSet('user:admin', { password: 'unused', role: 'admin' });
+  });
+
+  it('should change only the fields sent', async () => {
+    const student = await createStudent({ studentId: '1001', firstName: 'Ana', lastName: 'Cruz', section: 'A' });
+
+    const response = await request(app)
+      .put(`/students/${student.id}`)
+      .set(auth)
+      .send({ yearLevel: '2nd Year', section: '' })
+      .expect(200);
+
+    expect(response.body.student).toMatchObject({
+      id: student.id,
+      studentId: '1001',
+      firstName: 'Ana',
+      yearLevel: '2nd Year',
+      section: ''
+    });
+  });
+
+  it('should refuse invalid fields with a message per field', async () => {
+    const student = await createStudent({ studentId: '1001', firstName: 'Ana', lastName: 'Cruz' });
+
+    const response = await request(app)
+      .put(`/students/${student.id}`)
+      .set(auth)
+      .send({ studentId: '10A', age: '12' })
+      .expect(400);
+
+    expect(Object.keys(response.body.errors).sort()).toEqual(['age', 'studentId']);
+  });
+
+  it('should refuse a student ID that belongs to another student', async () => {
+    await createStudent({ studentId: '1001', firstName: 'Ana', lastName: 'Cruz' });
+    const student = await createStudent({ studentId: '1002', firstName: 'Ben', lastName: 'Reyes' });
+
+    const response = await request(app)
+      .put(`/students/${student.id}`)
+      .set(auth)
+      .send({ studentId: '1001' })
+      .expect(400);
+
+    expect(response.body.errors).toEqual({ studentId: 'Student ID already exists' });
+  });
+
+  it('should return 404 for an unknown student', async () => {
+    await request(app)
+      .put('/students/missing')
+      .set(auth)
+      .send({ firstName: 'Ana' })
+      .expect(404);
+  });
+});
@@ -0,0 +1,31 @@
+const { matchStudentColumns, readStudentRows } = require('../utils/studentImport');
+
+describe('Student Import Tests', () => {
+  it('should find columns by header regardless of case and punctuation', () => {
+    expect(matchStudentColumns(['STUDENT_ID', 'first name', 'Last-Name', 'Notes', 'yearLevel'])).toEqual({
+      columns: { studentId: 0, firstName: 1, lastName: 2, yearLevel: 4 },
+      missing: []
+    });
+    expect(matchStudentColumns(['First Name', 'Age']).missing).toEqual(['Last Name', 'Student ID']);
+  });
+
+  it('should validate rows and reject student IDs in use or repeated', () => {
+    const records = [
+      ['Student ID', 'First Name', 'Last Name', 'Age'],
+      ['100', 'Ana', 'Cruz', '19'],
+      ['', '', '', ''],
+      ['100', 'Ben', 'Reyes', '20'],
+      ['7', 'Cy', 'Lim', '12']
+    ];
+    const seenIds = new Map([['7', 'an existing student']]);
+    const rows = readStudentRows(records, matchStudentColumns(records[0]).columns, seenIds);
+
+    expect(rows.map(row => row.row)).toEqual([2, 4, 5]);
+    expect(rows[0].errors).toEqual({});
+    expect(rows[1].errors.studentId).toBe('Student ID 100 is already used by row 2');
+    expect(rows[2].errors).toEqual({
+      studentId: 'Student ID 7 is already used by an existing student',
+      age: 'Age must be between 16 and 100'
+    });
+  });
+});
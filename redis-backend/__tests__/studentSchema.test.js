@@ -0,0 +1,36 @@
+const { validateStudent } = require('../utils/studentSchema');
+
+describe('Student Schema Tests', () => {
+  it('should accept a student and fill in the optional fields', () => {
+    const { values, errors } = validateStudent({ firstName: ' Ana ', lastName: 'Cruz', studentId: 2024001, age: '19' });
+    expect(errors).toEqual({});
+    expect(values).toEqual({
+      studentId: '2024001',
+      firstName: 'Ana',
+      lastName: 'Cruz',
+      age: '19',
+      address: '',
+      course: '',
+      yearLevel: '',
+      section: '',
+      major: ''
+    });
+  });
+
+  it('should require a name and a numeric student ID', () => {
+    expect(validateStudent({ firstName: 'Ana' }).errors).toEqual({
+      lastName: 'Last name is required',
+      studentId: 'Student ID is required'
+    });
+    expect(validateStudent({ firstName: 'Ana', lastName: 'Cruz', studentId: '2024-01' }).errors.studentId)
+      .toBe('Student ID must contain only numbers');
+  });
+
+  it('should only accept whole ages from 16 to 100', () => {
+    const student = { firstName: 'Ana', lastName: 'Cruz', studentId: '1' };
+    expect(validateStudent({ ...student, age: '16' }).errors.age).toBeUndefined();
+    expect(validateStudent({ ...student, age: '15' }).errors.age).toBe('Age must be between 16 and 100');
+    expect(validateStudent({ ...student, age: '17.5' }).errors.age).toBe('Age must be between 16 and 100');
+    expect(validateStudent({ ...student, age: 'twenty' }).errors.age).toBe('Age must be between 16 and 100');
+  });
+});
@@ -0,0 +1,87 @@
+const {
+  getPasswordError,
+  validateNewUser,
+  validateUserChanges,
+  generateTemporaryPassword
+} = require('../utils/userAccounts');
+
+describe('User Accounts Tests', () => {
+  describe('getPasswordError', () => {
+    it('should accept a strong password', () => {
+      expect(getPasswordError('tanod2024gate', { username: 'clerk' })).toBeUndefined();
+    });
+
+    it('should refuse short, letter-only, username-based and common passwords', () => {
+      expect(getPasswordError('abc123')).toBe('Password must be at least 8 characters long');
+      expect(getPasswordError(12345678)).toBe('Password must be at least 8 characters long');
+      expect(getPasswordError('abcdefgh')).toBe('Password must contain both letters and numbers');
+      expect(getPasswordError('12345678')).toBe('Password must contain both letters and numbers');
+      expect(getPasswordError('MyClerk2024', { username: 'clerk' })).toBe('Password must not contain the username');
+      expect(getPasswordError('Password123')).toBe('Password is too common; choose another');
+    });
+  });
+
+  describe('validateNewUser', () => {
+    it('should accept a valid account and default the role', () => {
+      const { values, errors } = validateNewUser({ username: ' clerk.1 ', password: 'secret123' });
+
+      expect(errors).toEqual({});
+      expect(values).toEqual({ username: 'clerk.1', password: 'secret123', role: 'user' });
+    });
+
+    it('should report every invalid field', () => {
+      const { errors } = validateNewUser({ username: 'a:b', password: '123', role: 'owner' });
+
+      expect(Object.keys(errors).sort()).toEqual(['password', 'role', 'username']);
+    });
+  });
+
+  describe('validateUserChanges', () => {
+    it('should keep the role and disabled changes sent', () => {
+      const { changes, errors } = validateUserChanges(
+        { role: 'admin', disabled: false },
+        { actor: 'admin', actorRole: 'admin', username: 'clerk', currentRole: 'user' }
+      );
+
+      expect(errors).toEqual({});
+      expect(changes).toEqual({ role: 'admin', disabled: false });
+    });
+
+    it('should stop admins from demoting or disabling themselves', () => {
+      const { changes, errors } = validateUserChanges(
+        { role: 'user', disabled: true },
+        { actor: 'admin', actorRole: 'admin', username: 'admin', currentRole: 'admin' }
+      );
+
+      expect(changes).toEqual({});
+      expect(Object.keys(errors).sort()).toEqual(['disabled', 'role']);
+    });
+
+    it('should accept only existing roles and leave the admin role to admins', () => {
+      const context = { actor: 'secretary1', actorRole: 'secretary', username: 'clerk', currentRole: 'user' };
+
+      expect(validateUserChanges({ role: 'encoder' }, context).errors.role).toMatch(/^Role must be one of/);
+      expect(validateUserChanges({ role: 'encoder' }, { ...context, roles: ['user', 'encoder'] }).changes)
+        .toEqual({ role: 'encoder' });
+      expect(validateUserChanges({ role: 'admin' }, context).errors)
+        .toEqual({ role: 'Only admins can give the admin role' });
+      expect(validateNewUser({ username: 'clerk', password: 'secret123', role: 'admin' }, { actorRole: 'secretary' }).errors)
+        .toEqual({ role: 'Only admins can give the admin role' });
+    });
+
+    it('should require a change', () => {
+      expect(validateUserChanges({}, { actor: 'admin', username: 'clerk' }).errors)
+        .toEqual({ role: 'Role or disabled is required' });
+      expect(validateUserChanges({ disabled: 'yes' }, { actor: 'admin', username: 'clerk' }).errors)
+        .toEqual({ disabled: 'Disabled must be true or false' });
+    });
+  });
+
+  it('should generate different temporary passwords', () => {
+    const password = generateTemporaryPassword();
+
+    expect(password).toMatch(/^[A-Za-z0-9_-]{12}$/);
+    expect(getPasswordError(password)).toBeUndefined();
+    expect(generateTemporaryPassword()).not.toBe(password);
+  });
+});
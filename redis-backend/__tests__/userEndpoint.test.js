@@ -0,0 +1,109 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+
+// Keep the data in memory so the server can be loaded without Redis
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JWT_SECRET = 'user-endpoint-secret';
+const { app, client } = require('../server');
+
+describe('User Endpoint Tests', () => {
+  const tokenFor = (username, role) => ({
+    Authorization: `Bearer ${jwt.sign({ username, role }, process.env.JWT_SECRET)}`
+  });
+  const admin = tokenFor('admin', 'admin');
+
+  beforeAll(async () => {
+    await client.connect();
+  });
+
+  afterAll(async () => {
+    await client.quit();
+  });
+
+  beforeEach(async () => {
+    await client.flushAll();
+    await client.hSet('user:admin', { password: 'unused', role: 'admin' });
+  });
+
+  it('should keep the user listings from non-admins', async () => {
+    await client.hSet('user:clerk', { password: 'unused', role: 'user' });
+
+    await request(app).get('/auth/check-users').expect(401);
+    await request(app).get('/users').set(tokenFor('clerk', 'user')).expect(403);
+
+    const response = await request(app).get('/auth/check-users').set(admin).expect(200);
+    expect(response.body.users.map(user => user.username)).toEqual(['admin', 'clerk']);
+  });
+
+  it('should create users and refuse taken usernames', async () => {
+    const response = await request(app)
+      .post('/users')
+      .set(admin)
+      .send({ username: 'clerk', password: 'secret123', role: 'user' })
+      .expect(201);
+
+    expect(response.body.user).toMatchObject({ username: 'clerk', role: 'user', disabled: false });
+    expect(response.body.user.password).toBeUndefined();
+
+    await request(app)
+      .post('/users')
+      .set(admin)
+      .send({ username: 'clerk', password: 'secret123' })
+      .expect(400);
+  });
+
+  it('should lock a disabled user out of login and existing sessions', async () => {
+    const password = await bcrypt.hash('secret1', 4);
+    await client.hSet('user:clerk', { password, role: 'user' });
+    const clerk = tokenFor('clerk', 'user');
+    await request(app).get('/auth/verify').set(clerk).expect(200);
+
+    await request(app).put('/users/clerk').set(admin).send({ disabled: true }).expect(200);
+
+    await request(app).get('/auth/verify').set(clerk).expect(401);
+    await request(app).post('/auth/login').send({ username: 'clerk', password: 'secret1' }).expect(403);
+  });
+
+  it('should apply a role change to existing sessions', async () => {
+    await client.hSet('user:clerk', { password: 'unused', role: 'user' });
+
+    await request(app).put('/users/clerk').set(admin).send({ role: 'admin' }).expect(200);
+
+    const response = await request(app).get('/auth/verify').set(tokenFor('clerk', 'user')).expect(200);
+    expect(response.body.role).toBe('admin');
+  });
+
+  it('should reset a password to a temporary one the user must change', async () => {
+    await client.hSet('user:clerk', { password: 'unused', role: 'user' });
+
+    const { body } = await request(app).post('/users/clerk/reset-password').set(admin).expect(200);
+
+    const login = await request(app)
+      .post('/auth/login')
+      .send({ username: 'clerk', password: body.temporaryPassword })
+      .expect(200);
+    expect(login.body.user.mustChangePassword).toBe(true);
+  });
+
+  it('should list and unlock users locked out by failed logins', async () => {
+    const password = await bcrypt.hash('secret1', 4);
+    await client.hSet('user:clerk', { password, role: 'user' });
+    await client.hSet('loginFailures:user:clerk', { count: '10', lastFailureAt: String(Date.now()) });
+
+    const { body } = await request(app).get('/users').set(admin).expect(200);
+    expect(body.data.find(user => user.username === 'clerk').lockedUntil).toEqual(expect.any(String));
+    await request(app).post('/auth/login').send({ username: 'clerk', password: 'secret1' }).expect(429);
+
+    await request(app).post('/users/clerk/unlock').set(admin).expect(200);
+    await request(app).post('/auth/login').send({ username: 'clerk', password: 'secret1' }).expect(200);
+  });
+
+  it('should delete users but not the admin making the request', async () => {
+    await client.hSet('user:clerk', { password: 'unused', role: 'user' });
+
+    await request(app).delete('/users/admin').set(admin).expect(400);
+    await request(app).delete('/users/clerk').set(admin).expect(200);
+    await request(app).delete('/users/clerk').set(admin).expect(404);
+  });
+});
@@ -0,0 +1,60 @@
+const {
+  SUMMARY_SHEET,
+  toSheetName,
+  buildResidentWorkbook,
+  buildStudentWorkbook,
+  encodeWorkbook,
+  readUploadedSheets
+} = require('../utils/workbooks');
+
+describe('Workbooks Tests', () => {
+  const residents = [
+    { id: 'r1', firstName: 'Ben', lastName: 'Reyes', purok: 'Purok 10', gender: 'Male', votersStatus: 'Registered', age: '30', householdId: 'h1', householdNo: '007' },
+    { id: 'r2', firstName: 'Ana', lastName: 'Reyes', purok: 'Purok 2', gender: 'Female', votersStatus: 'Not-Registered', age: '8', householdId: 'h1' },
+    { id: 'r3', firstName: 'Al', lastName: 'Cruz', purok: 'Purok 10', gender: 'Other', votersStatus: 'Registered', age: '' },
+    { id: 'r4', firstName: 'Cy', lastName: 'Lim', purok: '', gender: 'Male', votersStatus: 'Registered', age: '40' }
+  ];
+
+  it('should make sheet names Excel accepts and keep them unique', () => {
+    const used = new Set(['summary']);
+    expect(toSheetName('Purok 1/A: [North]', used)).toBe('Purok 1 A   North');
+    expect(toSheetName('summary', used)).toBe('summary (2)');
+    expect(toSheetName('', used)).toBe('No Purok');
+    expect(toSheetName('A very long purok name that Excel would refuse', used)).toHaveLength(31);
+  });
+
+  it('should put a summary first and one sheet per purok in purok order', async () => {
+    const sheets = await readUploadedSheets(await encodeWorkbook(buildResidentWorkbook(residents)));
+
+    expect(sheets.map(sheet => sheet.name)).toEqual([SUMMARY_SHEET, 'Purok 2', 'Purok 10', 'No Purok']);
+    expect(sheets[0].records).toEqual([
+      ['Purok', 'Residents', 'Male', 'Female', 'Other', 'Registered Voters', 'Households'],
+      ['Purok 2', '1', '0', '1', '0', '0', '1'],
+      ['Purok 10', '2', '1', '0', '1', '2', '1'],
+      ['No Purok', '1', '1', '0', '0', '1', '0'],
+      ['Total', '4', '2', '1', '1', '3', '1']
+    ]);
+
+    const purok10 = sheets[2].records;
+    expect(purok10[0].slice(0, 3)).toEqual(['First Name', 'Middle Name', 'Last Name']);
+    expect(purok10.slice(1).map(row => row[0])).toEqual(['Al', 'Ben']);
+    expect(purok10[2][17]).toBe('007');
+  });
+
+  it('should export students ordered by student ID', async () => {
+    const students = [
+      { id: 's1', studentId: '10', firstName: 'Ana', lastName: 'Cruz', age: '19' },
+      { id: 's2', studentId: '9', firstName: 'Ben', lastName: 'Lim', age: '' }
+    ];
+    const [sheet] = await readUploadedSheets(await encodeWorkbook(buildStudentWorkbook(students)));
+
+    expect(sheet.name).toBe('Students');
+    expect(sheet.records.slice(1).map(row => row.slice(0, 4))).toEqual([['9', 'Ben', 'Lim', ''], ['10', 'Ana', 'Cruz', '19']]);
+  });
+
+  it('should read a CSV upload as one unnamed sheet with trimmed headers', async () => {
+    expect(await readUploadedSheets(Buffer.from(' First Name ,Last Name,\nAna,Cruz,\n'))).toEqual([
+      { name: '', records: [['First Name', 'Last Name'], ['Ana', 'Cruz', '']] }
+    ]);
+  });
+});
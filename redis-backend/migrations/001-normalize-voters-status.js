@@ -0,0 +1,58 @@
+/**
+ * Migration 1: Normalize voter status values
+ *
+ * Older records hold votersStatus values such as "registered" or "Not Registered".
+ * They are rewritten as the values the resident schema accepts, moving active
+ * residents to the matching index set. Values that are neither status are
+ * reported and left for an admin to correct.
+ */
+const { indexKey } = require('../utils/residentIndex');
+
+const STATUSES = {
+  registered: 'Registered',
+  'not-registered': 'Not-Registered'
+};
+
+/**
+ * @param {string} value - Stored votersStatus
+ * @returns {string|undefined} Accepted spelling of the status, if recognized
+ */
+const normalizeVotersStatus = (value) =>
+  STATUSES[value.trim().toLowerCase().replace(/[\s_]+/g, '-')];
+
+module.exports = {
+  version: 1,
+  description: 'Normalize resident votersStatus values to Registered / Not-Registered',
+
+  up: async (client, { dryRun, log }) => {
+    const records = [
+      ...(await client.sMembers('residents')).map(id => ({ id, key: `resident:${id}`, active: true })),
+      ...(await client.zRange('residents:deleted', 0, -1)).map(id => ({ id, key: `deletedResident:${id}`, active: false }))
+    ];
+    let changed = 0;
+
+    for (const { id, key, active } of records) {
+      const current = await client.hGet(key, 'votersStatus');
+      if (!current) continue;
+
+      const status = normalizeVotersStatus(current);
+      if (!status) {
+        log(`${key}: unrecognized votersStatus "${current}" left as is`);
+        continue;
+      }
+      if (status === current) continue;
+
+      changed++;
+      log(`${key}: votersStatus "${current}" -> "${status}"`);
+      if (dryRun) continue;
+
+      const tx = client.multi().hSet(key, 'votersStatus', status);
+      if (active) {
+        tx.sRem(indexKey('votersStatus', current), id).sAdd(indexKey('votersStatus', status), id);
+      }
+      await tx.exec();
+    }
+
+    return changed;
+  }
+};
@@ -0,0 +1,32 @@
+/**
+ * Migration 2: Give students UUID keys
+ *
+ * Students used to be stored under `student:{Date.now()}`, while residents and
+ * households use UUIDs. Timestamp keys are renamed to `student:{uuid}`; keys that
+ * already hold a UUID are left alone, so the migration can be run again.
+ */
+const { v4: uuidv4 } = require('uuid');
+
+const TIMESTAMP_KEY_PATTERN = /^student:\d+$/;
+
+module.exports = {
+  version: 2,
+  description: 'Rename timestamp student keys to student:{uuid}',
+
+  up: async (client, { dryRun, log }) => {
+    const keys = (await client.keys('student:*')).filter(key => TIMESTAMP_KEY_PATTERN.test(key));
+
+    for (const key of keys) {
+      if (dryRun) {
+        log(`${key} -> student:{new uuid}`);
+        continue;
+      }
+
+      const newKey = `student:${uuidv4()}`;
+      await client.renameNX(key, newKey);
+      log(`${key} -> ${newKey}`);
+    }
+
+    return keys.length;
+  }
+};
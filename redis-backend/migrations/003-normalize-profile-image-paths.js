@@ -0,0 +1,51 @@
+/**
+ * Migration 3: Normalize profile image paths
+ *
+ * profileImage used to be saved as the raw multer path, which on Windows holds
+ * backslashes and may be absolute. Paths are rewritten relative to the backend
+ * directory with forward slashes (`uploads/profiles/{file}`), the form the
+ * upload routes store today. Full URLs are kept as they are.
+ */
+
+/**
+ * @param {string} value - Stored profileImage
+ * @returns {string} Normalized path
+ */
+const normalizeImagePath = (value) => {
+  if (/^https?:\/\//i.test(value)) return value;
+
+  const normalized = value.trim().replace(/\\/g, '/');
+  const uploadsAt = normalized.lastIndexOf('uploads/');
+  return uploadsAt >= 0
+    ? normalized.slice(uploadsAt)
+    : `uploads/profiles/${normalized.split('/').pop()}`;
+};
+
+module.exports = {
+  version: 3,
+  description: 'Store resident profileImage as uploads/profiles/{file}',
+
+  up: async (client, { dryRun, log }) => {
+    const keys = [
+      ...(await client.sMembers('residents')).map(id => `resident:${id}`),
+      ...(await client.zRange('residents:deleted', 0, -1)).map(id => `deletedResident:${id}`)
+    ];
+    let changed = 0;
+
+    for (const key of keys) {
+      const current = await client.hGet(key, 'profileImage');
+      if (!current) continue;
+
+      const imagePath = normalizeImagePath(current);
+      if (imagePath === current) continue;
+
+      changed++;
+      log(`${key}: profileImage "${current}" -> "${imagePath}"`);
+      if (!dryRun) {
+        await client.hSet(key, 'profileImage', imagePath);
+      }
+    }
+
+    return changed;
+  }
+};
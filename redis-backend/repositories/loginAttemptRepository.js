@@ -0,0 +1,103 @@
+/**
+ * Login Attempt Repository Module
+ *
+ * Counts failed logins in loginFailures:{scope}:{id} hashes of the failure
+ * count and the time of the last failure, where scope is "user" or "ip".
+ * A counter expires once no failure has been added to it for a while.
+ * Attempts whose password is still being checked are counted in
+ * loginPending:{scope}:{id} hashes, so parallel attempts see each other.
+ *
+ * @module repositories/loginAttemptRepository
+ */
+
+const loginFailuresKey = (scope, id) => `loginFailures:${scope}:${id}`;
+const loginPendingKey = (scope, id) => `loginPending:${scope}:${id}`;
+
+/**
+ * Creates a login attempt repository
+ *
+ * @param {Object} client - Storage client (see storage/index.js)
+ * @returns {Object} Login attempt repository
+ */
+const createLoginAttemptRepository = (client) => ({
+  /**
+   * @param {string} scope - "user" or "ip"
+   * @param {string} id - Username or IP address
+   * @returns {Promise<Object>} { count, lastFailureAt } with lastFailureAt in milliseconds;
+   *   zeros when there were no recent failures
+   */
+  get: async (scope, id) => {
+    const record = await client.hGetAll(loginFailuresKey(scope, id));
+    return {
+      count: Number(record.count) || 0,
+      lastFailureAt: Number(record.lastFailureAt) || 0
+    };
+  },
+
+  /**
+   * Reserves an attempt, reading the failures in the same transaction
+   *
+   * @param {string} scope - "user" or "ip"
+   * @param {string} id - Username or IP address
+   * @param {number} windowSeconds - How long the reservations are kept after this one
+   * @returns {Promise<Object>} { count, lastFailureAt, pending } where pending counts
+   *   the reserved attempts including this one
+   */
+  reserve: async (scope, id, windowSeconds) => {
+    const key = loginPendingKey(scope, id);
+    const [record, pending] = await client.multi()
+      .hGetAll(loginFailuresKey(scope, id))
+      .hIncrBy(key, 'count', 1)
+      .expire(key, windowSeconds)
+      .exec();
+    return {
+      count: Number(record.count) || 0,
+      lastFailureAt: Number(record.lastFailureAt) || 0,
+      pending
+    };
+  },
+
+  /**
+   * Ends an attempt reserved with reserve
+   *
+   * @param {string} scope - "user" or "ip"
+   * @param {string} id - Username or IP address
+   */
+  release: async (scope, id) => {
+    await client.hIncrBy(loginPendingKey(scope, id), 'count', -1);
+  },
+
+  /**
+   * Counts a failed login
+   *
+   * @param {string} scope - "user" or "ip"
+   * @param {string} id - Username or IP address
+   * @param {number} windowSeconds - How long the counter is kept after this failure
+   * @returns {Promise<Object>} The updated { count, lastFailureAt }
+   */
+  recordFailure: async (scope, id, windowSeconds) => {
+    const key = loginFailuresKey(scope, id);
+    const lastFailureAt = Date.now();
+    const [count] = await client.multi()
+      .hIncrBy(key, 'count', 1)
+      .hSet(key, 'lastFailureAt', String(lastFailureAt))
+      .expire(key, windowSeconds)
+      .exec();
+    return { count, lastFailureAt };
+  },
+
+  /**
+   * Forgets the failures of a username or IP address
+   *
+   * @param {string} scope - "user" or "ip"
+   * @param {string} id - Username or IP address
+   * @returns {Promise<boolean>} Whether there were failures to forget
+   */
+  clear: async (scope, id) => (await client.del(loginFailuresKey(scope, id))) > 0
+});
+
+module.exports = {
+  loginFailuresKey,
+  loginPendingKey,
+  createLoginAttemptRepository
+};
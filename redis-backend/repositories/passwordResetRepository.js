@@ -0,0 +1,84 @@
+/**
+ * Password Reset Repository Module
+ *
+ * Keeps the one-time password reset tokens admins hand out:
+ *
+ * - passwordReset:{hash} - hash of username and createdAt for a reset token;
+ *   expires with the token
+ * - passwordResetFor:{username} - hash of the user's outstanding reset token,
+ *   so issuing a new one cancels the previous one
+ *
+ * @module repositories/passwordResetRepository
+ */
+
+const passwordResetKey = (tokenHash) => `passwordReset:${tokenHash}`;
+const passwordResetForKey = (username) => `passwordResetFor:${username}`;
+
+/**
+ * Creates a password reset repository
+ *
+ * @param {Object} client - Storage client (see storage/index.js)
+ * @returns {Object} Password reset repository
+ */
+const createPasswordResetRepository = (client) => ({
+  /**
+   * Saves a new reset token for a user, cancelling any earlier one
+   *
+   * @param {string} username - Account the token resets
+   * @param {string} tokenHash - Hash of the reset token
+   * @param {number} ttlSeconds - Lifetime of the token
+   */
+  create: async (username, tokenHash, ttlSeconds) => {
+    const previous = await client.get(passwordResetForKey(username));
+    const tx = client.multi();
+    if (previous) {
+      tx.del(passwordResetKey(previous));
+    }
+    await tx
+      .hSet(passwordResetKey(tokenHash), { username, createdAt: new Date().toISOString() })
+      .expire(passwordResetKey(tokenHash), ttlSeconds)
+      .set(passwordResetForKey(username), tokenHash, { EX: ttlSeconds })
+      .exec();
+  },
+
+  /**
+   * @param {string} tokenHash - Hash of the reset token
+   * @returns {Promise<Object|null>} { username, createdAt }, or null when unknown, used or expired
+   */
+  find: async (tokenHash) => {
+    const record = await client.hGetAll(passwordResetKey(tokenHash));
+    return record.username ? record : null;
+  },
+
+  /**
+   * Uses up a reset token; of several concurrent callers only one succeeds
+   *
+   * @param {string} username - Account the token resets
+   * @param {string} tokenHash - Hash of the reset token
+   * @returns {Promise<boolean>} Whether this caller used the token
+   */
+  claim: async (username, tokenHash) => {
+    const claimed = (await client.del(passwordResetKey(tokenHash))) > 0;
+    if (claimed) {
+      await client.del(passwordResetForKey(username));
+    }
+    return claimed;
+  },
+
+  /**
+   * Cancels a user's outstanding reset token
+   *
+   * @param {string} username - Username
+   * @returns {Promise<boolean>} Whether there was a token to cancel
+   */
+  revoke: async (username) => {
+    const tokenHash = await client.get(passwordResetForKey(username));
+    if (!tokenHash) return false;
+    await client.del([passwordResetKey(tokenHash), passwordResetForKey(username)]);
+    return true;
+  }
+});
+
+module.exports = {
+  createPasswordResetRepository
+};
@@ -0,0 +1,208 @@
+/**
+ * Resident Repository Module
+ *
+ * Reads and writes resident records and the recycle bin of deleted residents.
+ * Residents are kept as resident:{id} hashes listed in the residents set; a
+ * deleted resident's hash is moved to deletedResident:{id} and listed in
+ * residents:deleted, scored by deletion time.
+ *
+ * Methods named queue* add their commands to a MULTI transaction so the caller
+ * can commit them together with index, household and stats changes.
+ *
+ * @module repositories/residentRepository
+ */
+
+const RESIDENTS_KEY = 'residents';
+const DELETED_RESIDENTS_KEY = 'residents:deleted';
+
+const residentKey = (id) => `resident:${id}`;
+const deletedResidentKey = (id) => `deletedResident:${id}`;
+
+/**
+ * Reads several hashes in one round trip, skipping IDs without a stored hash
+ *
+ * @param {Object} client - Storage client
+ * @param {string[]} ids - Record IDs
+ * @param {Function} keyOf - Returns the hash key of an ID
+ * @returns {Promise<Object[]>} Records with their id included
+ */
+const readHashes = async (client, ids, keyOf) => {
+  if (ids.length === 0) return [];
+
+  const pipeline = client.multi();
+  ids.forEach(id => pipeline.hGetAll(keyOf(id)));
+  const results = await pipeline.execAsPipeline();
+
+  return results
+    .map((record, index) => ({ id: ids[index], ...record }))
+    .filter(record => Object.keys(record).length > 1);
+};
+
+/**
+ * Creates a resident repository
+ *
+ * @param {Object} client - Storage client (see storage/index.js), or an isolated client of one
+ * @returns {Object} Resident repository
+ */
+const createResidentRepository = (client) => ({
+  /**
+   * @param {string} id - Resident ID
+   * @returns {Promise<boolean>} Whether the resident exists (deleted residents do not)
+   */
+  exists: (id) => client.sIsMember(RESIDENTS_KEY, id),
+
+  /**
+   * @returns {Promise<number>} Number of residents
+   */
+  count: () => client.sCard(RESIDENTS_KEY),
+
+  /**
+   * Lists resident IDs, optionally only those also in every given index set
+   *
+   * @param {string[]} [indexKeys] - Index sets the residents must belong to
+   * @returns {Promise<string[]>} Resident IDs
+   */
+  listIds: (indexKeys = []) => (indexKeys.length > 0
+    ? client.sInter([RESIDENTS_KEY, ...indexKeys])
+    : client.sMembers(RESIDENTS_KEY)),
+
+  /**
+   * @param {string} id - Resident ID
+   * @returns {Promise<Object|null>} Stored resident hash (without id), or null when there is none
+   */
+  findById: async (id) => {
+    const resident = await client.hGetAll(residentKey(id));
+    return Object.keys(resident).length > 0 ? resident : null;
+  },
+
+  /**
+   * Reads several residents in one round trip
+   * IDs without a stored hash are skipped
+   *
+   * @param {string[]} ids - Resident IDs
+   * @returns {Promise<Object[]>} Residents with their id included
+   */
+  findByIds: (ids) => readHashes(client, ids, residentKey),
+
+  /**
+   * @returns {Promise<Object[]>} Every resident with their id included
+   */
+  findAll: async () => readHashes(client, await client.sMembers(RESIDENTS_KEY), residentKey),
+
+  /**
+   * @param {string} id - Resident ID
+   * @param {string} field - Field name
+   * @returns {Promise<string|null>} Stored value of the field
+   */
+  getField: (id, field) => client.hGet(residentKey(id), field),
+
+  /**
+   * Overwrites fields of a resident outside a transaction
+   *
+   * @param {string} id - Resident ID
+   * @param {Object} fields - Fields to write
+   */
+  update: async (id, fields) => {
+    await client.hSet(residentKey(id), fields);
+  },
+
+  /**
+   * @param {Object} tx - MULTI transaction the commands are added to
+   * @param {string} id - New resident ID
+   * @param {Object} resident - Resident fields
+   */
+  queueCreate: (tx, id, resident) => {
+    tx.sAdd(RESIDENTS_KEY, id);
+    tx.hSet(residentKey(id), resident);
+  },
+
+  /**
+   * @param {Object} tx - MULTI transaction the commands are added to
+   * @param {string} id - Resident ID
+   * @param {Object} fields - Fields to overwrite
+   */
+  queueUpdate: (tx, id, fields) => {
+    tx.hSet(residentKey(id), fields);
+  },
+
+  /**
+   * Queues removing a resident for good, bypassing the recycle bin
+   *
+   * @param {Object} tx - MULTI transaction the commands are added to
+   * @param {string} id - Resident ID
+   */
+  queueRemove: (tx, id) => {
+    tx.del(residentKey(id));
+    tx.sRem(RESIDENTS_KEY, id);
+  },
+
+  /**
+   * Queues moving a resident to the recycle bin, stamped with who deleted it and when
+   *
+   * @param {Object} tx - MULTI transaction the commands are added to
+   * @param {string} id - Resident ID
+   * @param {string} deletedBy - Username of the user deleting the resident
+   */
+  queueMoveToRecycleBin: (tx, id, deletedBy) => {
+    tx.sRem(RESIDENTS_KEY, id);
+    tx.rename(residentKey(id), deletedResidentKey(id));
+    tx.hSet(deletedResidentKey(id), {
+      deletedAt: new Date().toISOString(),
+      deletedBy: deletedBy || ''
+    });
+    tx.zAdd(DELETED_RESIDENTS_KEY, { score: Date.now(), value: id });
+  },
+
+  /**
+   * Lists the recycle bin, most recently deleted first
+   *
+   * @returns {Promise<Object[]>} Deleted residents with their id included
+   */
+  findDeleted: async () =>
+    readHashes(client, await client.zRange(DELETED_RESIDENTS_KEY, 0, -1, { REV: true }), deletedResidentKey),
+
+  /**
+   * @param {string} id - Resident ID
+   * @returns {Promise<Object|null>} Deleted resident hash with deletedAt and deletedBy, or null
+   */
+  findDeletedById: async (id) => {
+    const resident = await client.hGetAll(deletedResidentKey(id));
+    return Object.keys(resident).length > 0 ? resident : null;
+  },
+
+  /**
+   * Queues taking a resident back out of the recycle bin
+   *
+   * @param {Object} tx - MULTI transaction the commands are added to
+   * @param {string} id - Resident ID
+   * @param {Object} [fields] - Fields to overwrite on the way back, e.g. the current age
+   */
+  queueRestore: (tx, id, fields = {}) => {
+    tx.rename(deletedResidentKey(id), residentKey(id));
+    tx.hDel(residentKey(id), ['deletedAt', 'deletedBy']);
+    if (Object.keys(fields).length > 0) {
+      tx.hSet(residentKey(id), fields);
+    }
+    tx.zRem(DELETED_RESIDENTS_KEY, id);
+    tx.sAdd(RESIDENTS_KEY, id);
+  },
+
+  /**
+   * Queues removing a resident from the recycle bin for good
+   *
+   * @param {Object} tx - MULTI transaction the commands are added to
+   * @param {string} id - Resident ID
+   */
+  queuePurge: (tx, id) => {
+    tx.del(deletedResidentKey(id));
+    tx.zRem(DELETED_RESIDENTS_KEY, id);
+  }
+});
+
+module.exports = {
+  RESIDENTS_KEY,
+  DELETED_RESIDENTS_KEY,
+  residentKey,
+  deletedResidentKey,
+  createResidentRepository
+};
@@ -0,0 +1,101 @@
+/**
+ * Role Repository Module
+ *
+ * Reads and writes the roles accounts can have. Roles are kept in the `roles`
+ * hash as JSON { label, permissions } keyed by role name. The default roles of
+ * utils/permissions are always available: a stored role of the same name
+ * replaces one, and removing it brings the default back. The admin role is
+ * never read from storage and always holds every permission.
+ *
+ * @module repositories/roleRepository
+ */
+
+const { PERMISSION_NAMES, ADMIN_ROLE, DEFAULT_ROLES } = require('../utils/permissions');
+
+const ROLES_KEY = 'roles';
+
+/**
+ * Converts a stored or default role to the shape returned to callers
+ *
+ * @param {string} name - Role name
+ * @param {Object} role - { label, permissions }
+ * @returns {Object} { name, label, permissions, builtIn }
+ */
+const toRole = (name, { label, permissions }) => ({
+  name,
+  label,
+  permissions: name === ADMIN_ROLE ? PERMISSION_NAMES : permissions,
+  builtIn: Object.prototype.hasOwnProperty.call(DEFAULT_ROLES, name)
+});
+
+/**
+ * Reads a stored role, ignoring values that are not valid JSON
+ *
+ * @param {string} value - Stored JSON
+ * @returns {Object|null} { label, permissions } or null
+ */
+const parseRole = (value) => {
+  try {
+    const role = JSON.parse(value);
+    return Array.isArray(role.permissions) ? role : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Creates a role repository
+ *
+ * @param {Object} client - Storage client (see storage/index.js)
+ * @returns {Object} Role repository
+ */
+const createRoleRepository = (client) => ({
+  /**
+   * @param {string} name - Role name
+   * @returns {Promise<Object|null>} { name, label, permissions, builtIn } or null when unknown
+   */
+  findByName: async (name) => {
+    const stored = name === ADMIN_ROLE ? null : parseRole(await client.hGet(ROLES_KEY, name));
+    if (stored) return toRole(name, stored);
+    return Object.prototype.hasOwnProperty.call(DEFAULT_ROLES, name) ? toRole(name, DEFAULT_ROLES[name]) : null;
+  },
+
+  /**
+   * @returns {Promise<Object[]>} Every role, the default roles first and the others by name
+   */
+  list: async () => {
+    const stored = await client.hGetAll(ROLES_KEY);
+    const roles = { ...DEFAULT_ROLES };
+    Object.entries(stored).forEach(([name, value]) => {
+      const role = parseRole(value);
+      if (role && name !== ADMIN_ROLE) roles[name] = role;
+    });
+
+    const defaults = Object.keys(DEFAULT_ROLES);
+    const custom = Object.keys(roles).filter(name => !defaults.includes(name)).sort();
+    return [...defaults, ...custom].map(name => toRole(name, roles[name]));
+  },
+
+  /**
+   * Saves a role, creating it or replacing its label and permissions
+   *
+   * @param {string} name - Role name; never "admin"
+   * @param {Object} role - { label, permissions }
+   */
+  save: async (name, { label, permissions }) => {
+    await client.hSet(ROLES_KEY, name, JSON.stringify({ label, permissions }));
+  },
+
+  /**
+   * Removes a stored role; a default role goes back to its default permissions
+   *
+   * @param {string} name - Role name
+   * @returns {Promise<boolean>} Whether a stored role was removed
+   */
+  remove: async (name) => (await client.hDel(ROLES_KEY, name)) > 0
+});
+
+module.exports = {
+  ROLES_KEY,
+  createRoleRepository
+};
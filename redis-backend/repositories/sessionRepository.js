@@ -0,0 +1,121 @@
+/**
+ * Session Repository Module
+ *
+ * Keeps the login sessions behind refresh tokens and the list of revoked
+ * access tokens:
+ *
+ * - refreshToken:{hash} - hash of username, createdAt and, once exchanged,
+ *   rotatedAt; expires with the token
+ * - sessions:{username} - set of the hashes of the user's refresh tokens that
+ *   can still be exchanged
+ * - revokedToken:{jti} - marks a logged-out access token until it would have expired
+ *
+ * @module repositories/sessionRepository
+ */
+
+const refreshTokenKey = (tokenHash) => `refreshToken:${tokenHash}`;
+const sessionsKey = (username) => `sessions:${username}`;
+const revokedTokenKey = (jti) => `revokedToken:${jti}`;
+
+/**
+ * Creates a session repository
+ *
+ * @param {Object} client - Storage client (see storage/index.js)
+ * @returns {Object} Session repository
+ */
+const createSessionRepository = (client) => ({
+  /**
+   * Saves a new refresh token
+   *
+   * @param {string} username - Owner of the session
+   * @param {string} tokenHash - Hash of the refresh token
+   * @param {number} ttlSeconds - Lifetime of the token
+   */
+  create: async (username, tokenHash, ttlSeconds) => {
+    await client.multi()
+      .hSet(refreshTokenKey(tokenHash), { username, createdAt: new Date().toISOString() })
+      .expire(refreshTokenKey(tokenHash), ttlSeconds)
+      .sAdd(sessionsKey(username), tokenHash)
+      .expire(sessionsKey(username), ttlSeconds)
+      .exec();
+  },
+
+  /**
+   * @param {string} tokenHash - Hash of the refresh token
+   * @returns {Promise<Object|null>} { username, createdAt, rotatedAt }, or null when the token
+   *   is unknown, expired or revoked
+   */
+  find: async (tokenHash) => {
+    const record = await client.hGetAll(refreshTokenKey(tokenHash));
+    return record.username ? record : null;
+  },
+
+  /**
+   * Takes a refresh token out of the user's active sessions so it cannot be
+   * exchanged again. Only one of several concurrent callers succeeds.
+   *
+   * @param {string} username - Owner of the session
+   * @param {string} tokenHash - Hash of the refresh token
+   * @returns {Promise<boolean>} Whether this call claimed the token
+   */
+  claim: async (username, tokenHash) => {
+    if (await client.sRem(sessionsKey(username), tokenHash) === 0) {
+      return false;
+    }
+    // Kept until it expires, so a later replay can be recognised
+    await client.hSet(refreshTokenKey(tokenHash), 'rotatedAt', new Date().toISOString());
+    return true;
+  },
+
+  /**
+   * Revokes one refresh token
+   *
+   * @param {string} tokenHash - Hash of the refresh token
+   */
+  revoke: async (tokenHash) => {
+    const record = await client.hGetAll(refreshTokenKey(tokenHash));
+    const tx = client.multi().del(refreshTokenKey(tokenHash));
+    if (record.username) {
+      tx.sRem(sessionsKey(record.username), tokenHash);
+    }
+    await tx.exec();
+  },
+
+  /**
+   * Revokes every refresh token of a user
+   *
+   * @param {string} username - Username
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  revokeAll: async (username) => {
+    const tokenHashes = await client.sMembers(sessionsKey(username));
+    const tx = client.multi().del(sessionsKey(username));
+    tokenHashes.forEach(tokenHash => tx.del(refreshTokenKey(tokenHash)));
+    await tx.exec();
+    return tokenHashes.length;
+  },
+
+  /**
+   * Adds an access token to the revocation list
+   *
+   * @param {string} jti - ID of the access token
+   * @param {number} ttlSeconds - Time left until the token expires
+   */
+  revokeAccessToken: async (jti, ttlSeconds) => {
+    if (ttlSeconds > 0) {
+      await client.set(revokedTokenKey(jti), '1', { EX: ttlSeconds });
+    }
+  },
+
+  /**
+   * @param {string} jti - ID of the access token
+   * @returns {Promise<boolean>} Whether the token was revoked
+   */
+  isAccessTokenRevoked: async (jti) => (await client.exists(revokedTokenKey(jti))) > 0
+});
+
+module.exports = {
+  refreshTokenKey,
+  sessionsKey,
+  createSessionRepository
+};
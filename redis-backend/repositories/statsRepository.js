@@ -0,0 +1,57 @@
+/**
+ * Stats Repository Module
+ *
+ * Reads and writes the resident counters kept in the stats hash (see
+ * utils/residentStats for what is counted). The counters are changed in the
+ * same transaction as the resident they count.
+ *
+ * @module repositories/statsRepository
+ */
+
+const { getStatsContribution } = require('../utils/residentStats');
+
+const STATS_KEY = 'stats';
+
+/**
+ * Creates a stats repository
+ *
+ * @param {Object} client - Storage client (see storage/index.js), or an isolated client of one
+ * @returns {Object} Stats repository
+ */
+const createStatsRepository = (client) => ({
+  /**
+   * @returns {Promise<Object>} Counters by field, as stored strings
+   */
+  get: () => client.hGetAll(STATS_KEY),
+
+  /**
+   * Queues adding (delta 1) or removing (delta -1) a resident's contribution to the counters
+   *
+   * @param {Object} tx - MULTI transaction the commands are added to
+   * @param {Object} resident - Resident hash
+   * @param {number} delta - 1 to count the resident, -1 to uncount them
+   */
+  queueChange: (tx, resident, delta) => {
+    Object.entries(getStatsContribution(resident)).forEach(([field, count]) => {
+      tx.hIncrBy(STATS_KEY, field, count * delta);
+    });
+  },
+
+  /**
+   * Queues replacing every counter
+   *
+   * @param {Object} tx - MULTI transaction the commands are added to
+   * @param {Object} stats - Counters by field
+   */
+  queueReplace: (tx, stats) => {
+    tx.del(STATS_KEY);
+    if (Object.keys(stats).length > 0) {
+      tx.hSet(STATS_KEY, stats);
+    }
+  }
+});
+
+module.exports = {
+  STATS_KEY,
+  createStatsRepository
+};
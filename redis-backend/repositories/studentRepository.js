@@ -0,0 +1,94 @@
+/**
+ * Student Repository Module
+ *
+ * Reads and writes student records, kept as student:{id} hashes.
+ *
+ * @module repositories/studentRepository
+ */
+
+const STUDENT_KEY_PATTERN = 'student:*';
+
+const studentKey = (id) => `student:${id}`;
+
+/**
+ * Creates a student repository
+ *
+ * @param {Object} client - Storage client (see storage/index.js)
+ * @returns {Object} Student repository
+ */
+const createStudentRepository = (client) => ({
+  /**
+   * Reads every student in one round trip
+   *
+   * @returns {Promise<Object[]>} Students with their id included
+   */
+  findAll: async () => {
+    const keys = await client.keys(STUDENT_KEY_PATTERN);
+    if (keys.length === 0) return [];
+
+    const pipeline = client.multi();
+    keys.forEach(key => pipeline.hGetAll(key));
+    const results = await pipeline.execAsPipeline();
+
+    return results.map((student, index) => ({ id: keys[index].split(':')[1], ...student }));
+  },
+
+  /**
+   * @param {string} id - Record ID
+   * @returns {Promise<Object|null>} Stored student hash (without id), or null when there is none
+   */
+  findById: async (id) => {
+    const student = await client.hGetAll(studentKey(id));
+    return Object.keys(student).length > 0 ? student : null;
+  },
+
+  /**
+   * @param {string} id - New record ID
+   * @param {Object} student - Student fields
+   */
+  create: async (id, student) => {
+    await client.hSet(studentKey(id), student);
+  },
+
+  /**
+   * @param {Object} tx - MULTI transaction the commands are added to
+   * @param {string} id - New record ID
+   * @param {Object} student - Student fields
+   */
+  queueCreate: (tx, id, student) => {
+    tx.hSet(studentKey(id), student);
+  },
+
+  /**
+   * @param {string} id - Record ID
+   * @param {Object} fields - Fields to overwrite
+   */
+  update: async (id, fields) => {
+    if (Object.keys(fields).length > 0) {
+      await client.hSet(studentKey(id), fields);
+    }
+  },
+
+  /**
+   * @param {string} id - Record ID
+   */
+  remove: async (id) => {
+    await client.del(studentKey(id));
+  },
+
+  /**
+   * @returns {Promise<number>} Number of students removed
+   */
+  removeAll: async () => {
+    const keys = await client.keys(STUDENT_KEY_PATTERN);
+    if (keys.length > 0) {
+      await client.del(keys);
+    }
+    return keys.length;
+  }
+});
+
+module.exports = {
+  studentKey,
+  createStudentRepository
+};
@@ -0,0 +1,135 @@
+/**
+ * User Repository Module
+ *
+ * Reads and writes user accounts, kept as user:{username} hashes of the
+ * bcrypt password hash, role, creation time and the account flags set by
+ * admins: disabled, and mustChangePassword after a forced password reset.
+ * The flags are stored as "true"/"false" and read back as booleans.
+ * tokensValidAfter holds the time, in milliseconds, the user's sessions were
+ * last ended; access tokens issued before it are refused.
+ *
+ * @module repositories/userRepository
+ */
+
+const USER_KEY_PREFIX = 'user:';
+const userKey = (username) => `${USER_KEY_PREFIX}${username}`;
+
+const USER_FLAGS = ['disabled', 'mustChangePassword'];
+
+// Never sent to clients
+const PRIVATE_FIELDS = ['password', 'tokensValidAfter'];
+
+/**
+ * Converts a stored user hash to an account object
+ *
+ * @param {string} username - Username
+ * @param {Object} user - user:{username} hash
+ * @returns {Object} The hash with the flags as booleans
+ */
+const toAccount = (username, user) => ({
+  username,
+  ...user,
+  ...Object.fromEntries(USER_FLAGS.map(flag => [flag, user[flag] === 'true']))
+});
+
+/**
+ * Converts account fields to hash values, flags as "true"/"false"
+ *
+ * @param {Object} fields - Account fields
+ * @returns {Object} Hash fields
+ */
+const toHash = (fields) => Object.fromEntries(Object.entries(fields).map(([field, value]) =>
+  [field, USER_FLAGS.includes(field) ? String(Boolean(value)) : value]
+));
+
+/**
+ * Leaves out the fields clients must not see
+ *
+ * @param {Object} account - Account from findByUsername
+ * @returns {Object} The account without its password hash and session data
+ */
+const toPublicUser = (account) => Object.fromEntries(Object.entries(account)
+  .filter(([field]) => !PRIVATE_FIELDS.includes(field)));
+
+/**
+ * Creates a user repository
+ *
+ * @param {Object} client - Storage client (see storage/index.js)
+ * @returns {Object} User repository
+ */
+const createUserRepository = (client) => ({
+  /**
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} { username, password, role, createdAt, disabled, mustChangePassword },
+   *   or null when there is no such user
+   */
+  findByUsername: async (username) => {
+    const user = await client.hGetAll(userKey(username));
+    return Object.keys(user).length > 0 ? toAccount(username, user) : null;
+  },
+
+  /**
+   * @param {string} username - Username
+   * @returns {Promise<boolean>} Whether an account with a password exists under the name
+   */
+  exists: async (username) => Boolean(await client.hGet(userKey(username), 'password')),
+
+  /**
+   * Saves a new account, stamped with its creation time
+   *
+   * @param {string} username - Username
+   * @param {Object} account
+   * @param {string} account.password - bcrypt hash of the password
+   * @param {string} account.role - "admin" or "user"
+   * @param {boolean} [account.mustChangePassword=false] - Whether the user must pick a new password
+   */
+  create: async (username, { password, role, mustChangePassword = false }) => {
+    await client.hSet(userKey(username), toHash({
+      password,
+      role,
+      disabled: false,
+      mustChangePassword,
+      createdAt: new Date().toISOString()
+    }));
+  },
+
+  /**
+   * Changes fields of an existing account, stamped with the time of the change
+   *
+   * @param {string} username - Username
+   * @param {Object} fields - Fields to set, e.g. role, disabled, password, mustChangePassword
+   */
+  update: async (username, fields) => {
+    await client.hSet(userKey(username), toHash({
+      ...fields,
+      updatedAt: new Date().toISOString()
+    }));
+  },
+
+  /**
+   * Deletes an account
+   *
+   * @param {string} username - Username
+   * @returns {Promise<boolean>} Whether the account existed
+   */
+  remove: async (username) => (await client.del(userKey(username))) > 0,
+
+  /**
+   * Lists every account without its private fields, ordered by username
+   *
+   * @returns {Promise<Object[]>} { username, role, createdAt, updatedAt, disabled, mustChangePassword }
+   */
+  list: async () => {
+    const keys = await client.keys(userKey('*'));
+    const users = await Promise.all(keys.map(async (key) =>
+      toPublicUser(toAccount(key.slice(USER_KEY_PREFIX.length), await client.hGetAll(key)))
+    ));
+    return users.sort((a, b) => a.username.localeCompare(b.username));
+  }
+});
+
+module.exports = {
+  userKey,
+  toPublicUser,
+  createUserRepository
+};
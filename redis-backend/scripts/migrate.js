@@ -0,0 +1,47 @@
+/**
+ * Runs the pending data migrations against the configured Redis database
+ *
+ * Usage:
+ *   npm run migrate              Apply pending migrations
+ *   npm run migrate -- --dry-run List what the pending migrations would change
+ *
+ * The server also applies pending migrations at startup unless
+ * MIGRATE_ON_STARTUP=false.
+ */
+const path = require('path');
+const redis = require('redis');
+require('dotenv').config();
+const { loadMigrations, getSchemaVersion, runMigrations } = require('../utils/migrations');
+
+async function migrate() {
+  const dryRun = process.argv.includes('--dry-run');
+  const client = redis.createClient({
+    url: process.env.REDIS_URL || 'redis://localhost:6379'
+  });
+
+  try {
+    await client.connect();
+
+    const migrations = loadMigrations(path.join(__dirname, '..', 'migrations'));
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    console.log(`Schema version ${await getSchemaVersion(client)}, latest migration ${latest}`);
+
+    const { from, to, applied } = await runMigrations(client, { migrations, dryRun });
+    if (applied.length === 0) {
+      console.log('Nothing to migrate');
+    } else if (dryRun) {
+      console.log(`Dry run: ${applied.length} migrations pending, nothing was written`);
+    } else {
+      console.log(`Migrated schema from version ${from} to ${to}`);
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (client.isOpen) {
+      await client.disconnect();
+    }
+  }
+}
+
+migrate();
@@ -5,21 +5,25 @@
  * It provides a RESTful API for the frontend to interact with the Redis database.
  * 
  * Main functionality:
- * - User authentication (login, register, with JWT)
+ * - User authentication (login, register, with JWT access tokens and rotating refresh tokens)
+ * - User management for admins (roles, disabling accounts, password resets)
  * - Resident CRUD operations (create, read, update, delete)
+ * - Household management (members, household head, relationships)
  * - Analytics for resident data (demographics, statistics)
  * - File uploads for resident profile images
  * - Data export (CSV) for reporting
  * 
  * The server uses Redis as its primary database, and stores data in structured Hash sets.
- * JWT authentication is used to secure API endpoints, with role-based access control.
+ * Residents, students, users and stats are accessed through the repositories in
+ * repositories/; with STORAGE_DRIVER=memory the data is kept in memory instead of Redis.
+ * JWT authentication is used to secure API endpoints; each role grants a configurable
+ * set of permissions (see utils/permissions.js) that the routes check.
  * 
  * @author Your Name
  * @version 1.0.0
  */
 
 const express = require('express');
-const redis = require('redis');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const bcrypt = require('bcryptjs');
@@ -28,6 +32,121 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
+const {
+  INDEX_PREFIX,
+  PUROK_NAMES_KEY,
+  INDEX_BUILT_KEY,
+  INDEX_VERSION,
+  NAME_INDEX_KEY,
+  AGE_BRACKETS,
+  indexKey,
+  withCurrentAge,
+  getAgeBracketKeys,
+  getIndexKeys
+} = require('./utils/residentIndex');
+const {
+  getSearchEntries,
+  parseSearchQuery,
+  isNearMatch
+} = require('./utils/nameSearch');
+const { getDuplicateReason } = require('./utils/residentDuplicates');
+const { RESIDENT_SCHEMA, validateResident } = require('./utils/residentSchema');
+const { computeStats, diffStats } = require('./utils/residentStats');
+const { createHistoryEntry } = require('./utils/residentHistory');
+const {
+  SCHEMA_VERSION_KEY,
+  loadMigrations,
+  getSchemaVersion,
+  runMigrations
+} = require('./utils/migrations');
+const {
+  isBackupImageName,
+  createBackupArchive,
+  encodeBackup,
+  decodeBackup,
+  validateBackupArchive
+} = require('./utils/backupArchive');
+const { STUDENT_FIELDS, validateStudent } = require('./utils/studentSchema');
+const {
+  PERMISSIONS,
+  ADMIN_ROLE,
+  DEFAULT_ROLES,
+  hasPermissions,
+  validateRole,
+  canManageRole,
+  findUngrantablePermissions
+} = require('./utils/permissions');
+const {
+  getPasswordError,
+  validateNewUser,
+  validateUserChanges,
+  generateTemporaryPassword
+} = require('./utils/userAccounts');
+const {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  PASSWORD_RESET_TTL_SECONDS,
+  generateRefreshToken,
+  generateResetToken,
+  hashToken,
+  isRefreshTokenReuse,
+  isIssuedBeforeRevocation
+} = require('./utils/authTokens');
+const {
+  USERNAME_POLICY,
+  IP_POLICY,
+  FAILURE_WINDOW_SECONDS,
+  PENDING_WINDOW_SECONDS,
+  getRetryAfter,
+  getAttemptWait,
+  getLockedUntil,
+  formatWait
+} = require('./utils/loginThrottle');
+const { matchStudentColumns, readStudentRows } = require('./utils/studentImport');
+const {
+  XLSX_CONTENT_TYPE,
+  SUMMARY_SHEET,
+  buildResidentWorkbook,
+  buildStudentWorkbook,
+  encodeWorkbook,
+  readUploadedSheets
+} = require('./utils/workbooks');
+const {
+  RESIDENT_CSV_COLUMNS,
+  MAX_IMPORT_ROWS,
+  getImportFields,
+  suggestColumnMapping,
+  validateColumnMapping,
+  readImportRows
+} = require('./utils/residentImport');
+const { toCsv, selectCsvColumns } = require('./utils/csv');
+const {
+  AUDIT_LOG_KEY,
+  buildAuditEntry,
+  parseAuditQuery,
+  matchesAuditFilters,
+  toAuditCsv
+} = require('./utils/auditLog');
+const {
+  parseResidentQuery,
+  matchesResidentQuery,
+  compareResidents
+} = require('./utils/residentQuery');
+const { WatchError, createStorageClient } = require('./storage');
+const {
+  RESIDENTS_KEY,
+  DELETED_RESIDENTS_KEY,
+  residentKey,
+  deletedResidentKey,
+  createResidentRepository
+} = require('./repositories/residentRepository');
+const { studentKey, createStudentRepository } = require('./repositories/studentRepository');
+const { userKey, toPublicUser, createUserRepository } = require('./repositories/userRepository');
+const { STATS_KEY, createStatsRepository } = require('./repositories/statsRepository');
+const { createSessionRepository } = require('./repositories/sessionRepository');
+const { createLoginAttemptRepository } = require('./repositories/loginAttemptRepository');
+const { ROLES_KEY, createRoleRepository } = require('./repositories/roleRepository');
+const { createPasswordResetRepository } = require('./repositories/passwordResetRepository');
 require('dotenv').config();
 
 // Log environment variables (excluding sensitive data)
@@ -42,57 +161,70 @@ const app = express();
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
+// Retries when a resident write lands while the stats are being recomputed
+const STATS_RECONCILE_ATTEMPTS = 3;
+
+// Attempts at a resident write when another request changes the same resident meanwhile
+const RESIDENT_WRITE_ATTEMPTS = 3;
+
+// Change history of a resident: a list of JSON entries, oldest (version 1) first
+const residentHistoryKey = (id) => `resident:${id}:history`;
+
+// Where uploaded profile images are stored, relative to the working directory
+const PROFILE_IMAGE_DIR = 'uploads/profiles';
+
+// Attempts at reading a consistent snapshot for a backup before giving up
+const BACKUP_SNAPSHOT_ATTEMPTS = 3;
+
 // Middleware setup
 app.use(cors());
 app.use(bodyParser.json());
 
-// Redis client configuration
-const client = redis.createClient({
-  url: process.env.REDIS_URL || 'redis://localhost:6379',
-  socket: {
-    reconnectStrategy: (retries) => {
-      if (retries > 10) {
-        console.error('Redis connection lost. Max retries reached.');
-        return false;
-      }
-      return Math.min(retries * 100, 3000);
-    }
-  }
-});
+// Storage client: Redis, or in memory with STORAGE_DRIVER=memory (see storage/index.js)
+const client = createStorageClient();
 
-// Initialize Redis connection
-(async () => {
-  try {
-    await client.connect();
-    console.log('Connected to Redis');
-    await client.ping();
-    console.log('Redis connection test successful');
-  } catch (err) {
-    console.error('Redis connection error:', err);
-    process.exit(1);
-  }
-})();
+// Residents, students, users and stats are read and written through these
+const residentRepository = createResidentRepository(client);
+const studentRepository = createStudentRepository(client);
+const userRepository = createUserRepository(client);
+const statsRepository = createStatsRepository(client);
+const sessionRepository = createSessionRepository(client);
+const loginAttemptRepository = createLoginAttemptRepository(client);
+const roleRepository = createRoleRepository(client);
+const passwordResetRepository = createPasswordResetRepository(client);
 
-// Redis error handling
+// Storage client error handling
 client.on('error', (err) => {
-  console.error('Redis Client Error:', err);
+  console.error('Storage Client Error:', err);
 });
 
 client.on('connect', () => {
-  console.log('Redis client connected');
+  console.log('Storage client connected');
 });
 
 client.on('ready', () => {
-  console.log('Redis client ready');
+  console.log('Storage client ready');
 });
 
 client.on('end', () => {
-  console.error('Redis connection ended');
+  console.error('Storage connection ended');
 });
 
+// Routes a user whose password was reset by an administrator may still use
+// until they choose a new password
+const PASSWORD_CHANGE_ROUTES = ['/auth/change-password', '/auth/verify', '/auth/logout', '/auth/logout-all'];
+
 /**
  * Authentication Middleware
  * Verifies JWT token in request headers
+ *
+ * The account is looked up on every request, so a disabled or deleted account is
+ * locked out at once and a role change applies without logging in again. Tokens
+ * that were logged out, or issued before the user logged out everywhere, are refused.
+ * An expired token gets 401 so the client knows to use its refresh token.
+ * req.user.permissions holds the permissions of the account's current role and
+ * req.user.roleLabel its label. While the account must change its password, only
+ * PASSWORD_CHANGE_ROUTES are allowed; other routes get 403 with mustChangePassword.
  */
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -102,33 +234,649 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ message: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err instanceof jwt.TokenExpiredError) {
+      return res.status(401).json({ message: 'Access token expired' });
+    }
     if (err) return res.status(403).json({ message: 'Invalid token' });
-    req.user = user;
-    next();
+
+    try {
+      if (user.jti && await sessionRepository.isAccessTokenRevoked(user.jti)) {
+        return res.status(401).json({ message: 'Access token has been revoked' });
+      }
+
+      const account = await userRepository.findByUsername(user.username);
+      if (!account || account.disabled) {
+        return res.status(401).json({ message: 'Account is disabled or no longer exists' });
+      }
+      if (isIssuedBeforeRevocation(user, account)) {
+        return res.status(401).json({ message: 'Access token has been revoked' });
+      }
+      if (account.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(req.path)) {
+        return res.status(403).json({ message: 'Please choose a new password first', mustChangePassword: true });
+      }
+
+      req.user = {
+        ...user,
+        role: account.role,
+        ...await getRoleGrants(account.role),
+        mustChangePassword: account.mustChangePassword
+      };
+      next();
+    } catch (error) {
+      console.error('Error checking account:', error);
+      res.status(500).json({ message: 'Error verifying token' });
+    }
   });
 };
 
 /**
- * Admin Authorization Middleware
- * Checks if authenticated user has admin role
+ * Permission Middleware
+ * Checks that the authenticated user's role grants every permission listed
+ * (see utils/permissions.js); use after authenticateToken
+ *
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} Express middleware
  */
-const isAdmin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (req.user && hasPermissions(req.user.permissions, permissions)) {
     next();
   } else {
-    res.status(403).json({ message: 'Admin access required' });
+    res.status(403).json({ message: `Permission required: ${permissions.join(', ')}` });
+  }
+};
+
+/**
+ * Starts a session: signs an access token and stores a new refresh token
+ *
+ * @param {string} username - Username
+ * @param {string} role - Role put in the access token
+ * @returns {Promise<Object>} { token, refreshToken, expiresIn } with expiresIn in seconds
+ */
+const issueTokens = async (username, role) => {
+  const token = jwt.sign(
+    { username, role, issuedAt: Date.now() },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: uuidv4() }
+  );
+  const refreshToken = generateRefreshToken();
+  await sessionRepository.create(username, hashToken(refreshToken), REFRESH_TOKEN_TTL_SECONDS);
+
+  return { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL_SECONDS };
+};
+
+/**
+ * Looks up the label of a role and the permissions it grants
+ *
+ * @param {string} role - Role name
+ * @returns {Promise<Object>} { roleLabel, permissions }; an unknown role is labelled
+ *   with its name and grants nothing
+ */
+const getRoleGrants = async (role) => {
+  const found = await roleRepository.findByName(role);
+  return found
+    ? { roleLabel: found.label, permissions: found.permissions }
+    : { roleLabel: role, permissions: [] };
+};
+
+/**
+ * Ends every session of a user: their refresh tokens are revoked and access
+ * tokens issued until now are refused
+ *
+ * @param {string} username - Username
+ */
+const revokeAllSessions = async (username) => {
+  await sessionRepository.revokeAll(username);
+  await userRepository.update(username, { tokensValidAfter: String(Date.now()) });
+};
+
+/**
+ * Adds a verified access token to the revocation list until it expires
+ *
+ * @param {Object} payload - Verified JWT payload
+ */
+const revokeAccessToken = async (payload) => {
+  if (payload.jti) {
+    await sessionRepository.revokeAccessToken(payload.jti, payload.exp - Math.floor(Date.now() / 1000));
+  }
+};
+
+/**
+ * Appends an entry to the audit log for a completed change
+ * Failures are logged rather than failing the request that made the change
+ *
+ * @param {Object} req - Express request; supplies the acting user and client IP
+ * @param {Object} entry - Options for buildAuditEntry (action, targetType, targetId, before, after)
+ */
+const recordAudit = async (req, entry) => {
+  try {
+    await client.xAdd(AUDIT_LOG_KEY, '*', buildAuditEntry({
+      actor: req.user?.username,
+      ip: req.ip,
+      ...entry
+    }));
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+/**
+ * Queues adding a resident to the secondary index sets for its field values
+ *
+ * @param {Object} tx - MULTI transaction the commands are added to
+ * @param {string} id - Resident ID
+ * @param {Object} resident - Resident hash
+ */
+const queueIndexResident = (tx, id, resident) => {
+  getIndexKeys(resident).forEach(key => tx.sAdd(key, id));
+
+  const searchEntries = getSearchEntries(id, resident);
+  if (searchEntries.length > 0) {
+    tx.zAdd(NAME_INDEX_KEY, searchEntries.map(value => ({ score: 0, value })));
+  }
+
+  if (resident.purok && resident.purok.trim()) {
+    tx.sAdd(PUROK_NAMES_KEY, resident.purok.trim());
+  }
+};
+
+/**
+ * Queues removing a resident from the secondary index sets of its previous field values
+ *
+ * @param {Object} tx - MULTI transaction the commands are added to
+ * @param {string} id - Resident ID
+ * @param {Object} resident - Resident hash as it was indexed
+ */
+const queueUnindexResident = (tx, id, resident) => {
+  const keys = new Set([...getIndexKeys(resident), ...getAgeBracketKeys()]);
+  keys.forEach(key => tx.sRem(key, id));
+
+  const searchEntries = getSearchEntries(id, resident);
+  if (searchEntries.length > 0) {
+    tx.zRem(NAME_INDEX_KEY, searchEntries);
+  }
+};
+
+/**
+ * Drops puroks nobody lives in anymore from the purok list
+ * Runs after a transaction commits, since it depends on the updated index sets
+ *
+ * @param {string[]} puroks - Puroks that may have lost their last resident
+ */
+const prunePurokNames = async (puroks) => {
+  for (const purok of puroks) {
+    if (!purok || !purok.trim()) continue;
+
+    const remaining = await client.sCard(indexKey('purok', purok));
+    if (remaining === 0) {
+      await client.sRem(PUROK_NAMES_KEY, purok.trim());
+    }
+  }
+};
+
+/**
+ * Queues applying field updates and an optional household change to a resident,
+ * moving its index entries and stats contribution along with the new values
+ *
+ * @param {Object} redisClient - Isolated client of the transaction; households are read and watched through it
+ * @param {Object} tx - MULTI transaction the commands are added to
+ * @param {string} id - Resident ID
+ * @param {Object} currentData - Resident hash before the update
+ * @param {Object} updates - Fields to overwrite
+ * @param {Object|null} household - { householdId, relationshipToHead } to move to (empty ID to leave), or null to keep
+ * @returns {Promise<Object>} Resident as it will be stored
+ */
+const queueResidentUpdate = async (redisClient, tx, id, currentData, updates, household) => {
+  const { age } = withCurrentAge({ ...currentData, ...updates });
+  if (age !== (currentData.age || '')) {
+    updates = { ...updates, age };
+  }
+
+  if (Object.keys(updates).length > 0) {
+    residentRepository.queueUpdate(tx, id, updates);
+  }
+
+  let householdFields = {};
+  if (household && household.householdId) {
+    householdFields = await queueAssignToHousehold(
+      redisClient, tx, id, household.householdId, household.relationshipToHead, currentData.householdId
+    );
+  } else if (household) {
+    await queueDetachFromHousehold(redisClient, tx, id, currentData.householdId);
+    householdFields = { householdId: '', householdNo: '', relationshipToHead: '' };
+    residentRepository.queueUpdate(tx, id, householdFields);
+  }
+
+  const updatedData = { ...currentData, ...updates, ...householdFields };
+
+  // Move the resident to the index sets and counters of its new field values
+  queueUnindexResident(tx, id, currentData);
+  queueIndexResident(tx, id, updatedData);
+  statsRepository.queueChange(tx, currentData, -1);
+  statsRepository.queueChange(tx, updatedData, 1);
+
+  return updatedData;
+};
+
+/**
+ * Queues recording a saved change in the resident's history
+ * Residents saved before history was kept first get their previous state
+ * recorded as the original version. The history is watched while it is checked,
+ * so two first edits at the same time cannot both record the original.
+ * Changes that leave every versioned field as it was are not recorded.
+ *
+ * @param {Object} redisClient - Isolated client of the transaction
+ * @param {Object} tx - MULTI transaction the commands are added to
+ * @param {string} id - Resident ID
+ * @param {Object} change - Options for createHistoryEntry (action, before, after, changedBy, revertedTo)
+ */
+const queueHistoryEntry = async (redisClient, tx, id, change) => {
+  const entry = createHistoryEntry({ ...change, changedAt: new Date().toISOString() });
+  if (change.action === 'create') {
+    tx.rPush(residentHistoryKey(id), JSON.stringify(entry));
+    return;
+  }
+  if (entry.changes.length === 0) return;
+
+  await redisClient.watch(residentHistoryKey(id));
+  if (await redisClient.lLen(residentHistoryKey(id)) === 0) {
+    tx.rPush(residentHistoryKey(id), JSON.stringify(createHistoryEntry({
+      action: 'original',
+      before: {},
+      after: change.before
+    })));
+  }
+  tx.rPush(residentHistoryKey(id), JSON.stringify(entry));
+};
+
+/**
+ * Runs a read-then-write with the given keys watched
+ * fn reads through the client it is given and queues its writes on that
+ * client's MULTI; it may watch more keys before reading them. When another
+ * request changes a watched key before the MULTI runs, it is aborted and fn
+ * runs again on the new values, so indexes and counters are never moved from
+ * a stale copy.
+ *
+ * @param {string[]} keys - Keys to watch
+ * @param {Function} fn - Receives the isolated client
+ * @returns {Promise<*>} What fn resolves to
+ */
+const withWatchedKeys = async (keys, fn) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await client.executeIsolated(async (isolatedClient) => {
+        await isolatedClient.watch(keys);
+        try {
+          return await fn(isolatedClient);
+        } finally {
+          await isolatedClient.unwatch();
+        }
+      });
+    } catch (error) {
+      if (!(error instanceof WatchError) || attempt >= RESIDENT_WRITE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Runs a read-then-write on residents with their hashes watched (see withWatchedKeys)
+ *
+ * @param {string[]} ids - Residents to watch
+ * @param {Function} fn - Receives the isolated client
+ * @returns {Promise<*>} What fn resolves to
+ */
+const withWatchedResidents = (ids, fn) => withWatchedKeys(ids.map(residentKey), fn);
+
+/**
+ * Builds the secondary indexes from existing resident hashes
+ * Runs when the stored index version differs from INDEX_VERSION; afterwards
+ * the indexes are kept current by the resident routes
+ */
+const ensureResidentIndexes = async () => {
+  const builtVersion = await client.get(INDEX_BUILT_KEY);
+  if (builtVersion === String(INDEX_VERSION)) return;
+
+  console.log('Building resident indexes...');
+
+  const staleKeys = await client.keys(`${INDEX_PREFIX}:*`);
+  if (staleKeys.length > 0) {
+    await client.del(staleKeys);
+  }
+
+  const residentIds = await residentRepository.listIds();
+  for (const id of residentIds) {
+    const resident = await residentRepository.findById(id);
+    if (resident) {
+      const tx = client.multi();
+      queueIndexResident(tx, id, resident);
+      await tx.exec();
+    }
+  }
+
+  await client.set(INDEX_BUILT_KEY, String(INDEX_VERSION));
+  console.log(`Indexed ${residentIds.length} residents`);
+};
+
+/**
+ * Recomputes the stats hash from the stored residents
+ * The stats key is watched while residents are read: every resident write
+ * changes it, so a write in between aborts the rewrite and it is retried
+ *
+ * @returns {Promise<{changes: Array, stats: Object}>} Corrected counters and the recomputed stats
+ */
+const reconcileStats = async () => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await client.executeIsolated(async (isolatedClient) => {
+        const isolatedStats = createStatsRepository(isolatedClient);
+        await isolatedClient.watch(STATS_KEY);
+
+        const current = await isolatedStats.get();
+        const residents = await createResidentRepository(isolatedClient).findAll();
+        const stats = computeStats(residents);
+        const changes = diffStats(current, stats);
+
+        if (changes.length === 0) {
+          await isolatedClient.unwatch();
+          return { changes, stats };
+        }
+
+        const tx = isolatedClient.multi();
+        isolatedStats.queueReplace(tx, stats);
+        await tx.exec();
+        return { changes, stats };
+      });
+    } catch (error) {
+      if (!(error instanceof WatchError) || attempt >= STATS_RECONCILE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Runs reconcileStats now and then every STATS_RECONCILE_INTERVAL_MINUTES (default 60, 0 disables)
+ * Corrections are logged so drift can be traced back to its cause
+ */
+const scheduleStatsReconciliation = () => {
+  const minutes = parseInt(process.env.STATS_RECONCILE_INTERVAL_MINUTES ?? '60', 10);
+  if (!(minutes > 0)) return;
+
+  const run = async () => {
+    try {
+      const { changes } = await reconcileStats();
+      if (changes.length > 0) {
+        console.log('Stats reconciliation corrected:',
+          changes.map(({ field, before, after }) => `${field} ${before} -> ${after}`).join(', '));
+      }
+    } catch (error) {
+      console.error('Error reconciling stats:', error);
+    }
+  };
+
+  run();
+  setInterval(run, minutes * 60 * 1000).unref();
+};
+
+/**
+ * Brings stored ages and age bracket indexes up to date
+ * Ages change on birthdays without any write to the resident. Each outdated
+ * resident is watched while it is rewritten; one changed by a request in the
+ * meantime already got its current age from that write and is skipped.
+ *
+ * @returns {Promise<number>} Number of residents whose age was updated
+ */
+const recomputeResidentAges = async () => {
+  const residents = await residentRepository.findAll();
+  let updated = 0;
+
+  for (const resident of residents) {
+    if (withCurrentAge(resident).age === (resident.age || '')) continue;
+
+    try {
+      await client.executeIsolated(async (isolatedClient) => {
+        const isolatedResidents = createResidentRepository(isolatedClient);
+        await isolatedClient.watch(residentKey(resident.id));
+
+        const current = await isolatedResidents.findById(resident.id);
+        if (!current) {
+          await isolatedClient.unwatch();
+          return;
+        }
+
+        // Re-index so the resident moves to the bracket of their new age
+        const tx = isolatedClient.multi();
+        isolatedResidents.queueUpdate(tx, resident.id, { age: withCurrentAge(current).age });
+        queueUnindexResident(tx, resident.id, current);
+        queueIndexResident(tx, resident.id, current);
+        await tx.exec();
+        updated++;
+      });
+    } catch (error) {
+      if (!(error instanceof WatchError)) {
+        throw error;
+      }
+    }
+  }
+
+  return updated;
+};
+
+/**
+ * Runs recomputeResidentAges now and then daily, just after midnight server time
+ */
+const scheduleAgeRecompute = () => {
+  const run = async () => {
+    try {
+      const updated = await recomputeResidentAges();
+      if (updated > 0) {
+        console.log(`Updated the age of ${updated} residents`);
+      }
+    } catch (error) {
+      console.error('Error recomputing resident ages:', error);
+    }
+  };
+
+  const scheduleNext = () => {
+    const nextRun = new Date();
+    nextRun.setHours(24, 0, 5, 0);
+    setTimeout(async () => {
+      await run();
+      scheduleNext();
+    }, nextRun - Date.now()).unref();
+  };
+
+  run();
+  scheduleNext();
+};
+
+/**
+ * Looks up the residents whose name tokens start with a prefix
+ *
+ * @param {string} prefix - Folded name token or prefix
+ * @returns {Promise<Array<{id: string, token: string}>>} Matching index entries
+ */
+const findNameEntries = async (prefix) => {
+  const members = await client.zRangeByLex(NAME_INDEX_KEY, `[${prefix}`, `[${prefix}\xff`);
+  return members.map(member => {
+    const separator = member.lastIndexOf(':');
+    return { token: member.slice(0, separator), id: member.slice(separator + 1) };
+  });
+};
+
+/**
+ * Finds residents whose names match every word of a search text
+ * Each word matches a name that starts with it (exact words rank highest);
+ * words with no prefix match fall back to names within one typo
+ *
+ * @param {string} text - Search text
+ * @returns {Promise<Map<string, number>>} Resident ID to relevance score
+ */
+const searchResidentIds = async (text) => {
+  let scores = null;
+
+  for (const alternatives of parseSearchQuery(text)) {
+    const wordScores = new Map();
+    const addMatch = (id, score) => wordScores.set(id, Math.max(wordScores.get(id) || 0, score));
+
+    for (const token of alternatives) {
+      (await findNameEntries(token)).forEach(entry => addMatch(entry.id, entry.token === token ? 3 : 2));
+    }
+
+    if (wordScores.size === 0) {
+      for (const token of alternatives.filter(t => t.length >= 4)) {
+        (await findNameEntries(token[0]))
+          .filter(entry => isNearMatch(token, entry.token))
+          .forEach(entry => addMatch(entry.id, 1));
+      }
+    }
+
+    if (scores === null) {
+      scores = wordScores;
+    } else {
+      const combined = new Map();
+      wordScores.forEach((score, id) => {
+        if (scores.has(id)) combined.set(id, scores.get(id) + score);
+      });
+      scores = combined;
+    }
+
+    if (scores.size === 0) break;
+  }
+
+  return scores || new Map();
+};
+
+/**
+ * Finds stored residents that look like the same person as the given data
+ * Candidates are residents sharing the last name (typos allowed) and, when a
+ * household is given, the members of that household
+ *
+ * @param {Object} resident - Resident data being checked
+ * @param {string} [excludeId] - Resident to leave out, e.g. the one being edited
+ * @returns {Promise<Object[]>} Matching residents with a `duplicateReason`
+ */
+const findDuplicateResidents = async (resident, excludeId) => {
+  const candidateIds = new Set();
+
+  if (resident.lastName && String(resident.lastName).trim()) {
+    (await searchResidentIds(resident.lastName)).forEach((score, id) => candidateIds.add(id));
+  }
+  if (resident.householdId) {
+    (await client.sMembers(`household:${resident.householdId}:members`)).forEach(id => candidateIds.add(id));
+  }
+  candidateIds.delete(excludeId);
+
+  return (await residentRepository.findByIds([...candidateIds]))
+    .map(existing => ({ ...existing, duplicateReason: getDuplicateReason(resident, existing) }))
+    .filter(existing => existing.duplicateReason);
+};
+
+// Allowed values for a household member's relationship to the household head
+const RELATIONSHIPS_TO_HEAD = [
+  'Head', 'Spouse', 'Son', 'Daughter', 'Father', 'Mother', 'Brother', 'Sister',
+  'Grandchild', 'Grandparent', 'Other Relative', 'Non-relative'
+];
+
+/**
+ * Queues removing a resident from a household's member set
+ * Clears the household head if the resident was the designated head. The
+ * household is watched while its head is read.
+ *
+ * @param {Object} redisClient - Isolated client of the transaction
+ * @param {Object} tx - MULTI transaction the commands are added to
+ * @param {string} residentId - Resident to detach
+ * @param {string} householdId - Household the resident currently belongs to
+ */
+const queueDetachFromHousehold = async (redisClient, tx, residentId, householdId) => {
+  if (!householdId) return;
+
+  await redisClient.watch(`household:${householdId}`);
+  const headId = await redisClient.hGet(`household:${householdId}`, 'headId');
+
+  tx.sRem(`household:${householdId}:members`, residentId);
+  if (headId === residentId) {
+    tx.hSet(`household:${householdId}`, 'headId', '');
+  }
+};
+
+/**
+ * Queues placing a resident in a household, moving them out of their previous one
+ * Keeps the resident's householdNo in sync with the household record. The
+ * household is watched, so a household deleted or renumbered meanwhile aborts the transaction.
+ *
+ * @param {Object} redisClient - Isolated client of the transaction
+ * @param {Object} tx - MULTI transaction the commands are added to
+ * @param {string} residentId - Resident to assign
+ * @param {string} householdId - Target household
+ * @param {string} relationshipToHead - One of RELATIONSHIPS_TO_HEAD
+ * @param {string} [previousHouseholdId] - Household the resident is leaving
+ * @returns {Promise<Object>} Household fields written to the resident hash
+ */
+const queueAssignToHousehold = async (redisClient, tx, residentId, householdId, relationshipToHead, previousHouseholdId) => {
+  if (previousHouseholdId && previousHouseholdId !== householdId) {
+    await queueDetachFromHousehold(redisClient, tx, residentId, previousHouseholdId);
+  }
+
+  await redisClient.watch(`household:${householdId}`);
+  const householdNo = await redisClient.hGet(`household:${householdId}`, 'householdNo');
+  const householdFields = {
+    householdId,
+    householdNo: householdNo || '',
+    relationshipToHead: relationshipToHead || ''
+  };
+
+  tx.sAdd(`household:${householdId}:members`, residentId);
+  residentRepository.queueUpdate(tx, residentId, householdFields);
+
+  if (relationshipToHead === 'Head') {
+    tx.hSet(`household:${householdId}`, 'headId', residentId);
   }
+
+  return householdFields;
+};
+
+/**
+ * Checks whether a resident can join a household with the given relationship
+ * The household is watched while it is checked, so two residents assigned as
+ * head at the same time, or a household deleted meanwhile, abort the transaction.
+ *
+ * @param {Object} redisClient - Isolated client of the transaction
+ * @param {string} householdId - Target household
+ * @param {string} residentId - Resident being assigned (empty for a new resident)
+ * @param {string} relationshipToHead - Requested relationship
+ * @returns {Promise<Object|null>} { status, message } describing the problem, or null if valid
+ */
+const validateHouseholdAssignment = async (redisClient, householdId, residentId, relationshipToHead) => {
+  await redisClient.watch(['households', `household:${householdId}`]);
+  const householdExists = await redisClient.sIsMember('households', householdId);
+  if (!householdExists) {
+    return { status: 404, message: 'Household not found' };
+  }
+
+  if (relationshipToHead && !RELATIONSHIPS_TO_HEAD.includes(relationshipToHead)) {
+    return { status: 400, message: 'Invalid relationship to household head' };
+  }
+
+  if (relationshipToHead === 'Head') {
+    const headId = await redisClient.hGet(`household:${householdId}`, 'headId');
+    if (headId && headId !== residentId) {
+      return { status: 409, message: 'Household already has a head' };
+    }
+  }
+
+  return null;
 };
 
 // Configure multer for storing resident profile images
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const uploadDir = 'uploads/profiles';
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+    if (!fs.existsSync(PROFILE_IMAGE_DIR)) {
+      fs.mkdirSync(PROFILE_IMAGE_DIR, { recursive: true });
     }
-    cb(null, uploadDir);
+    cb(null, PROFILE_IMAGE_DIR);
   },
   filename: function (req, file, cb) {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -151,80 +899,70 @@ const upload = multer({
   }
 });
 
+// Resident and student imports are read from memory; they are never kept on disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+/**
+ * Removes an uploaded profile image when its request is rejected
+ *
+ * @param {Object} req - Express request that may carry a multer file
+ */
+const discardUpload = (req) => {
+  if (req.file) {
+    fs.unlink(req.file.path, () => {});
+  }
+};
+
 // Serve static files from uploads directory
 app.use('/uploads', express.static('uploads'));
 
 // CRUD Operations
 
+/**
+ * Collects the student IDs (school ID numbers) already in use
+ *
+ * @returns {Promise<Set<string>>} Student IDs
+ */
+const getStudentIds = async () => new Set((await studentRepository.findAll()).map(student => student.studentId));
+
 /**
  * Create Student
  * POST /students
- * Protected: Requires admin authentication
+ * Protected: Requires the students:write permission
  */
-app.post('/students', authenticateToken, isAdmin, async (req, res) => {
-  const { 
-    firstName, lastName, age, address, 
-    studentId, course, yearLevel, section, major 
-  } = req.body;
-
-  // Validate input fields
-  if (!firstName || !lastName || !studentId) {
-    return res.status(400).json({ message: 'All fields are required' });
-  }
-
-  // Validate studentId (numbers only)
-  if (!/^\d+$/.test(studentId)) {
-    return res.status(400).json({ message: 'Student ID must contain only numbers' });
-  }
-
-  // Validate age if provided
-  if (age) {
-    const ageNum = parseInt(age);
-    if (isNaN(ageNum) || ageNum < 16 || ageNum > 100) {
-      return res.status(400).json({ message: 'Age must be between 16 and 100' });
-    }
+app.post('/students', authenticateToken, requirePermission('students:write'), async (req, res) => {
+  const { values: student, errors } = validateStudent(req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ message: Object.values(errors)[0], errors });
   }
 
-  const id = Date.now().toString();
+  const id = uuidv4();
 
   try {
     // Check if student ID already exists
-    const existingStudents = await client.keys('student:*');
-    for (const key of existingStudents) {
-      const student = await client.hGetAll(key);
-      if (student.studentId === studentId) {
-        return res.status(400).json({ message: 'Student ID already exists' });
-      }
+    if ((await getStudentIds()).has(student.studentId)) {
+      const message = 'Student ID already exists';
+      return res.status(400).json({ message, errors: { studentId: message } });
     }
 
-    // Save student data in Redis hash using multiple hSet commands
-    await Promise.all([
-      client.hSet(`student:${id}`, 'firstName', firstName),
-      client.hSet(`student:${id}`, 'lastName', lastName),
-      client.hSet(`student:${id}`, 'age', age?.toString() || ''),
-      client.hSet(`student:${id}`, 'address', address || ''),
-      client.hSet(`student:${id}`, 'studentId', studentId),
-      client.hSet(`student:${id}`, 'course', course || ''),
-      client.hSet(`student:${id}`, 'yearLevel', yearLevel || ''),
-      client.hSet(`student:${id}`, 'section', section || ''),
-      client.hSet(`student:${id}`, 'major', major || '')
-    ]);
+    await studentRepository.create(id, student);
+
+    await recordAudit(req, {
+      action: 'student.create',
+      targetType: 'student',
+      targetId: id,
+      after: student
+    });
 
     // Respond with success message
     res.status(201).json({ 
       message: 'Student saved successfully',
-      student: { 
-        id,
-        firstName,
-        lastName,
-        age: age?.toString() || '',
-        address: address || '',
-        studentId,
-        course: course || '',
-        yearLevel: yearLevel || '',
-        section: section || '',
-        major: major || ''
-      }
+      student: { id, ...student }
     });
   } catch (error) {
     console.error('Error saving student:', error);
@@ -235,12 +973,12 @@ app.post('/students', authenticateToken, isAdmin, async (req, res) => {
 /**
  * Get Student by ID
  * GET /students/:id
- * Public access
+ * Protected: Requires the students:read permission
  */
-app.get('/students/:id', async (req, res) => {
+app.get('/students/:id', authenticateToken, requirePermission('students:read'), async (req, res) => {
   const id = req.params.id;
-  const student = await client.hGetAll(`student:${id}`);
-  if (Object.keys(student).length === 0) {
+  const student = await studentRepository.findById(id);
+  if (!student) {
     return res.status(404).json({ message: 'Student not found' });
   }
   res.json(student);
@@ -249,39 +987,24 @@ app.get('/students/:id', async (req, res) => {
 /**
  * Get All Students
  * GET /students
- * Public access
+ * Protected: Requires the students:read permission
  */
-app.get('/students', async (req, res) => {
+app.get('/students', authenticateToken, requirePermission('students:read'), async (req, res) => {
   try {
-    const keys = await client.keys('student:*');
-    if (!keys || keys.length === 0) {
-      return res.status(200).json({ data: [] });
-    }
-
-    const students = await Promise.all(keys.map(async (key) => {
-      try {
-        const studentData = await client.hGetAll(key);
-        return {
-          id: key.split(':')[1],
-          ...studentData,
-          firstName: studentData.firstName || '',
-          lastName: studentData.lastName || '',
-          age: studentData.age || '',
-          address: studentData.address || '',
-          studentId: studentData.studentId || '',
-          course: studentData.course || '',
-          yearLevel: studentData.yearLevel || '',
-          section: studentData.section || '',
-          major: studentData.major || ''
-        };
-      } catch (err) {
-        console.error(`Error fetching student ${key}:`, err);
-        return null;
-      }
+    const students = (await studentRepository.findAll()).map(studentData => ({
+      ...studentData,
+      firstName: studentData.firstName || '',
+      lastName: studentData.lastName || '',
+      age: studentData.age || '',
+      address: studentData.address || '',
+      studentId: studentData.studentId || '',
+      course: studentData.course || '',
+      yearLevel: studentData.yearLevel || '',
+      section: studentData.section || '',
+      major: studentData.major || ''
     }));
 
-    const validStudents = students.filter(student => student !== null);
-    res.status(200).json({ data: validStudents });
+    res.status(200).json({ data: students });
   } catch (error) {
     console.error('Error fetching students:', error);
     res.status(500).json({ message: 'Error fetching students' });
@@ -291,56 +1014,52 @@ app.get('/students', async (req, res) => {
 /**
  * Update Student
  * PUT /students/:id
- * Protected: Requires admin authentication
+ * Protected: Requires the students:write permission
+ *
+ * Only the fields sent are changed, and an empty value clears an optional field.
+ * They are checked like POST /students; a changed student ID must not belong to
+ * another student.
  */
-app.put('/students/:id', authenticateToken, isAdmin, async (req, res) => {
+app.put('/students/:id', authenticateToken, requirePermission('students:write'), async (req, res) => {
   const id = req.params.id;
-  const { 
-    firstName, lastName, age, address,
-    studentId, course, yearLevel, section, major 
-  } = req.body;
+  const fields = Object.keys(STUDENT_FIELDS).filter(field => req.body[field] !== undefined);
 
-  if (!firstName && !lastName && !age && !address && 
-      !studentId && !course && !yearLevel && !section && !major) {
+  if (fields.length === 0) {
     return res.status(400).json({ message: 'At least one field is required to update' });
   }
 
-  // Validate studentId if provided (numbers only)
-  if (studentId && !/^\d+$/.test(studentId)) {
-    return res.status(400).json({ message: 'Student ID must contain only numbers' });
-  }
-
-  // Validate age if provided
-  if (age) {
-    const ageNum = parseInt(age);
-    if (isNaN(ageNum) || ageNum < 16 || ageNum > 100) {
-      return res.status(400).json({ message: 'Age must be between 16 and 100' });
-    }
-  }
-
   try {
-    const existingStudent = await client.hGetAll(`student:${id}`);
-    if (Object.keys(existingStudent).length === 0) {
+    const existingStudent = await studentRepository.findById(id);
+    if (!existingStudent) {
       return res.status(404).json({ message: 'Student not found' });
     }
 
-    // Update student data in Redis using individual hSet commands
-    const updatePromises = [];
-    if (firstName) updatePromises.push(client.hSet(`student:${id}`, 'firstName', firstName));
-    if (lastName) updatePromises.push(client.hSet(`student:${id}`, 'lastName', lastName));
-    if (age) updatePromises.push(client.hSet(`student:${id}`, 'age', age.toString()));
-    if (address) updatePromises.push(client.hSet(`student:${id}`, 'address', address));
-    if (studentId) updatePromises.push(client.hSet(`student:${id}`, 'studentId', studentId));
-    if (course) updatePromises.push(client.hSet(`student:${id}`, 'course', course));
-    if (yearLevel) updatePromises.push(client.hSet(`student:${id}`, 'yearLevel', yearLevel));
-    if (section) updatePromises.push(client.hSet(`student:${id}`, 'section', section));
-    if (major) updatePromises.push(client.hSet(`student:${id}`, 'major', major));
-    
-    if (updatePromises.length > 0) {
-      await Promise.all(updatePromises);
+    // Fields that were not sent are left as they are, even if stored before these rules
+    const { values, errors: allErrors } = validateStudent({ ...existingStudent, ...req.body });
+    const errors = Object.fromEntries(Object.entries(allErrors).filter(([field]) => fields.includes(field)));
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
     }
 
-    const updatedStudent = await client.hGetAll(`student:${id}`);
+    if (values.studentId !== existingStudent.studentId) {
+      const students = await studentRepository.findAll();
+      if (students.some(student => student.id !== id && student.studentId === values.studentId)) {
+        const message = 'Student ID already exists';
+        return res.status(400).json({ message, errors: { studentId: message } });
+      }
+    }
+
+    await studentRepository.update(id, Object.fromEntries(fields.map(field => [field, values[field]])));
+
+    const updatedStudent = await studentRepository.findById(id);
+    await recordAudit(req, {
+      action: 'student.update',
+      targetType: 'student',
+      targetId: id,
+      before: existingStudent,
+      after: updatedStudent
+    });
+
     res.json({ 
       message: 'Student updated successfully',
       student: { id, ...updatedStudent }
@@ -354,17 +1073,20 @@ app.put('/students/:id', authenticateToken, isAdmin, async (req, res) => {
 /**
  * Delete All Students
  * DELETE /students/all
- * Protected: Requires admin authentication
+ * Protected: Requires the students:delete permission
  */
-app.delete('/students/all', authenticateToken, isAdmin, async (req, res) => {
+app.delete('/students/all', authenticateToken, requirePermission('students:delete'), async (req, res) => {
   try {
-    const keys = await client.keys('student:*');
-    if (keys.length === 0) {
+    const removed = await studentRepository.removeAll();
+    if (removed === 0) {
       return res.status(404).json({ message: 'No students found' });
     }
 
-    // Delete all student records
-    await Promise.all(keys.map(key => client.del(key)));
+    await recordAudit(req, {
+      action: 'student.deleteAll',
+      targetType: 'student',
+      before: { count: removed }
+    });
 
     res.json({ message: 'All student records deleted successfully' });
   } catch (error) {
@@ -376,56 +1098,209 @@ app.delete('/students/all', authenticateToken, isAdmin, async (req, res) => {
 /**
  * Delete Student
  * DELETE /students/:id
- * Protected: Requires admin authentication
+ * Protected: Requires the students:delete permission
  */
-app.delete('/students/:id', authenticateToken, isAdmin, async (req, res) => {
+app.delete('/students/:id', authenticateToken, requirePermission('students:delete'), async (req, res) => {
   const id = req.params.id;
-  await client.del(`student:${id}`);
+  const student = await studentRepository.findById(id);
+  await studentRepository.remove(id);
+
+  if (student) {
+    await recordAudit(req, {
+      action: 'student.delete',
+      targetType: 'student',
+      targetId: id,
+      before: student
+    });
+  }
   res.status(200).json({ message: 'Student deleted successfully' });
 });
 
+/**
+ * Export Students to Excel
+ * GET /students/export/xlsx
+ * Protected: Requires the students:read and export permissions
+ */
+app.get('/students/export/xlsx', authenticateToken, requirePermission('students:read', 'export'), async (req, res) => {
+  try {
+    const file = await encodeWorkbook(buildStudentWorkbook(await studentRepository.findAll()));
+
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', 'attachment; filename=students.xlsx');
+    res.send(file);
+  } catch (error) {
+    console.error('Error exporting students to Excel:', error);
+    res.status(500).json({ message: 'Error exporting students' });
+  }
+});
+
+/**
+ * Import Students
+ * POST /students/import
+ * Protected: Requires the students:write and import permissions
+ *
+ * Multipart form with an XLSX (first sheet) or CSV `file` laid out like
+ * GET /students/export/xlsx. Rows are checked like POST /students, and student
+ * IDs must not be in use or repeated. `dryRun` defaults to true and only returns
+ * the report { total, valid, errors: [{ row, field, message }] }; send
+ * dryRun=false to save every row in one transaction, which requires that no row
+ * has errors.
+ */
+app.post('/students/import', authenticateToken, requirePermission('students:write', 'import'), importUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'XLSX or CSV file is required' });
+    }
+
+    let sheet;
+    try {
+      [sheet] = await readUploadedSheets(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (!sheet) {
+      return res.status(400).json({ message: 'File has no header row' });
+    }
+
+    const { columns, missing } = matchStudentColumns(sheet.records[0]);
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `File has no column for ${missing.join(', ')}` });
+    }
+
+    const seenIds = new Map([...await getStudentIds()].map(studentId => [studentId, 'an existing student']));
+    const rows = readStudentRows(sheet.records, columns, seenIds);
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Import at most ${MAX_IMPORT_ROWS} students at a time` });
+    }
+
+    const dryRun = String(req.body.dryRun) !== 'false';
+    const report = {
+      dryRun,
+      total: rows.length,
+      valid: rows.filter(row => Object.keys(row.errors).length === 0).length,
+      errors: rows.flatMap(row =>
+        Object.entries(row.errors).map(([field, message]) => ({ row: row.row, field, message }))
+      )
+    };
+
+    if (dryRun) {
+      return res.json({ message: `${report.valid} of ${report.total} rows are ready to import`, ...report });
+    }
+    if (report.errors.length > 0) {
+      return res.status(400).json({ message: 'Fix the rows with errors before importing; nothing was imported', ...report });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'There are no rows to import', ...report });
+    }
+
+    const tx = client.multi();
+    rows.forEach(row => studentRepository.queueCreate(tx, uuidv4(), row.values));
+    await tx.exec();
+
+    await recordAudit(req, {
+      action: 'student.import',
+      targetType: 'student',
+      after: { file: req.file.originalname, imported: rows.length }
+    });
+
+    res.status(201).json({
+      message: `Imported ${rows.length} student${rows.length === 1 ? '' : 's'}`,
+      ...report,
+      imported: rows.length
+    });
+  } catch (error) {
+    console.error('Error importing students:', error);
+    res.status(500).json({ message: 'Error importing students' });
+  }
+});
+
 /**
  * Create Resident
  * POST /residents
- * Protected: Requires admin authentication
+ * Protected: Requires the residents:write permission
+ *
+ * Fields are checked against the resident schema (utils/residentSchema); invalid
+ * fields are answered with 400 and { errors: { field: message } }.
+ * Responds 409 with the matching residents when the new resident looks like a
+ * duplicate; send allowDuplicate=true to save anyway.
  */
-app.post('/residents', authenticateToken, isAdmin, upload.single('profileImage'), async (req, res) => {
+app.post('/residents', authenticateToken, requirePermission('residents:write'), upload.single('profileImage'), async (req, res) => {
   try {
     const id = uuidv4();
-    const residentData = req.body;
+    const { householdId, relationshipToHead, allowDuplicate, ...body } = req.body;
+
+    const { values: residentData, errors } = validateResident(body);
+    if (Object.keys(errors).length > 0) {
+      discardUpload(req);
+      return res.status(400).json({ message: 'Please correct the highlighted fields', errors });
+    }
+
+    residentData.age = withCurrentAge(residentData).age;
 
     // Save the image path if an image was uploaded
     if (req.file) {
       residentData.profileImage = req.file.path.replace(/\\/g, '/');
     }
 
-    // Add resident to the set of all residents
-    await client.sAdd('residents', id);
+    // The household is watched from its check to the write
+    const result = await withWatchedResidents([id], async (isolatedClient) => {
+      // Validate household membership before anything is written
+      if (householdId) {
+        const householdError = await validateHouseholdAssignment(isolatedClient, householdId, null, relationshipToHead);
+        if (householdError) {
+          return { error: householdError };
+        }
+      }
 
-    // Save resident data
-    const savePromises = Object.entries(residentData).map(([key, value]) => {
-      return client.hSet(`resident:${id}`, key, value);
-    });
+      // Refuse likely duplicates unless the user has confirmed this is a different person
+      if (String(allowDuplicate) !== 'true') {
+        const duplicates = await findDuplicateResidents({ ...residentData, householdId });
+        if (duplicates.length > 0) {
+          return { error: { status: 409, message: 'Possible duplicate resident found', duplicates } };
+        }
+      }
 
-    await Promise.all(savePromises);
+      // Save the resident, household link, indexes and counters in one transaction
+      const tx = isolatedClient.multi();
+      residentRepository.queueCreate(tx, id, residentData);
 
-    // Update statistics
-    await client.hIncrBy('stats', 'totalResidents', 1);
-    
-    // Update voter statistics based on status
-    if (residentData.votersStatus?.toLowerCase() === 'registered') {
-      await client.hIncrBy('stats', 'totalVoters', 1);
-    }
-    
-    // Update purok statistics if available
-    if (residentData.purok) {
-      await client.hIncrBy('stats', `residents:${residentData.purok}`, 1);
+      let savedResident = { ...residentData };
+      if (householdId) {
+        const householdFields = await queueAssignToHousehold(isolatedClient, tx, id, householdId, relationshipToHead);
+        savedResident = { ...savedResident, ...householdFields };
+      }
+
+      queueIndexResident(tx, id, savedResident);
+      statsRepository.queueChange(tx, savedResident, 1);
+      await queueHistoryEntry(isolatedClient, tx, id, {
+        action: 'create',
+        before: {},
+        after: savedResident,
+        changedBy: req.user.username
+      });
+      await tx.exec();
+
+      return { savedResident };
+    });
+
+    if (result.error) {
+      discardUpload(req);
+      const { status, ...error } = result.error;
+      return res.status(status).json(error);
     }
+    const { savedResident } = result;
+
+    await recordAudit(req, {
+      action: 'resident.create',
+      targetType: 'resident',
+      targetId: id,
+      after: savedResident
+    });
 
     res.status(201).json({
       message: 'Resident added successfully',
       id,
-      ...residentData
+      ...savedResident
     });
   } catch (error) {
     console.error('Error adding resident:', error);
@@ -434,286 +1309,1939 @@ app.post('/residents', authenticateToken, isAdmin, upload.single('profileImage')
 });
 
 /**
- * Get All Residents
- * GET /residents
- * Protected: Requires authentication
+ * @param {Object} row - Imported row
+ * @returns {string} Where the row is, e.g. "row 4" or "row 4 of Purok 2"
  */
-app.get('/residents', authenticateToken, async (req, res) => {
-  try {
-    const residents = [];
-    const residentIds = await client.sMembers('residents');
-    
-    for (const id of residentIds) {
-      const resident = await client.hGetAll(`resident:${id}`);
-      if (resident && Object.keys(resident).length > 0) {
-        residents.push({ id, ...resident });
-      }
-    }
-    
-    res.json(residents);
-  } catch (error) {
-    console.error('Error fetching residents:', error);
-    res.status(500).json({ message: 'Error fetching residents' });
-  }
-});
+const describeImportRow = (row) => (row.sheet ? `row ${row.row} of ${row.sheet}` : `row ${row.row}`);
 
 /**
- * Get Resident by ID
- * GET /residents/:id
- * Protected: Requires authentication
+ * Checks the rows of a resident import against the stored data: household
+ * numbers must exist, a household gets at most one head, and rows that look
+ * like an existing resident or an earlier row are reported as duplicates
+ *
+ * @param {Object[]} rows - Output of readImportRows with their sheet name; errors are added in place
+ * @returns {Promise<Object[]>} { sheet, row, name, reason, matches, duplicateOfSheet, duplicateOfRow }
+ *   per likely duplicate row
  */
-app.get('/residents/:id', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const resident = await client.hGetAll(`resident:${id}`);
-    
-    if (!resident || Object.keys(resident).length === 0) {
-      return res.status(404).json({ message: 'Resident not found' });
+const checkImportRows = async (rows) => {
+  const householdIds = new Map();
+  const headRows = new Map();
+  const accepted = [];
+  const duplicates = [];
+
+  for (const row of rows) {
+    if (row.householdNo) {
+      if (!householdIds.has(row.householdNo)) {
+        householdIds.set(row.householdNo, await client.hGet('households:byNumber', row.householdNo));
+      }
+      row.householdId = householdIds.get(row.householdNo);
+      if (!row.householdId) {
+        row.errors.householdNo = `Household ${row.householdNo} not found`;
+      }
     }
-    
-    res.json({ id, ...resident });
-  } catch (error) {
-    console.error('Error fetching resident:', error);
-    res.status(500).json({ message: 'Error fetching resident' });
+
+    if (row.relationshipToHead) {
+      const relationship = RELATIONSHIPS_TO_HEAD.find(option => option.toLowerCase() === row.relationshipToHead.toLowerCase());
+      if (!relationship) {
+        row.errors.relationshipToHead = `Relationship to head must be one of: ${RELATIONSHIPS_TO_HEAD.join(', ')}`;
+      } else if (!row.householdNo) {
+        row.errors.relationshipToHead = 'Relationship to head needs a household number';
+      } else {
+        row.relationshipToHead = relationship;
+      }
+    }
+
+    if (row.householdId && row.relationshipToHead === 'Head') {
+      if (headRows.has(row.householdId)) {
+        row.errors.relationshipToHead = `Household ${row.householdNo} already has a head in ${headRows.get(row.householdId)}`;
+      } else if (await client.hGet(`household:${row.householdId}`, 'headId')) {
+        row.errors.relationshipToHead = `Household ${row.householdNo} already has a head`;
+      } else {
+        headRows.set(row.householdId, describeImportRow(row));
+      }
+    }
+
+    if (Object.keys(row.errors).length > 0) continue;
+
+    const candidate = { ...row.values, householdId: row.householdId };
+    const name = `${row.values.firstName} ${row.values.lastName}`;
+    const matches = await findDuplicateResidents(candidate);
+    const earlier = accepted.find(other => getDuplicateReason(candidate, { ...other.values, householdId: other.householdId }));
+
+    if (matches.length > 0) {
+      duplicates.push({
+        sheet: row.sheet,
+        row: row.row,
+        name,
+        reason: matches[0].duplicateReason,
+        matches: matches.map(match => ({ id: match.id, name: `${match.firstName} ${match.lastName}` }))
+      });
+      row.duplicate = true;
+    } else if (earlier) {
+      duplicates.push({
+        sheet: row.sheet,
+        row: row.row,
+        name,
+        reason: getDuplicateReason(candidate, { ...earlier.values, householdId: earlier.householdId }),
+        matches: [],
+        duplicateOfSheet: earlier.sheet,
+        duplicateOfRow: earlier.row
+      });
+      row.duplicate = true;
+    }
+    accepted.push(row);
   }
-});
+
+  return duplicates;
+};
 
 /**
- * Update Resident
- * PUT /residents/:id
- * Protected: Requires admin authentication
+ * Import Residents
+ * POST /residents/import
+ * Protected: Requires the residents:write and import permissions
+ *
+ * Multipart form with a CSV or XLSX `file` laid out like GET /residents/export/csv.
+ * Workbooks are read sheet by sheet (skipping the export's summary sheet); all
+ * sheets must have the same headers.
+ * Optional fields:
+ * - mapping: JSON object from column header to resident field ('' skips the column);
+ *   defaults to a mapping guessed from the headers
+ * - dryRun: 'false' to import; anything else only returns the report
+ * - allowDuplicates: 'true' to also import rows that look like existing residents
+ *
+ * Every response carries the report: { headers, mapping, fields, mappingErrors,
+ * total, valid, errors: [{ sheet, row, field, message }], duplicates }. An import only
+ * runs when no row has errors, and saves every row in one transaction.
  */
-app.put('/residents/:id', authenticateToken, isAdmin, upload.single('profileImage'), async (req, res) => {
+app.post('/residents/import', authenticateToken, requirePermission('residents:write', 'import'), importUpload.single('file'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const updates = req.body;
-
-    // Check if resident exists
-    const exists = await client.sIsMember('residents', id);
-    if (!exists) {
-      return res.status(404).json({ message: 'Resident not found' });
+    if (!req.file) {
+      return res.status(400).json({ message: 'CSV or XLSX file is required' });
     }
 
-    // Get current resident data
-    const currentData = await client.hGetAll(`resident:${id}`);
+    // Every sheet of a workbook but the export's summary holds residents, under the same headers
+    let sheets;
+    try {
+      sheets = (await readUploadedSheets(req.file.buffer)).filter(sheet => sheet.name !== SUMMARY_SHEET);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
 
-    // Handle image update
-    if (req.file) {
-      // Delete old image if it exists
-      if (currentData.profileImage) {
-        try {
-          fs.unlinkSync(currentData.profileImage);
-        } catch (err) {
-          console.error('Error deleting old image:', err);
-        }
-      }
-      updates.profileImage = req.file.path.replace(/\\/g, '/');
+    if (sheets.length === 0) {
+      return res.status(400).json({ message: 'File has no header row' });
+    }
+    const headers = sheets[0].records[0];
+    const otherLayout = sheets.find(sheet => sheet.records[0].join('\n') !== headers.join('\n'));
+    if (otherLayout) {
+      return res.status(400).json({
+        message: `Sheet "${otherLayout.name}" has different columns from sheet "${sheets[0].name}"`
+      });
     }
 
-    // Check if voter status has changed
-    if (updates.votersStatus && updates.votersStatus !== currentData.votersStatus) {
-      // If changed from Not-Registered to Registered, increment voter count
-      if (updates.votersStatus.toLowerCase() === 'registered' && 
-          currentData.votersStatus.toLowerCase() !== 'registered') {
-        await client.hIncrBy('stats', 'totalVoters', 1);
+    let mapping = suggestColumnMapping(headers);
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch {
+        mapping = null;
       }
-      
-      // If changed from Registered to Not-Registered, decrement voter count  
-      if (updates.votersStatus.toLowerCase() !== 'registered' && 
-          currentData.votersStatus.toLowerCase() === 'registered') {
-        await client.hIncrBy('stats', 'totalVoters', -1);
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        return res.status(400).json({ message: 'Column mapping must be a JSON object' });
       }
     }
 
-    // Update resident data
-    const updatePromises = Object.entries(updates).map(([key, value]) => {
-      return client.hSet(`resident:${id}`, key, value);
+    const dryRun = String(req.body.dryRun) !== 'false';
+    const report = {
+      dryRun,
+      headers,
+      mapping,
+      fields: getImportFields(),
+      mappingErrors: validateColumnMapping(headers, mapping),
+      total: 0,
+      valid: 0,
+      errors: [],
+      duplicates: []
+    };
+
+    if (report.mappingErrors.length > 0) {
+      // A dry run answers with the report alone; the mapping errors are part of it
+      return dryRun
+        ? res.json(report)
+        : res.status(400).json({ message: 'Please check the column mapping', ...report });
+    }
+
+    const rows = sheets.flatMap(sheet => readImportRows(sheet.records, mapping)
+      .map(row => ({ ...row, sheet: sheet.name || undefined })));
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `Import at most ${MAX_IMPORT_ROWS} residents at a time` });
+    }
+
+    report.duplicates = await checkImportRows(rows);
+    report.total = rows.length;
+    report.valid = rows.filter(row => Object.keys(row.errors).length === 0).length;
+    report.errors = rows.flatMap(row =>
+      Object.entries(row.errors).map(([field, message]) => ({ sheet: row.sheet, row: row.row, field, message }))
+    );
+
+    const allowDuplicates = String(req.body.allowDuplicates) === 'true';
+    const toImport = rows.filter(row => Object.keys(row.errors).length === 0 && (allowDuplicates || !row.duplicate));
+
+    if (dryRun) {
+      return res.json({
+        message: `${toImport.length} of ${rows.length} rows are ready to import`,
+        ...report
+      });
+    }
+    if (report.errors.length > 0) {
+      return res.status(400).json({ message: 'Fix the rows with errors before importing; nothing was imported', ...report });
+    }
+    if (toImport.length === 0) {
+      return res.status(400).json({ message: 'There are no rows to import', ...report });
+    }
+
+    // Save every resident with its household link, indexes and counters in one
+    // transaction; the households are watched from their read to the write
+    const ids = toImport.map(() => uuidv4());
+    const importError = await withWatchedResidents(ids, async (isolatedClient) => {
+      // Check the households again now that they are watched
+      for (const row of toImport.filter(row => row.householdId)) {
+        const householdError = await validateHouseholdAssignment(isolatedClient, row.householdId, null, row.relationshipToHead);
+        if (householdError) {
+          return { ...householdError, message: `${householdError.message} (${describeImportRow(row)})` };
+        }
+      }
+
+      const tx = isolatedClient.multi();
+      for (const [index, row] of toImport.entries()) {
+        const id = ids[index];
+        const residentData = { ...row.values, age: withCurrentAge(row.values).age };
+
+        residentRepository.queueCreate(tx, id, residentData);
+
+        let savedResident = residentData;
+        if (row.householdId) {
+          const householdFields = await queueAssignToHousehold(isolatedClient, tx, id, row.householdId, row.relationshipToHead);
+          savedResident = { ...savedResident, ...householdFields };
+        }
+
+        queueIndexResident(tx, id, savedResident);
+        statsRepository.queueChange(tx, savedResident, 1);
+        await queueHistoryEntry(isolatedClient, tx, id, {
+          action: 'create',
+          before: {},
+          after: savedResident,
+          changedBy: req.user.username
+        });
+      }
+      await tx.exec();
+      return null;
     });
 
-    await Promise.all(updatePromises);
+    if (importError) {
+      return res.status(importError.status).json({ message: `${importError.message}; nothing was imported`, ...report });
+    }
 
-    // Get updated resident data
-    const updatedData = await client.hGetAll(`resident:${id}`);
+    const skipped = rows.length - toImport.length;
+    await recordAudit(req, {
+      action: 'resident.import',
+      targetType: 'resident',
+      after: { file: req.file.originalname, imported: toImport.length, skipped }
+    });
 
-    res.json({
-      message: 'Resident updated successfully',
-      id,
-      ...updatedData
+    res.status(201).json({
+      message: `Imported ${toImport.length} resident${toImport.length === 1 ? '' : 's'}`,
+      ...report,
+      imported: toImport.length,
+      skipped
     });
   } catch (error) {
-    console.error('Error updating resident:', error);
-    res.status(500).json({ message: 'Error updating resident' });
+    console.error('Error importing residents:', error);
+    res.status(500).json({ message: 'Error importing residents' });
   }
 });
 
 /**
- * Delete Resident
- * DELETE /residents/:id
- * Protected: Requires admin authentication
+ * Check for Duplicate Residents
+ * POST /residents/check-duplicates
+ * Protected: Requires the residents:write permission
+ *
+ * Takes the resident data being encoded and returns { duplicates }: existing
+ * residents with the same name and birthdate, or a similar name in the same household.
  */
-app.delete('/residents/:id', authenticateToken, isAdmin, async (req, res) => {
+app.post('/residents/check-duplicates', authenticateToken, requirePermission('residents:write'), async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // Get resident data for stats update
-    const resident = await client.hGetAll(`resident:${id}`);
-    
-    if (!resident || Object.keys(resident).length === 0) {
-      return res.status(404).json({ message: 'Resident not found' });
-    }
-    
-    // Delete profile image if exists
-    if (resident.profileImage) {
-      try {
-        fs.unlinkSync(resident.profileImage);
-      } catch (err) {
-        console.error('Error deleting profile image:', err);
-      }
-    }
-    
-    // Delete resident data
-    await client.del(`resident:${id}`);
-    await client.sRem('residents', id);
-    
-    // Update statistics
-    await client.hIncrBy('stats', 'totalResidents', -1);
-    await client.hIncrBy('stats', `residents:${resident.purok}`, -1);
-    if (resident.votersStatus === 'Registered') {
-      await client.hIncrBy('stats', 'totalVoters', -1);
-    }
-    
-    res.json({ message: 'Resident deleted successfully' });
+    const duplicates = await findDuplicateResidents(req.body || {}, req.body?.id);
+    res.json({ duplicates });
   } catch (error) {
-    console.error('Error deleting resident:', error);
-    res.status(500).json({ message: 'Error deleting resident' });
+    console.error('Error checking duplicate residents:', error);
+    res.status(500).json({ message: 'Error checking duplicate residents' });
   }
 });
 
 /**
- * Get Analytics
- * GET /analytics/stats
- * Protected: Requires authentication
+ * Merge Residents
+ * POST /residents/merge
+ * Protected: Requires the residents:write and residents:delete permissions
+ *
+ * Body: { primaryId, duplicateId, choices }
+ * The primary record is kept and the duplicate is deleted. choices maps a field
+ * name to 'duplicate' to keep the duplicate's value instead of the primary's;
+ * choosing householdId also takes the duplicate's relationshipToHead. Only the
+ * RESIDENT_SCHEMA fields, profileImage and householdId can be chosen.
  */
-app.get('/analytics/stats', authenticateToken, async (req, res) => {
+app.post('/residents/merge', authenticateToken, requirePermission('residents:write', 'residents:delete'), async (req, res) => {
   try {
-    const keys = await client.keys('resident:*');
-    const residents = await Promise.all(keys.map(async (key) => {
-      return await client.hGetAll(key);
-    }));
+    const { primaryId, duplicateId, choices = {} } = req.body;
 
-    // Calculate statistics
-    const stats = residents.reduce((acc, resident) => {
-      // Update total population
-      acc.population.total++;
+    if (!primaryId || !duplicateId || primaryId === duplicateId) {
+      return res.status(400).json({ message: 'Two different residents are required' });
+    }
 
-      // Update gender counts
-      if (resident.gender?.toLowerCase() === 'male') {
-        acc.population.male++;
-      } else if (resident.gender?.toLowerCase() === 'female') {
-        acc.population.female++;
+    const mergeFields = [...Object.keys(RESIDENT_SCHEMA), 'profileImage', 'householdId'];
+    if (!choices || typeof choices !== 'object' || Array.isArray(choices)) {
+      return res.status(400).json({ message: 'choices must map field names to "primary" or "duplicate"' });
+    }
+    const unknownFields = Object.keys(choices).filter(field => !mergeFields.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ message: `Fields cannot be merged: ${unknownFields.join(', ')}` });
+    }
+
+    // Both residents are watched from the read to the write, so the counters
+    // are moved with the values being merged
+    const result = await withWatchedResidents([primaryId, duplicateId], async (isolatedClient) => {
+      const isolatedResidents = createResidentRepository(isolatedClient);
+      const primary = await isolatedResidents.findById(primaryId);
+      const duplicate = await isolatedResidents.findById(duplicateId);
+      if (!primary || !duplicate) {
+        return null;
       }
 
-      // Update voters status
-      if (resident.votersStatus?.toLowerCase() === 'registered') {
-        acc.voters.voters++;
+      // Start from the primary and take the chosen fields from the duplicate
+      const merged = {};
+      Object.entries(choices).forEach(([field, source]) => {
+        if (source === 'duplicate' && field !== 'householdId') {
+          merged[field] = duplicate[field] || '';
+        }
+      });
+      const takeDuplicateHousehold = choices.householdId === 'duplicate';
+
+      // Age follows whichever birthdate is kept
+      const { age: mergedAge } = withCurrentAge({ ...primary, ...merged });
+      if (mergedAge !== (primary.age || '')) {
+        merged.age = mergedAge;
       } else {
-        acc.voters.nonVoters++;
+        delete merged.age;
+      }
+
+      // Apply the merge, indexes and counters in one transaction
+      const tx = isolatedClient.multi();
+      queueUnindexResident(tx, primaryId, primary);
+      queueUnindexResident(tx, duplicateId, duplicate);
+      await queueDetachFromHousehold(isolatedClient, tx, duplicateId, duplicate.householdId);
+
+      if (Object.keys(merged).length > 0) {
+        residentRepository.queueUpdate(tx, primaryId, merged);
       }
 
-      // Count unique puroks
-      if (resident.purok && !acc.puroks.includes(resident.purok)) {
-        acc.puroks.push(resident.purok);
+      let householdFields = {};
+      if (takeDuplicateHousehold && duplicate.householdId) {
+        householdFields = await queueAssignToHousehold(
+          isolatedClient, tx, primaryId, duplicate.householdId, duplicate.relationshipToHead, primary.householdId
+        );
+      } else if (takeDuplicateHousehold) {
+        await queueDetachFromHousehold(isolatedClient, tx, primaryId, primary.householdId);
+        householdFields = { householdId: '', householdNo: '', relationshipToHead: '' };
+        residentRepository.queueUpdate(tx, primaryId, householdFields);
       }
 
-      return acc;
-    }, {
-      population: { total: 0, male: 0, female: 0 },
-      voters: { voters: 0, nonVoters: 0 },
-      puroks: []
+      residentRepository.queueRemove(tx, duplicateId);
+      tx.del(residentHistoryKey(duplicateId));
+
+      const mergedResident = { ...primary, ...merged, ...householdFields };
+      queueIndexResident(tx, primaryId, mergedResident);
+      await queueHistoryEntry(isolatedClient, tx, primaryId, {
+        action: 'merge',
+        before: primary,
+        after: mergedResident,
+        changedBy: req.user.username
+      });
+
+      // Replace both records' contributions to the counters with the merged record's
+      statsRepository.queueChange(tx, primary, -1);
+      statsRepository.queueChange(tx, duplicate, -1);
+      statsRepository.queueChange(tx, mergedResident, 1);
+      await tx.exec();
+
+      return { primary, duplicate, merged, mergedResident };
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'Resident not found' });
+    }
+    const { primary, duplicate, merged, mergedResident } = result;
+
+    await prunePurokNames([primary.purok, duplicate.purok]);
+
+    // Remove whichever profile image was not kept
+    const discardedImage = merged.profileImage !== undefined ? primary.profileImage : duplicate.profileImage;
+    const keptImage = merged.profileImage !== undefined ? merged.profileImage : primary.profileImage;
+    if (discardedImage && discardedImage !== keptImage) {
+      try {
+        fs.unlinkSync(discardedImage);
+      } catch (err) {
+        console.error('Error deleting profile image:', err);
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'resident.merge',
+      targetType: 'resident',
+      targetId: primaryId,
+      before: { ...primary, mergedResidentId: duplicateId },
+      after: mergedResident
     });
 
     res.json({
-      population: stats.population,
-      voters: stats.voters,
-      precincts: stats.puroks.length
+      message: 'Residents merged successfully',
+      id: primaryId,
+      ...mergedResident
     });
   } catch (error) {
-    console.error('Error fetching analytics:', error);
-    res.status(500).json({ message: 'Error fetching analytics' });
+    console.error('Error merging residents:', error);
+    res.status(500).json({ message: 'Error merging residents' });
   }
 });
 
-// Analytics endpoint
-app.get('/analytics/residents', authenticateToken, async (req, res) => {
-  try {
-    // Get total residents count
-    const totalResidents = await client.sCard('residents');
-    console.log('Total residents:', totalResidents);
+/**
+ * Finds the residents matching a parsed GET /residents query, sorted and with their current age
+ *
+ * @async
+ * @param {Object} query - Output of parseResidentQuery
+ * @returns {Promise<Object[]>} Every matching resident
+ */
+const findResidents = async (query) => {
+  // Narrow the candidates with the index sets before reading any hashes
+  const filterKeys = Object.entries(query.filters).map(([field, value]) => indexKey(field, value));
+  let residentIds = await residentRepository.listIds(filterKeys);
 
-    // Get gender counts
-    const allResidents = await client.sMembers('residents');
-    console.log('All resident IDs:', allResidents);
+  if (query.q) {
+    const matches = await searchResidentIds(query.q);
+    residentIds = residentIds.filter(id => matches.has(id));
+  }
 
-    let maleCount = 0;
-    let femaleCount = 0;
-    let votersCount = 0;
-    let nonVotersCount = 0;
+  return (await residentRepository.findByIds(residentIds))
+    .filter(resident => matchesResidentQuery(resident, query))
+    .sort(compareResidents(query.sort))
+    .map(resident => withCurrentAge(resident));
+};
 
-    // Process each resident
-    for (const residentId of allResidents) {
-      const resident = await client.hGetAll(`resident:${residentId}`);
-      console.log(`Processing resident ${residentId}:`, resident);
+/**
+ * Get All Residents
+ * GET /residents
+ * Protected: Requires the residents:read permission
+ *
+ * Query options:
+ * - page, pageSize: return one page wrapped in { data, total, page, pageSize, totalPages };
+ *   without page the full filtered list is returned as an array
+ * - sort: field name, prefixed with "-" for descending (default lastName)
+ * - purok, gender, votersStatus, civilStatus: exact-match filters
+ * - ageMin, ageMax: inclusive age range
+ * - q: name search text, matched like GET /residents/search
+ */
+app.get('/residents', authenticateToken, requirePermission('residents:read'), async (req, res) => {
+  try {
+    const query = parseResidentQuery(req.query);
+    if (query.errors.length > 0) {
+      return res.status(400).json({ message: query.errors.join('; ') });
+    }
 
-      // Case-insensitive comparison for gender and voter status
-      const gender = (resident.gender || '').toLowerCase();
-      const voterStatus = (resident.votersStatus || '').toLowerCase();
+    const residents = await findResidents(query);
 
-      if (gender === 'male') maleCount++;
-      if (gender === 'female') femaleCount++;
-      if (voterStatus === 'registered') votersCount++;
-      if (voterStatus === 'not-registered') nonVotersCount++;
+    if (!query.paginate) {
+      return res.json(residents);
     }
 
-    const response = {
-      totalResidents,
-      maleCount,
-      femaleCount,
-      votersCount,
-      nonVotersCount
-    };
+    const total = residents.length;
+    const start = (query.page - 1) * query.pageSize;
 
-    console.log('Sending analytics response:', response);
-    res.json(response);
+    res.json({
+      data: residents.slice(start, start + query.pageSize),
+      total,
+      page: query.page,
+      pageSize: query.pageSize,
+      totalPages: Math.ceil(total / query.pageSize)
+    });
   } catch (error) {
-    console.error('Error fetching analytics:', error);
-    res.status(500).json({ message: 'Error fetching analytics' });
+    console.error('Error fetching residents:', error);
+    res.status(500).json({ message: 'Error fetching residents' });
   }
 });
 
-// Authentication Routes
-
 /**
- * Register Admin
- * POST /auth/register-admin
- * Public access but requires admin registration code
+ * Search Residents by Name
+ * GET /residents/search?q=text&limit=10
+ * Protected: Requires the residents:read permission
+ *
+ * Matches each word of q against the start of a resident's first, middle or
+ * last name or alias. Spelling variants ("Ma." for Maria, missing ñ) and
+ * single typos are tolerated. Results are ordered by relevance, then name.
  */
-app.post('/auth/register-admin', async (req, res) => {
-  const { username, password, adminCode } = req.body;
-  
-  console.log('Registration attempt with data:', { 
-    username,
-    passwordLength: password?.length,
-    adminCodeProvided: !!adminCode
-  });
-  
+app.get('/residents/search', authenticateToken, requirePermission('residents:read'), async (req, res) => {
   try {
-    // Validate input
-    if (!username || !password || !adminCode) {
-      console.log('Missing fields:', {
-        username: !username,
-        password: !password,
-        adminCode: !adminCode
-      });
+    const q = String(req.query.q || '').trim();
+    if (!q) {
+      return res.status(400).json({ message: 'Search text (q) is required' });
+    }
+
+    const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ message: 'limit must be between 1 and 50' });
+    }
+
+    const scores = await searchResidentIds(q);
+    const byName = compareResidents({ field: 'lastName', descending: false });
+    const residents = (await residentRepository.findByIds([...scores.keys()]))
+      .sort((a, b) => (scores.get(b.id) - scores.get(a.id)) || byName(a, b))
+      .map(resident => withCurrentAge(resident));
+
+    res.json(residents.slice(0, limit));
+  } catch (error) {
+    console.error('Error searching residents:', error);
+    res.status(500).json({ message: 'Error searching residents' });
+  }
+});
+
+/**
+ * Get Resident Stats
+ * GET /residents/stats
+ * Protected: Requires the residents:read permission
+ * Registered before /residents/:id so "stats" is not taken as an ID
+ */
+app.get('/residents/stats', authenticateToken, requirePermission('residents:read'), async (req, res) => {
+  try {
+    const stats = await statsRepository.get();
+    res.json(stats);
+  } catch (error) {
+    console.error('Error fetching resident stats:', error);
+    res.status(500).json({ message: 'Error fetching resident stats' });
+  }
+});
+
+/**
+ * Reconcile Resident Stats
+ * POST /residents/stats/reconcile
+ * Protected: Requires the residents:write permission
+ *
+ * Recomputes the stats counters from the stored residents and lists the counters it corrected.
+ */
+app.post('/residents/stats/reconcile', authenticateToken, requirePermission('residents:write'), async (req, res) => {
+  try {
+    const { changes, stats } = await reconcileStats();
+    if (changes.length > 0) {
+      await recordAudit(req, {
+        action: 'stats.reconcile',
+        targetType: 'stats',
+        before: Object.fromEntries(changes.map(({ field, before }) => [field, before])),
+        after: Object.fromEntries(changes.map(({ field, after }) => [field, after]))
+      });
+    }
+
+    res.json({
+      message: changes.length > 0
+        ? `Corrected ${changes.length} stats counter${changes.length === 1 ? '' : 's'}`
+        : 'Stats already match the resident records',
+      changes,
+      stats
+    });
+  } catch (error) {
+    console.error('Error reconciling resident stats:', error);
+    res.status(500).json({ message: 'Error reconciling resident stats' });
+  }
+});
+
+/**
+ * Get Deleted Residents
+ * GET /residents/deleted
+ * Protected: Requires the residents:delete permission
+ * Lists the recycle bin, most recently deleted first
+ */
+app.get('/residents/deleted', authenticateToken, requirePermission('residents:delete'), async (req, res) => {
+  try {
+    const deleted = await residentRepository.findDeleted();
+    res.json(deleted.map(resident => withCurrentAge(resident)));
+  } catch (error) {
+    console.error('Error fetching deleted residents:', error);
+    res.status(500).json({ message: 'Error fetching deleted residents' });
+  }
+});
+
+/**
+ * Restore Deleted Resident
+ * POST /residents/deleted/:id/restore
+ * Protected: Requires the residents:delete permission
+ *
+ * The resident rejoins their household if it still exists; if the household has
+ * gained another head meanwhile, they rejoin without a relationship.
+ */
+app.post('/residents/deleted/:id/restore', authenticateToken, requirePermission('residents:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // The recycle bin entry is watched, so a second restore or a purge running at
+    // the same time cannot count the resident twice or restore a purged one
+    const resident = await withWatchedKeys([deletedResidentKey(id), residentKey(id)], async (isolatedClient) => {
+      const deleted = await createResidentRepository(isolatedClient).findDeletedById(id);
+      if (!deleted) return null;
+
+      const restored = withCurrentAge(Object.fromEntries(Object.entries(deleted)
+        .filter(([field]) => field !== 'deletedAt' && field !== 'deletedBy')));
+
+      const tx = isolatedClient.multi();
+      residentRepository.queueRestore(tx, id, { age: restored.age });
+
+      if (restored.householdId) {
+        const problem = await validateHouseholdAssignment(isolatedClient, restored.householdId, id, restored.relationshipToHead);
+        if (!problem || problem.status === 409) {
+          const relationshipToHead = problem ? '' : restored.relationshipToHead;
+          Object.assign(restored, await queueAssignToHousehold(isolatedClient, tx, id, restored.householdId, relationshipToHead));
+        } else {
+          Object.assign(restored, { householdId: '', householdNo: '', relationshipToHead: '' });
+          residentRepository.queueUpdate(tx, id, { householdId: '', householdNo: '', relationshipToHead: '' });
+        }
+      }
+
+      queueIndexResident(tx, id, restored);
+      statsRepository.queueChange(tx, restored, 1);
+      await tx.exec();
+      return restored;
+    });
+
+    if (!resident) {
+      return res.status(404).json({ message: 'Deleted resident not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'resident.restore',
+      targetType: 'resident',
+      targetId: id,
+      after: resident
+    });
+
+    res.json({ message: 'Resident restored successfully', id, ...resident });
+  } catch (error) {
+    console.error('Error restoring resident:', error);
+    res.status(500).json({ message: 'Error restoring resident' });
+  }
+});
+
+/**
+ * Purge Deleted Resident
+ * DELETE /residents/deleted/:id
+ * Protected: Requires the residents:delete permission
+ * Permanently removes a resident from the recycle bin, including their profile image
+ */
+app.delete('/residents/deleted/:id', authenticateToken, requirePermission('residents:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Watched like a restore, so a resident restored meanwhile keeps its history
+    const deleted = await withWatchedKeys([deletedResidentKey(id)], async (isolatedClient) => {
+      const current = await createResidentRepository(isolatedClient).findDeletedById(id);
+      if (!current) return null;
+
+      const tx = isolatedClient.multi();
+      residentRepository.queuePurge(tx, id);
+      tx.del(residentHistoryKey(id));
+      await tx.exec();
+      return current;
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ message: 'Deleted resident not found' });
+    }
+
+    // Delete profile image if exists
+    if (deleted.profileImage) {
+      try {
+        fs.unlinkSync(deleted.profileImage);
+      } catch (err) {
+        console.error('Error deleting profile image:', err);
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'resident.purge',
+      targetType: 'resident',
+      targetId: id,
+      before: deleted
+    });
+
+    res.json({ message: 'Resident permanently deleted' });
+  } catch (error) {
+    console.error('Error purging resident:', error);
+    res.status(500).json({ message: 'Error purging resident' });
+  }
+});
+
+/**
+ * Get Resident by ID
+ * GET /residents/:id
+ * Protected: Requires the residents:read permission
+ */
+app.get('/residents/:id', authenticateToken, requirePermission('residents:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const resident = await residentRepository.findById(id);
+    
+    if (!resident) {
+      return res.status(404).json({ message: 'Resident not found' });
+    }
+    
+    res.json(withCurrentAge({ id, ...resident }));
+  } catch (error) {
+    console.error('Error fetching resident:', error);
+    res.status(500).json({ message: 'Error fetching resident' });
+  }
+});
+
+/**
+ * Update Resident
+ * PUT /residents/:id
+ * Protected: Requires the residents:write permission
+ *
+ * Only the fields sent are changed; they are validated like POST /residents.
+ */
+app.put('/residents/:id', authenticateToken, requirePermission('residents:write'), upload.single('profileImage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { householdId, relationshipToHead, ...body } = req.body;
+
+    const { values: updates, errors } = validateResident(body, { partial: true });
+
+    // Save the new image path; the old file is removed once the update is stored
+    if (req.file) {
+      updates.profileImage = req.file.path.replace(/\\/g, '/');
+    }
+
+    // The resident is watched from the read to the write, so a change made
+    // in between by another request is not overwritten with stale counters
+    const result = await withWatchedResidents([id], async (isolatedClient) => {
+      const currentData = await createResidentRepository(isolatedClient).findById(id);
+      if (!currentData) {
+        return { error: { status: 404, message: 'Resident not found' } };
+      }
+      if (Object.keys(errors).length > 0) {
+        return { error: { status: 400, message: 'Please correct the highlighted fields', errors } };
+      }
+
+      // Validate a household move before applying any changes
+      const householdChanged = householdId !== undefined &&
+        (householdId !== (currentData.householdId || '') ||
+         (relationshipToHead || '') !== (currentData.relationshipToHead || ''));
+
+      if (householdChanged && householdId) {
+        const householdError = await validateHouseholdAssignment(isolatedClient, householdId, id, relationshipToHead);
+        if (householdError) {
+          return { error: householdError };
+        }
+      }
+
+      // Apply the changes, household move, indexes, counters and history in one transaction
+      const tx = isolatedClient.multi();
+      const updatedData = await queueResidentUpdate(
+        isolatedClient, tx, id, currentData, updates, householdChanged ? { householdId, relationshipToHead } : null
+      );
+      await queueHistoryEntry(isolatedClient, tx, id, {
+        action: 'update',
+        before: currentData,
+        after: updatedData,
+        changedBy: req.user.username
+      });
+      await tx.exec();
+
+      return { currentData, updatedData };
+    });
+
+    if (result.error) {
+      discardUpload(req);
+      const { status, ...error } = result.error;
+      return res.status(status).json(error);
+    }
+    const { currentData, updatedData } = result;
+
+    await prunePurokNames([currentData.purok]);
+
+    if (req.file && currentData.profileImage) {
+      try {
+        fs.unlinkSync(currentData.profileImage);
+      } catch (err) {
+        console.error('Error deleting old image:', err);
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'resident.update',
+      targetType: 'resident',
+      targetId: id,
+      before: currentData,
+      after: updatedData
+    });
+
+    res.json({
+      message: 'Resident updated successfully',
+      id,
+      ...updatedData
+    });
+  } catch (error) {
+    console.error('Error updating resident:', error);
+    res.status(500).json({ message: 'Error updating resident' });
+  }
+});
+
+/**
+ * Get Resident History
+ * GET /residents/:id/history
+ * Protected: Requires the residents:read permission
+ * Lists the saved versions of a resident, newest first, with the fields each change touched
+ */
+app.get('/residents/:id/history', authenticateToken, requirePermission('residents:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const exists = await residentRepository.exists(id);
+    if (!exists) {
+      return res.status(404).json({ message: 'Resident not found' });
+    }
+
+    const entries = await client.lRange(residentHistoryKey(id), 0, -1);
+    res.json(entries
+      .map((entry, index) => ({ version: index + 1, ...JSON.parse(entry) }))
+      .reverse());
+  } catch (error) {
+    console.error('Error fetching resident history:', error);
+    res.status(500).json({ message: 'Error fetching resident history' });
+  }
+});
+
+/**
+ * Revert Resident
+ * POST /residents/:id/revert
+ * Protected: Requires the residents:write permission
+ *
+ * Body: { version }. Restores the fields and household of that version; the
+ * revert is itself recorded as a new version. Profile photos are not versioned.
+ */
+app.post('/residents/:id/revert', authenticateToken, requirePermission('residents:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.body.version, 10);
+
+    // The resident and its history are watched from the read to the write, as in PUT /residents/:id
+    const result = await withWatchedKeys([residentKey(id), residentHistoryKey(id)], async (isolatedClient) => {
+      const currentData = await createResidentRepository(isolatedClient).findById(id);
+      if (!currentData) {
+        return { error: { status: 404, message: 'Resident not found' } };
+      }
+
+      const entry = version >= 1 ? await isolatedClient.lIndex(residentHistoryKey(id), version - 1) : null;
+      if (!entry) {
+        return { error: { status: 404, message: 'Version not found' } };
+      }
+
+      const { snapshot } = JSON.parse(entry);
+
+      // Fields filled in since that version are cleared
+      const updates = {};
+      Object.keys(RESIDENT_SCHEMA).forEach(field => {
+        const value = snapshot[field] || '';
+        if (value !== (currentData[field] || '')) {
+          updates[field] = value;
+        }
+      });
+
+      const household = {
+        householdId: snapshot.householdId || '',
+        relationshipToHead: snapshot.relationshipToHead || ''
+      };
+      const householdChanged = household.householdId !== (currentData.householdId || '') ||
+        household.relationshipToHead !== (currentData.relationshipToHead || '');
+
+      if (Object.keys(updates).length === 0 && !householdChanged) {
+        return { error: { status: 400, message: `Resident already matches version ${version}` } };
+      }
+
+      if (householdChanged && household.householdId) {
+        const householdError = await validateHouseholdAssignment(isolatedClient, household.householdId, id, household.relationshipToHead);
+        if (householdError) {
+          return { error: { status: 409, message: `Cannot revert to version ${version}: ${householdError.message}` } };
+        }
+      }
+
+      const tx = isolatedClient.multi();
+      const updatedData = await queueResidentUpdate(isolatedClient, tx, id, currentData, updates, householdChanged ? household : null);
+      await queueHistoryEntry(isolatedClient, tx, id, {
+        action: 'revert',
+        before: currentData,
+        after: updatedData,
+        changedBy: req.user.username,
+        revertedTo: version
+      });
+      await tx.exec();
+
+      return { currentData, updatedData };
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+    const { currentData, updatedData } = result;
+
+    await prunePurokNames([currentData.purok]);
+
+    await recordAudit(req, {
+      action: 'resident.revert',
+      targetType: 'resident',
+      targetId: id,
+      before: currentData,
+      after: { ...updatedData, revertedTo: version }
+    });
+
+    res.json({
+      message: `Resident reverted to version ${version}`,
+      id,
+      ...updatedData
+    });
+  } catch (error) {
+    console.error('Error reverting resident:', error);
+    res.status(500).json({ message: 'Error reverting resident' });
+  }
+});
+
+/**
+ * Delete Resident
+ * DELETE /residents/:id
+ * Protected: Requires the residents:delete permission
+ * Moves the resident to the recycle bin (see GET /residents/deleted)
+ */
+app.delete('/residents/:id', authenticateToken, requirePermission('residents:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Move the resident to the recycle bin and drop their household link, indexes
+    // and counters in one transaction. The household fields and profile image are
+    // kept so a restore can bring them back. The resident is watched so the
+    // counters are taken off with the values being deleted.
+    const resident = await withWatchedResidents([id], async (isolatedClient) => {
+      const current = await createResidentRepository(isolatedClient).findById(id);
+      if (!current) return null;
+
+      const tx = isolatedClient.multi();
+      await queueDetachFromHousehold(isolatedClient, tx, id, current.householdId);
+      queueUnindexResident(tx, id, current);
+      statsRepository.queueChange(tx, current, -1);
+      residentRepository.queueMoveToRecycleBin(tx, id, req.user.username);
+      await tx.exec();
+      return current;
+    });
+
+    if (!resident) {
+      return res.status(404).json({ message: 'Resident not found' });
+    }
+
+    await prunePurokNames([resident.purok]);
+    
+    await recordAudit(req, {
+      action: 'resident.delete',
+      targetType: 'resident',
+      targetId: id,
+      before: resident
+    });
+    
+    res.json({ message: 'Resident moved to the recycle bin' });
+  } catch (error) {
+    console.error('Error deleting resident:', error);
+    res.status(500).json({ message: 'Error deleting resident' });
+  }
+});
+
+// Household Routes
+
+/**
+ * Create Household
+ * POST /households
+ * Protected: Requires the households:write permission
+ */
+app.post('/households', authenticateToken, requirePermission('households:write'), async (req, res) => {
+  const { householdNo, purok, address } = req.body;
+
+  if (!householdNo) {
+    return res.status(400).json({ message: 'Household number is required' });
+  }
+
+  try {
+    const id = uuidv4();
+    const household = {
+      householdNo: String(householdNo),
+      purok: purok || '',
+      address: address || '',
+      headId: '',
+      createdAt: new Date().toISOString()
+    };
+
+    // Household numbers are unique within the barangay; the number index is
+    // watched from the check to the write
+    const created = await withWatchedKeys(['households:byNumber'], async (isolatedClient) => {
+      const existingId = await isolatedClient.hGet('households:byNumber', household.householdNo);
+      if (existingId) {
+        return false;
+      }
+
+      await isolatedClient.multi()
+        .hSet(`household:${id}`, household)
+        .sAdd('households', id)
+        .hSet('households:byNumber', household.householdNo, id)
+        .exec();
+      return true;
+    });
+    if (!created) {
+      return res.status(400).json({ message: 'Household number already exists' });
+    }
+
+    await recordAudit(req, {
+      action: 'household.create',
+      targetType: 'household',
+      targetId: id,
+      after: household
+    });
+
+    res.status(201).json({
+      message: 'Household created successfully',
+      id,
+      ...household
+    });
+  } catch (error) {
+    console.error('Error creating household:', error);
+    res.status(500).json({ message: 'Error creating household' });
+  }
+});
+
+/**
+ * Get All Households
+ * GET /households
+ * Protected: Requires the households:read permission
+ */
+app.get('/households', authenticateToken, requirePermission('households:read'), async (req, res) => {
+  try {
+    const households = [];
+    const householdIds = await client.sMembers('households');
+
+    for (const id of householdIds) {
+      const household = await client.hGetAll(`household:${id}`);
+      if (!household || Object.keys(household).length === 0) continue;
+
+      const memberCount = await client.sCard(`household:${id}:members`);
+      let headName = '';
+      if (household.headId) {
+        const head = await residentRepository.findById(household.headId) || {};
+        headName = `${head.firstName || ''} ${head.lastName || ''}`.trim();
+      }
+
+      households.push({ id, ...household, memberCount, headName });
+    }
+
+    res.json(households);
+  } catch (error) {
+    console.error('Error fetching households:', error);
+    res.status(500).json({ message: 'Error fetching households' });
+  }
+});
+
+/**
+ * Get Household by ID with its members
+ * GET /households/:id
+ * Protected: Requires the households:read permission
+ */
+app.get('/households/:id', authenticateToken, requirePermission('households:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const household = await client.hGetAll(`household:${id}`);
+
+    if (!household || Object.keys(household).length === 0) {
+      return res.status(404).json({ message: 'Household not found' });
+    }
+
+    const members = [];
+    const memberIds = await client.sMembers(`household:${id}:members`);
+    for (const memberId of memberIds) {
+      const resident = await residentRepository.findById(memberId);
+      if (resident) {
+        members.push(withCurrentAge({ id: memberId, ...resident }));
+      }
+    }
+
+    // List the head first, then everyone else by name
+    members.sort((a, b) => {
+      if (a.id === household.headId) return -1;
+      if (b.id === household.headId) return 1;
+      return `${a.lastName} ${a.firstName}`.localeCompare(`${b.lastName} ${b.firstName}`);
+    });
+
+    res.json({ id, ...household, members });
+  } catch (error) {
+    console.error('Error fetching household:', error);
+    res.status(500).json({ message: 'Error fetching household' });
+  }
+});
+
+/**
+ * Update Household
+ * PUT /households/:id
+ * Protected: Requires the households:write permission
+ * Setting headId designates an existing member as the household head
+ */
+app.put('/households/:id', authenticateToken, requirePermission('households:write'), async (req, res) => {
+  const { id } = req.params;
+  const { householdNo, purok, address, headId } = req.body;
+
+  try {
+    // The household, its members and the residents being changed are watched, and
+    // the household, member changes and their history are written in one transaction
+    const result = await withWatchedKeys([`household:${id}`, `household:${id}:members`], async (isolatedClient) => {
+      const household = await isolatedClient.hGetAll(`household:${id}`);
+      if (!household || Object.keys(household).length === 0) {
+        return { error: { status: 404, message: 'Household not found' } };
+      }
+
+      // Renumbering must not collide with another household
+      const newNumber = householdNo !== undefined ? String(householdNo) : household.householdNo;
+      if (!newNumber) {
+        return { error: { status: 400, message: 'Household number is required' } };
+      }
+      if (newNumber !== household.householdNo) {
+        await isolatedClient.watch('households:byNumber');
+        const existingId = await isolatedClient.hGet('households:byNumber', newNumber);
+        if (existingId && existingId !== id) {
+          return { error: { status: 400, message: 'Household number already exists' } };
+        }
+      }
+
+      // The head must already be a member of this household
+      const memberIds = await isolatedClient.sMembers(`household:${id}:members`);
+      if (headId && !memberIds.includes(headId)) {
+        return { error: { status: 400, message: 'Household head must be a member of the household' } };
+      }
+
+      // Members take the new household number
+      const memberUpdates = {};
+      if (newNumber !== household.householdNo) {
+        memberIds.forEach(memberId => {
+          memberUpdates[memberId] = { householdNo: newNumber };
+        });
+      }
+
+      if (headId !== undefined && headId !== household.headId) {
+        // The previous head keeps their membership but needs a new relationship assigned
+        if (household.headId) {
+          memberUpdates[household.headId] = { ...memberUpdates[household.headId], relationshipToHead: '' };
+        }
+        if (headId) {
+          memberUpdates[headId] = { ...memberUpdates[headId], relationshipToHead: 'Head' };
+        }
+      }
+
+      const updatedIds = Object.keys(memberUpdates);
+      await isolatedClient.watch(updatedIds.map(residentKey));
+      const members = await createResidentRepository(isolatedClient).findByIds(updatedIds);
+
+      const updatedHousehold = {
+        ...household,
+        householdNo: newNumber,
+        purok: purok !== undefined ? purok : household.purok,
+        address: address !== undefined ? address : household.address,
+        headId: headId !== undefined ? headId : household.headId
+      };
+
+      const tx = isolatedClient.multi();
+      if (newNumber !== household.householdNo) {
+        tx.hDel('households:byNumber', household.householdNo);
+        tx.hSet('households:byNumber', newNumber, id);
+      }
+      tx.hSet(`household:${id}`, {
+        householdNo: updatedHousehold.householdNo,
+        purok: updatedHousehold.purok,
+        address: updatedHousehold.address,
+        headId: updatedHousehold.headId
+      });
+      for (const { id: memberId, ...member } of members) {
+        const updatedMember = await queueResidentUpdate(isolatedClient, tx, memberId, member, memberUpdates[memberId], null);
+        await queueHistoryEntry(isolatedClient, tx, memberId, {
+          action: 'household',
+          before: member,
+          after: updatedMember,
+          changedBy: req.user.username
+        });
+      }
+      await tx.exec();
+
+      return { household, updatedHousehold };
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+    const { household, updatedHousehold } = result;
+
+    await recordAudit(req, {
+      action: 'household.update',
+      targetType: 'household',
+      targetId: id,
+      before: household,
+      after: updatedHousehold
+    });
+
+    res.json({
+      message: 'Household updated successfully',
+      id,
+      ...updatedHousehold
+    });
+  } catch (error) {
+    console.error(`Error updating household ${id}:`, error);
+    res.status(500).json({ message: 'Error updating household' });
+  }
+});
+
+/**
+ * Delete Household
+ * DELETE /households/:id
+ * Protected: Requires the households:write permission
+ * Members are kept as residents but no longer belong to any household
+ */
+app.delete('/households/:id', authenticateToken, requirePermission('households:write'), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    // The household is removed and its members cleared, with their history, in one transaction
+    const result = await withWatchedKeys([`household:${id}`, `household:${id}:members`], async (isolatedClient) => {
+      const household = await isolatedClient.hGetAll(`household:${id}`);
+      if (!household || Object.keys(household).length === 0) {
+        return null;
+      }
+
+      const memberIds = await isolatedClient.sMembers(`household:${id}:members`);
+      await isolatedClient.watch(memberIds.map(residentKey));
+      const members = await createResidentRepository(isolatedClient).findByIds(memberIds);
+
+      const tx = isolatedClient.multi();
+      for (const { id: memberId, ...member } of members) {
+        const updatedMember = await queueResidentUpdate(
+          isolatedClient, tx, memberId, member, { householdId: '', householdNo: '', relationshipToHead: '' }, null
+        );
+        await queueHistoryEntry(isolatedClient, tx, memberId, {
+          action: 'household',
+          before: member,
+          after: updatedMember,
+          changedBy: req.user.username
+        });
+      }
+      tx.del(`household:${id}:members`);
+      tx.del(`household:${id}`);
+      tx.sRem('households', id);
+      tx.hDel('households:byNumber', household.householdNo);
+      await tx.exec();
+
+      return { household, memberCount: memberIds.length };
+    });
+
+    if (!result) {
+      return res.status(404).json({ message: 'Household not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'household.delete',
+      targetType: 'household',
+      targetId: id,
+      before: { ...result.household, memberCount: result.memberCount }
+    });
+
+    res.json({ message: 'Household deleted successfully' });
+  } catch (error) {
+    console.error(`Error deleting household ${id}:`, error);
+    res.status(500).json({ message: 'Error deleting household' });
+  }
+});
+
+/**
+ * Add or Move a Resident into a Household
+ * POST /households/:id/members
+ * Protected: Requires the households:write permission
+ * A resident already in another household is moved out of it
+ */
+app.post('/households/:id/members', authenticateToken, requirePermission('households:write'), async (req, res) => {
+  const { id } = req.params;
+  const { residentId, relationshipToHead } = req.body;
+
+  if (!residentId) {
+    return res.status(400).json({ message: 'Resident ID is required' });
+  }
+
+  try {
+    const result = await withWatchedResidents([residentId], async (isolatedClient) => {
+      const previousHousehold = await createResidentRepository(isolatedClient).findById(residentId);
+      if (!previousHousehold) {
+        return { error: { status: 404, message: 'Resident not found' } };
+      }
+
+      const householdError = await validateHouseholdAssignment(isolatedClient, id, residentId, relationshipToHead);
+      if (householdError) {
+        return { error: householdError };
+      }
+
+      const tx = isolatedClient.multi();
+      const resident = await queueResidentUpdate(
+        isolatedClient, tx, residentId, previousHousehold, {}, { householdId: id, relationshipToHead }
+      );
+      await queueHistoryEntry(isolatedClient, tx, residentId, {
+        action: 'household',
+        before: previousHousehold,
+        after: resident,
+        changedBy: req.user.username
+      });
+      await tx.exec();
+
+      return { previousHousehold, resident };
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({ message: result.error.message });
+    }
+    const { previousHousehold, resident } = result;
+
+    await recordAudit(req, {
+      action: 'household.addMember',
+      targetType: 'household',
+      targetId: id,
+      before: {
+        residentId,
+        householdNo: previousHousehold.householdNo || '',
+        relationshipToHead: previousHousehold.relationshipToHead || ''
+      },
+      after: { residentId, householdNo: resident.householdNo, relationshipToHead: resident.relationshipToHead }
+    });
+    res.json({
+      message: 'Resident added to household successfully',
+      resident: { id: residentId, ...resident }
+    });
+  } catch (error) {
+    console.error(`Error adding resident ${residentId} to household ${id}:`, error);
+    res.status(500).json({ message: 'Error adding resident to household' });
+  }
+});
+
+/**
+ * Remove a Resident from a Household
+ * DELETE /households/:id/members/:residentId
+ * Protected: Requires the households:write permission
+ */
+app.delete('/households/:id/members/:residentId', authenticateToken, requirePermission('households:write'), async (req, res) => {
+  const { id, residentId } = req.params;
+
+  try {
+    const removed = await withWatchedKeys([`household:${id}:members`, residentKey(residentId)], async (isolatedClient) => {
+      const isMember = await isolatedClient.sIsMember(`household:${id}:members`, residentId);
+      const resident = isMember ? await createResidentRepository(isolatedClient).findById(residentId) : null;
+      if (!resident) {
+        return false;
+      }
+
+      // Leaving the household, clearing the resident's household fields and the history entry go together
+      const tx = isolatedClient.multi();
+      const updatedResident = await queueResidentUpdate(isolatedClient, tx, residentId, resident, {}, { householdId: '' });
+      await queueHistoryEntry(isolatedClient, tx, residentId, {
+        action: 'household',
+        before: resident,
+        after: updatedResident,
+        changedBy: req.user.username
+      });
+      await tx.exec();
+      return true;
+    });
+
+    if (!removed) {
+      return res.status(404).json({ message: 'Resident is not a member of this household' });
+    }
+
+    await recordAudit(req, {
+      action: 'household.removeMember',
+      targetType: 'household',
+      targetId: id,
+      before: { residentId }
+    });
+
+    res.json({ message: 'Resident removed from household successfully' });
+  } catch (error) {
+    console.error(`Error removing resident ${residentId} from household ${id}:`, error);
+    res.status(500).json({ message: 'Error removing resident from household' });
+  }
+});
+
+/**
+ * Get Analytics
+ * GET /analytics/stats
+ * Protected: Requires the residents:read permission
+ * Counts come from the resident index sets rather than scanning resident hashes
+ */
+app.get('/analytics/stats', authenticateToken, requirePermission('residents:read'), async (req, res) => {
+  try {
+    const [total, male, female, voters, precincts] = await Promise.all([
+      residentRepository.count(),
+      client.sCard(indexKey('gender', 'male')),
+      client.sCard(indexKey('gender', 'female')),
+      client.sCard(indexKey('votersStatus', 'registered')),
+      client.sCard(PUROK_NAMES_KEY)
+    ]);
+
+    res.json({
+      population: { total, male, female },
+      voters: { voters, nonVoters: total - voters },
+      precincts
+    });
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({ message: 'Error fetching analytics' });
+  }
+});
+
+/**
+ * Get Resident Analytics
+ * GET /analytics/residents
+ * Protected: Requires the residents:read permission
+ * Includes per-purok and per-age-bracket breakdowns computed with SINTERCARD
+ */
+app.get('/analytics/residents', authenticateToken, requirePermission('residents:read'), async (req, res) => {
+  try {
+    const registeredKey = indexKey('votersStatus', 'registered');
+
+    const [totalResidents, maleCount, femaleCount, votersCount, nonVotersCount] = await Promise.all([
+      residentRepository.count(),
+      client.sCard(indexKey('gender', 'male')),
+      client.sCard(indexKey('gender', 'female')),
+      client.sCard(registeredKey),
+      client.sCard(indexKey('votersStatus', 'not-registered'))
+    ]);
+
+    // Residents and registered voters per purok
+    const purokNames = (await client.sMembers(PUROK_NAMES_KEY)).sort();
+    const puroks = await Promise.all(purokNames.map(async (purok) => {
+      const purokKey = indexKey('purok', purok);
+      const [residents, voters] = await Promise.all([
+        client.sCard(purokKey),
+        client.sInterCard([purokKey, registeredKey])
+      ]);
+      return { purok, residents, voters };
+    }));
+
+    // Residents per age bracket, split by gender
+    const ageBrackets = await Promise.all(AGE_BRACKETS.map(async ({ label }) => {
+      const bracketKey = indexKey('ageBracket', label);
+      const [total, male, female] = await Promise.all([
+        client.sCard(bracketKey),
+        client.sInterCard([bracketKey, indexKey('gender', 'male')]),
+        client.sInterCard([bracketKey, indexKey('gender', 'female')])
+      ]);
+      return { bracket: label, total, male, female };
+    }));
+
+    res.json({
+      totalResidents,
+      maleCount,
+      femaleCount,
+      votersCount,
+      nonVotersCount,
+      puroks,
+      ageBrackets
+    });
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    res.status(500).json({ message: 'Error fetching analytics' });
+  }
+});
+
+// Audit Log Routes
+
+/**
+ * Reads audit entries newest first, applying the date range in Redis and the other filters here
+ *
+ * @param {Object} filters - Filters from parseAuditQuery
+ * @returns {Promise<Object[]>} Matching entries with their stream ID
+ */
+const readAuditLog = async (filters) => {
+  const end = filters.to !== undefined ? String(filters.to) : '+';
+  const start = filters.from !== undefined ? String(filters.from) : '-';
+  const records = await client.xRevRange(AUDIT_LOG_KEY, end, start);
+
+  return records
+    .map(({ id, message }) => ({ id, ...message }))
+    .filter(entry => matchesAuditFilters(entry, filters));
+};
+
+/**
+ * Get Audit Log
+ * GET /audit-log
+ * Protected: Requires the audit:read permission
+ *
+ * Filters: actor, action, targetType, targetId, q (text search), and from and to
+ * (YYYY-MM-DD, inclusive).
+ * Returns one page, newest first, as { data, total, page, pageSize, totalPages }.
+ */
+app.get('/audit-log', authenticateToken, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const filters = parseAuditQuery(req.query);
+    const entries = await readAuditLog(filters);
+    const start = (filters.page - 1) * filters.pageSize;
+
+    res.json({
+      data: entries.slice(start, start + filters.pageSize),
+      total: entries.length,
+      page: filters.page,
+      pageSize: filters.pageSize,
+      totalPages: Math.ceil(entries.length / filters.pageSize)
+    });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ message: 'Error fetching audit log' });
+  }
+});
+
+/**
+ * Export Audit Log
+ * GET /audit-log/export/csv
+ * Protected: Requires the audit:read permission
+ * Exports every entry matching the same filters as GET /audit-log
+ */
+app.get('/audit-log/export/csv', authenticateToken, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const entries = await readAuditLog(parseAuditQuery(req.query));
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', 'attachment; filename=audit-log.csv');
+    res.send(toAuditCsv(entries));
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({ message: 'Error exporting audit log' });
+  }
+});
+
+// Backup Routes
+
+// Backups are uploaded whole into memory, so they get a larger limit than profile images
+const backupUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 200 * 1024 * 1024 // 200MB limit
+  }
+});
+
+/**
+ * Lists the keys of one kind of record, e.g. "student" gives every student:{id} hash
+ * Keys with further segments (student:{id}:something) are left out
+ *
+ * @param {Object} redisClient - Client to read with
+ * @param {string} prefix - Key prefix without the colon
+ * @returns {Promise<string[]>} Matching keys
+ */
+const getRecordKeys = async (redisClient, prefix) =>
+  (await redisClient.keys(`${prefix}:*`)).filter(key => key.split(':').length === 2);
+
+/**
+ * Reads every record for a backup in one transaction
+ * The lists of IDs are watched while the records are read, so a concurrent
+ * create or delete aborts the read and it is retried. Backups work on the
+ * stored keys directly rather than through the repositories, so every kind of
+ * record is read in the same transaction.
+ *
+ * @returns {Promise<Object>} Records and counters for createBackupArchive
+ */
+const readBackupSnapshot = async () => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await client.executeIsolated(async (isolatedClient) => {
+        await isolatedClient.watch([RESIDENTS_KEY, DELETED_RESIDENTS_KEY, 'households', STATS_KEY]);
+
+        const residentIds = await isolatedClient.sMembers(RESIDENTS_KEY);
+        const deletedIds = await isolatedClient.zRange(DELETED_RESIDENTS_KEY, 0, -1);
+        const householdIds = await isolatedClient.sMembers('households');
+        const studentKeys = await getRecordKeys(isolatedClient, 'student');
+        const userKeys = await getRecordKeys(isolatedClient, 'user');
+        const historyIds = [...residentIds, ...deletedIds];
+
+        const tx = isolatedClient.multi();
+        residentIds.forEach(id => tx.hGetAll(residentKey(id)));
+        deletedIds.forEach(id => tx.hGetAll(deletedResidentKey(id)));
+        historyIds.forEach(id => tx.lRange(residentHistoryKey(id), 0, -1));
+        householdIds.forEach(id => tx.hGetAll(`household:${id}`));
+        studentKeys.forEach(key => tx.hGetAll(key));
+        userKeys.forEach(key => tx.hGetAll(key));
+        tx.hGetAll(ROLES_KEY);
+        tx.hGetAll(STATS_KEY);
+        tx.get(SCHEMA_VERSION_KEY);
+        const results = await tx.exec();
+
+        // Results come back in the order the reads were queued
+        let position = 0;
+        const take = (count) => results.slice(position, position += count);
+        const withIds = (records, ids, field = 'id') => records
+          .map((record, index) => ({ [field]: ids[index], ...record }))
+          .filter(record => Object.keys(record).length > 1);
+
+        const residents = withIds(take(residentIds.length), residentIds);
+        const deletedResidents = withIds(take(deletedIds.length), deletedIds);
+        const histories = Object.fromEntries(take(historyIds.length)
+          .map((entries, index) => [historyIds[index], entries.map(entry => JSON.parse(entry))])
+          .filter(([, entries]) => entries.length > 0));
+        const households = withIds(take(householdIds.length), householdIds);
+        const students = withIds(take(studentKeys.length), studentKeys.map(key => key.split(':')[1]));
+        const users = withIds(take(userKeys.length), userKeys.map(key => key.split(':')[1]), 'username');
+        const [roles, stats, schemaVersion] = take(3);
+
+        return {
+          residents,
+          deletedResidents,
+          histories,
+          households,
+          students,
+          users,
+          roles,
+          stats,
+          schemaVersion: parseInt(schemaVersion, 10) || 0
+        };
+      });
+    } catch (error) {
+      if (!(error instanceof WatchError) || attempt >= BACKUP_SNAPSHOT_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Reads the stored profile images
+ * Hidden files and names that could not be restored are left out
+ *
+ * @returns {Object[]} { name, data } with the file contents in base64
+ */
+const readProfileImages = () => {
+  if (!fs.existsSync(PROFILE_IMAGE_DIR)) return [];
+
+  return fs.readdirSync(PROFILE_IMAGE_DIR)
+    .filter(name => isBackupImageName(name) && fs.statSync(path.join(PROFILE_IMAGE_DIR, name)).isFile())
+    .map(name => ({ name, data: fs.readFileSync(path.join(PROFILE_IMAGE_DIR, name)).toString('base64') }));
+};
+
+/**
+ * Queues writing a record as a hash, leaving out its key field
+ *
+ * @param {Object} tx - MULTI transaction the commands are added to
+ * @param {string} key - Redis key of the hash
+ * @param {Object} record - Record from the archive
+ * @param {string} [keyField='id'] - Field that names the record
+ */
+const queueWriteRecord = (tx, key, record, keyField = 'id') => {
+  const { [keyField]: omitted, ...fields } = record;
+  if (Object.keys(fields).length > 0) {
+    tx.hSet(key, fields);
+  }
+};
+
+/**
+ * Makes every household's member set match its residents' householdId
+ * A head that no longer belongs to the household is cleared
+ */
+const rebuildHouseholdMembers = async () => {
+  const householdIds = await client.sMembers('households');
+  const residents = await residentRepository.findAll();
+
+  const tx = client.multi();
+  for (const id of householdIds) {
+    const members = residents.filter(resident => resident.householdId === id).map(resident => resident.id);
+    tx.del(`household:${id}:members`);
+    if (members.length > 0) {
+      tx.sAdd(`household:${id}:members`, members);
+    }
+
+    const headId = await client.hGet(`household:${id}`, 'headId');
+    if (headId && !members.includes(headId)) {
+      tx.hSet(`household:${id}`, 'headId', '');
+    }
+  }
+  await tx.exec();
+};
+
+/**
+ * Download Backup
+ * GET /backup
+ * Protected: Requires the backup:manage permission
+ *
+ * Responds with a gzipped JSON archive of every resident (with the recycle bin
+ * and change history), household, student and user, the roles added or edited
+ * by admins, the stats hash and the profile images. Pass excludePasswords=true
+ * to leave out password hashes.
+ */
+app.get('/backup', authenticateToken, requirePermission('backup:manage'), async (req, res) => {
+  try {
+    const includePasswords = req.query.excludePasswords !== 'true';
+    const archive = createBackupArchive({
+      ...(await readBackupSnapshot()),
+      images: readProfileImages(),
+      createdBy: req.user.username,
+      includePasswords
+    });
+
+    await recordAudit(req, {
+      action: 'backup.create',
+      targetType: 'backup',
+      after: {
+        residents: archive.residents.length,
+        students: archive.students.length,
+        users: archive.users.length,
+        includePasswords
+      }
+    });
+
+    const date = archive.createdAt.slice(0, 10);
+    res.setHeader('Content-Type', 'application/gzip');
+    res.setHeader('Content-Disposition', `attachment; filename=barangay-backup-${date}.json.gz`);
+    res.send(encodeBackup(archive));
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    res.status(500).json({ message: 'Error creating backup' });
+  }
+});
+
+/**
+ * Restore Backup
+ * POST /backup/restore
+ * Protected: Requires the backup:manage permission
+ *
+ * Multipart upload of an archive from GET /backup in the "archive" field, with
+ * mode "replace" or "merge":
+ * - replace: residents, households, students, stats and profile images become
+ *   exactly those in the archive. Users and roles are replaced too when the
+ *   archive holds password hashes; otherwise the existing accounts are kept and
+ *   roles are merged, so the kept accounts keep their roles.
+ * - merge: records whose ID (or username, or role name) is not in use are added;
+ *   existing records are left as they are. Users without a password hash are skipped.
+ * Users and roles are only restored by admins; for other users they are skipped,
+ * so backup:manage cannot be used to replace an admin account or grant a role more.
+ * The archive is validated first and nothing is written if it has problems
+ * (400 with { errors }). Indexes, household members and stats are rebuilt
+ * afterwards, and migrations newer than the archive are applied to it.
+ */
+app.post('/backup/restore', authenticateToken, requirePermission('backup:manage'), backupUpload.single('archive'), async (req, res) => {
+  try {
+    const { mode } = req.body;
+    if (mode !== 'replace' && mode !== 'merge') {
+      return res.status(400).json({ message: 'mode must be "replace" or "merge"' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: 'Backup archive is required' });
+    }
+
+    let archive;
+    try {
+      archive = decodeBackup(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const errors = validateBackupArchive(archive);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Backup archive is invalid', errors });
+    }
+
+    const currentSchemaVersion = await getSchemaVersion(client);
+    if (archive.schemaVersion > currentSchemaVersion) {
+      return res.status(400).json({ message: 'Backup was made by a newer version of the system' });
+    }
+
+    const restored = { residents: 0, deletedResidents: 0, households: 0, students: 0, users: 0, roles: 0, images: 0 };
+    const skipped = { residents: 0, deletedResidents: 0, households: 0, students: 0, users: 0, roles: 0, images: 0 };
+    const tx = client.multi();
+
+    const currentResidentIds = await client.sMembers(RESIDENTS_KEY);
+    const currentDeletedIds = await client.zRange(DELETED_RESIDENTS_KEY, 0, -1);
+    const currentHouseholdIds = await client.sMembers('households');
+    const currentStudentKeys = await getRecordKeys(client, 'student');
+    const currentUserKeys = await getRecordKeys(client, 'user');
+    const restoresAccounts = req.user.role === ADMIN_ROLE;
+    const replaceUsers = restoresAccounts && mode === 'replace' && archive.includesPasswords;
+    const currentRoleNames = replaceUsers ? [] : await client.hKeys(ROLES_KEY);
+
+    if (mode === 'replace') {
+      const staleKeys = [
+        ...currentResidentIds.flatMap(id => [residentKey(id), residentHistoryKey(id)]),
+        ...currentDeletedIds.flatMap(id => [deletedResidentKey(id), residentHistoryKey(id)]),
+        ...currentHouseholdIds.flatMap(id => [`household:${id}`, `household:${id}:members`]),
+        ...currentStudentKeys,
+        ...(replaceUsers ? [...currentUserKeys, ROLES_KEY] : []),
+        RESIDENTS_KEY,
+        DELETED_RESIDENTS_KEY,
+        'households',
+        'households:byNumber',
+        STATS_KEY
+      ];
+      tx.del(staleKeys);
+    }
+
+    // In merge mode, IDs and household numbers already in use are kept as they are
+    const inUse = (ids, id) => mode === 'merge' && ids.includes(id);
+    const usedHouseholdNumbers = mode === 'merge' ? await client.hGetAll('households:byNumber') : {};
+    const restoredHouseholdIds = new Set(mode === 'merge' ? currentHouseholdIds : []);
+
+    archive.households.forEach(household => {
+      if (inUse(currentHouseholdIds, household.id) || usedHouseholdNumbers[household.householdNo]) {
+        skipped.households++;
+        return;
+      }
+      queueWriteRecord(tx, `household:${household.id}`, household);
+      tx.sAdd('households', household.id);
+      tx.hSet('households:byNumber', household.householdNo, household.id);
+      restoredHouseholdIds.add(household.id);
+      restored.households++;
+    });
+
+    // Residents whose household was not restored are kept outside any household
+    const withHousehold = (resident) => !resident.householdId || restoredHouseholdIds.has(resident.householdId)
+      ? resident
+      : { ...resident, householdId: '', householdNo: '', relationshipToHead: '' };
+    const residentIdsInUse = [...currentResidentIds, ...currentDeletedIds];
+
+    archive.residents.forEach(resident => {
+      if (inUse(residentIdsInUse, resident.id)) {
+        skipped.residents++;
+        return;
+      }
+      queueWriteRecord(tx, residentKey(resident.id), withHousehold(resident));
+      tx.sAdd(RESIDENTS_KEY, resident.id);
+      restored.residents++;
+    });
+
+    archive.deletedResidents.forEach(resident => {
+      if (inUse(residentIdsInUse, resident.id)) {
+        skipped.deletedResidents++;
+        return;
+      }
+      queueWriteRecord(tx, deletedResidentKey(resident.id), resident);
+      tx.zAdd(DELETED_RESIDENTS_KEY, { score: Date.parse(resident.deletedAt) || Date.now(), value: resident.id });
+      restored.deletedResidents++;
+    });
+
+    Object.entries(archive.histories)
+      .filter(([id, entries]) => entries.length > 0 && !inUse(residentIdsInUse, id))
+      .forEach(([id, entries]) => tx.rPush(residentHistoryKey(id), entries.map(entry => JSON.stringify(entry))));
+
+    archive.students.forEach(student => {
+      if (inUse(currentStudentKeys, studentKey(student.id))) {
+        skipped.students++;
+        return;
+      }
+      queueWriteRecord(tx, studentKey(student.id), student);
+      restored.students++;
+    });
+
+    archive.users.forEach(user => {
+      const exists = currentUserKeys.includes(userKey(user.username));
+      if (!restoresAccounts || (mode === 'replace' && !replaceUsers) || (mode === 'merge' && exists) || !user.password) {
+        skipped.users++;
+        return;
+      }
+      queueWriteRecord(tx, userKey(user.username), user, 'username');
+      restored.users++;
+    });
+
+    // Roles replace the current ones together with the users; otherwise only new names are added
+    Object.entries(archive.roles || {}).forEach(([name, value]) => {
+      if (!restoresAccounts || name === ADMIN_ROLE || currentRoleNames.includes(name)) {
+        skipped.roles++;
+        return;
+      }
+      tx.hSet(ROLES_KEY, name, value);
+      restored.roles++;
+    });
+
+    if (mode === 'replace' && Object.keys(archive.stats).length > 0) {
+      tx.hSet(STATS_KEY, archive.stats);
+    }
+
+    // Write the images before the records that point at them
+    fs.mkdirSync(PROFILE_IMAGE_DIR, { recursive: true });
+    const archivedImages = new Set(archive.images.map(image => image.name));
+    archive.images.forEach(({ name, data }) => {
+      const filePath = path.join(PROFILE_IMAGE_DIR, name);
+      if (mode === 'merge' && fs.existsSync(filePath)) {
+        skipped.images++;
+        return;
+      }
+      fs.writeFileSync(filePath, Buffer.from(data, 'base64'));
+      restored.images++;
+    });
+
+    await tx.exec();
+
+    if (mode === 'replace') {
+      fs.readdirSync(PROFILE_IMAGE_DIR)
+        .filter(name => isBackupImageName(name) && !archivedImages.has(name))
+        .forEach(name => fs.unlinkSync(path.join(PROFILE_IMAGE_DIR, name)));
+    }
+
+    // Bring older archives up to the current data format
+    if (archive.schemaVersion < currentSchemaVersion) {
+      await client.set(SCHEMA_VERSION_KEY, String(archive.schemaVersion));
+      await runMigrations(client, { migrations: loadMigrations(path.join(__dirname, 'migrations')) });
+    }
+
+    await rebuildHouseholdMembers();
+    await client.del(INDEX_BUILT_KEY);
+    await ensureResidentIndexes();
+    await recomputeResidentAges();
+    await reconcileStats();
+
+    await recordAudit(req, {
+      action: 'backup.restore',
+      targetType: 'backup',
+      after: { mode, createdAt: archive.createdAt, ...restored }
+    });
+
+    res.json({ message: 'Backup restored successfully', mode, restored, skipped });
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    res.status(500).json({ message: 'Error restoring backup' });
+  }
+});
+
+// Authentication Routes
+
+/**
+ * Register Admin
+ * POST /auth/register-admin
+ * Public access but requires admin registration code
+ */
+app.post('/auth/register-admin', async (req, res) => {
+  const { username, password, adminCode } = req.body;
+  
+  console.log('Registration attempt with data:', { 
+    username,
+    passwordLength: password?.length,
+    adminCodeProvided: !!adminCode
+  });
+  
+  try {
+    // Validate input
+    if (!username || !password || !adminCode) {
+      console.log('Missing fields:', {
+        username: !username,
+        password: !password,
+        adminCode: !adminCode
+      });
       return res.status(400).json({ message: 'All fields are required' });
     }
 
@@ -728,85 +3256,408 @@ app.post('/auth/register-admin', async (req, res) => {
       console.log('Invalid admin code provided');
       return res.status(403).json({ message: 'Invalid admin registration code' });
     }
-    
-    // Check if user exists
-    const existingUser = await client.hGet(`user:${username}`, 'password');
-    if (existingUser) {
-      console.log('Username already exists:', username);
-      return res.status(400).json({ message: 'Username already exists' });
+    
+    // Check if user exists
+    if (await userRepository.exists(username)) {
+      console.log('Username already exists:', username);
+      return res.status(400).json({ message: 'Username already exists' });
+    }
+
+    // Validate password strength
+    const passwordError = getPasswordError(password, { username });
+    if (passwordError) {
+      console.log('Password too weak:', passwordError);
+      return res.status(400).json({ message: passwordError, errors: { password: passwordError } });
+    }
+
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+    
+    // Save admin user
+    await userRepository.create(username, { password: hashedPassword, role: 'admin' });
+
+    console.log('Admin registered successfully:', username);
+    await recordAudit(req, {
+      actor: username,
+      action: 'user.registerAdmin',
+      targetType: 'user',
+      targetId: username,
+      after: { username, role: 'admin' }
+    });
+    res.status(201).json({ message: 'Admin registered successfully' });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ 
+      message: 'Error registering admin',
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * Answers an attempt made while password attempts are blocked
+ *
+ * @param {Object} res - Express response
+ * @param {number} wait - Seconds until the next attempt is allowed
+ */
+const sendLoginBlocked = (res, wait) => {
+  res.set('Retry-After', String(wait));
+  res.status(429).json({
+    message: `Too many failed login attempts. Try again in ${formatWait(wait)}.`,
+    retryAfter: wait
+  });
+};
+
+/**
+ * Counts a failed login against the username and the client IP
+ *
+ * @param {string} username - Username tried
+ * @param {string} ip - Client IP address
+ * @returns {Promise<number>} Seconds until the next attempt is allowed; 0 when it is allowed now
+ */
+const recordLoginFailure = async (username, ip) => {
+  const [userFailures, ipFailures] = await Promise.all([
+    loginAttemptRepository.recordFailure('user', username, FAILURE_WINDOW_SECONDS),
+    loginAttemptRepository.recordFailure('ip', ip, FAILURE_WINDOW_SECONDS)
+  ]);
+  return Math.max(getRetryAfter(userFailures, USERNAME_POLICY), getRetryAfter(ipFailures, IP_POLICY));
+};
+
+/**
+ * Checks a password as a throttled attempt
+ * The attempt is reserved against the username and the client IP in the same
+ * transaction that reads their failures, so attempts made in parallel count
+ * against each other. A wrong password is counted as a failure before the
+ * reservation ends.
+ *
+ * @param {string} username - Username tried
+ * @param {string} ip - Client IP address
+ * @param {Function} check - Resolves true when the password is right
+ * @returns {Promise<Object>} { blocked, valid, retryAfter }: a blocked attempt is not
+ *   checked, and retryAfter is the seconds until the next attempt is allowed
+ */
+const attemptPassword = async (username, ip, check) => {
+  const [userAttempts, ipAttempts] = await Promise.all([
+    loginAttemptRepository.reserve('user', username, PENDING_WINDOW_SECONDS),
+    loginAttemptRepository.reserve('ip', ip, PENDING_WINDOW_SECONDS)
+  ]);
+
+  try {
+    const wait = Math.max(getAttemptWait(userAttempts, USERNAME_POLICY), getAttemptWait(ipAttempts, IP_POLICY));
+    if (wait > 0) {
+      return { blocked: true, valid: false, retryAfter: wait };
+    }
+    if (await check()) {
+      return { blocked: false, valid: true, retryAfter: 0 };
+    }
+    return { blocked: false, valid: false, retryAfter: await recordLoginFailure(username, ip) };
+  } finally {
+    await Promise.all([
+      loginAttemptRepository.release('user', username),
+      loginAttemptRepository.release('ip', ip)
+    ]);
+  }
+};
+
+/**
+ * User Login
+ * POST /auth/login
+ * Public access
+ *
+ * Failed attempts are counted per username and per client IP. Past a few
+ * failures the next attempt must wait, twice as long after each further
+ * failure, and repeated failures lock the username out for 15 minutes. A
+ * blocked attempt is answered 429 with retryAfter (seconds) and a Retry-After
+ * header; a failure that starts a wait includes retryAfter in its 401.
+ */
+app.post('/auth/login', async (req, res) => {
+  const { username, password } = req.body;
+
+  if (typeof username !== 'string' || !username || typeof password !== 'string' || !password) {
+    return res.status(400).json({ message: 'Username and password are required' });
+  }
+
+  try {
+    // Get user
+    const user = await userRepository.findByUsername(username);
+    const hashedPassword = user?.password;
+    const role = user?.role || 'user'; // Default to user if no role is set
+
+    // Check password; unknown usernames count as failures too, so they cannot be told apart
+    const attempt = await attemptPassword(username, req.ip,
+      async () => Boolean(hashedPassword) && await bcrypt.compare(password, hashedPassword));
+    if (attempt.blocked) {
+      console.log('Login attempt blocked:', { username, ip: req.ip, retryAfter: attempt.retryAfter });
+      return sendLoginBlocked(res, attempt.retryAfter);
+    }
+
+    console.log('Login attempt:', { username, role, hasPassword: !!hashedPassword });
+
+    if (!attempt.valid) {
+      const { retryAfter } = attempt;
+      return res.status(401).json({
+        message: 'Invalid credentials',
+        ...(retryAfter > 0 && { retryAfter })
+      });
+    }
+
+    await loginAttemptRepository.clear('user', username);
+
+    if (user.disabled) {
+      return res.status(403).json({ message: 'This account has been disabled' });
+    }
+
+    // Generate the access and refresh tokens
+    const { token, refreshToken, expiresIn } = await issueTokens(username, role);
+    const { roleLabel, permissions } = await getRoleGrants(role);
+
+    console.log('Login successful:', { username, role });
+
+    res.json({
+      token,
+      refreshToken,
+      expiresIn,
+      role, // Add role to top-level response for easier access
+      roleLabel,
+      permissions,
+      user: {
+        username,
+        role,
+        roleLabel,
+        permissions,
+        mustChangePassword: user.mustChangePassword
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Error logging in' });
+  }
+});
+
+/**
+ * Refresh Session
+ * POST /auth/refresh
+ * Public access
+ *
+ * Exchanges a refresh token for a new access token and refresh token; the old
+ * refresh token stops working. Presenting a refresh token that was already
+ * exchanged means it was copied, so every session of the user is ended.
+ */
+app.post('/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ message: 'Refresh token is required' });
+  }
+
+  try {
+    const tokenHash = hashToken(refreshToken);
+    const session = await sessionRepository.find(tokenHash);
+    if (!session) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const { username } = session;
+    if (!(await sessionRepository.claim(username, tokenHash))) {
+      if (isRefreshTokenReuse(session)) {
+        console.log('Refresh token reused, ending all sessions:', username);
+        await revokeAllSessions(username);
+      }
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const account = await userRepository.findByUsername(username);
+    if (!account || account.disabled) {
+      return res.status(401).json({ message: 'Account is disabled or no longer exists' });
+    }
+
+    const tokens = await issueTokens(username, account.role);
+    const { roleLabel, permissions } = await getRoleGrants(account.role);
+    res.json({
+      ...tokens,
+      role: account.role,
+      roleLabel,
+      permissions,
+      user: { username, role: account.role, roleLabel, permissions, mustChangePassword: account.mustChangePassword }
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Error refreshing session' });
+  }
+});
+
+/**
+ * Logout
+ * POST /auth/logout
+ * Public access
+ *
+ * Revokes the refresh token sent as { refreshToken } and, when the request
+ * carries a valid access token, that access token too. Works with an expired
+ * access token so a user can always log out.
+ */
+app.post('/auth/logout', async (req, res) => {
+  const { refreshToken } = req.body;
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  try {
+    if (typeof refreshToken === 'string' && refreshToken) {
+      await sessionRepository.revoke(hashToken(refreshToken));
+    }
+
+    if (token) {
+      try {
+        await revokeAccessToken(jwt.verify(token, JWT_SECRET));
+      } catch (error) {
+        // An expired or invalid access token needs no revoking
+      }
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Error logging out' });
+  }
+});
+
+/**
+ * Logout Everywhere
+ * POST /auth/logout-all
+ * Protected route
+ *
+ * Ends every session of the current user, on every device.
+ */
+app.post('/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user.username);
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Error logging out' });
+  }
+});
+
+/**
+ * Change Password
+ * POST /auth/change-password
+ * Protected route
+ *
+ * Sets a new password for the current user from { currentPassword, newPassword }.
+ * Wrong current passwords count as failed logins. Every session of the user is
+ * ended and any outstanding reset token cancelled; the response carries a new
+ * token and refreshToken for this device.
+ */
+app.post('/auth/change-password', authenticateToken, async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const { username } = req.user;
+
+  if (typeof currentPassword !== 'string' || !currentPassword) {
+    const message = 'Current password is required';
+    return res.status(400).json({ message, errors: { currentPassword: message } });
+  }
+  const passwordError = typeof newPassword === 'string'
+    ? getPasswordError(newPassword, { username })
+    : 'New password is required';
+  if (passwordError) {
+    return res.status(400).json({ message: passwordError, errors: { newPassword: passwordError } });
+  }
+  if (newPassword === currentPassword) {
+    const message = 'New password must be different from the current password';
+    return res.status(400).json({ message, errors: { newPassword: message } });
+  }
+
+  try {
+    const account = await userRepository.findByUsername(username);
+    const attempt = await attemptPassword(username, req.ip, () => bcrypt.compare(currentPassword, account.password));
+    if (attempt.blocked) {
+      return sendLoginBlocked(res, attempt.retryAfter);
+    }
+    if (!attempt.valid) {
+      const { retryAfter } = attempt;
+      const message = 'Current password is incorrect';
+      return res.status(400).json({
+        message,
+        errors: { currentPassword: message },
+        ...(retryAfter > 0 && { retryAfter })
+      });
     }
 
-    // Validate password strength
-    if (password.length < 6) {
-      console.log('Password too short');
-      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
-    }
+    const hashedPassword = await bcrypt.hash(newPassword, await bcrypt.genSalt(10));
+    await userRepository.update(username, { password: hashedPassword, mustChangePassword: false });
+    await revokeAllSessions(username);
+    await passwordResetRepository.revoke(username);
+    await loginAttemptRepository.clear('user', username);
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-    
-    // Save admin user
-    await client.hSet(`user:${username}`, 'password', hashedPassword);
-    await client.hSet(`user:${username}`, 'role', 'admin');
-    await client.hSet(`user:${username}`, 'createdAt', new Date().toISOString());
+    await recordAudit(req, {
+      action: 'user.changePassword',
+      targetType: 'user',
+      targetId: username
+    });
 
-    console.log('Admin registered successfully:', username);
-    res.status(201).json({ message: 'Admin registered successfully' });
+    const tokens = await issueTokens(username, account.role);
+    res.json({ message: 'Password changed successfully', ...tokens });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ 
-      message: 'Error registering admin',
-      error: error.message 
-    });
+    console.error('Error changing password:', error);
+    res.status(500).json({ message: 'Error changing password' });
   }
 });
 
 /**
- * User Login
- * POST /auth/login
+ * Reset Password With Token
+ * POST /auth/reset-password
  * Public access
+ *
+ * Sets a new password from { token, newPassword }, where token is a one-time
+ * reset token an admin issued (see POST /users/:username/reset-token). The
+ * token stops working once used; a password too weak to accept leaves it
+ * usable. Every session of the user is ended.
  */
-app.post('/auth/login', async (req, res) => {
-  const { username, password } = req.body;
+app.post('/auth/reset-password', async (req, res) => {
+  const { token, newPassword } = req.body;
 
-  try {
-    // Get user
-    const hashedPassword = await client.hGet(`user:${username}`, 'password');
-    const role = await client.hGet(`user:${username}`, 'role') || 'user'; // Default to user if no role is set
-    
-    console.log('Login attempt:', { username, role, hasPassword: !!hashedPassword });
+  if (typeof token !== 'string' || !token) {
+    const message = 'Reset token is required';
+    return res.status(400).json({ message, errors: { token: message } });
+  }
 
-    if (!hashedPassword) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+  try {
+    const tokenHash = hashToken(token);
+    const record = await passwordResetRepository.find(tokenHash);
+    const account = record && await userRepository.findByUsername(record.username);
+    if (!account || account.disabled) {
+      const message = 'Invalid or expired reset token';
+      return res.status(400).json({ message, errors: { token: message } });
     }
 
-    // Check password
-    const validPassword = await bcrypt.compare(password, hashedPassword);
-    if (!validPassword) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    const { username } = record;
+    const passwordError = typeof newPassword === 'string'
+      ? getPasswordError(newPassword, { username })
+      : 'New password is required';
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError, errors: { newPassword: passwordError } });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { username, role },
-      JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    if (!(await passwordResetRepository.claim(username, tokenHash))) {
+      const message = 'Invalid or expired reset token';
+      return res.status(400).json({ message, errors: { token: message } });
+    }
 
-    console.log('Login successful:', { username, role });
+    const hashedPassword = await bcrypt.hash(newPassword, await bcrypt.genSalt(10));
+    await userRepository.update(username, { password: hashedPassword, mustChangePassword: false });
+    await revokeAllSessions(username);
+    await loginAttemptRepository.clear('user', username);
 
-    res.json({
-      token,
-      role, // Add role to top-level response for easier access
-      user: {
-        username,
-        role
-      }
+    await recordAudit(req, {
+      actor: username,
+      action: 'user.resetPasswordWithToken',
+      targetType: 'user',
+      targetId: username
     });
+
+    res.json({ message: 'Password reset successfully. You can now log in.' });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Error logging in' });
+    console.error('Error resetting password with token:', error);
+    res.status(500).json({ message: 'Error resetting password' });
   }
 });
 
@@ -814,15 +3665,21 @@ app.post('/auth/login', async (req, res) => {
  * Verify Token
  * GET /auth/verify
  * Protected route
+ *
+ * Returns the user's current role, its label and its permissions, so the client
+ * can show only what the user may do, and whether the user must pick a new password.
  */
 app.get('/auth/verify', authenticateToken, (req, res) => {
   try {
     // If middleware passes, token is valid
     res.json({
       valid: true,
-      isAdmin: req.user.role === 'admin',
+      isAdmin: req.user.role === ADMIN_ROLE,
       username: req.user.username,
-      role: req.user.role
+      role: req.user.role,
+      roleLabel: req.user.roleLabel,
+      permissions: req.user.permissions,
+      mustChangePassword: req.user.mustChangePassword
     });
   } catch (error) {
     console.error('Token verification error:', error);
@@ -854,16 +3711,16 @@ app.post('/auth/register-user', async (req, res) => {
     }
     
     // Check if user exists
-    const existingUser = await client.hGet(`user:${username}`, 'password');
-    if (existingUser) {
+    if (await userRepository.exists(username)) {
       console.log('Username already exists:', username);
       return res.status(400).json({ message: 'Username already exists' });
     }
 
     // Validate password strength
-    if (password.length < 6) {
-      console.log('Password too short');
-      return res.status(400).json({ message: 'Password must be at least 6 characters long' });
+    const passwordError = getPasswordError(password, { username });
+    if (passwordError) {
+      console.log('Password too weak:', passwordError);
+      return res.status(400).json({ message: passwordError, errors: { password: passwordError } });
     }
 
     // Hash password
@@ -871,11 +3728,16 @@ app.post('/auth/register-user', async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
     
     // Save regular user
-    await client.hSet(`user:${username}`, 'password', hashedPassword);
-    await client.hSet(`user:${username}`, 'role', 'user'); // Set role as regular user
-    await client.hSet(`user:${username}`, 'createdAt', new Date().toISOString());
+    await userRepository.create(username, { password: hashedPassword, role: 'user' });
 
     console.log('Regular user registered successfully:', username);
+    await recordAudit(req, {
+      actor: username,
+      action: 'user.register',
+      targetType: 'user',
+      targetId: username,
+      after: { username, role: 'user' }
+    });
     res.status(201).json({ message: 'User registered successfully' });
   } catch (error) {
     console.error('Registration error:', error);
@@ -891,14 +3753,11 @@ app.post('/auth/register-user', async (req, res) => {
 /**
  * Get Student Statistics
  * GET /analytics/student-stats
- * Public access
+ * Protected: Requires the students:read permission
  */
-app.get('/analytics/student-stats', async (req, res) => {
+app.get('/analytics/student-stats', authenticateToken, requirePermission('students:read'), async (req, res) => {
   try {
-    const keys = await client.keys('student:*');
-    const students = await Promise.all(keys.map(async (key) => {
-      return await client.hGetAll(key);
-    }));
+    const students = await studentRepository.findAll();
 
     // Calculate statistics
     const yearLevelStats = students.reduce((acc, student) => {
@@ -938,104 +3797,525 @@ app.get('/analytics/student-stats', async (req, res) => {
 /**
  * Check Users in Redis (Debug endpoint)
  * GET /auth/check-users
- * Public access (should be protected in production)
+ * Protected: Requires the users:manage permission
  */
-app.get('/auth/check-users', async (req, res) => {
+app.get('/auth/check-users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const userKeys = await client.keys('user:*');
-    const users = await Promise.all(userKeys.map(async (key) => {
-      const userData = await client.hGetAll(key);
-      return {
-        username: key.split(':')[1],
-        role: userData.role,
-        createdAt: userData.createdAt
-      };
-    }));
+    const users = await userRepository.list();
     res.json({ users });
   } catch (error) {
+    console.error('Error checking users:', error);
     res.status(500).json({ message: 'Error checking users' });
   }
 });
 
-// Resident endpoints
-app.get('/residents/stats', authenticateToken, async (req, res) => {
+// User Management Routes
+
+/**
+ * Rejects changes to an admin account by a user who is not an admin
+ *
+ * @param {Object} req - Express request with the authenticated user
+ * @param {Object} res - Express response
+ * @param {Object} account - Account being managed
+ * @returns {boolean} True when a 403 response was sent
+ */
+const refuseAdminAccountChange = (req, res, account) => {
+  if (canManageRole(req.user.role, account.role)) return false;
+  res.status(403).json({ message: 'Only admins can manage admin accounts' });
+  return true;
+};
+
+/**
+ * List Users
+ * GET /users
+ * Protected: Requires the users:manage permission
+ *
+ * Accounts are listed by username, without their password hashes. lockedUntil
+ * is the ISO time a lockout for failed logins ends, or null.
+ */
+app.get('/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const stats = await client.hGetAll('stats');
-    res.json(stats);
+    const users = await userRepository.list();
+    const data = await Promise.all(users.map(async (user) => ({
+      ...user,
+      lockedUntil: getLockedUntil(await loginAttemptRepository.get('user', user.username))
+    })));
+    res.json({ data });
   } catch (error) {
-    console.error('Error fetching resident stats:', error);
-    res.status(500).json({ message: 'Error fetching resident stats' });
+    console.error('Error fetching users:', error);
+    res.status(500).json({ message: 'Error fetching users' });
   }
 });
 
-app.get('/residents/export/csv', authenticateToken, async (req, res) => {
+/**
+ * Create User
+ * POST /users
+ * Protected: Requires the users:manage permission
+ *
+ * Body: { username, password, role }; role defaults to "user". Only admins
+ * can create admin accounts.
+ */
+app.post('/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const residents = [];
-    const residentIds = await client.sMembers('residents');
-    
-    for (const id of residentIds) {
-      const resident = await client.hGetAll(`resident:${id}`);
-      if (resident && Object.keys(resident).length > 0) {
-        residents.push({ id, ...resident });
-      }
+    const roles = (await roleRepository.list()).map(role => role.name);
+    const { values, errors } = validateNewUser(req.body, { roles, actorRole: req.user.role });
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
     }
-    
-    const fields = [
-      'First Name',
-      'Middle Name',
-      'Last Name',
-      'Alias',
-      'Place of Birth',
-      'Birthdate',
-      'Age',
-      'Civil Status',
-      'Gender',
-      'Purok',
-      'Voters Status',
-      'Identified As',
-      'Email',
-      'Contact Number',
-      'Occupation',
-      'Citizenship',
-      'Address',
-      'Household No.',
-      'Precinct No.'
-    ];
-    
-    const csvRows = [
-      fields.join(','),
-      ...residents.map(resident => [
-        resident.firstName,
-        resident.middleName,
-        resident.lastName,
-        resident.alias,
-        resident.birthplace,
-        resident.birthdate,
-        resident.age,
-        resident.civilStatus,
-        resident.gender,
-        resident.purok,
-        resident.votersStatus,
-        resident.identifiedAs,
-        resident.email,
-        resident.contactNumber,
-        resident.occupation,
-        resident.citizenship,
-        resident.address,
-        resident.householdNo,
-        resident.precinctNo
-      ].map(field => `"${field || ''}"`).join(','))
-    ].join('\n');
-    
-    res.setHeader('Content-Type', 'text/csv');
+
+    if (await userRepository.exists(values.username)) {
+      const message = 'Username already exists';
+      return res.status(400).json({ message, errors: { username: message } });
+    }
+
+    const hashedPassword = await bcrypt.hash(values.password, await bcrypt.genSalt(10));
+    await userRepository.create(values.username, { password: hashedPassword, role: values.role });
+
+    const user = toPublicUser(await userRepository.findByUsername(values.username));
+    await recordAudit(req, {
+      action: 'user.create',
+      targetType: 'user',
+      targetId: values.username,
+      after: { username: values.username, role: values.role }
+    });
+
+    res.status(201).json({ message: 'User created successfully', user });
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(500).json({ message: 'Error creating user' });
+  }
+});
+
+/**
+ * Update User
+ * PUT /users/:username
+ * Protected: Requires the users:manage permission
+ *
+ * Body: { role } and/or { disabled }. A disabled account cannot log in, and its
+ * sessions are ended. Users cannot change their own role or disable themselves,
+ * and only admins can change admin accounts or give the admin role.
+ */
+app.put('/users/:username', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { username } = req.params;
+
+  try {
+    const existing = await userRepository.findByUsername(username);
+    if (!existing) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (refuseAdminAccountChange(req, res, existing)) return;
+
+    const { changes, errors } = validateUserChanges(req.body, {
+      actor: req.user.username,
+      actorRole: req.user.role,
+      username,
+      currentRole: existing.role,
+      roles: (await roleRepository.list()).map(role => role.name)
+    });
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ message: Object.values(errors)[0], errors });
+    }
+
+    await userRepository.update(username, changes);
+    if (changes.disabled) {
+      await revokeAllSessions(username);
+    }
+
+    const user = toPublicUser(await userRepository.findByUsername(username));
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: username,
+      before: { role: existing.role, disabled: existing.disabled },
+      after: { role: user.role, disabled: user.disabled }
+    });
+
+    res.json({ message: 'User updated successfully', user });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ message: 'Error updating user' });
+  }
+});
+
+/**
+ * Force Password Reset
+ * POST /users/:username/reset-password
+ * Protected: Requires the users:manage permission
+ *
+ * Sets the password sent as { password }, or a generated one that is returned
+ * once as temporaryPassword, flags the account to pick a new password and ends
+ * the user's sessions.
+ */
+app.post('/users/:username/reset-password', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { username } = req.params;
+  const chosenPassword = typeof req.body.password === 'string' && req.body.password !== '';
+  const temporaryPassword = chosenPassword ? req.body.password : generateTemporaryPassword();
+
+  const passwordError = getPasswordError(temporaryPassword, { username });
+  if (passwordError) {
+    return res.status(400).json({ message: passwordError, errors: { password: passwordError } });
+  }
+
+  try {
+    const existing = await userRepository.findByUsername(username);
+    if (!existing) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (refuseAdminAccountChange(req, res, existing)) return;
+
+    const hashedPassword = await bcrypt.hash(temporaryPassword, await bcrypt.genSalt(10));
+    await userRepository.update(username, { password: hashedPassword, mustChangePassword: true });
+    await revokeAllSessions(username);
+
+    await recordAudit(req, {
+      action: 'user.resetPassword',
+      targetType: 'user',
+      targetId: username
+    });
+
+    res.json({
+      message: 'Password reset successfully',
+      ...(chosenPassword ? {} : { temporaryPassword })
+    });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({ message: 'Error resetting password' });
+  }
+});
+
+/**
+ * Issue Password Reset Token
+ * POST /users/:username/reset-token
+ * Protected: Requires the users:manage permission
+ *
+ * Creates a one-time token the user can trade for a new password at
+ * POST /auth/reset-password. It is returned once as resetToken, expires after
+ * 24 hours (expiresAt), and replaces any token issued to the user before.
+ */
+app.post('/users/:username/reset-token', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { username } = req.params;
+
+  try {
+    const existing = await userRepository.findByUsername(username);
+    if (!existing) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (refuseAdminAccountChange(req, res, existing)) return;
+
+    const resetToken = generateResetToken();
+    await passwordResetRepository.create(username, hashToken(resetToken), PASSWORD_RESET_TTL_SECONDS);
+
+    await recordAudit(req, {
+      action: 'user.issueResetToken',
+      targetType: 'user',
+      targetId: username
+    });
+
+    res.json({
+      message: 'Reset token issued',
+      resetToken,
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_SECONDS * 1000).toISOString()
+    });
+  } catch (error) {
+    console.error('Error issuing reset token:', error);
+    res.status(500).json({ message: 'Error issuing reset token' });
+  }
+});
+
+/**
+ * Unlock User
+ * POST /users/:username/unlock
+ * Protected: Requires the users:manage permission
+ *
+ * Forgets the failed logins of the username, ending a lockout or wait.
+ */
+app.post('/users/:username/unlock', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { username } = req.params;
+
+  try {
+    const existing = await userRepository.findByUsername(username);
+    if (!existing) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (refuseAdminAccountChange(req, res, existing)) return;
+
+    if (await loginAttemptRepository.clear('user', username)) {
+      await recordAudit(req, {
+        action: 'user.unlock',
+        targetType: 'user',
+        targetId: username
+      });
+    }
+
+    res.json({ message: 'User unlocked successfully' });
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ message: 'Error unlocking user' });
+  }
+});
+
+/**
+ * Delete User
+ * DELETE /users/:username
+ * Protected: Requires the users:manage permission
+ *
+ * The user's sessions are ended. Users cannot delete their own account, and
+ * only admins can delete admin accounts.
+ */
+app.delete('/users/:username', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  const { username } = req.params;
+
+  if (username === req.user.username) {
+    return res.status(400).json({ message: 'You cannot delete your own account' });
+  }
+
+  try {
+    const existing = await userRepository.findByUsername(username);
+    if (!existing) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (refuseAdminAccountChange(req, res, existing)) return;
+
+    await userRepository.remove(username);
+    await sessionRepository.revokeAll(username);
+    await passwordResetRepository.revoke(username);
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: username,
+      before: { username, role: existing.role }
+    });
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ message: 'Error deleting user' });
+  }
+});
+
+// Role Management Routes
+
+/**
+ * Rejects giving a role permissions the user's own role does not grant
+ *
+ * @param {Object} req - Express request with the authenticated user
+ * @param {Object} res - Express response
+ * @param {string[]} permissions - Permissions the role would be given
+ * @returns {boolean} True when a 403 response was sent
+ */
+const refuseUngrantablePermissions = (req, res, permissions) => {
+  const ungrantable = findUngrantablePermissions(req.user.permissions, permissions);
+  if (ungrantable.length === 0) return false;
+  res.status(403).json({ message: `You cannot grant permissions you do not have: ${ungrantable.join(', ')}` });
+  return true;
+};
+
+/**
+ * List Roles
+ * GET /roles
+ * Protected: Requires authentication
+ *
+ * Returns every role as { name, label, permissions, builtIn }, and the
+ * permissions a role can grant as { name, description }.
+ */
+app.get('/roles', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      data: await roleRepository.list(),
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+  } catch (error) {
+    console.error('Error fetching roles:', error);
+    res.status(500).json({ message: 'Error fetching roles' });
+  }
+});
+
+/**
+ * Create Role
+ * POST /roles
+ * Protected: Requires the roles:manage permission
+ *
+ * Body: { name, label, permissions }. Only permissions the user's own role
+ * grants can be given.
+ */
+app.post('/roles', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+  const { values, errors } = validateRole(req.body, { isNew: true });
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ message: Object.values(errors)[0], errors });
+  }
+  if (refuseUngrantablePermissions(req, res, values.permissions)) return;
+
+  try {
+    if (await roleRepository.findByName(values.name)) {
+      const message = 'Role already exists';
+      return res.status(400).json({ message, errors: { name: message } });
+    }
+
+    await roleRepository.save(values.name, { label: values.label, permissions: values.permissions });
+    const role = await roleRepository.findByName(values.name);
+
+    await recordAudit(req, {
+      action: 'role.create',
+      targetType: 'role',
+      targetId: values.name,
+      after: { label: role.label, permissions: role.permissions }
+    });
+
+    res.status(201).json({ message: 'Role created successfully', role });
+  } catch (error) {
+    console.error('Error creating role:', error);
+    res.status(500).json({ message: 'Error creating role' });
+  }
+});
+
+/**
+ * Update Role
+ * PUT /roles/:name
+ * Protected: Requires the roles:manage permission
+ *
+ * Body: { label, permissions }. Applies at once to every user with the role.
+ * The admin role always has every permission and cannot be changed. Users cannot
+ * change their own role, and can only give permissions their own role grants.
+ */
+app.put('/roles/:name', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+  const { name } = req.params;
+
+  if (name === ADMIN_ROLE) {
+    return res.status(400).json({ message: 'The admin role cannot be changed' });
+  }
+  if (name === req.user.role) {
+    return res.status(403).json({ message: 'You cannot change your own role' });
+  }
+
+  const { values, errors } = validateRole(req.body);
+  if (Object.keys(errors).length > 0) {
+    return res.status(400).json({ message: Object.values(errors)[0], errors });
+  }
+  if (refuseUngrantablePermissions(req, res, values.permissions)) return;
+
+  try {
+    const existing = await roleRepository.findByName(name);
+    if (!existing) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    await roleRepository.save(name, { label: values.label, permissions: values.permissions });
+    const role = await roleRepository.findByName(name);
+
+    await recordAudit(req, {
+      action: 'role.update',
+      targetType: 'role',
+      targetId: name,
+      before: { label: existing.label, permissions: existing.permissions },
+      after: { label: role.label, permissions: role.permissions }
+    });
+
+    res.json({ message: 'Role updated successfully', role });
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ message: 'Error updating role' });
+  }
+});
+
+/**
+ * Delete Role
+ * DELETE /roles/:name
+ * Protected: Requires the roles:manage permission
+ *
+ * Only roles created by an admin can be deleted, and only once no account has them.
+ */
+app.delete('/roles/:name', authenticateToken, requirePermission('roles:manage'), async (req, res) => {
+  const { name } = req.params;
+
+  if (Object.prototype.hasOwnProperty.call(DEFAULT_ROLES, name)) {
+    return res.status(400).json({ message: 'Built-in roles cannot be deleted' });
+  }
+
+  try {
+    const existing = await roleRepository.findByName(name);
+    if (!existing) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const holders = (await userRepository.list()).filter(user => user.role === name);
+    if (holders.length > 0) {
+      return res.status(400).json({
+        message: `The role is still given to ${holders.length} user${holders.length === 1 ? '' : 's'}`
+      });
+    }
+
+    await roleRepository.remove(name);
+
+    await recordAudit(req, {
+      action: 'role.delete',
+      targetType: 'role',
+      targetId: name,
+      before: { label: existing.label, permissions: existing.permissions }
+    });
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    res.status(500).json({ message: 'Error deleting role' });
+  }
+});
+
+// Resident endpoints
+/**
+ * Export Residents to CSV
+ * GET /residents/export/csv
+ * Protected: Requires the residents:read and export permissions
+ *
+ * Accepts the sort, filter and q options of GET /residents, so the file holds the
+ * residents shown in the list. `columns` is a comma-separated list of fields from
+ * the import layout, in the order wanted; every column is exported without it.
+ * The file starts with a UTF-8 byte order mark for Excel.
+ */
+app.get('/residents/export/csv', authenticateToken, requirePermission('residents:read', 'export'), async (req, res) => {
+  try {
+    const query = parseResidentQuery(req.query);
+    const { columns, errors: columnErrors } = selectCsvColumns(RESIDENT_CSV_COLUMNS, req.query.columns);
+    const errors = [...query.errors, ...columnErrors];
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.join('; ') });
+    }
+
+    const residents = await findResidents(query);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
     res.setHeader('Content-Disposition', 'attachment; filename=residents.csv');
-    res.send(csvRows);
+    res.send(toCsv(columns, residents, { bom: true }));
   } catch (error) {
     console.error('Error exporting residents:', error);
     res.status(500).json({ message: 'Error exporting residents' });
   }
 });
 
+/**
+ * Export Residents to Excel
+ * GET /residents/export/xlsx
+ * Protected: Requires the residents:read and export permissions
+ *
+ * Workbook with a summary sheet of counts per purok and one sheet of residents per
+ * purok, with the same columns as the CSV export.
+ */
+app.get('/residents/export/xlsx', authenticateToken, requirePermission('residents:read', 'export'), async (req, res) => {
+  try {
+    const residents = (await residentRepository.findAll())
+      .map(resident => withCurrentAge(resident));
+
+    const file = await encodeWorkbook(buildResidentWorkbook(residents));
+
+    res.setHeader('Content-Type', XLSX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', 'attachment; filename=residents.xlsx');
+    res.send(file);
+  } catch (error) {
+    console.error('Error exporting residents to Excel:', error);
+    res.status(500).json({ message: 'Error exporting residents' });
+  }
+});
+
 // Add endpoint to serve profile images
 app.get('/api/profile-image/:filename', (req, res) => {
   const filename = req.params.filename;
@@ -1049,16 +4329,50 @@ app.get('/api/profile-image/:filename', (req, res) => {
   }
 });
 
-// Server startup
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-});
+/**
+ * Connects to storage, brings the stored data up to date and starts listening
+ * Exits the process when storage cannot be prepared.
+ *
+ * @returns {Promise<import('http').Server>} The listening server
+ */
+const startServer = async () => {
+  try {
+    await client.connect();
+    console.log(`Connected to ${process.env.STORAGE_DRIVER || 'redis'} storage`);
+    await client.ping();
+    console.log('Storage connection test successful');
+    if (process.env.MIGRATE_ON_STARTUP !== 'false') {
+      await runMigrations(client, { migrations: loadMigrations(path.join(__dirname, 'migrations')) });
+    }
+    await ensureResidentIndexes();
+    scheduleStatsReconciliation();
+    scheduleAgeRecompute();
+  } catch (err) {
+    console.error('Error initializing storage:', err);
+    process.exit(1);
+  }
 
-// Global error handlers
-process.on('unhandledRejection', (error) => {
-  console.error('Unhandled Rejection:', error);
-});
+  return app.listen(PORT, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
+  });
+};
+
+// Server startup; requiring the module (e.g. from tests) only builds the app
+if (require.main === module) {
+  startServer();
+
+  // Global error handlers
+  process.on('unhandledRejection', (error) => {
+    console.error('Unhandled Rejection:', error);
+  });
+
+  process.on('uncaughtException', (error) => {
+    console.error('Uncaught Exception:', error);
+  });
+}
 
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-});
\ No newline at end of file
+module.exports = {
+  app,
+  client,
+  startServer
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Storage Module
+ *
+ * Creates the client the server keeps its data in. Two drivers are available,
+ * chosen with the STORAGE_DRIVER environment variable:
+ *
+ * - redis (default): a node-redis client for REDIS_URL
+ * - memory: an in-memory client with the same commands, for tests and demos;
+ *   everything is lost when the process exits
+ *
+ * Both are created unconnected; call connect() before use.
+ *
+ * @module storage
+ */
+
+const redis = require('redis');
+const { createMemoryClient } = require('./memoryClient');
+
+const STORAGE_DRIVERS = ['redis', 'memory'];
+
+// Reconnect attempts before the Redis client gives up
+const MAX_RECONNECT_RETRIES = 10;
+
+/**
+ * Creates a storage client
+ *
+ * @param {Object} [options]
+ * @param {string} [options.driver] - "redis" or "memory"; STORAGE_DRIVER or "redis" by default
+ * @param {string} [options.url] - Redis URL; REDIS_URL or redis://localhost:6379 by default
+ * @returns {Object} Client with the node-redis v4 interface
+ * @throws {Error} When the driver is not one of STORAGE_DRIVERS
+ */
+const createStorageClient = ({
+  driver = process.env.STORAGE_DRIVER || 'redis',
+  url = process.env.REDIS_URL || 'redis://localhost:6379'
+} = {}) => {
+  if (driver === 'memory') {
+    return createMemoryClient();
+  }
+  if (driver !== 'redis') {
+    throw new Error(`Unknown storage driver "${driver}". Expected one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  return redis.createClient({
+    url,
+    socket: {
+      reconnectStrategy: (retries) => {
+        if (retries > MAX_RECONNECT_RETRIES) {
+          console.error('Redis connection lost. Max retries reached.');
+          return false;
+        }
+        return Math.min(retries * 100, 3000);
+      }
+    }
+  });
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  WatchError: redis.WatchError,
+  createStorageClient
+};
@@ -0,0 +1,644 @@
+/**
+ * Memory Client Module
+ *
+ * An in-memory stand-in for the node-redis client, so the API can run in tests
+ * or as a demo without a Redis server. It answers only the commands and
+ * options the server, repositories, migrations and backups use, with the same
+ * replies node-redis gives:
+ *
+ * - strings: get, set (NX, EX), expire, ttl
+ * - keys: del, exists, keys (* and ? patterns), rename, renameNX, flushAll
+ * - hashes: hSet (field and value, or an object), hGet, hGetAll, hDel, hIncrBy, hKeys
+ * - sets: sAdd, sRem, sMembers, sIsMember, sCard, sInter, sInterCard
+ * - sorted sets: zAdd, zRem, zRange (REV), zRangeByLex
+ * - lists: rPush, lRange, lIndex, lLen
+ * - streams: xAdd (* IDs), xRevRange (COUNT)
+ * - multi (exec, execAsPipeline), watch, unwatch and executeIsolated
+ *
+ * Anything else is left out on purpose. __tests__/storageContract.test.js runs
+ * the same tests against this client and a Redis server; add a command there
+ * when the server starts using it.
+ *
+ * A MULTI applies all of its commands at once. Like Redis, exec fails with a
+ * WatchError when a watched key was changed after watch, and a command on a key
+ * of another type fails with WRONGTYPE. Data lives only as long as the process.
+ *
+ * @module storage/memoryClient
+ */
+
+const EventEmitter = require('events');
+const { WatchError } = require('redis');
+
+const WRONG_TYPE = 'WRONGTYPE Operation against a key holding the wrong kind of value';
+
+/**
+ * @param {string|string[]} value - One argument or a list of them
+ * @returns {string[]} The arguments as strings
+ */
+const toList = (value) => [].concat(value).map(String);
+
+/**
+ * Compares two strings byte by byte, the way Redis orders members
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Negative, zero or positive
+ */
+const compareBytes = (a, b) => Buffer.compare(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Turns a KEYS pattern (* and ?) into a regular expression
+ *
+ * @param {string} pattern - Glob-style pattern
+ * @returns {RegExp} Expression matching whole keys
+ */
+const patternToRegExp = (pattern) => {
+  const source = [...pattern].map(char => {
+    if (char === '*') return '[\\s\\S]*';
+    if (char === '?') return '[\\s\\S]';
+    return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Resolves a list index that may count from the end
+ *
+ * @param {number} index - Index, negative from the end
+ * @param {number} length - List length
+ * @returns {number} Index from the start
+ */
+const fromEnd = (index, length) => (index < 0 ? length + index : index);
+
+/**
+ * Selects a LRANGE / ZRANGE style inclusive range
+ *
+ * @param {Array} items - Ordered items
+ * @param {number} start - First index
+ * @param {number} stop - Last index
+ * @returns {Array} Items in the range
+ */
+const sliceRange = (items, start, stop) => {
+  const first = Math.max(fromEnd(Number(start), items.length), 0);
+  const last = Math.min(fromEnd(Number(stop), items.length), items.length - 1);
+  return first > last ? [] : items.slice(first, last + 1);
+};
+
+/**
+ * Parses a stream ID or range bound into [milliseconds, sequence]
+ *
+ * @param {string} bound - "-", "+", "ms", "ms-seq", optionally prefixed with "(" for exclusive
+ * @param {boolean} isEnd - Whether the bound closes the range (an "ms" bound then covers every sequence)
+ * @returns {{ id: number[], exclusive: boolean }} Parsed bound
+ */
+const parseStreamBound = (bound, isEnd) => {
+  const exclusive = bound.startsWith('(');
+  const text = exclusive ? bound.slice(1) : bound;
+  if (text === '-') return { id: [0, 0], exclusive };
+  if (text === '+') return { id: [Infinity, Infinity], exclusive };
+
+  const [ms, seq] = text.split('-');
+  if (!/^\d+$/.test(ms) || (seq !== undefined && !/^\d+$/.test(seq))) {
+    throw new Error('ERR Invalid stream ID specified as stream command argument');
+  }
+  return { id: [Number(ms), seq === undefined ? (isEnd ? Infinity : 0) : Number(seq)], exclusive };
+};
+
+const compareStreamIds = ([msA, seqA], [msB, seqB]) => (msA - msB) || (seqA - seqB);
+
+/**
+ * Parses a ZRANGEBYLEX bound
+ *
+ * @param {string} bound - "-", "+", "[value" or "(value"
+ * @returns {Function} Test of whether a member lies on the allowed side, given the side (1 for min, -1 for max)
+ */
+const lexBoundTest = (bound, side) => {
+  if (bound === '-') return () => side === 1;
+  if (bound === '+') return () => side === -1;
+  if (bound[0] !== '[' && bound[0] !== '(') {
+    throw new Error('ERR min or max not valid string range item');
+  }
+  const value = bound.slice(1);
+  const inclusive = bound[0] === '[';
+  return (member) => {
+    const order = compareBytes(member, value) * side;
+    return inclusive ? order >= 0 : order > 0;
+  };
+};
+
+/**
+ * Keyspace shared by a client and its isolated copies
+ */
+class MemoryStore {
+  constructor() {
+    // key -> { type, value, expiresAt }
+    this.entries = new Map();
+    // key -> number bumped on every change, compared by WATCH
+    this.versions = new Map();
+    this.clock = 0;
+    this.lastStreamId = new Map();
+  }
+
+  version(key) {
+    this.lookup(key);
+    return this.versions.get(key) || 0;
+  }
+
+  touch(key) {
+    this.versions.set(key, ++this.clock);
+  }
+
+  /**
+   * @param {string} key - Key
+   * @param {string} [type] - Expected type; a key of another type throws WRONGTYPE
+   * @returns {*} The stored value, or undefined when the key does not exist
+   */
+  lookup(key, type) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt !== undefined && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      this.touch(key);
+      return undefined;
+    }
+    if (type && entry.type !== type) {
+      throw new Error(WRONG_TYPE);
+    }
+    return entry.value;
+  }
+
+  /**
+   * Returns the value of a key for writing, creating it when missing
+   *
+   * @param {string} key - Key
+   * @param {string} type - Type of the key
+   * @param {Function} create - Returns an empty value
+   * @returns {*} Stored value
+   */
+  upsert(key, type, create) {
+    const value = this.lookup(key, type);
+    if (value !== undefined) return value;
+    const created = create();
+    this.entries.set(key, { type, value: created });
+    return created;
+  }
+
+  /**
+   * Deletes a collection key once its last element is gone, as Redis does
+   *
+   * @param {string} key - Key
+   * @param {Map|Set|Array} value - Collection stored at the key
+   */
+  dropIfEmpty(key, value) {
+    if ((value.size ?? value.length) === 0) {
+      this.entries.delete(key);
+    }
+  }
+
+  remove(key) {
+    if (this.lookup(key) === undefined) return false;
+    this.entries.delete(key);
+    this.touch(key);
+    return true;
+  }
+}
+
+/**
+ * Command implementations; each runs synchronously against the store so a
+ * MULTI can apply all of its commands without interruption
+ */
+const COMMANDS = {
+  // Strings
+
+  get(store, key) {
+    const value = store.lookup(key, 'string');
+    return value === undefined ? null : value;
+  },
+
+  set(store, key, value, options = {}) {
+    if (options.NX && store.lookup(key) !== undefined) return null;
+
+    const entry = { type: 'string', value: String(value) };
+    if (options.EX !== undefined) entry.expiresAt = Date.now() + Number(options.EX) * 1000;
+    store.entries.set(key, entry);
+    store.touch(key);
+    return 'OK';
+  },
+
+  expire(store, key, seconds) {
+    if (store.lookup(key) === undefined) return false;
+    store.entries.get(key).expiresAt = Date.now() + Number(seconds) * 1000;
+    store.touch(key);
+    return true;
+  },
+
+  ttl(store, key) {
+    if (store.lookup(key) === undefined) return -2;
+    const { expiresAt } = store.entries.get(key);
+    return expiresAt === undefined ? -1 : Math.ceil((expiresAt - Date.now()) / 1000);
+  },
+
+  // Keys
+
+  del(store, keys) {
+    return toList(keys).filter(key => store.remove(key)).length;
+  },
+
+  exists(store, keys) {
+    return toList(keys).filter(key => store.lookup(key) !== undefined).length;
+  },
+
+  keys(store, pattern) {
+    const matcher = patternToRegExp(String(pattern));
+    return [...store.entries.keys()].filter(key => store.lookup(key) !== undefined && matcher.test(key));
+  },
+
+  rename(store, key, newKey) {
+    if (store.lookup(key) === undefined) {
+      throw new Error('ERR no such key');
+    }
+    const entry = store.entries.get(key);
+    store.entries.delete(key);
+    store.touch(key);
+    store.entries.set(newKey, entry);
+    store.touch(newKey);
+    return 'OK';
+  },
+
+  renameNX(store, key, newKey) {
+    if (store.lookup(key) === undefined) {
+      throw new Error('ERR no such key');
+    }
+    if (store.lookup(newKey) !== undefined) return false;
+    COMMANDS.rename(store, key, newKey);
+    return true;
+  },
+
+  flushAll(store) {
+    [...store.entries.keys()].forEach(key => store.remove(key));
+    return 'OK';
+  },
+
+  // Hashes
+
+  hSet(store, key, ...args) {
+    const pairs = args.length === 1 ? Object.entries(args[0]) : [[args[0], args[1]]];
+    if (pairs.length === 0) {
+      throw new Error("ERR wrong number of arguments for 'hset' command");
+    }
+
+    const hash = store.upsert(key, 'hash', () => new Map());
+    let added = 0;
+    pairs.forEach(([field, value]) => {
+      if (!hash.has(String(field))) added++;
+      hash.set(String(field), String(value));
+    });
+    store.touch(key);
+    return added;
+  },
+
+  hGet(store, key, field) {
+    const hash = store.lookup(key, 'hash');
+    return hash && hash.has(String(field)) ? hash.get(String(field)) : null;
+  },
+
+  hGetAll(store, key) {
+    const hash = store.lookup(key, 'hash');
+    return hash ? Object.fromEntries(hash) : {};
+  },
+
+  hDel(store, key, fields) {
+    const hash = store.lookup(key, 'hash');
+    if (!hash) return 0;
+    const removed = toList(fields).filter(field => hash.delete(field)).length;
+    if (removed > 0) {
+      store.dropIfEmpty(key, hash);
+      store.touch(key);
+    }
+    return removed;
+  },
+
+  hIncrBy(store, key, field, increment) {
+    const hash = store.upsert(key, 'hash', () => new Map());
+    const current = hash.has(String(field)) ? Number(hash.get(String(field))) : 0;
+    if (!Number.isInteger(current)) {
+      throw new Error('ERR hash value is not an integer');
+    }
+    const next = current + Number(increment);
+    hash.set(String(field), String(next));
+    store.touch(key);
+    return next;
+  },
+
+  hKeys(store, key) {
+    const hash = store.lookup(key, 'hash');
+    return hash ? [...hash.keys()] : [];
+  },
+
+  // Sets
+
+  sAdd(store, key, members) {
+    const set = store.upsert(key, 'set', () => new Set());
+    const added = toList(members).filter(member => !set.has(member) && set.add(member)).length;
+    if (added > 0) store.touch(key);
+    store.dropIfEmpty(key, set);
+    return added;
+  },
+
+  sRem(store, key, members) {
+    const set = store.lookup(key, 'set');
+    if (!set) return 0;
+    const removed = toList(members).filter(member => set.delete(member)).length;
+    if (removed > 0) {
+      store.dropIfEmpty(key, set);
+      store.touch(key);
+    }
+    return removed;
+  },
+
+  sMembers(store, key) {
+    const set = store.lookup(key, 'set');
+    return set ? [...set] : [];
+  },
+
+  sIsMember(store, key, member) {
+    const set = store.lookup(key, 'set');
+    return Boolean(set && set.has(String(member)));
+  },
+
+  sCard(store, key) {
+    const set = store.lookup(key, 'set');
+    return set ? set.size : 0;
+  },
+
+  sInter(store, keys) {
+    const sets = toList(keys).map(key => store.lookup(key, 'set') || new Set());
+    const [first, ...rest] = sets;
+    return [...first].filter(member => rest.every(set => set.has(member)));
+  },
+
+  sInterCard(store, keys) {
+    return COMMANDS.sInter(store, keys).length;
+  },
+
+  // Sorted sets
+
+  zAdd(store, key, members) {
+    const zset = store.upsert(key, 'zset', () => new Map());
+    let added = 0;
+    [].concat(members).forEach(({ score, value }) => {
+      if (!zset.has(String(value))) added++;
+      zset.set(String(value), Number(score));
+    });
+    store.touch(key);
+    return added;
+  },
+
+  zRem(store, key, members) {
+    const zset = store.lookup(key, 'zset');
+    if (!zset) return 0;
+    const removed = toList(members).filter(member => zset.delete(member)).length;
+    if (removed > 0) {
+      store.dropIfEmpty(key, zset);
+      store.touch(key);
+    }
+    return removed;
+  },
+
+  zRange(store, key, start, stop, options = {}) {
+    const zset = store.lookup(key, 'zset');
+    if (!zset) return [];
+    const ordered = [...zset.entries()]
+      .sort(([memberA, scoreA], [memberB, scoreB]) => (scoreA - scoreB) || compareBytes(memberA, memberB))
+      .map(([member]) => member);
+    if (options.REV) ordered.reverse();
+    return sliceRange(ordered, start, stop);
+  },
+
+  zRangeByLex(store, key, min, max) {
+    const zset = store.lookup(key, 'zset');
+    if (!zset) return [];
+    const aboveMin = lexBoundTest(String(min), 1);
+    const belowMax = lexBoundTest(String(max), -1);
+    return [...zset.keys()]
+      .sort(compareBytes)
+      .filter(member => aboveMin(member) && belowMax(member));
+  },
+
+  // Lists
+
+  rPush(store, key, elements) {
+    const list = store.upsert(key, 'list', () => []);
+    list.push(...toList(elements));
+    store.touch(key);
+    return list.length;
+  },
+
+  lRange(store, key, start, stop) {
+    return sliceRange(store.lookup(key, 'list') || [], start, stop);
+  },
+
+  lIndex(store, key, index) {
+    const list = store.lookup(key, 'list') || [];
+    const element = list[fromEnd(Number(index), list.length)];
+    return element === undefined ? null : element;
+  },
+
+  lLen(store, key) {
+    return (store.lookup(key, 'list') || []).length;
+  },
+
+  // Streams
+
+  xAdd(store, key, id, message) {
+    if (id !== '*') {
+      throw new Error('Only generated (*) stream IDs are supported');
+    }
+    const [lastMs, lastSeq] = store.lastStreamId.get(key) || [0, 0];
+    const now = Date.now();
+    const next = now > lastMs ? [now, 0] : [lastMs, lastSeq + 1];
+
+    const stream = store.upsert(key, 'stream', () => []);
+    const streamId = next.join('-');
+    stream.push({
+      id: streamId,
+      message: Object.fromEntries(Object.entries(message).map(([field, value]) => [field, String(value)]))
+    });
+    store.lastStreamId.set(key, next);
+    store.touch(key);
+    return streamId;
+  },
+
+  xRevRange(store, key, end, start, options = {}) {
+    const from = parseStreamBound(String(start), false);
+    const to = parseStreamBound(String(end), true);
+    const entries = (store.lookup(key, 'stream') || [])
+      .filter(({ id }) => {
+        const parsed = id.split('-').map(Number);
+        const afterStart = compareStreamIds(parsed, from.id);
+        const beforeEnd = compareStreamIds(parsed, to.id);
+        return (from.exclusive ? afterStart > 0 : afterStart >= 0) && (to.exclusive ? beforeEnd < 0 : beforeEnd <= 0);
+      })
+      .map(({ id, message }) => ({ id, message: { ...message } }))
+      .reverse();
+    return options.COUNT ? entries.slice(0, options.COUNT) : entries;
+  }
+};
+
+/**
+ * Queued commands of a MULTI, applied together by exec
+ */
+class MemoryMulti {
+  constructor(client) {
+    this.client = client;
+    this.queue = [];
+  }
+
+  /**
+   * Applies the queued commands as a transaction
+   * Fails without applying anything when a watched key changed.
+   *
+   * @returns {Promise<Array>} One reply per command
+   */
+  async exec() {
+    this.client.assertOpen();
+    const changed = this.client.watchedKeyChanged();
+    this.client.watched.clear();
+    if (changed) {
+      throw new WatchError();
+    }
+    return this.run();
+  }
+
+  /**
+   * Sends the queued commands without a transaction
+   *
+   * @returns {Promise<Array>} One reply per command
+   */
+  async execAsPipeline() {
+    this.client.assertOpen();
+    return this.run();
+  }
+
+  run() {
+    // Like Redis, a failing command does not stop the others
+    const replies = this.queue.map(([name, args]) => {
+      try {
+        return COMMANDS[name](this.client.store, ...args);
+      } catch (error) {
+        return error;
+      }
+    });
+    const failed = replies.find(reply => reply instanceof Error);
+    if (failed) {
+      throw failed;
+    }
+    return replies;
+  }
+}
+
+Object.keys(COMMANDS).forEach(name => {
+  MemoryMulti.prototype[name] = function (...args) {
+    this.queue.push([name, args]);
+    return this;
+  };
+});
+
+/**
+ * In-memory client with the node-redis v4 interface
+ */
+class MemoryClient extends EventEmitter {
+  /**
+   * @param {MemoryStore} [store] - Keyspace to share; a new empty one by default
+   */
+  constructor(store = new MemoryStore()) {
+    super();
+    this.store = store;
+    this.isOpen = false;
+    this.isReady = false;
+    // key -> version at the time it was watched
+    this.watched = new Map();
+  }
+
+  async connect() {
+    this.isOpen = true;
+    this.isReady = true;
+    this.emit('connect');
+    this.emit('ready');
+    return this;
+  }
+
+  async disconnect() {
+    this.isOpen = false;
+    this.isReady = false;
+    this.emit('end');
+  }
+
+  async quit() {
+    await this.disconnect();
+    return 'OK';
+  }
+
+  async ping() {
+    this.assertOpen();
+    return 'PONG';
+  }
+
+  assertOpen() {
+    if (!this.isOpen) {
+      throw new Error('The client is closed');
+    }
+  }
+
+  async watch(keys) {
+    this.assertOpen();
+    toList(keys).forEach(key => this.watched.set(key, this.store.version(key)));
+    return 'OK';
+  }
+
+  async unwatch() {
+    this.watched.clear();
+    return 'OK';
+  }
+
+  watchedKeyChanged() {
+    return [...this.watched].some(([key, version]) => this.store.version(key) !== version);
+  }
+
+  multi() {
+    return new MemoryMulti(this);
+  }
+
+  /**
+   * Runs a function with a client of its own, so its WATCH does not affect other requests
+   *
+   * @param {Function} fn - Receives the isolated client
+   * @returns {Promise<*>} What fn resolves to
+   */
+  async executeIsolated(fn) {
+    this.assertOpen();
+    const isolated = new MemoryClient(this.store);
+    isolated.isOpen = true;
+    isolated.isReady = true;
+    return fn(isolated);
+  }
+}
+
+Object.keys(COMMANDS).forEach(name => {
+  MemoryClient.prototype[name] = async function (...args) {
+    this.assertOpen();
+    return COMMANDS[name](this.store, ...args);
+  };
+});
+
+/**
+ * Creates an empty in-memory client
+ *
+ * @returns {MemoryClient} Client; call connect() before use, as with node-redis
+ */
+const createMemoryClient = () => new MemoryClient();
+
+module.exports = {
+  MemoryClient,
+  createMemoryClient
+};
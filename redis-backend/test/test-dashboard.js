@@ -36,24 +36,38 @@ const testDashboard = async () => {
 
     // Step 3: Add test residents
     console.log('\n3. Adding test residents...');
+    const sharedDetails = {
+      birthplace: 'Barangay Hall',
+      civilStatus: 'Single',
+      purok: 'Purok 1',
+      precinctNo: '0001A',
+      address: 'Test Address',
+      citizenship: 'Filipino'
+    };
     const residents = [
       {
+        ...sharedDetails,
         firstName: 'John',
         lastName: 'Doe',
+        birthdate: '1990-01-15',
         gender: 'Male',
-        votersStatus: 'Yes'
+        votersStatus: 'Registered'
       },
       {
+        ...sharedDetails,
         firstName: 'Jane',
         lastName: 'Smith',
+        birthdate: '1992-06-20',
         gender: 'Female',
-        votersStatus: 'No'
+        votersStatus: 'Not-Registered'
       },
       {
+        ...sharedDetails,
         firstName: 'Mike',
         lastName: 'Johnson',
+        birthdate: '1985-11-02',
         gender: 'Male',
-        votersStatus: 'Yes'
+        votersStatus: 'Registered'
       }
     ];
 
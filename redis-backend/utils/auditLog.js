@@ -0,0 +1,139 @@
+/**
+ * Audit Log Module
+ *
+ * Formats, filters and exports the entries of the audit trail. Every mutating
+ * route appends an entry to the `audit:log` Redis stream naming the user, the
+ * action, its target, the client IP and a summary of the values before and
+ * after the change. Entries are never edited or removed.
+ *
+ * @module utils/auditLog
+ */
+
+const { toCsv } = require('./csv');
+
+const AUDIT_LOG_KEY = 'audit:log';
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Never copied into the audit trail
+const SECRET_FIELDS = ['password', 'adminCode'];
+
+/**
+ * Picks the values worth recording for one side of a change
+ * When both sides are known only the fields that differ are kept
+ *
+ * @param {Object|null} state - Values on this side of the change
+ * @param {Object|null} other - Values on the other side
+ * @returns {string} JSON summary, or an empty string when there is nothing to record
+ */
+const summarizeState = (state, other) => {
+  if (!state) return '';
+
+  const summary = Object.fromEntries(Object.entries(state).filter(([field, value]) =>
+    field !== 'id' &&
+    !SECRET_FIELDS.includes(field) &&
+    (!other || String(value ?? '') !== String(other[field] ?? ''))
+  ));
+
+  return Object.keys(summary).length > 0 ? JSON.stringify(summary) : '';
+};
+
+/**
+ * Builds the stream fields of an audit entry; Redis stores them as strings
+ *
+ * @param {Object} options
+ * @param {string} options.actor - Username of the user who made the change
+ * @param {string} options.action - What was done, e.g. "resident.update"
+ * @param {string} options.targetType - Kind of record changed, e.g. "resident"
+ * @param {string} [options.targetId] - ID of the record changed
+ * @param {string} [options.ip] - Client IP address
+ * @param {Object|null} [options.before] - Values before the change
+ * @param {Object|null} [options.after] - Values after the change
+ * @param {string} [options.timestamp] - ISO timestamp, defaults to now
+ * @returns {Object} Entry fields
+ */
+const buildAuditEntry = ({ actor, action, targetType, targetId, ip, before = null, after = null, timestamp }) => ({
+  timestamp: timestamp || new Date().toISOString(),
+  actor: actor || '',
+  action,
+  targetType,
+  targetId: targetId || '',
+  ip: ip || '',
+  before: summarizeState(before, after),
+  after: summarizeState(after, before)
+});
+
+/**
+ * Parses audit log filters and paging from query parameters
+ * Out-of-range paging values fall back to the defaults
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} { page, pageSize, ...filters } with empty filters dropped; from/to become millisecond bounds
+ */
+const parseAuditQuery = (query = {}) => {
+  const page = parseInt(query.page, 10);
+  const pageSize = parseInt(query.pageSize, 10);
+  const filters = {
+    page: page >= 1 ? page : 1,
+    pageSize: pageSize >= 1 && pageSize <= MAX_PAGE_SIZE ? pageSize : DEFAULT_PAGE_SIZE
+  };
+
+  ['actor', 'action', 'targetType', 'targetId', 'q'].forEach(field => {
+    if (typeof query[field] === 'string' && query[field].trim()) {
+      filters[field] = query[field].trim();
+    }
+  });
+
+  // Whole days in UTC; "to" includes the entire day
+  const from = Date.parse(`${query.from}T00:00:00.000Z`);
+  const to = Date.parse(`${query.to}T23:59:59.999Z`);
+  if (!isNaN(from)) filters.from = from;
+  if (!isNaN(to)) filters.to = to;
+
+  return filters;
+};
+
+/**
+ * Checks an entry against the field filters from parseAuditQuery
+ * q matches text anywhere in the user, target ID or before/after summaries.
+ * The date range is applied when reading the stream.
+ *
+ * @param {Object} entry - Audit entry
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean} True if the entry matches every filter
+ */
+const matchesAuditFilters = (entry, filters) =>
+  (!filters.actor || entry.actor.toLowerCase() === filters.actor.toLowerCase()) &&
+  (!filters.action || entry.action === filters.action) &&
+  (!filters.targetType || entry.targetType === filters.targetType) &&
+  (!filters.targetId || entry.targetId === filters.targetId) &&
+  (!filters.q || [entry.actor, entry.targetId, entry.before, entry.after]
+    .some(text => (text || '').toLowerCase().includes(filters.q.toLowerCase())));
+
+const CSV_COLUMNS = [
+  { header: 'Timestamp', field: 'timestamp' },
+  { header: 'User', field: 'actor' },
+  { header: 'Action', field: 'action' },
+  { header: 'Target Type', field: 'targetType' },
+  { header: 'Target ID', field: 'targetId' },
+  { header: 'IP Address', field: 'ip' },
+  { header: 'Before', field: 'before' },
+  { header: 'After', field: 'after' }
+];
+
+/**
+ * Renders audit entries as CSV with a header row
+ *
+ * @param {Object[]} entries - Audit entries
+ * @returns {string} CSV text
+ */
+const toAuditCsv = (entries) => toCsv(CSV_COLUMNS, entries);
+
+module.exports = {
+  AUDIT_LOG_KEY,
+  summarizeState,
+  buildAuditEntry,
+  parseAuditQuery,
+  matchesAuditFilters,
+  toAuditCsv
+};
@@ -0,0 +1,75 @@
+/**
+ * Auth Tokens Module
+ *
+ * Lifetimes and helpers for the two tokens a login hands out: a short-lived
+ * JWT access token sent with every request, and an opaque refresh token that
+ * is exchanged for a new pair when the access token expires. Refresh tokens
+ * are stored only as SHA-256 hashes, so a copy of the database cannot be used
+ * to resume sessions. One-time password reset tokens issued by admins are
+ * stored the same way.
+ *
+ * @module utils/authTokens
+ */
+
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Admin-issued password reset tokens must be used within a day
+const PASSWORD_RESET_TTL_SECONDS = 24 * 60 * 60;
+
+// A refresh token presented again this soon after it was rotated is taken for a
+// second browser tab racing the first, not for a stolen token
+const REFRESH_REUSE_GRACE_MS = 10 * 1000;
+
+/**
+ * @returns {string} New random refresh token
+ */
+const generateRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * @returns {string} New random password reset token
+ */
+const generateResetToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * @param {string} token - Refresh or password reset token
+ * @returns {string} Hex SHA-256 hash the token is stored under
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Decides whether a refresh token that was already rotated is being replayed
+ *
+ * @param {Object} record - Stored refresh token; rotatedAt is an ISO timestamp
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True when the token was rotated longer ago than the grace period
+ */
+const isRefreshTokenReuse = (record, now = Date.now()) =>
+  Boolean(record.rotatedAt) && now - Date.parse(record.rotatedAt) > REFRESH_REUSE_GRACE_MS;
+
+/**
+ * Decides whether an access token was issued before the account's sessions were revoked
+ *
+ * @param {Object} payload - Verified JWT payload; issuedAt is in milliseconds, iat in seconds
+ * @param {Object} account - Account from the user repository
+ * @returns {boolean} True when the token must no longer be accepted
+ */
+const isIssuedBeforeRevocation = (payload, account) => {
+  const revokedAt = Number(account.tokensValidAfter) || 0;
+  const issuedAt = payload.issuedAt || payload.iat * 1000;
+  return issuedAt < revokedAt;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_SECONDS,
+  PASSWORD_RESET_TTL_SECONDS,
+  REFRESH_REUSE_GRACE_MS,
+  generateRefreshToken,
+  generateResetToken,
+  hashToken,
+  isRefreshTokenReuse,
+  isIssuedBeforeRevocation
+};
@@ -0,0 +1,230 @@
+/**
+ * Backup Archive Module
+ *
+ * Builds, encodes and validates the backup archive: one gzipped JSON document
+ * holding every resident (including the recycle bin and change history),
+ * household, student and user, the roles added or edited by admins, the stats
+ * hash and the profile images as base64.
+ *
+ * @module utils/backupArchive
+ */
+
+const zlib = require('zlib');
+const { validateRole } = require('./permissions');
+
+const BACKUP_FORMAT = 'barangay-backup';
+const BACKUP_VERSION = 1;
+
+// Record IDs become part of Redis keys, image names part of file paths
+const ID_PATTERN = /^[\w-]+$/;
+const IMAGE_NAME_PATTERN = /^[\w-]+(\.[\w-]+)*$/;
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Sections that hold lists of records keyed by id
+const RECORD_SECTIONS = ['residents', 'deletedResidents', 'households', 'students'];
+
+/**
+ * Checks that a profile image file name is safe to write back on restore
+ *
+ * @param {string} name - File name
+ * @returns {boolean} True for a plain name with no path or leading dot
+ */
+const isBackupImageName = (name) => IMAGE_NAME_PATTERN.test(name || '');
+
+/**
+ * Assembles a backup archive
+ *
+ * @param {Object} data
+ * @param {Object[]} data.residents - Active residents with their id
+ * @param {Object[]} data.deletedResidents - Residents in the recycle bin with their id
+ * @param {Object} data.histories - Resident ID to its list of history entries
+ * @param {Object[]} data.households - Households with their id
+ * @param {Object[]} data.students - Students with their id
+ * @param {Object[]} data.users - Users with their username
+ * @param {Object} data.roles - The roles hash: role name to JSON { label, permissions }
+ * @param {Object} data.stats - The stats hash
+ * @param {Object[]} data.images - { name, data } profile images, data in base64
+ * @param {number} data.schemaVersion - Applied data migration version
+ * @param {string} data.createdBy - Username of the admin taking the backup
+ * @param {boolean} [data.includePasswords=true] - Keep the users' password hashes
+ * @returns {Object} Archive
+ */
+const createBackupArchive = ({
+  residents, deletedResidents, histories, households, students, users, roles, stats, images,
+  schemaVersion, createdBy, includePasswords = true
+}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  createdAt: new Date().toISOString(),
+  createdBy,
+  schemaVersion,
+  includesPasswords: includePasswords,
+  residents,
+  deletedResidents,
+  histories,
+  households,
+  students,
+  users: includePasswords ? users : users.map(({ password, ...user }) => user),
+  roles,
+  stats,
+  images
+});
+
+/**
+ * Compresses an archive for download
+ *
+ * @param {Object} archive - Archive from createBackupArchive
+ * @returns {Buffer} Gzipped JSON
+ */
+const encodeBackup = (archive) => zlib.gzipSync(JSON.stringify(archive));
+
+/**
+ * Reads an uploaded archive; plain (uncompressed) JSON is accepted too
+ *
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Object} Parsed archive
+ * @throws {Error} If the file is not gzip or JSON
+ */
+const decodeBackup = (buffer) => {
+  try {
+    const isGzip = buffer[0] === 0x1f && buffer[1] === 0x8b;
+    return JSON.parse((isGzip ? zlib.gunzipSync(buffer) : buffer).toString('utf8'));
+  } catch {
+    throw new Error('Backup file is not a valid archive');
+  }
+};
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} True for an object that is not null or a list
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a plain object whose values are all strings, as stored in a Redis hash
+ */
+const isStringHash = (value) =>
+  isPlainObject(value) && Object.values(value).every(field => typeof field === 'string');
+
+/**
+ * Checks an archive before anything is restored from it
+ *
+ * @param {Object} archive - Parsed archive
+ * @returns {string[]} Problems found; empty when the archive can be restored
+ */
+const validateBackupArchive = (archive) => {
+  if (!archive || archive.format !== BACKUP_FORMAT) {
+    return ['File is not a barangay backup'];
+  }
+  if (archive.version !== BACKUP_VERSION) {
+    return [`Unsupported backup version ${archive.version}`];
+  }
+
+  const errors = [];
+  const ids = {};
+
+  RECORD_SECTIONS.forEach(section => {
+    if (!Array.isArray(archive[section])) {
+      errors.push(`${section} must be a list`);
+      return;
+    }
+
+    ids[section] = new Set();
+    archive[section].forEach((record, index) => {
+      if (!isStringHash(record) || !ID_PATTERN.test(record.id || '')) {
+        errors.push(`${section}[${index}] must have a valid id and only text fields`);
+      } else if (ids[section].has(record.id)) {
+        errors.push(`${section}[${index}] repeats id ${record.id}`);
+      } else {
+        ids[section].add(record.id);
+      }
+    });
+  });
+
+  if (!Array.isArray(archive.users)) {
+    errors.push('users must be a list');
+  } else {
+    const usernames = new Set();
+    archive.users.forEach((user, index) => {
+      if (!isStringHash(user) || !user.username || !user.role) {
+        errors.push(`users[${index}] must have a username and role`);
+      } else if (usernames.has(user.username)) {
+        errors.push(`users[${index}] repeats username ${user.username}`);
+      } else {
+        usernames.add(user.username);
+      }
+    });
+  }
+
+  // Archives made before roles were backed up have none
+  if (archive.roles !== undefined) {
+    if (!isStringHash(archive.roles)) {
+      errors.push('roles must map role names to text values');
+    } else {
+      Object.entries(archive.roles).forEach(([name, value]) => {
+        let role;
+        try {
+          role = JSON.parse(value);
+        } catch {
+          role = null;
+        }
+        if (!role || Object.keys(validateRole({ ...role, name }, { isNew: true }).errors).length > 0) {
+          errors.push(`roles.${name} must be a valid role`);
+        }
+      });
+    }
+  }
+
+  if (!isStringHash(archive.stats)) {
+    errors.push('stats must be an object of text values');
+  }
+
+  // History entries are pushed to resident:{id}:history and read back for their snapshot
+  if (!isPlainObject(archive.histories)) {
+    errors.push('histories must map resident IDs to lists of entries');
+  } else {
+    Object.entries(archive.histories).forEach(([id, entries]) => {
+      if (!ID_PATTERN.test(id)) {
+        errors.push(`histories has an invalid resident ID ${JSON.stringify(id)}`);
+      } else if (!Array.isArray(entries) || !entries.every(entry => isPlainObject(entry) && isPlainObject(entry.snapshot))) {
+        errors.push(`histories.${id} must be a list of entries with a snapshot`);
+      }
+    });
+  }
+
+  if (!Array.isArray(archive.images)) {
+    errors.push('images must be a list');
+  } else {
+    archive.images.forEach((image, index) => {
+      if (!image || !isBackupImageName(image.name) ||
+          typeof image.data !== 'string' || !BASE64_PATTERN.test(image.data)) {
+        errors.push(`images[${index}] must have a plain file name and base64 data`);
+      }
+    });
+  }
+
+  if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 0) {
+    errors.push('schemaVersion must be a whole number');
+  }
+
+  // Active residents may only point at households in the same archive; residents in
+  // the recycle bin may name a household deleted since and are detached on restore
+  if (ids.households && errors.length === 0) {
+    archive.residents
+      .filter(resident => resident.householdId && !ids.households.has(resident.householdId))
+      .forEach(resident => errors.push(`Resident ${resident.id} belongs to missing household ${resident.householdId}`));
+  }
+
+  return errors;
+};
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  isBackupImageName,
+  createBackupArchive,
+  encodeBackup,
+  decodeBackup,
+  validateBackupArchive
+};
@@ -0,0 +1,94 @@
+/**
+ * CSV Module
+ *
+ * Writes CSV files the way spreadsheet programs expect them: RFC 4180 quoting,
+ * CRLF line endings and, for files meant for Excel, a UTF-8 byte order mark so
+ * letters like ñ are not misread.
+ *
+ * Cells that a spreadsheet would run as a formula (starting with =, +, -, @, a
+ * tab or a carriage return) are prefixed with a single quote so they are shown
+ * as text instead.
+ *
+ * @module utils/csv
+ */
+
+const UTF8_BOM = '\uFEFF';
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escapes one CSV cell
+ * Numbers are written as they are, so negative numbers are not mistaken for formulas.
+ *
+ * @param {*} value - Cell value; null and undefined become empty cells
+ * @returns {string} Escaped cell
+ */
+const escapeCsvValue = (value) => {
+  if (typeof value === 'number') return String(value);
+  let text = String(value ?? '');
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Removes the quote escapeCsvValue puts in front of formula-like text
+ *
+ * @param {string} text - Cell text read from a file
+ * @returns {string} The value as it was before export
+ */
+const unescapeFormulaValue = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+/**
+ * Builds a CSV file with a header row
+ *
+ * @param {Object[]} columns - { header, field } in column order
+ * @param {Object[]} rows - Records keyed by field
+ * @param {Object} [options]
+ * @param {boolean} [options.bom=false] - Start the file with a UTF-8 byte order mark
+ * @returns {string} CSV text with CRLF line endings
+ */
+const toCsv = (columns, rows, { bom = false } = {}) => (bom ? UTF8_BOM : '') + [
+  columns.map(column => escapeCsvValue(column.header)).join(','),
+  ...rows.map(row => columns.map(column => escapeCsvValue(row[column.field])).join(','))
+].join('\r\n');
+
+/**
+ * Picks the columns named in a comma-separated list, in the order given
+ *
+ * @param {Object[]} available - { header, field } of every column that can be exported
+ * @param {string} [fields] - Comma-separated field names; every column when empty
+ * @returns {{ columns: Object[], errors: string[] }} Chosen columns and the problems with the list
+ */
+const selectCsvColumns = (available, fields) => {
+  const names = String(fields || '').split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0) {
+    return { columns: available, errors: [] };
+  }
+
+  const errors = [];
+  const unknown = names.filter(name => !available.some(column => column.field === name));
+  if (unknown.length > 0) {
+    errors.push(`Unknown columns: ${unknown.join(', ')}. Columns must be among: ${available.map(column => column.field).join(', ')}`);
+  }
+  const repeated = names.filter((name, index) => names.indexOf(name) !== index);
+  if (repeated.length > 0) {
+    errors.push(`Columns listed more than once: ${[...new Set(repeated)].join(', ')}`);
+  }
+
+  return {
+    columns: names
+      .filter((name, index) => names.indexOf(name) === index)
+      .map(name => available.find(column => column.field === name))
+      .filter(Boolean),
+    errors
+  };
+};
+
+module.exports = {
+  UTF8_BOM,
+  escapeCsvValue,
+  unescapeFormulaValue,
+  toCsv,
+  selectCsvColumns
+};
@@ -0,0 +1,105 @@
+/**
+ * Login Throttle Module
+ *
+ * Policy for slowing down password guessing. Failed logins are counted per
+ * username and per client IP; past a few free attempts each further failure
+ * doubles the wait before the next attempt, and enough failures lock the
+ * username or IP out for a while. The IP limits are looser, since a whole
+ * office may share one address. Attempts still being checked count against
+ * each other, so guesses sent in parallel cannot all slip past the wait.
+ *
+ * @module utils/loginThrottle
+ */
+
+const USERNAME_POLICY = { freeAttempts: 3, lockoutAttempts: 10 };
+const IP_POLICY = { freeAttempts: 20, lockoutAttempts: 100 };
+
+// Wait after the first failure past the free attempts; doubles with each further failure
+const BASE_DELAY_SECONDS = 2;
+const LOCKOUT_SECONDS = 15 * 60;
+
+// Failures are forgotten this long after the last one
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+
+// Attempts being checked are forgotten this long after the last one started,
+// in case a request fails before ending its attempt
+const PENDING_WINDOW_SECONDS = 60;
+
+/**
+ * @param {number} failures - Failed attempts counted so far
+ * @param {Object} policy - USERNAME_POLICY or IP_POLICY
+ * @returns {number} Seconds to wait after the last failure before trying again
+ */
+const getBlockSeconds = (failures, policy) => {
+  if (failures >= policy.lockoutAttempts) return LOCKOUT_SECONDS;
+  if (failures < policy.freeAttempts) return 0;
+  return Math.min(BASE_DELAY_SECONDS * 2 ** (failures - policy.freeAttempts), LOCKOUT_SECONDS);
+};
+
+/**
+ * @param {Object} record - Failures as { count, lastFailureAt } with lastFailureAt in milliseconds
+ * @param {Object} policy - USERNAME_POLICY or IP_POLICY
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number} Whole seconds until another attempt is allowed; 0 when it is allowed now
+ */
+const getRetryAfter = (record, policy, now = Date.now()) => {
+  const blockedUntil = record.lastFailureAt + getBlockSeconds(record.count, policy) * 1000;
+  return Math.max(0, Math.ceil((blockedUntil - now) / 1000));
+};
+
+/**
+ * Decides whether a reserved attempt may have its password checked
+ * The other attempts being checked may all fail, so they are counted as
+ * failures: within the free attempts they run side by side, past them only
+ * one attempt at a time goes ahead.
+ *
+ * @param {Object} record - Failures as { count, lastFailureAt, pending }, where pending
+ *   counts the attempts being checked including this one
+ * @param {Object} policy - USERNAME_POLICY or IP_POLICY
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {number} Whole seconds until another attempt is allowed; 0 when this one may go ahead
+ */
+const getAttemptWait = (record, policy, now = Date.now()) => {
+  const wait = getRetryAfter(record, policy, now);
+  const others = Math.max(record.pending - 1, 0);
+  if (wait > 0 || others === 0 || record.count + others < policy.freeAttempts) {
+    return wait;
+  }
+  return getBlockSeconds(record.count + others, policy);
+};
+
+/**
+ * @param {Object} record - Failures of a username as { count, lastFailureAt }
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string|null} ISO time the username's lockout ends, or null when it is not locked out
+ */
+const getLockedUntil = (record, now = Date.now()) => {
+  if (record.count < USERNAME_POLICY.lockoutAttempts) return null;
+  const lockedUntil = record.lastFailureAt + LOCKOUT_SECONDS * 1000;
+  return lockedUntil > now ? new Date(lockedUntil).toISOString() : null;
+};
+
+/**
+ * Formats a wait for a login error message
+ *
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} e.g. "45 seconds" or "15 minutes"
+ */
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+module.exports = {
+  USERNAME_POLICY,
+  IP_POLICY,
+  LOCKOUT_SECONDS,
+  FAILURE_WINDOW_SECONDS,
+  PENDING_WINDOW_SECONDS,
+  getBlockSeconds,
+  getRetryAfter,
+  getAttemptWait,
+  getLockedUntil,
+  formatWait
+};
@@ -0,0 +1,149 @@
+/**
+ * Migration Runner Module
+ *
+ * Applies the data migrations in the `migrations/` directory to Redis. Each
+ * migration file is named `{version}-{name}.js` and exports
+ * `{ version, description, up(client, { dryRun, log }) }`; `up` resolves to the
+ * number of records it changed (or would change in a dry run) and must be safe
+ * to run again. The highest applied version is kept in `schema:version`, so
+ * only newer migrations run.
+ *
+ * @module utils/migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Highest migration version applied to this database
+const SCHEMA_VERSION_KEY = 'schema:version';
+
+// Held while migrations run so two servers never migrate at once
+const MIGRATION_LOCK_KEY = 'schema:migrating';
+const MIGRATION_LOCK_SECONDS = 600;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)-[\w-]+\.js$/;
+
+/**
+ * Checks a set of migrations and orders them by version
+ *
+ * @param {Object[]} migrations - Migration modules, each with a `file` name
+ * @returns {Object[]} Migrations sorted by version
+ * @throws {Error} If a migration is malformed, misnamed or shares its version
+ */
+const sortMigrations = (migrations) => {
+  const seen = new Map();
+
+  migrations.forEach(migration => {
+    const { file, version, up } = migration;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`Migration ${file} must export a positive integer version`);
+    }
+    if (typeof up !== 'function') {
+      throw new Error(`Migration ${file} must export an up function`);
+    }
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match || parseInt(match[1], 10) !== version) {
+      throw new Error(`Migration ${file} must be named ${String(version).padStart(3, '0')}-{name}.js`);
+    }
+    if (seen.has(version)) {
+      throw new Error(`Migrations ${seen.get(version)} and ${file} share version ${version}`);
+    }
+    seen.set(version, file);
+  });
+
+  return [...migrations].sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Loads every migration file in a directory
+ *
+ * @param {string} directory - Directory holding the migration files
+ * @returns {Object[]} Migrations sorted by version
+ */
+const loadMigrations = (directory) => sortMigrations(fs.readdirSync(directory)
+  .filter(file => file.endsWith('.js'))
+  .map(file => ({ ...require(path.join(directory, file)), file })));
+
+/**
+ * Selects the migrations newer than the applied schema version
+ *
+ * @param {Object[]} migrations - Migrations sorted by version
+ * @param {number} currentVersion - Applied schema version (0 for a new database)
+ * @returns {Object[]} Migrations still to run, in order
+ */
+const getPendingMigrations = (migrations, currentVersion) =>
+  migrations.filter(migration => migration.version > currentVersion);
+
+/**
+ * Reads the applied schema version
+ *
+ * @param {Object} client - Connected Redis client
+ * @returns {Promise<number>} Applied version, 0 if none has been recorded
+ */
+const getSchemaVersion = async (client) => parseInt(await client.get(SCHEMA_VERSION_KEY), 10) || 0;
+
+/**
+ * Runs the pending migrations in order, recording the version after each one
+ * In a dry run every migration only reports what it would change and the
+ * version is left as it is.
+ *
+ * @param {Object} client - Connected Redis client
+ * @param {Object} options
+ * @param {Object[]} options.migrations - Migrations sorted by version
+ * @param {boolean} [options.dryRun=false] - Report changes without writing them
+ * @param {Function} [options.log=console.log] - Receives progress messages
+ * @returns {Promise<{from: number, to: number, applied: Array<{version: number, description: string, changed: number}>}>}
+ * @throws {Error} If another process is migrating, or a migration fails (later ones are not run)
+ */
+const runMigrations = async (client, { migrations, dryRun = false, log = console.log }) => {
+  const from = await getSchemaVersion(client);
+  const pending = getPendingMigrations(migrations, from);
+  const applied = [];
+
+  if (pending.length === 0) {
+    return { from, to: from, applied };
+  }
+
+  if (!dryRun) {
+    const locked = await client.set(MIGRATION_LOCK_KEY, String(process.pid), { NX: true, EX: MIGRATION_LOCK_SECONDS });
+    if (!locked) {
+      throw new Error('Another process is running migrations');
+    }
+  }
+
+  try {
+    for (const migration of pending) {
+      log(`${dryRun ? '[dry run] ' : ''}Migration ${migration.version}: ${migration.description}`);
+
+      let changed;
+      try {
+        changed = await migration.up(client, { dryRun, log: (message) => log(`  ${message}`) });
+      } catch (error) {
+        error.message = `Migration ${migration.version} failed: ${error.message}`;
+        throw error;
+      }
+
+      if (!dryRun) {
+        await client.set(SCHEMA_VERSION_KEY, String(migration.version));
+      }
+      log(`  ${dryRun ? 'Would change' : 'Changed'} ${changed || 0} records`);
+      applied.push({ version: migration.version, description: migration.description, changed: changed || 0 });
+    }
+  } finally {
+    if (!dryRun) {
+      await client.del(MIGRATION_LOCK_KEY);
+    }
+  }
+
+  return { from, to: dryRun ? from : pending[pending.length - 1].version, applied };
+};
+
+module.exports = {
+  SCHEMA_VERSION_KEY,
+  MIGRATION_LOCK_KEY,
+  sortMigrations,
+  loadMigrations,
+  getPendingMigrations,
+  getSchemaVersion,
+  runMigrations
+};
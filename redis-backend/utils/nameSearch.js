@@ -0,0 +1,156 @@
+/**
+ * Name Search Module
+ *
+ * Normalizes resident names for the prefix search index. Names and queries are
+ * "folded" the same way so common Filipino spelling variants match each other:
+ * accents and ñ are dropped (Niño, Ninyo -> nino), sound-alike letters are
+ * merged (Cristina, Kristina; Vicente, Bicente; Jhon, John) and abbreviations
+ * such as "Ma." and "Sto." also match their full forms.
+ *
+ * @module utils/nameSearch
+ */
+
+// Name fields covered by the search index
+const SEARCH_FIELDS = ['firstName', 'middleName', 'lastName', 'alias'];
+
+// Common abbreviations in Filipino names and what they stand for
+const ABBREVIATIONS = {
+  ma: ['maria'],
+  sto: ['santo'],
+  sta: ['santa'],
+  fco: ['francisco'],
+  jr: ['junior'],
+  sr: ['senior']
+};
+
+/**
+ * Folds one lowercase ASCII word so spelling variants produce the same token
+ *
+ * @param {string} word - Lowercase word without accents or punctuation
+ * @returns {string} Folded token
+ */
+const foldWord = (word) => word
+  .replace(/ny(?=[aeiou])/g, 'n')    // ñ is often typed as "ny"
+  .replace(/ph/g, 'f')
+  .replace(/qu/g, 'k')
+  .replace(/c(?!h)/g, 'k')
+  .replace(/([bdgjklmnprtvwz])h/g, '$1') // silent h: Jhon, Rhea, Thomas
+  .replace(/v/g, 'b')
+  .replace(/z/g, 's')
+  .replace(/y/g, 'i')
+  .replace(/(.)\1+/g, '$1');          // doubled letters: Anne, Jonathan vs Jonnathan
+
+/**
+ * Splits text into plain lowercase words, dropping accents and punctuation
+ *
+ * @param {string} text - Raw name or query
+ * @returns {string[]} Words
+ */
+const toWords = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+/**
+ * Folds a whole name to one canonical form, e.g. "Ma. Cristina" -> "maria kristina"
+ * Abbreviations are replaced by their full form
+ *
+ * @param {string} text - Raw name
+ * @returns {string} Folded words joined by single spaces
+ */
+const foldName = (text) => toWords(text)
+  .map(word => foldWord(ABBREVIATIONS[word] ? ABBREVIATIONS[word][0] : word))
+  .join(' ');
+
+/**
+ * Lists the folded tokens for a word, including the full forms of abbreviations
+ *
+ * @param {string} word - Plain lowercase word
+ * @returns {string[]} Folded tokens
+ */
+const expandWord = (word) => {
+  const expansions = ABBREVIATIONS[word] || [];
+  return [...new Set([word, ...expansions].map(foldWord).filter(Boolean))];
+};
+
+/**
+ * Builds the search tokens for a resident's names
+ *
+ * @param {Object} resident - Resident hash
+ * @returns {string[]} Unique folded tokens
+ */
+const getNameTokens = (resident) => {
+  const tokens = SEARCH_FIELDS
+    .flatMap(field => toWords(resident[field]))
+    .flatMap(expandWord);
+  return [...new Set(tokens)];
+};
+
+/**
+ * Builds the sorted-set members for a resident
+ * Each member is "token:residentId" so a lexicographic range finds every
+ * resident with a name token starting with a prefix
+ *
+ * @param {string} id - Resident ID
+ * @param {Object} resident - Resident hash
+ * @returns {string[]} Sorted-set members
+ */
+const getSearchEntries = (id, resident) => getNameTokens(resident).map(token => `${token}:${id}`);
+
+/**
+ * Parses a search query into groups of alternative tokens
+ * A resident matches when every group has at least one token matching a name prefix
+ *
+ * @param {string} query - Raw search text
+ * @returns {string[][]} Alternative folded tokens per query word
+ */
+const parseSearchQuery = (query) => toWords(query).map(expandWord);
+
+/**
+ * Computes the Levenshtein edit distance between two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Checks whether an indexed token is within one typo of a query token
+ * The indexed token may be longer, since queries are typed as prefixes
+ *
+ * @param {string} queryToken - Folded query token
+ * @param {string} indexedToken - Folded indexed token
+ * @returns {boolean} True if they are a near match
+ */
+const isNearMatch = (queryToken, indexedToken) =>
+  editDistance(queryToken, indexedToken.slice(0, queryToken.length)) <= 1 ||
+  editDistance(queryToken, indexedToken) <= 1;
+
+module.exports = {
+  SEARCH_FIELDS,
+  foldWord,
+  foldName,
+  getNameTokens,
+  getSearchEntries,
+  parseSearchQuery,
+  editDistance,
+  isNearMatch
+};
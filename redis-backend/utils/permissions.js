@@ -0,0 +1,158 @@
+/**
+ * Permissions Module
+ *
+ * The permissions a role can grant, the roles every installation starts with,
+ * and checks for roles created or edited by an admin. The admin role is built
+ * in: it always holds every permission and cannot be edited, so there is
+ * always an account able to manage the others.
+ *
+ * @module utils/permissions
+ */
+
+// Every permission, with the description shown when editing a role
+const PERMISSIONS = {
+  'residents:read': 'View residents, their history and resident analytics',
+  'residents:write': 'Add, edit, merge and revert residents',
+  'residents:delete': 'Delete residents and manage the recycle bin',
+  'households:read': 'View households',
+  'households:write': 'Add, edit and delete households and their members',
+  'students:read': 'View students and student analytics',
+  'students:write': 'Add and edit students',
+  'students:delete': 'Delete students',
+  import: 'Import residents and students from files',
+  export: 'Export residents and students to CSV or Excel',
+  'audit:read': 'View and export the audit log',
+  'backup:manage': 'Download backups and restore them',
+  'users:manage': 'Create, change and delete user accounts',
+  'roles:manage': 'Create, change and delete roles'
+};
+
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+const ADMIN_ROLE = 'admin';
+
+// Roles available before any are edited; stored roles of the same name replace them
+const DEFAULT_ROLES = {
+  admin: {
+    label: 'Admin',
+    permissions: PERMISSION_NAMES
+  },
+  user: {
+    label: 'Regular User',
+    permissions: ['residents:read', 'households:read', 'students:read', 'export']
+  },
+  secretary: {
+    label: 'Secretary',
+    permissions: [
+      'residents:read', 'residents:write', 'residents:delete',
+      'households:read', 'households:write',
+      'students:read', 'students:write', 'students:delete',
+      'import', 'export'
+    ]
+  },
+  treasurer: {
+    label: 'Treasurer',
+    permissions: ['residents:read', 'households:read', 'export']
+  },
+  health_worker: {
+    label: 'Health Worker',
+    permissions: ['residents:read', 'residents:write', 'households:read']
+  },
+  kagawad: {
+    label: 'Kagawad (read-only)',
+    permissions: ['residents:read', 'households:read', 'students:read']
+  }
+};
+
+// Role names are stored on accounts, so keep them to short plain identifiers
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,31}$/;
+const MAX_ROLE_LABEL_LENGTH = 50;
+
+/**
+ * Checks whether a set of permissions holds every required one
+ *
+ * @param {string[]} granted - Permissions of the user's role
+ * @param {string[]} required - Permissions needed
+ * @returns {boolean} True when nothing required is missing
+ */
+const hasPermissions = (granted = [], required = []) =>
+  required.every(permission => granted.includes(permission));
+
+/**
+ * Validates a role created or edited by an admin
+ *
+ * @param {Object} data - Request body with label and permissions, and name for a new role
+ * @param {Object} [options]
+ * @param {boolean} [options.isNew=false] - Whether the name must be checked too
+ * @returns {{ values: Object, errors: Object }} Trimmed name and label, permissions in
+ *   catalog order without duplicates, and error messages keyed by field
+ */
+const validateRole = (data = {}, { isNew = false } = {}) => {
+  const values = {
+    name: typeof data.name === 'string' ? data.name.trim() : '',
+    label: typeof data.label === 'string' ? data.label.trim() : '',
+    permissions: Array.isArray(data.permissions) ? data.permissions : []
+  };
+  const errors = {};
+
+  if (isNew) {
+    if (!values.name) {
+      errors.name = 'Name is required';
+    } else if (!ROLE_NAME_PATTERN.test(values.name)) {
+      errors.name = 'Name must be 2 to 32 lowercase letters, numbers or underscores, starting with a letter';
+    }
+  }
+
+  if (!values.label) {
+    errors.label = 'Label is required';
+  } else if (values.label.length > MAX_ROLE_LABEL_LENGTH) {
+    errors.label = `Label must be at most ${MAX_ROLE_LABEL_LENGTH} characters`;
+  }
+
+  if (!Array.isArray(data.permissions)) {
+    errors.permissions = 'Permissions must be a list';
+  } else {
+    const unknown = values.permissions.filter(permission => !PERMISSION_NAMES.includes(permission));
+    if (unknown.length > 0) {
+      errors.permissions = `Unknown permissions: ${unknown.join(', ')}`;
+    }
+    values.permissions = PERMISSION_NAMES.filter(permission => values.permissions.includes(permission));
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Checks whether an account may be managed by a user of the given role
+ * Only admins may create, change or remove admin accounts, so granting
+ * users:manage to another role cannot be used to become an admin.
+ *
+ * @param {string} actorRole - Role of the user making the change
+ * @param {...string} roles - Current and/or new role of the account
+ * @returns {boolean} True when the change is allowed
+ */
+const canManageRole = (actorRole, ...roles) =>
+  actorRole === ADMIN_ROLE || !roles.includes(ADMIN_ROLE);
+
+/**
+ * Lists the permissions a role would be given that the user giving them lacks
+ * A user can only pass on what their own role grants, so roles:manage cannot
+ * be used to gain backup:manage, users:manage or roles:manage.
+ *
+ * @param {string[]} granted - Permissions of the user's role
+ * @param {string[]} permissions - Permissions the role would be given
+ * @returns {string[]} Permissions the user may not grant
+ */
+const findUngrantablePermissions = (granted, permissions) =>
+  permissions.filter(permission => !granted.includes(permission));
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_NAMES,
+  ADMIN_ROLE,
+  DEFAULT_ROLES,
+  hasPermissions,
+  validateRole,
+  canManageRole,
+  findUngrantablePermissions
+};
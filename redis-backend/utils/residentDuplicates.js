@@ -0,0 +1,57 @@
+/**
+ * Resident Duplicates Module
+ *
+ * Decides whether a resident being encoded is likely the same person as an
+ * existing record. Names are compared after folding spelling variants
+ * (see utils/nameSearch), so "Ma. Cristina" and "Ma Kristina" are equal.
+ *
+ * @module utils/residentDuplicates
+ */
+const { foldName, editDistance } = require('./nameSearch');
+
+// Most edits allowed between two full names in the same household
+const MAX_HOUSEHOLD_NAME_DISTANCE = 2;
+
+const DUPLICATE_REASONS = {
+  SAME_NAME_AND_BIRTHDATE: 'Same name and birthdate',
+  SIMILAR_NAME_IN_HOUSEHOLD: 'Similar name in the same household'
+};
+
+/**
+ * Folds a resident's first and last name into one comparable string
+ *
+ * @param {Object} resident - Resident data
+ * @returns {string} Folded "first last" name
+ */
+const comparableName = (resident) =>
+  `${foldName(resident.firstName)} ${foldName(resident.lastName)}`.trim();
+
+/**
+ * Explains why two residents look like the same person
+ *
+ * @param {Object} candidate - Resident being created or checked
+ * @param {Object} existing - Stored resident
+ * @returns {string|null} One of DUPLICATE_REASONS, or null if they look distinct
+ */
+const getDuplicateReason = (candidate, existing) => {
+  const candidateName = comparableName(candidate);
+  const existingName = comparableName(existing);
+  if (!candidateName || !existingName) return null;
+
+  const sameBirthdate = candidate.birthdate && candidate.birthdate === existing.birthdate;
+  if (sameBirthdate && candidateName === existingName) {
+    return DUPLICATE_REASONS.SAME_NAME_AND_BIRTHDATE;
+  }
+
+  const sameHousehold = candidate.householdId && candidate.householdId === existing.householdId;
+  if (sameHousehold && editDistance(candidateName, existingName) <= MAX_HOUSEHOLD_NAME_DISTANCE) {
+    return DUPLICATE_REASONS.SIMILAR_NAME_IN_HOUSEHOLD;
+  }
+
+  return null;
+};
+
+module.exports = {
+  DUPLICATE_REASONS,
+  getDuplicateReason
+};
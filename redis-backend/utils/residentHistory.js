@@ -0,0 +1,73 @@
+/**
+ * Resident History Module
+ *
+ * Builds the entries of a resident's change history. Every create, update,
+ * merge, revert and household change stores the resident as it was saved
+ * together with the fields that changed, so any earlier version can be shown
+ * or restored.
+ *
+ * @module utils/residentHistory
+ */
+
+// Uploaded photos are replaced on disk, so they cannot be versioned
+const UNVERSIONED_FIELDS = ['profileImage'];
+
+// Stored in snapshots but left out of diffs; householdNo shows the same change readably
+const HIDDEN_DIFF_FIELDS = ['householdId'];
+
+/**
+ * Copies a resident without the fields that are not versioned
+ *
+ * @param {Object} resident - Resident hash
+ * @returns {Object} Snapshot of the versioned fields
+ */
+const toSnapshot = (resident) =>
+  Object.fromEntries(Object.entries(resident)
+    .filter(([field]) => field !== 'id' && !UNVERSIONED_FIELDS.includes(field)));
+
+/**
+ * Lists the fields whose values differ between two versions of a resident
+ * Missing fields count as empty
+ *
+ * @param {Object} before - Resident before the change
+ * @param {Object} after - Resident after the change
+ * @returns {Array<{field: string, from: string, to: string}>} Changed fields
+ */
+const diffResident = (before, after) => {
+  const previous = toSnapshot(before);
+  const next = toSnapshot(after);
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  return [...fields]
+    .filter(field => !HIDDEN_DIFF_FIELDS.includes(field))
+    .map(field => ({ field, from: previous[field] || '', to: next[field] || '' }))
+    .filter(({ from, to }) => from !== to);
+};
+
+/**
+ * Builds a history entry for a saved change
+ *
+ * @param {Object} options
+ * @param {string} options.action - create, update, merge, revert, household or original
+ * @param {Object} options.before - Resident before the change (empty for a new resident)
+ * @param {Object} options.after - Resident as saved
+ * @param {string} [options.changedBy] - Username of the user who made the change
+ * @param {string} [options.changedAt] - ISO timestamp; empty when unknown
+ * @param {number} [options.revertedTo] - Version restored by a revert
+ * @returns {Object} Entry with the changed fields and a snapshot of the saved resident
+ */
+const createHistoryEntry = ({ action, before, after, changedBy = '', changedAt = '', revertedTo }) => ({
+  action,
+  changedAt,
+  changedBy,
+  ...(revertedTo ? { revertedTo } : {}),
+  changes: diffResident(before, after),
+  snapshot: toSnapshot(after)
+});
+
+module.exports = {
+  UNVERSIONED_FIELDS,
+  toSnapshot,
+  diffResident,
+  createHistoryEntry
+};
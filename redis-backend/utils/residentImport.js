@@ -0,0 +1,232 @@
+/**
+ * Resident Import Module
+ *
+ * Parses resident spreadsheets saved as CSV and turns their rows into resident
+ * records. The expected layout is the one written by GET /residents/export/csv;
+ * files with other headers are imported through a mapping from each column
+ * header to the resident field it holds.
+ *
+ * @module utils/residentImport
+ */
+
+const { RESIDENT_SCHEMA, validateResident } = require('./residentSchema');
+const { unescapeFormulaValue } = require('./csv');
+
+// Column layout shared by the CSV export and import
+const RESIDENT_CSV_COLUMNS = [
+  { header: 'First Name', field: 'firstName' },
+  { header: 'Middle Name', field: 'middleName' },
+  { header: 'Last Name', field: 'lastName' },
+  { header: 'Alias', field: 'alias' },
+  { header: 'Place of Birth', field: 'birthplace' },
+  { header: 'Birthdate', field: 'birthdate' },
+  { header: 'Age', field: 'age' },
+  { header: 'Civil Status', field: 'civilStatus' },
+  { header: 'Gender', field: 'gender' },
+  { header: 'Purok', field: 'purok' },
+  { header: 'Voters Status', field: 'votersStatus' },
+  { header: 'Identified As', field: 'identifiedAs' },
+  { header: 'Email', field: 'email' },
+  { header: 'Contact Number', field: 'contactNumber' },
+  { header: 'Occupation', field: 'occupation' },
+  { header: 'Citizenship', field: 'citizenship' },
+  { header: 'Address', field: 'address' },
+  { header: 'Household No.', field: 'householdNo' },
+  { header: 'Precinct No.', field: 'precinctNo' }
+];
+
+// Household fields a column may fill besides the resident schema fields
+const HOUSEHOLD_IMPORT_FIELDS = {
+  householdNo: 'Household number',
+  relationshipToHead: 'Relationship to head'
+};
+
+// Exported columns the import skips: age is derived from the birthdate and
+// identifiedAs is not a stored resident field
+const IGNORED_IMPORT_FIELDS = ['age', 'identifiedAs'];
+
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Fields a column can be mapped to, with their labels
+ *
+ * @returns {Object} Field name to label
+ */
+const getImportFields = () => ({
+  ...Object.fromEntries(Object.entries(RESIDENT_SCHEMA).map(([field, rule]) => [field, rule.label])),
+  ...HOUSEHOLD_IMPORT_FIELDS
+});
+
+/**
+ * Splits CSV text into records of fields (RFC 4180: quoted fields may hold
+ * commas, line breaks and doubled quotes). A leading byte order mark is dropped.
+ *
+ * @param {string} text - CSV file contents
+ * @returns {string[][]} Records, including blank ones
+ * @throws {Error} If a quoted field is never closed
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('CSV file has a quoted value that is never closed');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+};
+
+/**
+ * @param {string} text - Header or label
+ * @returns {string} Lowercase letters and digits only, for loose comparison
+ */
+const normalizeHeader = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Guesses which field each column holds from its header, matching the export
+ * headers, the field names and their labels while ignoring case and punctuation
+ *
+ * @param {string[]} headers - Header row of the file
+ * @returns {Object} Header to field name; '' for columns that are not imported
+ */
+const suggestColumnMapping = (headers) => {
+  const known = new Map();
+  Object.entries(getImportFields()).forEach(([field, label]) => {
+    known.set(normalizeHeader(field), field);
+    known.set(normalizeHeader(label), field);
+  });
+  RESIDENT_CSV_COLUMNS
+    .filter(column => !IGNORED_IMPORT_FIELDS.includes(column.field))
+    .forEach(column => known.set(normalizeHeader(column.header), column.field));
+
+  const used = new Set();
+  return Object.fromEntries(headers.map(header => {
+    const field = known.get(normalizeHeader(header)) || '';
+    if (!field || used.has(field)) return [header, ''];
+    used.add(field);
+    return [header, field];
+  }));
+};
+
+/**
+ * Checks a column mapping against the file's headers
+ *
+ * @param {string[]} headers - Header row of the file
+ * @param {Object} mapping - Header to field name ('' to skip the column)
+ * @returns {string[]} Problems found; empty when the rows can be read
+ */
+const validateColumnMapping = (headers, mapping) => {
+  const errors = [];
+  const fields = getImportFields();
+  const mappedTo = {};
+
+  headers.forEach((header, index) => {
+    if (!header.trim()) return;
+    if (headers.indexOf(header) !== index) {
+      errors.push(`Column "${header}" appears more than once`);
+    }
+  });
+
+  Object.entries(mapping).forEach(([header, field]) => {
+    if (!field) return;
+    if (!headers.includes(header)) {
+      errors.push(`Column "${header}" is not in the file`);
+    } else if (!Object.hasOwn(fields, field)) {
+      errors.push(`Column "${header}" is mapped to unknown field "${field}"`);
+    } else if (mappedTo[field]) {
+      errors.push(`${fields[field]} is mapped from both "${mappedTo[field]}" and "${header}"`);
+    } else {
+      mappedTo[field] = header;
+    }
+  });
+
+  Object.entries(RESIDENT_SCHEMA)
+    .filter(([field, rule]) => rule.required && !mappedTo[field])
+    .forEach(([, rule]) => errors.push(`No column is mapped to ${rule.label}`));
+
+  return errors;
+};
+
+/**
+ * Reads and validates the data rows of a parsed file
+ * Blank rows are skipped; row numbers count the header as row 1 like a spreadsheet.
+ * Values the export guarded against formulas ('+63...) are read without the quote.
+ *
+ * @param {string[][]} records - Output of parseCsv, header first
+ * @param {Object} mapping - Valid header to field mapping
+ * @returns {Object[]} { row, values, householdNo, relationshipToHead, errors } per data row;
+ *   values are cleaned resident fields and errors map a field to its message
+ */
+const readImportRows = (records, mapping) => {
+  const [headers = [], ...rows] = records;
+  const columns = headers
+    .map((header, index) => ({ index, field: Object.hasOwn(mapping, header) ? mapping[header] : '' }))
+    .filter(column => column.field);
+
+  return rows
+    .map((cells, index) => ({ cells, row: index + 2 }))
+    .filter(({ cells }) => cells.some(cell => cell.trim()))
+    .map(({ cells, row }) => {
+      const data = {};
+      columns.forEach(({ index, field }) => {
+        data[field] = unescapeFormulaValue(cells[index] ?? '');
+      });
+
+      const { householdNo = '', relationshipToHead = '', ...residentData } = data;
+      const { values, errors } = validateResident(residentData);
+
+      return {
+        row,
+        values,
+        householdNo: householdNo.trim(),
+        relationshipToHead: relationshipToHead.trim(),
+        errors
+      };
+    });
+};
+
+module.exports = {
+  RESIDENT_CSV_COLUMNS,
+  MAX_IMPORT_ROWS,
+  getImportFields,
+  parseCsv,
+  normalizeHeader,
+  suggestColumnMapping,
+  validateColumnMapping,
+  readImportRows
+};
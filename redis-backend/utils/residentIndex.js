@@ -0,0 +1,151 @@
+/**
+ * Resident Index Module
+ *
+ * Builds the Redis secondary index keys for a resident record. Each key is a
+ * set of resident IDs sharing one field value (e.g. every resident in Purok 1),
+ * so analytics can be answered with SCARD/SINTERCARD instead of reading every hash.
+ *
+ * @module utils/residentIndex
+ */
+
+const INDEX_PREFIX = 'residents:index';
+
+// Set of purok names that currently have at least one resident
+const PUROK_NAMES_KEY = `${INDEX_PREFIX}:puroks`;
+
+// Holds the INDEX_VERSION the indexes were last built with
+const INDEX_BUILT_KEY = `${INDEX_PREFIX}:built`;
+
+// Bump whenever the index layout changes so existing data is re-indexed at startup
+const INDEX_VERSION = 2;
+
+// Sorted set of "nameToken:residentId" members for prefix name search
+const NAME_INDEX_KEY = `${INDEX_PREFIX}:names`;
+
+// Resident fields that get their own index sets
+const INDEXED_FIELDS = ['purok', 'gender', 'votersStatus', 'civilStatus'];
+
+// Standard age brackets used for demographic reporting
+const AGE_BRACKETS = [
+  { label: '0-4', min: 0, max: 4 },
+  { label: '5-14', min: 5, max: 14 },
+  { label: '15-30', min: 15, max: 30 },
+  { label: '31-59', min: 31, max: 59 },
+  { label: '60+', min: 60, max: Infinity }
+];
+
+/**
+ * Normalizes a field value for use in an index key
+ * Purok names keep their casing since they are shown as-is; other values are
+ * lowercased so "Registered" and "registered" land in the same set
+ *
+ * @param {string} field - Indexed field name
+ * @param {string} value - Raw field value
+ * @returns {string} Normalized value
+ */
+const normalizeIndexValue = (field, value) => {
+  const trimmed = String(value).trim();
+  return field === 'purok' ? trimmed : trimmed.toLowerCase();
+};
+
+/**
+ * Builds the index key for a field value
+ *
+ * @param {string} field - Indexed field name, or 'ageBracket'
+ * @param {string} value - Field value
+ * @returns {string} Redis key of the index set
+ */
+const indexKey = (field, value) => `${INDEX_PREFIX}:${field}:${normalizeIndexValue(field, value)}`;
+
+/**
+ * Determines a resident's age, preferring the birthdate over the stored age
+ *
+ * @param {Object} resident - Resident hash
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {number|null} Age in years, or null if unknown
+ */
+const getResidentAge = (resident, today = new Date()) => {
+  const birthDate = resident.birthdate ? new Date(resident.birthdate) : null;
+  if (birthDate && !isNaN(birthDate.getTime())) {
+    let age = today.getFullYear() - birthDate.getFullYear();
+    const monthDiff = today.getMonth() - birthDate.getMonth();
+    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+      age--;
+    }
+    return age >= 0 ? age : null;
+  }
+
+  const age = parseInt(resident.age, 10);
+  return isNaN(age) || age < 0 ? null : age;
+};
+
+/**
+ * Copies a resident with its age field set to the current age
+ * Stored ages go stale on birthdays, so ages shown or exported are derived here
+ *
+ * @param {Object} resident - Resident hash
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {Object} Resident with age as a string, or '' if unknown
+ */
+const withCurrentAge = (resident, today = new Date()) => {
+  const age = getResidentAge(resident, today);
+  return { ...resident, age: age === null ? '' : String(age) };
+};
+
+/**
+ * Finds the age bracket label for an age
+ *
+ * @param {number|null} age - Age in years
+ * @returns {string|null} Bracket label, or null if age is unknown
+ */
+const getAgeBracket = (age) => {
+  if (age === null || age === undefined) return null;
+  const bracket = AGE_BRACKETS.find(b => age >= b.min && age <= b.max);
+  return bracket ? bracket.label : null;
+};
+
+/**
+ * Lists the index set of every age bracket
+ * A resident's bracket depends on the day it was indexed, so removing a
+ * resident from the indexes clears all of them
+ *
+ * @returns {string[]} Index keys
+ */
+const getAgeBracketKeys = () => AGE_BRACKETS.map(({ label }) => indexKey('ageBracket', label));
+
+/**
+ * Lists every index set a resident belongs to
+ * Empty fields are not indexed
+ *
+ * @param {Object} resident - Resident hash
+ * @param {Date} [today=new Date()] - Reference date for the age bracket
+ * @returns {string[]} Index keys
+ */
+const getIndexKeys = (resident, today = new Date()) => {
+  const keys = INDEXED_FIELDS
+    .filter(field => resident[field] && String(resident[field]).trim())
+    .map(field => indexKey(field, resident[field]));
+
+  const bracket = getAgeBracket(getResidentAge(resident, today));
+  if (bracket) {
+    keys.push(indexKey('ageBracket', bracket));
+  }
+
+  return keys;
+};
+
+module.exports = {
+  INDEX_PREFIX,
+  PUROK_NAMES_KEY,
+  INDEX_BUILT_KEY,
+  INDEX_VERSION,
+  NAME_INDEX_KEY,
+  INDEXED_FIELDS,
+  AGE_BRACKETS,
+  indexKey,
+  getResidentAge,
+  withCurrentAge,
+  getAgeBracket,
+  getAgeBracketKeys,
+  getIndexKeys
+};
@@ -0,0 +1,170 @@
+/**
+ * Resident Query Module
+ *
+ * Parses and applies the list options accepted by GET /residents:
+ * pagination (page, pageSize), sorting (sort) and field filters.
+ *
+ * @module utils/residentQuery
+ */
+const { getResidentAge } = require('./residentIndex');
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_SORT = 'lastName';
+
+// Filters answered from the resident index sets
+const INDEX_FILTERS = ['purok', 'gender', 'votersStatus', 'civilStatus'];
+
+// Fields residents can be sorted by; prefix with "-" for descending order
+const SORTABLE_FIELDS = [
+  'lastName', 'firstName', 'age', 'birthdate', 'purok',
+  'gender', 'civilStatus', 'votersStatus', 'householdNo'
+];
+
+// Every option parseResidentQuery reads; each may be given at most once
+const QUERY_OPTIONS = ['page', 'pageSize', 'sort', 'ageMin', 'ageMax', 'q', ...INDEX_FILTERS];
+
+/**
+ * Parses a non-negative integer query value
+ *
+ * @param {string} value - Raw query value
+ * @returns {number|null|undefined} Parsed number, undefined if absent, null if invalid
+ */
+const parseWholeNumber = (value) => {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : null;
+};
+
+/**
+ * Parses the GET /residents query string
+ * An option repeated (?sort=a&sort=b) or sent as an object (?sort[a]=b) is
+ * reported as an error and otherwise ignored.
+ *
+ * @param {Object} rawQuery - Express req.query
+ * @returns {Object} { paginate, page, pageSize, sort, filters, ageMin, ageMax, q, errors }
+ */
+const parseResidentQuery = (rawQuery = {}) => {
+  const errors = [];
+
+  const query = {};
+  const repeated = [];
+  QUERY_OPTIONS.forEach(name => {
+    const value = rawQuery[name];
+    if (typeof value === 'string') {
+      query[name] = value;
+    } else if (value !== undefined) {
+      repeated.push(name);
+    }
+  });
+  if (repeated.length > 0) {
+    errors.push(`${repeated.join(', ')} must be given only once`);
+  }
+
+  // Only respond with a paginated envelope when the client asks for a page
+  const paginate = rawQuery.page !== undefined;
+
+  const page = parseWholeNumber(query.page);
+  if (page === null || page === 0) {
+    errors.push('page must be a positive integer');
+  }
+
+  const pageSize = parseWholeNumber(query.pageSize);
+  if (pageSize === null || pageSize === 0 || pageSize > MAX_PAGE_SIZE) {
+    errors.push(`pageSize must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const sort = query.sort || DEFAULT_SORT;
+  const sortField = sort.replace(/^-/, '');
+  if (!SORTABLE_FIELDS.includes(sortField)) {
+    errors.push(`sort must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+
+  const filters = {};
+  INDEX_FILTERS.forEach(field => {
+    if (query[field] && query[field].trim()) {
+      filters[field] = query[field];
+    }
+  });
+
+  const ageMin = parseWholeNumber(query.ageMin);
+  const ageMax = parseWholeNumber(query.ageMax);
+  if (ageMin === null || ageMax === null) {
+    errors.push('ageMin and ageMax must be non-negative integers');
+  } else if (ageMin !== undefined && ageMax !== undefined && ageMin > ageMax) {
+    errors.push('ageMin cannot be greater than ageMax');
+  }
+
+  return {
+    paginate,
+    page: page || 1,
+    pageSize: pageSize || DEFAULT_PAGE_SIZE,
+    sort: { field: sortField, descending: sort.startsWith('-') },
+    filters,
+    ageMin,
+    ageMax,
+    q: query.q ? query.q.trim() : '',
+    errors
+  };
+};
+
+/**
+ * Checks the filters that cannot be answered from the index sets
+ * Name search (q) is answered from the name index by the route
+ *
+ * @param {Object} resident - Resident hash
+ * @param {Object} options - Parsed query from parseResidentQuery
+ * @returns {boolean} True if the resident should be included
+ */
+const matchesResidentQuery = (resident, { ageMin, ageMax }) => {
+  if (ageMin !== undefined || ageMax !== undefined) {
+    const age = getResidentAge(resident);
+    if (age === null) return false;
+    if (ageMin !== undefined && age < ageMin) return false;
+    if (ageMax !== undefined && age > ageMax) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Builds a comparator for sorting residents
+ * Age sorts numerically; other fields sort as text, with empty values last
+ *
+ * @param {Object} sort - { field, descending }
+ * @returns {Function} Array.prototype.sort comparator
+ */
+const compareResidents = ({ field, descending }) => (a, b) => {
+  let result;
+  if (field === 'age') {
+    const ageA = getResidentAge(a);
+    const ageB = getResidentAge(b);
+    if (ageA === null || ageB === null) {
+      return ageA === ageB ? 0 : ageA === null ? 1 : -1;
+    }
+    result = ageA - ageB;
+  } else {
+    const valueA = a[field] || '';
+    const valueB = b[field] || '';
+    if (!valueA || !valueB) {
+      return valueA === valueB ? 0 : !valueA ? 1 : -1;
+    }
+    result = valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: 'base' });
+  }
+
+  // Tie-break on name so pages are stable between requests
+  if (result === 0) {
+    result = `${a.lastName || ''} ${a.firstName || ''}`.localeCompare(`${b.lastName || ''} ${b.firstName || ''}`);
+  }
+
+  return descending ? -result : result;
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  INDEX_FILTERS,
+  SORTABLE_FIELDS,
+  parseResidentQuery,
+  matchesResidentQuery,
+  compareResidents
+};
@@ -0,0 +1,165 @@
+/**
+ * Resident Schema Module
+ *
+ * Declares the fields a resident record may hold and the rules for each.
+ * POST /residents and PUT /residents/:id validate request bodies against it
+ * and answer with one error message per invalid field.
+ *
+ * @module utils/residentSchema
+ */
+
+const NAME_PATTERN = /^[\p{L}][\p{L}\s.'-]*$/u;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s-]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EARLIEST_BIRTHDATE = '1900-01-01';
+
+const GENDERS = ['Male', 'Female', 'Other'];
+const CIVIL_STATUSES = ['Single', 'Married', 'Widowed', 'Divorced', 'Separated'];
+const VOTERS_STATUSES = ['Registered', 'Not-Registered'];
+
+// Fields clients may echo back from a fetched record; they are managed by the server and ignored.
+// Age is always derived from the birthdate.
+const READ_ONLY_FIELDS = ['id', 'householdNo', 'profileImage', 'age'];
+
+/**
+ * @param {string} label - Field label for the message
+ * @param {string} value - Trimmed name
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkName = (label, value) =>
+  NAME_PATTERN.test(value) ? null : `${label} may only contain letters, spaces, periods, apostrophes and hyphens`;
+
+/**
+ * @param {string} value - Trimmed birthdate
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkBirthdate = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!DATE_PATTERN.test(value) || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    return 'Birthdate must be a valid date (YYYY-MM-DD)';
+  }
+  if (value < EARLIEST_BIRTHDATE) {
+    return 'Birthdate is too far in the past';
+  }
+  if (value > new Date().toISOString().slice(0, 10)) {
+    return 'Birthdate cannot be in the future';
+  }
+  return null;
+};
+
+/**
+ * @param {string} value - Trimmed email
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkEmail = (value) =>
+  EMAIL_PATTERN.test(value) ? null : 'Email must be a valid email address';
+
+/**
+ * @param {string} value - Trimmed contact number
+ * @returns {string|null} Error message, or null if valid
+ */
+const checkPhone = (value) => {
+  const digits = value.replace(/\D/g, '');
+  return PHONE_PATTERN.test(value) && digits.length >= 7 && digits.length <= 15
+    ? null
+    : 'Contact number must be a valid phone number';
+};
+
+/**
+ * Field rules
+ * - required: must be present and non-empty when creating
+ * - maxLength: longest accepted value
+ * - oneOf: accepted values, matched case-insensitively and stored in this casing
+ * - check: returns an error message for an invalid non-empty value
+ */
+const RESIDENT_SCHEMA = {
+  firstName: { label: 'First name', required: true, maxLength: 100, check: (v) => checkName('First name', v) },
+  middleName: { label: 'Middle name', maxLength: 100, check: (v) => checkName('Middle name', v) },
+  lastName: { label: 'Last name', required: true, maxLength: 100, check: (v) => checkName('Last name', v) },
+  alias: { label: 'Alias', maxLength: 100 },
+  birthplace: { label: 'Birthplace', required: true, maxLength: 150 },
+  birthdate: { label: 'Birthdate', required: true, check: checkBirthdate },
+  civilStatus: { label: 'Civil status', required: true, oneOf: CIVIL_STATUSES },
+  gender: { label: 'Gender', required: true, oneOf: GENDERS },
+  purok: { label: 'Purok', required: true, maxLength: 50 },
+  votersStatus: { label: 'Voter status', required: true, oneOf: VOTERS_STATUSES },
+  precinctNo: { label: 'Precinct number', required: true, maxLength: 20 },
+  address: { label: 'Address', required: true, maxLength: 250 },
+  email: { label: 'Email', maxLength: 150, check: checkEmail },
+  contactNumber: { label: 'Contact number', maxLength: 20, check: checkPhone },
+  occupation: { label: 'Occupation', maxLength: 100 },
+  citizenship: { label: 'Citizenship', required: true, maxLength: 50 }
+};
+
+/**
+ * Validates a resident payload against RESIDENT_SCHEMA
+ *
+ * @param {Object} data - Request body without the household fields
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only validate the fields present (updates)
+ * @returns {{ values: Object, errors: Object }} Cleaned values to store, and error messages keyed by field
+ */
+const validateResident = (data = {}, { partial = false } = {}) => {
+  const values = {};
+  const errors = {};
+
+  Object.keys(data).forEach(field => {
+    if (!RESIDENT_SCHEMA[field] && !READ_ONLY_FIELDS.includes(field)) {
+      errors[field] = `Unknown field "${field}"`;
+    }
+  });
+
+  Object.entries(RESIDENT_SCHEMA).forEach(([field, rule]) => {
+    if (data[field] === undefined || data[field] === null) {
+      if (rule.required && !partial) {
+        errors[field] = `${rule.label} is required`;
+      }
+      return;
+    }
+
+    let value = String(data[field]).trim();
+
+    if (!value) {
+      if (rule.required) {
+        errors[field] = `${rule.label} is required`;
+      } else {
+        values[field] = '';
+      }
+      return;
+    }
+
+    if (rule.maxLength && value.length > rule.maxLength) {
+      errors[field] = `${rule.label} must be at most ${rule.maxLength} characters`;
+      return;
+    }
+
+    if (rule.oneOf) {
+      const match = rule.oneOf.find(option => option.toLowerCase() === value.toLowerCase());
+      if (!match) {
+        errors[field] = `${rule.label} must be one of: ${rule.oneOf.join(', ')}`;
+        return;
+      }
+      value = match;
+    }
+
+    const message = rule.check ? rule.check(value) : null;
+    if (message) {
+      errors[field] = message;
+      return;
+    }
+
+    values[field] = value;
+  });
+
+  return { values, errors };
+};
+
+module.exports = {
+  RESIDENT_SCHEMA,
+  READ_ONLY_FIELDS,
+  GENDERS,
+  CIVIL_STATUSES,
+  VOTERS_STATUSES,
+  validateResident
+};
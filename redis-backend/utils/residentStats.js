@@ -0,0 +1,86 @@
+/**
+ * Resident Stats Module
+ *
+ * Describes how one resident counts toward the `stats` hash. The resident
+ * routes add or subtract this contribution inside their transactions, and the
+ * reconciliation job recomputes the whole hash from the stored residents to
+ * repair any drift.
+ *
+ * @module utils/residentStats
+ */
+
+/**
+ * Checks whether a resident is a registered voter, ignoring case
+ *
+ * @param {Object} resident - Resident hash
+ * @returns {boolean} True if registered
+ */
+const isRegisteredVoter = (resident) =>
+  String(resident.votersStatus || '').trim().toLowerCase() === 'registered';
+
+/**
+ * Lists the `stats` fields a resident adds to
+ * Residents without a purok are counted in the totals only
+ *
+ * @param {Object} resident - Resident hash
+ * @returns {Object} Stats field name to increment
+ */
+const getStatsContribution = (resident) => {
+  const contribution = { totalResidents: 1 };
+
+  if (isRegisteredVoter(resident)) {
+    contribution.totalVoters = 1;
+  }
+
+  if (resident.purok && resident.purok.trim()) {
+    contribution[`residents:${resident.purok}`] = 1;
+  }
+
+  return contribution;
+};
+
+/**
+ * Computes the `stats` hash from scratch for a list of residents
+ *
+ * @param {Object[]} residents - Resident hashes
+ * @returns {Object} Stats field name to count
+ */
+const computeStats = (residents) => {
+  const stats = { totalResidents: 0, totalVoters: 0 };
+
+  residents.forEach(resident => {
+    Object.entries(getStatsContribution(resident)).forEach(([field, count]) => {
+      stats[field] = (stats[field] || 0) + count;
+    });
+  });
+
+  return stats;
+};
+
+/**
+ * Lists the counters that differ between the stored and the recomputed stats
+ * Stored fields missing from the recomputed stats (puroks nobody lives in) count as 0
+ *
+ * @param {Object} current - Stored `stats` hash (values as strings)
+ * @param {Object} expected - Recomputed stats from computeStats
+ * @returns {Array<{field: string, before: number, after: number}>} Changed counters
+ */
+const diffStats = (current, expected) => {
+  const fields = new Set([...Object.keys(current), ...Object.keys(expected)]);
+
+  return [...fields]
+    .sort()
+    .map(field => ({
+      field,
+      before: parseInt(current[field], 10) || 0,
+      after: expected[field] || 0
+    }))
+    .filter(({ before, after }) => before !== after);
+};
+
+module.exports = {
+  isRegisteredVoter,
+  getStatsContribution,
+  computeStats,
+  diffStats
+};
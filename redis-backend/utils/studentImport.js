@@ -0,0 +1,72 @@
+/**
+ * Student Import Module
+ *
+ * Reads student rows from an uploaded sheet laid out like the student export.
+ * Columns are found by header, ignoring case and punctuation, so "Student ID",
+ * "student_id" and "studentId" all match.
+ *
+ * @module utils/studentImport
+ */
+
+const { normalizeHeader } = require('./residentImport');
+const { STUDENT_FIELDS, REQUIRED_STUDENT_FIELDS, validateStudent } = require('./studentSchema');
+
+/**
+ * Finds the column holding each student field
+ *
+ * @param {string[]} headers - Header row of the sheet
+ * @returns {{ columns: Object, missing: string[] }} Field to column index, and headers of required fields with no column
+ */
+const matchStudentColumns = (headers) => {
+  const columns = {};
+  headers.forEach((header, index) => {
+    const field = Object.keys(STUDENT_FIELDS).find(name =>
+      normalizeHeader(header) === normalizeHeader(name) ||
+      normalizeHeader(header) === normalizeHeader(STUDENT_FIELDS[name].header)
+    );
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    }
+  });
+
+  const missing = REQUIRED_STUDENT_FIELDS
+    .filter(field => columns[field] === undefined)
+    .map(field => STUDENT_FIELDS[field].header);
+
+  return { columns, missing };
+};
+
+/**
+ * Reads and validates the data rows of a sheet
+ * Blank rows are skipped; row numbers count the header as row 1 like a spreadsheet.
+ * Student IDs must not be taken already or repeat an earlier row.
+ *
+ * @param {string[][]} records - Sheet rows, header first
+ * @param {Object} columns - Field to column index from matchStudentColumns
+ * @param {Map<string, string>} seenIds - Student IDs in use, mapped to where ("an existing student" or "row N");
+ *   the IDs read here are added to it
+ * @returns {Object[]} { row, values, errors } per data row
+ */
+const readStudentRows = (records, columns, seenIds) => records
+  .slice(1)
+  .map((cells, index) => ({ cells, row: index + 2 }))
+  .filter(({ cells }) => cells.some(cell => String(cell).trim()))
+  .map(({ cells, row }) => {
+    const data = Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, cells[index] ?? '']));
+    const { values, errors } = validateStudent(data);
+
+    if (!errors.studentId) {
+      if (seenIds.has(values.studentId)) {
+        errors.studentId = `Student ID ${values.studentId} is already used by ${seenIds.get(values.studentId)}`;
+      } else {
+        seenIds.set(values.studentId, `row ${row}`);
+      }
+    }
+
+    return { row, values, errors };
+  });
+
+module.exports = {
+  matchStudentColumns,
+  readStudentRows
+};
@@ -0,0 +1,66 @@
+/**
+ * Student Schema Module
+ *
+ * Declares the fields a student record holds and checks new students against
+ * the rules for manual entry. POST /students and the student import share it.
+ *
+ * @module utils/studentSchema
+ */
+
+const STUDENT_ID_PATTERN = /^\d+$/;
+const MIN_STUDENT_AGE = 16;
+const MAX_STUDENT_AGE = 100;
+
+// Stored fields in export order, with their column header and the label used in messages
+const STUDENT_FIELDS = {
+  studentId: { header: 'Student ID', label: 'Student ID' },
+  firstName: { header: 'First Name', label: 'First name' },
+  lastName: { header: 'Last Name', label: 'Last name' },
+  age: { header: 'Age', label: 'Age' },
+  address: { header: 'Address', label: 'Address' },
+  course: { header: 'Course', label: 'Course' },
+  yearLevel: { header: 'Year Level', label: 'Year level' },
+  section: { header: 'Section', label: 'Section' },
+  major: { header: 'Major', label: 'Major' }
+};
+
+const REQUIRED_STUDENT_FIELDS = ['firstName', 'lastName', 'studentId'];
+
+/**
+ * Validates a new student
+ *
+ * @param {Object} data - Request body or imported row
+ * @returns {{ values: Object, errors: Object }} Trimmed values for every field ('' when missing),
+ *   and error messages keyed by field
+ */
+const validateStudent = (data = {}) => {
+  const values = Object.fromEntries(Object.keys(STUDENT_FIELDS).map(field =>
+    [field, data[field] === undefined || data[field] === null ? '' : String(data[field]).trim()]
+  ));
+  const errors = {};
+
+  REQUIRED_STUDENT_FIELDS
+    .filter(field => !values[field])
+    .forEach(field => {
+      errors[field] = `${STUDENT_FIELDS[field].label} is required`;
+    });
+
+  if (values.studentId && !STUDENT_ID_PATTERN.test(values.studentId)) {
+    errors.studentId = 'Student ID must contain only numbers';
+  }
+
+  if (values.age) {
+    const age = Number(values.age);
+    if (!Number.isInteger(age) || age < MIN_STUDENT_AGE || age > MAX_STUDENT_AGE) {
+      errors.age = `Age must be between ${MIN_STUDENT_AGE} and ${MAX_STUDENT_AGE}`;
+    }
+  }
+
+  return { values, errors };
+};
+
+module.exports = {
+  STUDENT_FIELDS,
+  REQUIRED_STUDENT_FIELDS,
+  validateStudent
+};
@@ -0,0 +1,174 @@
+/**
+ * User Accounts Module
+ *
+ * Rules for the user management routes: the password strength check every
+ * route that sets a password applies, checks for new accounts and for changes
+ * to existing ones, and the temporary passwords handed out by a forced reset.
+ * The roles an account can have are those of the role repository.
+ *
+ * @module utils/userAccounts
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_ROLES, canManageRole } = require('./permissions');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Refused even though they pass the other checks, since they are tried first when guessing
+const COMMON_PASSWORDS = [
+  'password1', 'password123', 'passw0rd', 'qwerty123', 'abc12345', 'abcd1234',
+  'iloveyou1', 'welcome1', 'letmein1', 'admin123', 'admin1234', 'barangay1', 'barangay123'
+];
+
+// Usernames become part of the user:{username} key, so keep them to plain characters
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,32}$/;
+
+/**
+ * Checks that a password is strong enough
+ * It must be at least MIN_PASSWORD_LENGTH characters with both letters and
+ * digits, must not contain the username, and must not be a common password.
+ *
+ * @param {*} password - Password to check
+ * @param {Object} [context]
+ * @param {string} [context.username] - Username the password is for
+ * @returns {string|undefined} Error message, if the password is too weak
+ */
+const getPasswordError = (password, { username } = {}) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain both letters and numbers';
+  }
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    return 'Password must not contain the username';
+  }
+  if (COMMON_PASSWORDS.includes(password.toLowerCase())) {
+    return 'Password is too common; choose another';
+  }
+  return undefined;
+};
+
+/**
+ * Checks a role being given to an account
+ *
+ * @param {*} role - Requested role
+ * @param {string[]} roles - Names of the existing roles
+ * @param {string} actorRole - Role of the user making the change
+ * @returns {string|undefined} Error message, if the role cannot be given
+ */
+const getRoleError = (role, roles, actorRole) => {
+  if (!roles.includes(role)) {
+    return `Role must be one of: ${roles.join(', ')}`;
+  }
+  if (!canManageRole(actorRole, role)) {
+    return 'Only admins can give the admin role';
+  }
+  return undefined;
+};
+
+/**
+ * Validates a new account created by a user manager
+ *
+ * @param {Object} data - Request body with username, password and role
+ * @param {Object} [context]
+ * @param {string[]} [context.roles] - Names of the existing roles; the default roles when omitted
+ * @param {string} [context.actorRole] - Role of the user creating the account
+ * @returns {{ values: Object, errors: Object }} Trimmed username, password and role ("user"
+ *   when missing), and error messages keyed by field
+ */
+const validateNewUser = (data = {}, { roles = Object.keys(DEFAULT_ROLES), actorRole } = {}) => {
+  const values = {
+    username: typeof data.username === 'string' ? data.username.trim() : '',
+    password: typeof data.password === 'string' ? data.password : '',
+    role: data.role || 'user'
+  };
+  const errors = {};
+
+  if (!values.username) {
+    errors.username = 'Username is required';
+  } else if (!USERNAME_PATTERN.test(values.username)) {
+    errors.username = 'Username must be 3 to 32 letters, numbers, dots, dashes or underscores';
+  }
+
+  const passwordError = getPasswordError(values.password, { username: values.username });
+  if (passwordError) {
+    errors.password = passwordError;
+  }
+
+  const roleError = getRoleError(values.role, roles, actorRole);
+  if (roleError) {
+    errors.role = roleError;
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Validates a change to an account's role or disabled state
+ * Users may not change their own role or disable themselves, so at least one
+ * admin always remains able to manage users.
+ *
+ * @param {Object} data - Request body with role and/or disabled
+ * @param {Object} context
+ * @param {string} context.actor - Username of the user making the change
+ * @param {string} context.actorRole - Role of the user making the change
+ * @param {string} context.username - Account being changed
+ * @param {string} context.currentRole - Role the account has now
+ * @param {string[]} [context.roles] - Names of the existing roles; the default roles when omitted
+ * @returns {{ changes: Object, errors: Object }} Fields to store, and error messages keyed by field
+ */
+const validateUserChanges = (data = {}, { actor, actorRole, username, currentRole, roles = Object.keys(DEFAULT_ROLES) }) => {
+  const changes = {};
+  const errors = {};
+
+  if (data.role !== undefined) {
+    const roleError = getRoleError(data.role, roles, actorRole);
+    if (roleError) {
+      errors.role = roleError;
+    } else if (actor === username && data.role !== currentRole) {
+      errors.role = 'You cannot change your own role';
+    } else {
+      changes.role = data.role;
+    }
+  }
+
+  if (data.disabled !== undefined) {
+    if (typeof data.disabled !== 'boolean') {
+      errors.disabled = 'Disabled must be true or false';
+    } else if (actor === username && data.disabled) {
+      errors.disabled = 'You cannot disable your own account';
+    } else {
+      changes.disabled = data.disabled;
+    }
+  }
+
+  if (data.role === undefined && data.disabled === undefined) {
+    errors.role = 'Role or disabled is required';
+  }
+
+  return { changes, errors };
+};
+
+/**
+ * Generates a random password for a forced reset
+ * Random characters can miss letters or digits, so draws are repeated until
+ * one passes the strength check.
+ *
+ * @returns {string} 12 URL-safe characters
+ */
+const generateTemporaryPassword = () => {
+  let password;
+  do {
+    password = crypto.randomBytes(9).toString('base64url');
+  } while (getPasswordError(password));
+  return password;
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  getPasswordError,
+  validateNewUser,
+  validateUserChanges,
+  generateTemporaryPassword
+};
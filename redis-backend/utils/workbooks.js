@@ -0,0 +1,249 @@
+/**
+ * Workbooks Module
+ *
+ * Builds the Excel (XLSX) exports and reads uploaded workbooks back into rows
+ * of text, so they can go through the same import checks as CSV files.
+ *
+ * Resident workbooks open with a summary sheet of counts per purok, followed by
+ * one sheet per purok laid out like the CSV export. Student workbooks have a
+ * single sheet.
+ *
+ * @module utils/workbooks
+ */
+
+const ExcelJS = require('exceljs');
+const { RESIDENT_CSV_COLUMNS, parseCsv } = require('./residentImport');
+const { STUDENT_FIELDS } = require('./studentSchema');
+
+const XLSX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const SUMMARY_SHEET = 'Summary';
+const STUDENTS_SHEET = 'Students';
+const NO_PUROK_SHEET = 'No Purok';
+
+// Excel's limits on sheet names
+const MAX_SHEET_NAME_LENGTH = 31;
+const INVALID_SHEET_NAME_CHARS = /[[\]:*?/\\]/g;
+
+const SUMMARY_COLUMNS = [
+  { header: 'Purok', field: 'purok' },
+  { header: 'Residents', field: 'residents' },
+  { header: 'Male', field: 'male' },
+  { header: 'Female', field: 'female' },
+  { header: 'Other', field: 'other' },
+  { header: 'Registered Voters', field: 'voters' },
+  { header: 'Households', field: 'households' }
+];
+
+const STUDENT_COLUMNS = Object.entries(STUDENT_FIELDS).map(([field, { header }]) => ({ header, field }));
+
+/**
+ * Turns a purok or other label into a sheet name Excel accepts, unique within the workbook
+ *
+ * @param {string} name - Wanted name
+ * @param {Set<string>} used - Lowercased names already taken; the result is added to it
+ * @returns {string} Sheet name
+ */
+const toSheetName = (name, used) => {
+  const base = String(name || '')
+    .replace(INVALID_SHEET_NAME_CHARS, ' ')
+    .replace(/^'+|'+$/g, '')
+    .trim()
+    .slice(0, MAX_SHEET_NAME_LENGTH) || NO_PUROK_SHEET;
+
+  let sheetName = base;
+  for (let copy = 2; used.has(sheetName.toLowerCase()); copy++) {
+    const suffix = ` (${copy})`;
+    sheetName = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  }
+  used.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+/**
+ * Adds a sheet with a bold, frozen header row and one row per record
+ *
+ * @param {Object} workbook - ExcelJS workbook
+ * @param {string} name - Sheet name
+ * @param {Object[]} columns - { header, field } in column order
+ * @param {Object[]} rows - Records keyed by field
+ * @returns {Object} The new worksheet
+ */
+const addTableSheet = (workbook, name, columns, rows) => {
+  const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+  sheet.columns = columns.map(({ header, field }) => ({ header, key: field, width: Math.max(12, header.length + 2) }));
+  sheet.getRow(1).font = { bold: true };
+  rows.forEach(row => sheet.addRow(row));
+  return sheet;
+};
+
+/**
+ * @param {Object} a - Resident
+ * @param {Object} b - Resident
+ * @returns {number} Sort order by last name, then first name
+ */
+const compareByName = (a, b) =>
+  (a.lastName || '').localeCompare(b.lastName || '') || (a.firstName || '').localeCompare(b.firstName || '');
+
+/**
+ * Builds the resident export: a summary sheet, then one sheet per purok
+ *
+ * @param {Object[]} residents - Residents with their current age
+ * @returns {Object} ExcelJS workbook
+ */
+const buildResidentWorkbook = (residents) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const byPurok = new Map();
+  residents.forEach(resident => {
+    const purok = (resident.purok || '').trim();
+    if (!byPurok.has(purok)) byPurok.set(purok, []);
+    byPurok.get(purok).push(resident);
+  });
+  const puroks = [...byPurok.keys()].sort((a, b) =>
+    (a ? 0 : 1) - (b ? 0 : 1) || a.localeCompare(b, undefined, { numeric: true })
+  );
+
+  const summaryRow = (purok, members) => ({
+    purok,
+    residents: members.length,
+    male: members.filter(resident => resident.gender === 'Male').length,
+    female: members.filter(resident => resident.gender === 'Female').length,
+    other: members.filter(resident => resident.gender === 'Other').length,
+    voters: members.filter(resident => resident.votersStatus === 'Registered').length,
+    households: new Set(members.map(resident => resident.householdId).filter(Boolean)).size
+  });
+
+  const summary = addTableSheet(workbook, SUMMARY_SHEET, SUMMARY_COLUMNS,
+    puroks.map(purok => summaryRow(purok || NO_PUROK_SHEET, byPurok.get(purok))));
+  summary.addRow(summaryRow('Total', residents)).font = { bold: true };
+
+  const used = new Set([SUMMARY_SHEET.toLowerCase()]);
+  puroks.forEach(purok => {
+    const rows = [...byPurok.get(purok)].sort(compareByName).map(resident => ({
+      ...resident,
+      age: resident.age === '' || resident.age === undefined ? '' : Number(resident.age)
+    }));
+    addTableSheet(workbook, toSheetName(purok, used), RESIDENT_CSV_COLUMNS, rows);
+  });
+
+  return workbook;
+};
+
+/**
+ * Builds the student export: one sheet ordered by student ID
+ *
+ * @param {Object[]} students - Students
+ * @returns {Object} ExcelJS workbook
+ */
+const buildStudentWorkbook = (students) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const rows = [...students]
+    .sort((a, b) => (a.studentId || '').localeCompare(b.studentId || '', undefined, { numeric: true }))
+    .map(student => ({ ...student, age: student.age ? Number(student.age) : '' }));
+  addTableSheet(workbook, STUDENTS_SHEET, STUDENT_COLUMNS, rows);
+
+  return workbook;
+};
+
+/**
+ * Writes a workbook to an XLSX file
+ *
+ * @async
+ * @param {Object} workbook - ExcelJS workbook
+ * @returns {Promise<Buffer>} File contents
+ */
+const encodeWorkbook = async (workbook) => Buffer.from(await workbook.xlsx.writeBuffer());
+
+/**
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {boolean} True when the file is a zip archive, as XLSX files are
+ */
+const isWorkbookFile = (buffer) => buffer.length > 4 && buffer[0] === 0x50 && buffer[1] === 0x4b;
+
+/**
+ * Converts a cell value to the text a CSV file would hold
+ * Dates become YYYY-MM-DD; formulas give their last calculated result
+ *
+ * @param {*} value - ExcelJS cell value
+ * @returns {string} Cell text
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return isNaN(value.getTime()) ? '' : value.toISOString().slice(0, 10);
+  if (typeof value !== 'object') return String(value);
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return cellText(value.text);
+  if (value.result !== undefined) return cellText(value.result);
+  return '';
+};
+
+/**
+ * Reads every sheet of an uploaded workbook as rows of text
+ *
+ * @async
+ * @param {Buffer} buffer - XLSX file contents
+ * @returns {Promise<Array<{name: string, records: string[][]}>>} Sheets in workbook order, header row first
+ * @throws {Error} If the file is not a readable workbook
+ */
+const readWorkbookSheets = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    throw new Error('File is not a valid Excel workbook');
+  }
+
+  const sheets = [];
+  workbook.eachSheet(sheet => {
+    const records = [];
+    for (let rowNumber = 1; rowNumber <= sheet.rowCount; rowNumber++) {
+      const row = sheet.getRow(rowNumber);
+      const cells = [];
+      for (let column = 1; column <= sheet.columnCount; column++) {
+        cells.push(cellText(row.getCell(column).value));
+      }
+      records.push(cells);
+    }
+    sheets.push({ name: sheet.name, records });
+  });
+  return sheets;
+};
+
+/**
+ * Reads an uploaded CSV or XLSX file as sheets of text rows
+ * A CSV file is one sheet with an empty name. Header cells are trimmed, trailing
+ * empty header cells dropped, and sheets without a header row left out.
+ *
+ * @async
+ * @param {Buffer} buffer - Uploaded file contents
+ * @returns {Promise<Array<{name: string, records: string[][]}>>} Sheets, header row first
+ * @throws {Error} If the file is neither a readable workbook nor valid CSV
+ */
+const readUploadedSheets = async (buffer) => {
+  const sheets = isWorkbookFile(buffer)
+    ? await readWorkbookSheets(buffer)
+    : [{ name: '', records: parseCsv(buffer.toString('utf8')) }];
+
+  return sheets
+    .map(({ name, records }) => {
+      const headers = (records[0] || []).map(header => header.trim());
+      while (headers.length > 0 && !headers[headers.length - 1]) headers.pop();
+      return { name, records: [headers, ...records.slice(1)] };
+    })
+    .filter(({ records }) => records[0].length > 0);
+};
+
+module.exports = {
+  XLSX_CONTENT_TYPE,
+  SUMMARY_SHEET,
+  toSheetName,
+  buildResidentWorkbook,
+  buildStudentWorkbook,
+  encodeWorkbook,
+  isWorkbookFile,
+  readWorkbookSheets,
+  readUploadedSheets
+};
@@ -6,15 +6,29 @@ import 'react-toastify/dist/ReactToastify.css';
 import Layout from './components/Layout';
 import Dashboard from './components/Dashboard';
 import ResidentsRecord from './components/ResidentsRecord';
+import HouseholdsRecord from './components/HouseholdsRecord';
+import Students from './components/Students';
+import MergeResidents from './components/MergeResidents';
+import DeletedResidents from './components/DeletedResidents';
+import AuditLog from './components/AuditLog';
+import Backup from './components/Backup';
+import Users from './components/Users';
+import Roles from './components/Roles';
+import Profile from './components/Profile';
+import ResetPassword from './components/ResetPassword';
 import Login from './components/Login';
-import { showToast } from './utils/toast';
+import { authService } from './services/authService';
+import { SESSION_EXPIRED_EVENT } from './services/axios';
 import './App.css';
 
 const API_URL = 'http://localhost:5000';
 
-// Global logout function
-export const logoutUser = (navigate) => {
+// Global logout function; with everywhere set, every session of the user is ended
+export const logoutUser = async (navigate, { everywhere = false } = {}) => {
   try {
+    // Revoke the session on the server while the tokens are still stored
+    await (everywhere ? authService.logoutEverywhere() : authService.logout());
+
     // Cancel any pending requests
     if (axios.CancelToken) {
       const source = axios.CancelToken.source();
@@ -44,32 +58,29 @@ function App() {
   const [error, setError] = useState(null);
   const navigate = useNavigate();
 
-  // Set up axios interceptors
+  // Go to the login page once the API client could not renew the session;
+  // it has already removed the tokens and told the user
   useEffect(() => {
-    // Add a response interceptor to handle auth errors
-    const responseInterceptor = axios.interceptors.response.use(
-      response => response, 
-      error => {
-        if (error.response && error.response.status === 401) {
-          // If we get a 401 Unauthorized, log the user out
-          showToast.error('Your session has expired. Please log in again.');
-          logoutUser(navigate);
-        }
-        return Promise.reject(error);
-      }
-    );
+    const handleSessionExpired = () => {
+      setIsAuthenticated(false);
+      navigate('/login');
+    };
 
-    // Cleanup function to remove the interceptor when component unmounts
+    window.addEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
     return () => {
-      axios.interceptors.response.eject(responseInterceptor);
+      window.removeEventListener(SESSION_EXPIRED_EVENT, handleSessionExpired);
     };
   }, [navigate]);
 
+  // Restore a stored session, reloading the role's permissions in case an admin changed them
   useEffect(() => {
     const token = localStorage.getItem('token');
-    if (token) {
-      setIsAuthenticated(true);
-    }
+    if (!token) return;
+
+    setLoading(true);
+    authService.verifyToken()
+      .then(user => setIsAuthenticated(Boolean(user)))
+      .finally(() => setLoading(false));
   }, []);
 
   if (loading) return <div className="loading">Loading...</div>;
@@ -95,6 +106,9 @@ function App() {
           isAuthenticated ? <Navigate to="/dashboard" /> : <Login onLoginSuccess={() => setIsAuthenticated(true)} />
         } />
         
+        {/* Open whether or not someone is logged in, since it is reached from a reset link */}
+        <Route path="/reset-password" element={<ResetPassword />} />
+        
         <Route path="/dashboard" element={
           isAuthenticated ? (
             <Layout>
@@ -111,6 +125,78 @@ function App() {
           ) : <Navigate to="/login" />
         } />
         
+        <Route path="/residents/merge" element={
+          isAuthenticated ? (
+            <Layout>
+              <MergeResidents />
+            </Layout>
+          ) : <Navigate to="/login" />
+        } />
+        
+        <Route path="/residents/deleted" element={
+          isAuthenticated ? (
+            <Layout>
+              <DeletedResidents />
+            </Layout>
+          ) : <Navigate to="/login" />
+        } />
+        
+        <Route path="/households" element={
+          isAuthenticated ? (
+            <Layout>
+              <HouseholdsRecord />
+            </Layout>
+          ) : <Navigate to="/login" />
+        } />
+        
+        <Route path="/students" element={
+          isAuthenticated ? (
+            <Layout>
+              <Students />
+            </Layout>
+          ) : <Navigate to="/login" />
+        } />
+        
+        <Route path="/audit-log" element={
+          isAuthenticated ? (
+            <Layout>
+              <AuditLog />
+            </Layout>
+          ) : <Navigate to="/login" />
+        } />
+        
+        <Route path="/backup" element={
+          isAuthenticated ? (
+            <Layout>
+              <Backup />
+            </Layout>
+          ) : <Navigate to="/login" />
+        } />
+        
+        <Route path="/users" element={
+          isAuthenticated ? (
+            <Layout>
+              <Users />
+            </Layout>
+          ) : <Navigate to="/login" />
+        } />
+        
+        <Route path="/roles" element={
+          isAuthenticated ? (
+            <Layout>
+              <Roles />
+            </Layout>
+          ) : <Navigate to="/login" />
+        } />
+        
+        <Route path="/profile" element={
+          isAuthenticated ? (
+            <Layout>
+              <Profile />
+            </Layout>
+          ) : <Navigate to="/login" />
+        } />
+        
         <Route path="/" element={<Navigate to={isAuthenticated ? "/dashboard" : "/login"} />} />
       </Routes>
     </div>
@@ -1,7 +1,14 @@
 import React, { useState } from 'react';
-import { FaCamera } from 'react-icons/fa';
+import { FaCamera, FaExclamationTriangle } from 'react-icons/fa';
+import { RELATIONSHIPS_TO_HEAD } from '../utils/residentOptions';
+import { calculateAge } from '../utils/age';
+import { residentService } from '../services/residentService';
+import FieldError from './FieldError';
 
-const AddResidentModal = ({ show, onClose, onSubmit }) => {
+// Fields that decide whether the new resident duplicates an existing one
+const DUPLICATE_CHECK_FIELDS = ['firstName', 'lastName', 'birthdate', 'householdId'];
+
+const AddResidentModal = ({ show, onClose, onSubmit, households = [] }) => {
   const [formData, setFormData] = useState({
     firstName: '',
     middleName: '',
@@ -9,7 +16,6 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
     alias: '',
     birthplace: '',
     birthdate: '',
-    age: '',
     civilStatus: '',
     gender: '',
     purok: '',
@@ -19,13 +25,21 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
     occupation: '',
     citizenship: '',
     address: '',
-    householdNo: '',
+    householdId: '',
+    relationshipToHead: '',
     precinctNo: '',
     profileImage: null
   });
 
   const [imagePreview, setImagePreview] = useState(null);
 
+  // Possible duplicates found for the current name, birthdate and household (null = not checked)
+  const [duplicates, setDuplicates] = useState(null);
+  const [checkingDuplicates, setCheckingDuplicates] = useState(false);
+
+  // Validation messages from the server, keyed by field name
+  const [fieldErrors, setFieldErrors] = useState({});
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -33,20 +47,24 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
       [name]: value
     }));
 
-    // Auto-calculate age if birthdate is changed
-    if (name === 'birthdate') {
-      const birthDate = new Date(value);
-      const today = new Date();
-      let age = today.getFullYear() - birthDate.getFullYear();
-      const monthDiff = today.getMonth() - birthDate.getMonth();
-      
-      if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-        age--;
-      }
-      
+    if (DUPLICATE_CHECK_FIELDS.includes(name)) {
+      setDuplicates(null);
+    }
+
+    // The server's message no longer applies once the field is edited
+    if (fieldErrors[name]) {
+      setFieldErrors(prev => {
+        const next = { ...prev };
+        delete next[name];
+        return next;
+      });
+    }
+
+    // A resident outside any household has no relationship to a head
+    if (name === 'householdId' && !value) {
       setFormData(prev => ({
         ...prev,
-        age: age.toString()
+        relationshipToHead: ''
       }));
     }
   };
@@ -67,9 +85,44 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
     }
   };
 
-  const handleSubmit = (e) => {
+  /**
+   * Saves the resident, showing any field errors from the server next to the inputs
+   * @param {Object} data - Resident data to save
+   */
+  const submit = async (data) => {
+    try {
+      await onSubmit(data);
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      }
+    }
+  };
+
+  // Warn about likely duplicates before saving; once warned, saving confirms a different person
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    onSubmit(formData);
+
+    if (duplicates?.length > 0) {
+      await submit({ ...formData, allowDuplicate: true });
+      return;
+    }
+
+    try {
+      setCheckingDuplicates(true);
+      const found = await residentService.checkDuplicates(formData);
+      if (found.length > 0) {
+        setDuplicates(found);
+        return;
+      }
+    } catch (error) {
+      // The server still refuses duplicates on save, so continue without the warning
+      console.error('Error checking duplicate residents:', error);
+    } finally {
+      setCheckingDuplicates(false);
+    }
+
+    await submit(formData);
   };
 
   if (!show) return null;
@@ -124,6 +177,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     required
                     placeholder="Enter first name"
                   />
+                  <FieldError message={fieldErrors.firstName} />
                 </div>
                 <div className="form-group">
                   <label>Middle Name</label>
@@ -134,6 +188,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     onChange={handleChange}
                     placeholder="Enter middle name"
                   />
+                  <FieldError message={fieldErrors.middleName} />
                 </div>
                 <div className="form-group">
                   <label>Last Name*</label>
@@ -145,6 +200,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     required
                     placeholder="Enter last name"
                   />
+                  <FieldError message={fieldErrors.lastName} />
                 </div>
               </div>
 
@@ -158,6 +214,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     onChange={handleChange}
                     placeholder="Enter alias"
                   />
+                  <FieldError message={fieldErrors.alias} />
                 </div>
                 <div className="form-group">
                   <label>Birthplace*</label>
@@ -169,6 +226,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     required
                     placeholder="Enter birthplace"
                   />
+                  <FieldError message={fieldErrors.birthplace} />
                 </div>
                 <div className="form-group">
                   <label>Birthdate*</label>
@@ -179,6 +237,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     onChange={handleChange}
                     required
                   />
+                  <FieldError message={fieldErrors.birthdate} />
                 </div>
               </div>
 
@@ -187,11 +246,9 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                   <label>Age</label>
                   <input
                     type="number"
-                    name="age"
-                    value={formData.age}
-                    onChange={handleChange}
+                    value={calculateAge(formData.birthdate)}
                     readOnly
-                    placeholder="Auto-calculated"
+                    placeholder="Calculated from birthdate"
                   />
                 </div>
                 <div className="form-group">
@@ -209,6 +266,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     <option value="Divorced">Divorced</option>
                     <option value="Separated">Separated</option>
                   </select>
+                  <FieldError message={fieldErrors.civilStatus} />
                 </div>
                 <div className="form-group">
                   <label>Gender*</label>
@@ -222,6 +280,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     <option value="Male">Male</option>
                     <option value="Female">Female</option>
                   </select>
+                  <FieldError message={fieldErrors.gender} />
                 </div>
               </div>
             </div>
@@ -244,20 +303,38 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     <option value="Purok 4">Purok 4</option>
                     <option value="Purok 5">Purok 5</option>
                   </select>
+                  <FieldError message={fieldErrors.purok} />
                 </div>
                 <div className="form-group">
-                  <label>Household No.*</label>
+                  <label>Household</label>
                   <select
-                    name="householdNo"
-                    value={formData.householdNo}
+                    name="householdId"
+                    value={formData.householdId}
                     onChange={handleChange}
-                    required
                   >
-                    <option value="">Select Household No.</option>
-                    {[...Array(50)].map((_, i) => (
-                      <option key={i + 1} value={i + 1}>{i + 1}</option>
+                    <option value="">No household</option>
+                    {households.map(household => (
+                      <option key={household.id} value={household.id}>
+                        Household {household.householdNo}{household.headName ? ` (${household.headName})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                  <FieldError message={fieldErrors.householdId} />
+                </div>
+                <div className="form-group">
+                  <label>Relationship to Head</label>
+                  <select
+                    name="relationshipToHead"
+                    value={formData.relationshipToHead}
+                    onChange={handleChange}
+                    disabled={!formData.householdId}
+                  >
+                    <option value="">Select Relationship</option>
+                    {RELATIONSHIPS_TO_HEAD.map(rel => (
+                      <option key={rel} value={rel}>{rel}</option>
                     ))}
                   </select>
+                  <FieldError message={fieldErrors.relationshipToHead} />
                 </div>
                 <div className="form-group">
                   <label>Precinct No.*</label>
@@ -272,6 +349,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                       <option key={i + 1} value={i + 1}>{i + 1}</option>
                     ))}
                   </select>
+                  <FieldError message={fieldErrors.precinctNo} />
                 </div>
               </div>
 
@@ -288,6 +366,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     <option value="Registered">Registered</option>
                     <option value="Not-Registered">Not-Registered</option>
                   </select>
+                  <FieldError message={fieldErrors.votersStatus} />
                 </div>
                 <div className="form-group full-width">
                   <label>Complete Address*</label>
@@ -299,6 +378,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     rows={2}
                     placeholder="Enter complete address"
                   />
+                  <FieldError message={fieldErrors.address} />
                 </div>
               </div>
             </div>
@@ -315,6 +395,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     onChange={handleChange}
                     placeholder="Enter email address"
                   />
+                  <FieldError message={fieldErrors.email} />
                 </div>
                 <div className="form-group">
                   <label>Contact Number</label>
@@ -326,6 +407,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     pattern="[0-9]*"
                     placeholder="Enter contact number"
                   />
+                  <FieldError message={fieldErrors.contactNumber} />
                 </div>
                 <div className="form-group">
                   <label>Occupation</label>
@@ -336,6 +418,7 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     onChange={handleChange}
                     placeholder="Enter occupation"
                   />
+                  <FieldError message={fieldErrors.occupation} />
                 </div>
               </div>
 
@@ -350,17 +433,35 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
                     required
                     placeholder="Enter citizenship"
                   />
+                  <FieldError message={fieldErrors.citizenship} />
                 </div>
               </div>
             </div>
           </div>
 
+          {duplicates?.length > 0 && (
+            <div className="duplicate-warning">
+              <h4><FaExclamationTriangle /> Possible duplicate resident</h4>
+              <p>This person may already be registered. Review the records below before saving.</p>
+              <ul>
+                {duplicates.map(resident => (
+                  <li key={resident.id}>
+                    <strong>{resident.lastName}, {resident.firstName} {resident.middleName}</strong>
+                    {' '}&mdash; born {resident.birthdate || 'N/A'}, {resident.purok || 'no purok'}
+                    {resident.householdNo ? `, Household ${resident.householdNo}` : ''}
+                    <span className="duplicate-reason">{resident.duplicateReason}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           <div className="modal-actions">
             <button type="button" className="btn btn-secondary" onClick={onClose}>
               Cancel
             </button>
-            <button type="submit" className="btn btn-primary">
-              Save Resident
+            <button type="submit" className="btn btn-primary" disabled={checkingDuplicates}>
+              {duplicates?.length > 0 ? 'Save Anyway' : 'Save Resident'}
             </button>
           </div>
         </form>
@@ -545,6 +646,39 @@ const AddResidentModal = ({ show, onClose, onSubmit }) => {
           min-height: 80px;
         }
 
+        .duplicate-warning {
+          margin-top: 20px;
+          padding: 15px 20px;
+          background: #fffaf0;
+          border: 1px solid #f6ad55;
+          border-radius: 8px;
+          color: #744210;
+        }
+
+        .duplicate-warning h4 {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin: 0 0 8px;
+        }
+
+        .duplicate-warning ul {
+          margin: 10px 0 0;
+          padding-left: 20px;
+        }
+
+        .duplicate-warning li {
+          margin-bottom: 6px;
+        }
+
+        .duplicate-reason {
+          margin-left: 8px;
+          padding: 2px 8px;
+          background: #feebc8;
+          border-radius: 10px;
+          font-size: 0.8rem;
+        }
+
         .modal-actions {
           display: flex;
           justify-content: flex-end;
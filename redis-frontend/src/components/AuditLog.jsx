@@ -0,0 +1,280 @@
+/**
+ * AuditLog Component
+ *
+ * Page listing the audit trail for users with the audit:read permission: who created, changed or deleted which
+ * record, when, from which IP address, and the values before and after.
+ * Entries can be filtered and the filtered log exported to CSV.
+ *
+ * @module components/AuditLog
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { FaFileExport, FaFilter, FaTimes } from 'react-icons/fa';
+import DataTable from './DataTable';
+import { auditService } from '../services/auditService';
+import { showToast } from '../utils/toast';
+import { hasPermission } from '../utils/permissions';
+import './ResidentsRecord.css';
+
+// Actions recorded by the backend, grouped by the kind of record they change
+const AUDIT_ACTIONS = [
+  'resident.create',
+  'resident.update',
+  'resident.delete',
+  'resident.restore',
+  'resident.purge',
+  'resident.revert',
+  'resident.merge',
+  'resident.import',
+  'household.create',
+  'household.update',
+  'household.delete',
+  'household.addMember',
+  'household.removeMember',
+  'student.create',
+  'student.update',
+  'student.delete',
+  'student.deleteAll',
+  'student.import',
+  'stats.reconcile',
+  'user.register',
+  'user.registerAdmin',
+  'user.create',
+  'user.update',
+  'user.resetPassword',
+  'user.issueResetToken',
+  'user.resetPasswordWithToken',
+  'user.changePassword',
+  'user.unlock',
+  'user.delete',
+  'role.create',
+  'role.update',
+  'role.delete',
+  'backup.create',
+  'backup.restore'
+];
+
+const TARGET_TYPES = ['resident', 'household', 'student', 'stats', 'user', 'role', 'backup'];
+
+const EMPTY_AUDIT_FILTERS = { actor: '', action: '', targetType: '', from: '', to: '' };
+
+/**
+ * Renders a before/after summary as one "field: value" line per field
+ * @param {string} summary - JSON summary stored with the entry
+ * @returns {JSX.Element|string} Formatted summary
+ */
+const renderSummary = (summary) => {
+  if (!summary) return '—';
+
+  try {
+    return (
+      <div className="audit-summary">
+        {Object.entries(JSON.parse(summary)).map(([field, value]) => (
+          <div key={field}><strong>{field}:</strong> {String(value) || '—'}</div>
+        ))}
+      </div>
+    );
+  } catch {
+    return summary;
+  }
+};
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [entriesPerPage, setEntriesPerPage] = useState(25);
+  const [currentPage, setCurrentPage] = useState(1);
+
+  const canViewAudit = hasPermission('audit:read');
+
+  // Wait for the user to stop typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(searchTerm.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  /**
+   * Fetches the current page of the audit log
+   */
+  const fetchEntries = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const result = await auditService.getAuditLog({
+        ...filters,
+        q: debouncedSearch,
+        page: currentPage,
+        pageSize: entriesPerPage
+      });
+      setEntries(result.data);
+      setTotal(result.total);
+    } catch (apiError) {
+      console.error('Error fetching audit log:', apiError);
+      setError(`Failed to load audit log: ${apiError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, debouncedSearch, currentPage, entriesPerPage]);
+
+  useEffect(() => {
+    if (canViewAudit) {
+      fetchEntries();
+    }
+  }, [fetchEntries, canViewAudit]);
+
+  /**
+   * Applies a filter change and returns to the first page
+   * @param {Object} e - Change event from a filter input
+   */
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters({ ...filters, [name]: value });
+    setCurrentPage(1);
+  };
+
+  /**
+   * Downloads the entries matching the current filters as CSV
+   */
+  const exportToCSV = async () => {
+    try {
+      const response = await auditService.exportAuditLogCSV({ ...filters, q: debouncedSearch });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', 'audit-log.csv');
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      showToast.success('CSV exported successfully');
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      showToast.error('Failed to export CSV');
+    }
+  };
+
+  const columns = [
+    {
+      header: 'Time',
+      accessor: (entry) => new Date(entry.timestamp).toLocaleString()
+    },
+    {
+      header: 'User',
+      accessor: (entry) => entry.actor || 'Unknown'
+    },
+    {
+      header: 'Action',
+      accessor: (entry) => entry.action
+    },
+    {
+      header: 'Target',
+      accessor: (entry) => entry.targetId ? `${entry.targetType} ${entry.targetId}` : entry.targetType
+    },
+    {
+      header: 'IP Address',
+      accessor: (entry) => entry.ip || '—'
+    },
+    {
+      header: 'Before',
+      accessor: (entry) => renderSummary(entry.before)
+    },
+    {
+      header: 'After',
+      accessor: (entry) => renderSummary(entry.after)
+    }
+  ];
+
+  if (!canViewAudit) {
+    return (
+      <div className="residents-record">
+        <h2>Audit Log</h2>
+        <div className="error-message">Your role does not have access to this page</div>
+      </div>
+    );
+  }
+
+  const hasActiveFilters = Object.values(filters).some(value => value !== '');
+
+  return (
+    <div className="residents-record">
+      <h2>Audit Log</h2>
+
+      <div className="actions-bar">
+        <button className="btn btn-secondary" onClick={exportToCSV}>
+          <FaFileExport /> Export CSV
+        </button>
+      </div>
+
+      <div className="resident-filters">
+        <FaFilter className="filter-icon" />
+        <input
+          type="text"
+          name="actor"
+          value={filters.actor}
+          onChange={handleFilterChange}
+          placeholder="Username"
+          aria-label="Filter by user"
+        />
+        <select name="action" value={filters.action} onChange={handleFilterChange} aria-label="Filter by action">
+          <option value="">All Actions</option>
+          {AUDIT_ACTIONS.map(action => <option key={action} value={action}>{action}</option>)}
+        </select>
+        <select name="targetType" value={filters.targetType} onChange={handleFilterChange} aria-label="Filter by target">
+          <option value="">All Targets</option>
+          {TARGET_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <input
+          type="date"
+          name="from"
+          className="audit-date"
+          value={filters.from}
+          onChange={handleFilterChange}
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          name="to"
+          className="audit-date"
+          value={filters.to}
+          onChange={handleFilterChange}
+          aria-label="To date"
+        />
+        {hasActiveFilters && (
+          <button className="btn btn-secondary" onClick={() => { setFilters(EMPTY_AUDIT_FILTERS); setCurrentPage(1); }}>
+            <FaTimes /> Clear
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button className="btn btn-primary retry-btn" onClick={fetchEntries}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      <DataTable
+        data={entries}
+        columns={columns}
+        loading={loading}
+        entriesPerPage={entriesPerPage}
+        setEntriesPerPage={setEntriesPerPage}
+        searchTerm={searchTerm}
+        setSearchTerm={setSearchTerm}
+        totalEntries={total}
+        currentPage={currentPage}
+        onPageChange={setCurrentPage}
+      />
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,172 @@
+/**
+ * Backup Component
+ *
+ * Page for downloading a full backup of the barangay data and restoring one,
+ * for users with the backup:manage permission. A restore either replaces the current data with the archive or merges
+ * in the records that are missing, then reports how many of each were restored.
+ *
+ * @module components/Backup
+ */
+import { useState } from 'react';
+import { FaDownload, FaUpload } from 'react-icons/fa';
+import { backupService } from '../services/backupService';
+import { showToast } from '../utils/toast';
+import { hasPermission } from '../utils/permissions';
+import './ResidentsRecord.css';
+import './Backup.css';
+
+// Kinds of records reported after a restore
+const RECORD_LABELS = {
+  residents: 'Residents',
+  deletedResidents: 'Deleted residents',
+  households: 'Households',
+  students: 'Students',
+  users: 'Users',
+  roles: 'Roles',
+  images: 'Profile images'
+};
+
+const Backup = () => {
+  const [excludePasswords, setExcludePasswords] = useState(false);
+  const [downloading, setDownloading] = useState(false);
+
+  const [file, setFile] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [restoring, setRestoring] = useState(false);
+  const [result, setResult] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const canBackup = hasPermission('backup:manage');
+
+  /**
+   * Downloads a backup archive of all data
+   */
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      const response = await backupService.downloadBackup({ excludePasswords });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `barangay-backup-${new Date().toISOString().slice(0, 10)}.json.gz`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      showToast.success('Backup downloaded successfully');
+    } catch (error) {
+      console.error('Error downloading backup:', error);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  /**
+   * Restores the selected archive after confirmation
+   */
+  const handleRestore = async () => {
+    const warning = mode === 'replace'
+      ? 'Replace ALL current residents, households, students and images with the backup? Records not in the backup will be lost.'
+      : 'Add the records from the backup that are not already in the system?';
+    if (!window.confirm(warning)) {
+      return;
+    }
+
+    try {
+      setRestoring(true);
+      setResult(null);
+      setErrors([]);
+      setResult(await backupService.restoreBackup(file, mode));
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      setErrors(error.response?.data?.errors || []);
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  if (!canBackup) {
+    return (
+      <div className="residents-record">
+        <h2>Backup &amp; Restore</h2>
+        <div className="error-message">Your role does not have access to this page</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="residents-record">
+      <h2>Backup &amp; Restore</h2>
+
+      <section className="backup-section">
+        <h3>Download Backup</h3>
+        <p>
+          One file with every resident (including deleted residents and change history),
+          household, student and user account, the statistics and all profile images.
+        </p>
+        <label className="backup-option">
+          <input
+            type="checkbox"
+            checked={excludePasswords}
+            onChange={(e) => setExcludePasswords(e.target.checked)}
+          />
+          Leave out password hashes (restored accounts will keep their current passwords)
+        </label>
+        <button className="btn btn-primary" onClick={handleDownload} disabled={downloading}>
+          <FaDownload /> {downloading ? 'Preparing...' : 'Download Backup'}
+        </button>
+      </section>
+
+      <section className="backup-section">
+        <h3>Restore Backup</h3>
+        <input
+          type="file"
+          accept=".gz,.json"
+          onChange={(e) => { setFile(e.target.files[0] || null); setResult(null); setErrors([]); }}
+        />
+        <div className="backup-modes">
+          <label className="backup-option">
+            <input type="radio" name="mode" value="merge" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+            Merge: add records that are missing and keep everything else
+          </label>
+          <label className="backup-option">
+            <input type="radio" name="mode" value="replace" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+            Replace: make the data exactly match the backup
+          </label>
+        </div>
+        <button className="btn btn-primary" onClick={handleRestore} disabled={!file || restoring}>
+          <FaUpload /> {restoring ? 'Restoring...' : 'Restore Backup'}
+        </button>
+
+        {errors.length > 0 && (
+          <ul className="backup-errors">
+            {errors.map(message => <li key={message}>{message}</li>)}
+          </ul>
+        )}
+
+        {result && (
+          <table className="backup-result">
+            <thead>
+              <tr>
+                <th></th>
+                <th>Restored</th>
+                <th>Skipped</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(RECORD_LABELS).map(([kind, label]) => (
+                <tr key={kind}>
+                  <td>{label}</td>
+                  <td>{result.restored[kind]}</td>
+                  <td>{result.skipped[kind]}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Backup;
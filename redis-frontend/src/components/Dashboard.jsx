@@ -9,6 +9,7 @@
  * - Displays key metrics in stat cards (total population, gender counts, voter status)
  * - Shows gender distribution in a pie chart
  * - Shows voter status distribution in a pie chart
+ * - Shows residents per age bracket (0-4, 5-14, 15-30, 31-59, 60+) in a bar chart
  * - Handles loading states and errors with appropriate UI feedback
  * - Provides retry functionality for failed data fetching
  */
@@ -16,6 +17,7 @@ import React, { useState, useEffect } from 'react';
 import { analyticsService } from '../services/analyticsService';
 import { 
   PieChart, Pie, Cell,
+  BarChart, Bar, XAxis, YAxis, CartesianGrid,
   Tooltip, Legend, ResponsiveContainer 
 } from 'recharts';
 import { FaUsers, FaMale, FaFemale, FaVoteYea, FaUserTimes, FaSync } from 'react-icons/fa';
@@ -29,7 +31,8 @@ const Dashboard = () => {
     maleCount: 0,
     femaleCount: 0,
     votersCount: 0,
-    nonVotersCount: 0
+    nonVotersCount: 0,
+    ageBrackets: []
   });
 
   // State for loading and error handling
@@ -114,6 +117,14 @@ const Dashboard = () => {
 
   const COLORS = ['#8884d8', '#82ca9d'];
 
+  // Residents per age bracket; "Other" covers residents who are neither male nor female
+  const ageBracketData = (stats.ageBrackets || []).map(({ bracket, total, male, female }) => ({
+    bracket,
+    Male: male,
+    Female: female,
+    Other: total - male - female
+  }));
+
   // Show loading indicator while data is being fetched
   if (loading) {
     return (
@@ -257,6 +268,23 @@ const Dashboard = () => {
             </PieChart>
           </ResponsiveContainer>
         </div>
+
+        {/* Age bracket bar chart, split by gender */}
+        <div className="chart-card chart-card-wide">
+          <h3>Age Brackets</h3>
+          <ResponsiveContainer width="100%" height={260}>
+            <BarChart data={ageBracketData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="bracket" />
+              <YAxis allowDecimals={false} />
+              <Tooltip />
+              <Legend />
+              <Bar dataKey="Male" stackId="gender" fill="#48bb78" />
+              <Bar dataKey="Female" stackId="gender" fill="#ed64a6" />
+              <Bar dataKey="Other" stackId="gender" fill="#a0aec0" />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
       </div>
     </div>
   );
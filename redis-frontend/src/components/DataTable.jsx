@@ -7,6 +7,8 @@
  * Features:
  * - Pagination with configurable entries per page
  * - Search functionality
+ * - Server-side mode where the parent fetches one page at a time
+ * - Sortable column headers
  * - Action buttons (view, edit, delete)
  * - Loading state display
  * - Responsive design
@@ -15,7 +17,7 @@
  * @module components/DataTable
  */
 import React, { useState, useEffect, useCallback } from 'react';
-import { FaEdit, FaTrash, FaEye, FaSearch, FaAngleLeft, FaAngleRight } from 'react-icons/fa';
+import { FaEdit, FaTrash, FaEye, FaSearch, FaAngleLeft, FaAngleRight, FaSort, FaSortUp, FaSortDown } from 'react-icons/fa';
 import './DataTable.css';
 
 /**
@@ -23,7 +25,8 @@ import './DataTable.css';
  * 
  * @param {Object} props - Component props
  * @param {Array} props.data - Array of data objects to display in the table
- * @param {Array} props.columns - Array of column configuration objects with header and accessor function
+ * @param {Array} props.columns - Array of column configuration objects with header and accessor function,
+ *   and an optional sortKey naming the field the column sorts by
  * @param {string} [props.searchTerm] - External search term state (optional)
  * @param {Function} [props.setSearchTerm] - Function to update external search term state (optional)
  * @param {number} [props.entriesPerPage] - External entries per page state (optional) 
@@ -31,7 +34,15 @@ import './DataTable.css';
  * @param {Function} [props.onEdit] - Callback function when edit button is clicked (optional)
  * @param {Function} [props.onDelete] - Callback function when delete button is clicked (optional)
  * @param {Function} [props.onView] - Callback function when view button is clicked (optional)
+ * @param {Array} [props.actions] - Extra row buttons as { title, icon, className, onClick, visible } objects;
+ *   onClick receives the row item, and visible, when given, decides from the item whether the button shows (optional)
  * @param {boolean} [props.loading=false] - Whether the data is currently loading
+ * @param {number} [props.totalEntries] - Total matching records on the server; when set, data is
+ *   treated as the current page and is not filtered or sliced locally (optional)
+ * @param {number} [props.currentPage] - External current page state (optional)
+ * @param {Function} [props.onPageChange] - Function to update external current page state (optional)
+ * @param {string} [props.sort] - Active sort key, prefixed with "-" when descending (optional)
+ * @param {Function} [props.onSortChange] - Called with the new sort when a sortable header is clicked (optional)
  * @returns {JSX.Element} Rendered DataTable component
  */
 const DataTable = ({ 
@@ -44,30 +55,41 @@ const DataTable = ({
   onEdit, 
   onDelete, 
   onView,
-  loading = false
+  actions = [],
+  loading = false,
+  totalEntries,
+  currentPage: externalCurrentPage,
+  onPageChange,
+  sort,
+  onSortChange
 }) => {
   // Use external state if provided, otherwise use internal state
   const [internalSearchTerm, setInternalSearchTerm] = useState('');
   const [internalEntriesPerPage, setInternalEntriesPerPage] = useState(10);
-  const [currentPage, setCurrentPage] = useState(1);
+  const [internalCurrentPage, setInternalCurrentPage] = useState(1);
+
+  // In server-side mode the parent has already filtered and paginated the data
+  const serverSide = totalEntries !== undefined;
 
   // Determine which state to use (external or internal)
   const searchTerm = externalSearchTerm !== undefined ? externalSearchTerm : internalSearchTerm;
   const setSearchTerm = setExternalSearchTerm || setInternalSearchTerm;
   const entriesPerPage = externalEntriesPerPage !== undefined ? externalEntriesPerPage : internalEntriesPerPage;
   const setEntriesPerPage = setExternalEntriesPerPage || setInternalEntriesPerPage;
+  const currentPage = externalCurrentPage !== undefined ? externalCurrentPage : internalCurrentPage;
+  const setCurrentPage = onPageChange || setInternalCurrentPage;
 
   /**
    * Reset to first page when search term or entries per page changes
    * This ensures the user sees the first page of results after filtering
    */
   useEffect(() => {
-    setCurrentPage(1);
+    setInternalCurrentPage(1);
   }, [searchTerm, entriesPerPage]);
 
   // Filter data based on search term
   const filteredData = React.useMemo(() => {
-    if (!searchTerm.trim()) return data;
+    if (serverSide || !searchTerm.trim()) return data;
     
     return data.filter(item => {
       // Search through all columns
@@ -77,13 +99,14 @@ const DataTable = ({
           cellValue.toString().toLowerCase().includes(searchTerm.toLowerCase());
       });
     });
-  }, [data, columns, searchTerm]);
+  }, [data, columns, searchTerm, serverSide]);
 
   // Calculate pagination values
+  const totalCount = serverSide ? totalEntries : filteredData.length;
   const indexOfLastEntry = currentPage * entriesPerPage;
   const indexOfFirstEntry = indexOfLastEntry - entriesPerPage;
-  const currentEntries = filteredData.slice(indexOfFirstEntry, indexOfLastEntry);
-  const totalPages = Math.ceil(filteredData.length / entriesPerPage);
+  const currentEntries = serverSide ? data : filteredData.slice(indexOfFirstEntry, indexOfLastEntry);
+  const totalPages = Math.ceil(totalCount / entriesPerPage);
 
   /**
    * Handle page change in pagination
@@ -113,6 +136,25 @@ const DataTable = ({
     setCurrentPage(1);
   };
 
+  /**
+   * Toggle sorting on a column: ascending first, then descending
+   * @param {string} sortKey - Field the clicked column sorts by
+   */
+  const handleSort = (sortKey) => {
+    onSortChange(sort === sortKey ? `-${sortKey}` : sortKey);
+  };
+
+  /**
+   * Pick the sort indicator icon for a column header
+   * @param {string} sortKey - Field the column sorts by
+   * @returns {JSX.Element} Sort icon
+   */
+  const renderSortIcon = (sortKey) => {
+    if (sort === sortKey) return <FaSortUp className="sort-icon" />;
+    if (sort === `-${sortKey}`) return <FaSortDown className="sort-icon" />;
+    return <FaSort className="sort-icon inactive" />;
+  };
+
   // Use debounce technique for filtering (if needed in the future)
   // const debouncedSearch = useCallback(
   //   debounce((term) => {
@@ -160,7 +202,13 @@ const DataTable = ({
           <thead>
             <tr>
               {columns.map((column, index) => (
-                <th key={index}>{column.header}</th>
+                column.sortKey && onSortChange ? (
+                  <th key={index} className="sortable" onClick={() => handleSort(column.sortKey)}>
+                    {column.header} {renderSortIcon(column.sortKey)}
+                  </th>
+                ) : (
+                  <th key={index}>{column.header}</th>
+                )
               ))}
               <th>Actions</th>
             </tr>
@@ -183,7 +231,7 @@ const DataTable = ({
             ) : (
               // Display data rows with action buttons
               currentEntries.map((item, rowIndex) => (
-                <tr key={rowIndex}>
+                <tr key={item.id || rowIndex}>
                   {columns.map((column, colIndex) => (
                     <td key={colIndex}>
                       {column.accessor(item)}
@@ -218,6 +266,16 @@ const DataTable = ({
                           <FaTrash />
                         </button>
                       )}
+                      {actions.filter(action => !action.visible || action.visible(item)).map(action => (
+                        <button
+                          key={action.title}
+                          className={`btn-action ${action.className || ''}`}
+                          onClick={() => action.onClick(item)}
+                          title={action.title}
+                        >
+                          {action.icon}
+                        </button>
+                      ))}
                     </div>
                   </td>
                 </tr>
@@ -230,8 +288,8 @@ const DataTable = ({
       {/* Table footer with pagination controls */}
       <div className="table-footer">
         <div className="entries-info">
-          Showing {filteredData.length > 0 ? indexOfFirstEntry + 1 : 0} to {Math.min(indexOfLastEntry, filteredData.length)} of {filteredData.length} entries
-          {searchTerm && filteredData.length !== data.length && ` (filtered from ${data.length} total entries)`}
+          Showing {totalCount > 0 ? indexOfFirstEntry + 1 : 0} to {Math.min(indexOfLastEntry, totalCount)} of {totalCount} entries
+          {!serverSide && searchTerm && filteredData.length !== data.length && ` (filtered from ${data.length} total entries)`}
         </div>
         
         <div className="pagination">
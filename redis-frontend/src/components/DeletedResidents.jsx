@@ -0,0 +1,145 @@
+/**
+ * DeletedResidents Component
+ *
+ * View of the resident recycle bin for users with the residents:delete permission. Deleted residents are listed with
+ * who deleted them and when, and can be restored or permanently deleted.
+ *
+ * @module components/DeletedResidents
+ */
+import { useState, useEffect } from 'react';
+import { FaTrash, FaUndo } from 'react-icons/fa';
+import DataTable from './DataTable';
+import { residentService } from '../services/residentService';
+import { hasPermission } from '../utils/permissions';
+import './ResidentsRecord.css';
+
+/**
+ * Formats a resident's name as "Last, First Middle"
+ * @param {Object} resident - Resident record
+ * @returns {string} Display name
+ */
+const formatName = (resident) =>
+  `${resident.lastName || ''}, ${resident.firstName || ''} ${resident.middleName || ''}`.trim();
+
+const DeletedResidents = () => {
+  const [residents, setResidents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const canManageBin = hasPermission('residents:delete');
+
+  useEffect(() => {
+    if (canManageBin) {
+      fetchData();
+    }
+  }, [canManageBin]);
+
+  /**
+   * Fetches the recycle bin
+   */
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setResidents(await residentService.getDeletedResidents());
+    } catch (apiError) {
+      console.error('Error fetching deleted residents:', apiError);
+      setError(`Failed to load deleted residents: ${apiError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Restores a resident to the records
+   * @param {Object} resident - Deleted resident row
+   */
+  const handleRestore = async (resident) => {
+    try {
+      await residentService.restoreResident(resident.id);
+      fetchData();
+    } catch (error) {
+      console.error('Error restoring resident:', error);
+    }
+  };
+
+  /**
+   * Permanently deletes a resident after confirmation
+   * @param {Object} resident - Deleted resident row
+   */
+  const handlePurge = async (resident) => {
+    if (!window.confirm(`Permanently delete ${formatName(resident)}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await residentService.purgeResident(resident.id);
+      fetchData();
+    } catch (error) {
+      console.error('Error purging resident:', error);
+    }
+  };
+
+  const columns = [
+    {
+      header: 'Name',
+      accessor: formatName
+    },
+    {
+      header: 'Purok',
+      accessor: (resident) => resident.purok || 'N/A'
+    },
+    {
+      header: 'Deleted On',
+      accessor: (resident) => resident.deletedAt ? new Date(resident.deletedAt).toLocaleString() : 'N/A'
+    },
+    {
+      header: 'Deleted By',
+      accessor: (resident) => resident.deletedBy || 'Unknown'
+    }
+  ];
+
+  const actions = [
+    { title: 'Restore', icon: <FaUndo />, className: 'btn-view', onClick: handleRestore },
+    { title: 'Delete permanently', icon: <FaTrash />, className: 'btn-delete', onClick: handlePurge }
+  ];
+
+  if (!canManageBin) {
+    return (
+      <div className="residents-record">
+        <h2>Deleted Residents</h2>
+        <div className="error-message">Your role does not have access to this page</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="residents-record">
+      <h2>Deleted Residents</h2>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button className="btn btn-primary retry-btn" onClick={fetchData}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-message">Loading deleted residents...</div>
+      ) : residents.length === 0 && !error ? (
+        <div className="no-data-message">The recycle bin is empty.</div>
+      ) : (
+        <DataTable
+          data={residents}
+          columns={columns}
+          actions={actions}
+          loading={loading}
+        />
+      )}
+    </div>
+  );
+};
+
+export default DeletedResidents;
@@ -1,39 +1,52 @@
 import React, { useState, useEffect } from 'react';
 import { FaCamera } from 'react-icons/fa';
+import { RELATIONSHIPS_TO_HEAD } from '../utils/residentOptions';
+import { calculateAge } from '../utils/age';
 import { getImageUrl } from '../utils/imageUtils';
+import FieldError from './FieldError';
+
+// Fields shown in the form; only these are sent when saving
+const INITIAL_FORM_DATA = {
+  firstName: '',
+  middleName: '',
+  lastName: '',
+  alias: '',
+  birthplace: '',
+  birthdate: '',
+  civilStatus: '',
+  gender: '',
+  purok: '',
+  votersStatus: '',
+  email: '',
+  contactNumber: '',
+  occupation: '',
+  citizenship: '',
+  address: '',
+  householdId: '',
+  relationshipToHead: '',
+  precinctNo: '',
+  profileImage: null,
+  originalProfileImage: null
+};
 
-const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
-  const [formData, setFormData] = useState({
-    firstName: '',
-    middleName: '',
-    lastName: '',
-    alias: '',
-    birthplace: '',
-    birthdate: '',
-    age: '',
-    civilStatus: '',
-    gender: '',
-    purok: '',
-    votersStatus: '',
-    email: '',
-    contactNumber: '',
-    occupation: '',
-    citizenship: '',
-    address: '',
-    householdNo: '',
-    precinctNo: '',
-    profileImage: null,
-    originalProfileImage: null
-  });
+const EditResidentModal = ({ show, onClose, onSubmit, resident, households = [] }) => {
+  const [formData, setFormData] = useState(INITIAL_FORM_DATA);
 
   const [imagePreview, setImagePreview] = useState(null);
 
+  // Validation messages from the server, keyed by field name
+  const [fieldErrors, setFieldErrors] = useState({});
+
   // Initialize form data when resident prop changes
   useEffect(() => {
     if (resident) {
+      setFieldErrors({});
+
       // Keep original profileImage reference to handle cases where image isn't changed
       setFormData({
         ...resident,
+        householdId: resident.householdId || '',
+        relationshipToHead: resident.relationshipToHead || '',
         originalProfileImage: resident.profileImage,
         profileImage: null // Reset profile image to prevent sending the URL as file
       });
@@ -54,20 +67,20 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
       [name]: value
     }));
 
-    // Auto-calculate age if birthdate is changed
-    if (name === 'birthdate') {
-      const birthDate = new Date(value);
-      const today = new Date();
-      let age = today.getFullYear() - birthDate.getFullYear();
-      const monthDiff = today.getMonth() - birthDate.getMonth();
-      
-      if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-        age--;
-      }
-      
+    // The server's message no longer applies once the field is edited
+    if (fieldErrors[name]) {
+      setFieldErrors(prev => {
+        const next = { ...prev };
+        delete next[name];
+        return next;
+      });
+    }
+
+    // A resident outside any household has no relationship to a head
+    if (name === 'householdId' && !value) {
       setFormData(prev => ({
         ...prev,
-        age: age.toString()
+        relationshipToHead: ''
       }));
     }
   };
@@ -102,11 +115,13 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
     }
   };
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     
-    // Create a copy of form data for submission
-    const submissionData = {...formData};
+    // Copy the form fields, leaving out other keys of the loaded record
+    const submissionData = Object.fromEntries(
+      Object.keys(INITIAL_FORM_DATA).map(key => [key, formData[key]])
+    );
     
     // If no new image was selected, use the original image reference
     if (!submissionData.profileImage && submissionData.originalProfileImage) {
@@ -116,7 +131,13 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
     // Delete originalProfileImage as it's not needed by the API
     delete submissionData.originalProfileImage;
     
-    onSubmit(resident.id, submissionData);
+    try {
+      await onSubmit(resident.id, submissionData);
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      }
+    }
   };
 
   if (!show) return null;
@@ -171,6 +192,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     required
                     placeholder="Enter first name"
                   />
+                  <FieldError message={fieldErrors.firstName} />
                 </div>
                 <div className="form-group">
                   <label>Middle Name</label>
@@ -181,6 +203,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     onChange={handleChange}
                     placeholder="Enter middle name"
                   />
+                  <FieldError message={fieldErrors.middleName} />
                 </div>
                 <div className="form-group">
                   <label>Last Name*</label>
@@ -192,6 +215,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     required
                     placeholder="Enter last name"
                   />
+                  <FieldError message={fieldErrors.lastName} />
                 </div>
               </div>
 
@@ -205,6 +229,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     onChange={handleChange}
                     placeholder="Enter alias"
                   />
+                  <FieldError message={fieldErrors.alias} />
                 </div>
                 <div className="form-group">
                   <label>Birthplace*</label>
@@ -216,6 +241,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     required
                     placeholder="Enter birthplace"
                   />
+                  <FieldError message={fieldErrors.birthplace} />
                 </div>
                 <div className="form-group">
                   <label>Birthdate*</label>
@@ -226,20 +252,18 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     onChange={handleChange}
                     required
                   />
+                  <FieldError message={fieldErrors.birthdate} />
                 </div>
               </div>
 
               <div className="form-row">
                 <div className="form-group">
-                  <label>Age*</label>
+                  <label>Age</label>
                   <input
                     type="number"
-                    name="age"
-                    value={formData.age}
-                    onChange={handleChange}
-                    required
-                    placeholder="Enter age"
-                    readOnly="true"
+                    value={calculateAge(formData.birthdate)}
+                    readOnly
+                    placeholder="Calculated from birthdate"
                   />
                 </div>
                 <div className="form-group">
@@ -257,6 +281,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     <option value="Divorced">Divorced</option>
                     <option value="Separated">Separated</option>
                   </select>
+                  <FieldError message={fieldErrors.civilStatus} />
                 </div>
                 <div className="form-group">
                   <label>Gender*</label>
@@ -271,6 +296,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     <option value="Female">Female</option>
                     <option value="Other">Other</option>
                   </select>
+                  <FieldError message={fieldErrors.gender} />
                 </div>
               </div>
 
@@ -292,16 +318,38 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     <option value="Purok 6">Purok 6</option>
                     <option value="Purok 7">Purok 7</option>
                   </select>
+                  <FieldError message={fieldErrors.purok} />
                 </div>
                 <div className="form-group">
-                  <label>Household No.</label>
-                  <input
-                    type="text"
-                    name="householdNo"
-                    value={formData.householdNo}
+                  <label>Household</label>
+                  <select
+                    name="householdId"
+                    value={formData.householdId}
                     onChange={handleChange}
-                    placeholder="Enter household number"
-                  />
+                  >
+                    <option value="">No household</option>
+                    {households.map(household => (
+                      <option key={household.id} value={household.id}>
+                        Household {household.householdNo}{household.headName ? ` (${household.headName})` : ''}
+                      </option>
+                    ))}
+                  </select>
+                  <FieldError message={fieldErrors.householdId} />
+                </div>
+                <div className="form-group">
+                  <label>Relationship to Head</label>
+                  <select
+                    name="relationshipToHead"
+                    value={formData.relationshipToHead}
+                    onChange={handleChange}
+                    disabled={!formData.householdId}
+                  >
+                    <option value="">Select Relationship</option>
+                    {RELATIONSHIPS_TO_HEAD.map(rel => (
+                      <option key={rel} value={rel}>{rel}</option>
+                    ))}
+                  </select>
+                  <FieldError message={fieldErrors.relationshipToHead} />
                 </div>
                 <div className="form-group">
                   <label>Precinct No.</label>
@@ -312,6 +360,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     onChange={handleChange}
                     placeholder="Enter precinct number"
                   />
+                  <FieldError message={fieldErrors.precinctNo} />
                 </div>
               </div>
 
@@ -328,6 +377,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     <option value="Registered">Registered</option>
                     <option value="Not-Registered">Not-Registered</option>
                   </select>
+                  <FieldError message={fieldErrors.votersStatus} />
                 </div>
                 <div className="form-group full-width">
                   <label>Complete Address*</label>
@@ -339,6 +389,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     rows={2}
                     placeholder="Enter complete address"
                   />
+                  <FieldError message={fieldErrors.address} />
                 </div>
               </div>
             </div>
@@ -355,6 +406,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     onChange={handleChange}
                     placeholder="Enter email address"
                   />
+                  <FieldError message={fieldErrors.email} />
                 </div>
                 <div className="form-group">
                   <label>Contact Number</label>
@@ -366,6 +418,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     pattern="[0-9]*"
                     placeholder="Enter contact number"
                   />
+                  <FieldError message={fieldErrors.contactNumber} />
                 </div>
                 <div className="form-group">
                   <label>Occupation</label>
@@ -376,6 +429,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     onChange={handleChange}
                     placeholder="Enter occupation"
                   />
+                  <FieldError message={fieldErrors.occupation} />
                 </div>
               </div>
 
@@ -390,6 +444,7 @@ const EditResidentModal = ({ show, onClose, onSubmit, resident }) => {
                     required
                     placeholder="Enter citizenship"
                   />
+                  <FieldError message={fieldErrors.citizenship} />
                 </div>
               </div>
             </div>
@@ -0,0 +1,146 @@
+/**
+ * ExportResidentsModal Component
+ *
+ * Lets the user pick which columns the resident CSV holds and in what order.
+ * The file holds the residents currently listed, so the search and filters of
+ * the residents list apply to it.
+ *
+ * @module components/ExportResidentsModal
+ */
+import { useState } from 'react';
+import { FaFileExport, FaArrowUp, FaArrowDown } from 'react-icons/fa';
+import { RESIDENT_EXPORT_COLUMNS } from '../utils/residentOptions';
+import './ImportResidentsModal.css';
+
+const DEFAULT_COLUMNS = RESIDENT_EXPORT_COLUMNS.map(column => ({ ...column, selected: true }));
+
+/**
+ * @param {Object} props - Component props
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {number} props.total - Number of residents that will be exported
+ * @param {boolean} props.isFiltered - Whether a search or filter narrows the list
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onExport - Called with the chosen fields in column order
+ * @returns {JSX.Element|null} Rendered modal or null when hidden
+ */
+const ExportResidentsModal = ({ show, total, isFiltered, onClose, onExport }) => {
+  // Kept while the modal is closed, so the next export starts from the last choice
+  const [columns, setColumns] = useState(DEFAULT_COLUMNS);
+  const [exporting, setExporting] = useState(false);
+
+  const toggleColumn = (field) => {
+    setColumns(prev => prev.map(column =>
+      column.field === field ? { ...column, selected: !column.selected } : column
+    ));
+  };
+
+  /**
+   * Moves a column one place up or down
+   *
+   * @param {number} index - Current position
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  const moveColumn = (index, offset) => {
+    setColumns(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const selectAll = (selected) => {
+    setColumns(prev => prev.map(column => ({ ...column, selected })));
+  };
+
+  const chosen = columns.filter(column => column.selected).map(column => column.field);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      await onExport(chosen);
+      onClose();
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  if (!show) return null;
+
+  return (
+    <div className="modal">
+      <div className="modal-content import-modal">
+        <h2>Export CSV</h2>
+        <p className="import-intro">
+          {isFiltered
+            ? `${total} residents match the current search and filters; only they are exported.`
+            : `All ${total} residents are exported.`}
+          {' '}Choose the columns and use the arrows to order them.
+        </p>
+
+        <div className="export-column-actions">
+          <button type="button" className="btn btn-secondary" onClick={() => selectAll(true)}>
+            Select All
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => selectAll(false)}>
+            Clear
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setColumns(DEFAULT_COLUMNS)}>
+            Reset Order
+          </button>
+        </div>
+
+        <table className="import-table import-problems">
+          <tbody>
+            {columns.map((column, index) => (
+              <tr key={column.field}>
+                <td>
+                  <label className="import-option">
+                    <input
+                      type="checkbox"
+                      checked={column.selected}
+                      onChange={() => toggleColumn(column.field)}
+                    />
+                    {column.label}
+                  </label>
+                </td>
+                <td>
+                  <div className="action-buttons">
+                    <button
+                      type="button"
+                      className="btn-action btn-view"
+                      onClick={() => moveColumn(index, -1)}
+                      disabled={index === 0}
+                      aria-label={`Move ${column.label} up`}
+                    >
+                      <FaArrowUp />
+                    </button>
+                    <button
+                      type="button"
+                      className="btn-action btn-view"
+                      onClick={() => moveColumn(index, 1)}
+                      disabled={index === columns.length - 1}
+                      aria-label={`Move ${column.label} down`}
+                    >
+                      <FaArrowDown />
+                    </button>
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <div className="modal-actions">
+          <button type="button" className="btn btn-secondary" onClick={onClose}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={handleExport} disabled={chosen.length === 0 || exporting}>
+            <FaFileExport /> {exporting ? 'Exporting...' : `Export ${chosen.length} Columns`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportResidentsModal;
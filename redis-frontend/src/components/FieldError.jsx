@@ -0,0 +1,18 @@
+/**
+ * FieldError Component
+ *
+ * Shows the validation message returned by the server for one form field.
+ *
+ * @module components/FieldError
+ */
+
+/**
+ * @param {Object} props - Component props
+ * @param {string} [props.message] - Error message; nothing is rendered without one
+ * @returns {JSX.Element|null} Rendered message
+ */
+const FieldError = ({ message }) => (
+  message ? <span className="field-error" role="alert">{message}</span> : null
+);
+
+export default FieldError;
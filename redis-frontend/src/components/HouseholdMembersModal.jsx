@@ -0,0 +1,269 @@
+/**
+ * HouseholdMembersModal Component
+ *
+ * Shows the members of a household and, for admins, lets them designate the
+ * household head, add residents, move members to another household or remove them.
+ *
+ * @module components/HouseholdMembersModal
+ */
+import { useState, useEffect } from 'react';
+import { FaCrown, FaExchangeAlt, FaUserMinus, FaUserPlus } from 'react-icons/fa';
+import { householdService } from '../services/householdService';
+import { residentService } from '../services/residentService';
+import { RELATIONSHIPS_TO_HEAD } from '../utils/residentOptions';
+
+/**
+ * Formats a resident's name as "Last, First Middle"
+ * @param {Object} resident - Resident record
+ * @returns {string} Display name
+ */
+const formatName = (resident) =>
+  `${resident.lastName || ''}, ${resident.firstName || ''} ${resident.middleName || ''}`.trim();
+
+/**
+ * @param {Object} props - Component props
+ * @param {Object} props.household - Household with its members array
+ * @param {Array} props.households - All households, used as move targets
+ * @param {boolean} props.canEdit - Whether the current user may modify membership
+ * @param {Function} props.onChanged - Called after any membership change so the parent can reload
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @returns {JSX.Element} Rendered modal
+ */
+const HouseholdMembersModal = ({ household, households, canEdit, onChanged, onClose }) => {
+  // Member currently being moved to another household
+  const [moving, setMoving] = useState(null);
+
+  // Resident being added to this household
+  const [newMember, setNewMember] = useState({ residentId: '', relationshipToHead: '' });
+
+  // Name typed in the add-member search box and the residents it matched
+  const [memberSearch, setMemberSearch] = useState('');
+  const [candidates, setCandidates] = useState([]);
+
+  const otherHouseholds = households.filter(h => h.id !== household.id);
+
+  // Search the server once the user stops typing
+  useEffect(() => {
+    const text = memberSearch.trim();
+    if (!text) {
+      setCandidates([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const matches = await residentService.searchResidents(text);
+        setCandidates(matches.filter(r => r.householdId !== household.id));
+      } catch (error) {
+        console.error('Error searching residents:', error);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [memberSearch, household.id]);
+
+  /**
+   * Designates a member as the household head
+   * @param {Object} member - Member to promote
+   */
+  const handleMakeHead = async (member) => {
+    try {
+      await householdService.updateHousehold(household.id, { headId: member.id });
+      onChanged();
+    } catch (error) {
+      console.error('Error setting household head:', error);
+    }
+  };
+
+  /**
+   * Moves the selected member into the chosen household
+   */
+  const handleMove = async () => {
+    if (!moving?.householdId) return;
+
+    try {
+      await householdService.addMember(moving.householdId, moving.residentId, moving.relationshipToHead);
+      setMoving(null);
+      onChanged();
+    } catch (error) {
+      console.error('Error moving household member:', error);
+    }
+  };
+
+  /**
+   * Removes a member from this household after confirmation
+   * @param {Object} member - Member to remove
+   */
+  const handleRemove = async (member) => {
+    if (!window.confirm(`Remove ${formatName(member)} from this household?`)) {
+      return;
+    }
+
+    try {
+      await householdService.removeMember(household.id, member.id);
+      onChanged();
+    } catch (error) {
+      console.error('Error removing household member:', error);
+    }
+  };
+
+  /**
+   * Adds the selected resident to this household
+   * @param {Object} e - Form submission event
+   */
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newMember.residentId) return;
+
+    try {
+      await householdService.addMember(household.id, newMember.residentId, newMember.relationshipToHead);
+      setNewMember({ residentId: '', relationshipToHead: '' });
+      setMemberSearch('');
+      onChanged();
+    } catch (error) {
+      console.error('Error adding household member:', error);
+    }
+  };
+
+  return (
+    <div className="modal">
+      <div className="modal-content household-members">
+        <h2>Household No. {household.householdNo}</h2>
+        <div className="view-details">
+          <div className="detail-row">
+            <label>Purok:</label>
+            <span>{household.purok || 'N/A'}</span>
+          </div>
+          <div className="detail-row">
+            <label>Address:</label>
+            <span>{household.address || 'N/A'}</span>
+          </div>
+        </div>
+
+        <table className="members-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Relationship to Head</th>
+              {canEdit && <th>Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {household.members.length === 0 ? (
+              <tr>
+                <td colSpan={canEdit ? 3 : 2} className="no-data-cell">No members yet</td>
+              </tr>
+            ) : household.members.map(member => (
+              <tr key={member.id}>
+                <td>
+                  {member.id === household.headId && <FaCrown className="head-icon" title="Household head" />}
+                  {formatName(member)}
+                </td>
+                <td>{member.relationshipToHead || 'Unspecified'}</td>
+                {canEdit && (
+                  <td>
+                    {moving?.residentId === member.id ? (
+                      <div className="move-controls">
+                        <select
+                          value={moving.householdId}
+                          onChange={(e) => setMoving({ ...moving, householdId: e.target.value })}
+                        >
+                          <option value="">Move to...</option>
+                          {otherHouseholds.map(h => (
+                            <option key={h.id} value={h.id}>Household {h.householdNo}</option>
+                          ))}
+                        </select>
+                        <select
+                          value={moving.relationshipToHead}
+                          onChange={(e) => setMoving({ ...moving, relationshipToHead: e.target.value })}
+                        >
+                          <option value="">Relationship</option>
+                          {RELATIONSHIPS_TO_HEAD.map(rel => (
+                            <option key={rel} value={rel}>{rel}</option>
+                          ))}
+                        </select>
+                        <button className="btn btn-primary" onClick={handleMove} disabled={!moving.householdId}>
+                          Move
+                        </button>
+                        <button className="btn btn-secondary" onClick={() => setMoving(null)}>
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="action-buttons">
+                        {member.id !== household.headId && (
+                          <button className="btn-action btn-view" title="Make household head" onClick={() => handleMakeHead(member)}>
+                            <FaCrown />
+                          </button>
+                        )}
+                        <button
+                          className="btn-action btn-edit"
+                          title="Move to another household"
+                          onClick={() => setMoving({ residentId: member.id, householdId: '', relationshipToHead: '' })}
+                        >
+                          <FaExchangeAlt />
+                        </button>
+                        <button className="btn-action btn-delete" title="Remove from household" onClick={() => handleRemove(member)}>
+                          <FaUserMinus />
+                        </button>
+                      </div>
+                    )}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {/* Add an existing resident to this household */}
+        {canEdit && (
+          <form className="add-member-form" onSubmit={handleAdd}>
+            <input
+              type="search"
+              value={memberSearch}
+              onChange={(e) => {
+                setMemberSearch(e.target.value);
+                setNewMember({ ...newMember, residentId: '' });
+              }}
+              placeholder="Search resident by name"
+              aria-label="Search resident to add"
+            />
+            <select
+              value={newMember.residentId}
+              onChange={(e) => setNewMember({ ...newMember, residentId: e.target.value })}
+              disabled={candidates.length === 0}
+            >
+              <option value="">
+                {memberSearch.trim() && candidates.length === 0 ? 'No matching residents' : 'Select resident'}
+              </option>
+              {candidates.map(resident => (
+                <option key={resident.id} value={resident.id}>
+                  {formatName(resident)}{resident.householdNo ? ` (Household ${resident.householdNo})` : ''}
+                </option>
+              ))}
+            </select>
+            <select
+              value={newMember.relationshipToHead}
+              onChange={(e) => setNewMember({ ...newMember, relationshipToHead: e.target.value })}
+            >
+              <option value="">Relationship</option>
+              {RELATIONSHIPS_TO_HEAD.map(rel => (
+                <option key={rel} value={rel}>{rel}</option>
+              ))}
+            </select>
+            <button type="submit" className="btn btn-primary" disabled={!newMember.residentId}>
+              <FaUserPlus /> Add Member
+            </button>
+          </form>
+        )}
+
+        <div className="modal-actions">
+          <button className="btn btn-secondary" onClick={onClose}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HouseholdMembersModal;
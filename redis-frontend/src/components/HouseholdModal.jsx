@@ -0,0 +1,105 @@
+/**
+ * HouseholdModal Component
+ *
+ * Form modal for creating a household or editing an existing one.
+ *
+ * @module components/HouseholdModal
+ */
+import { useState, useEffect } from 'react';
+import { PUROKS } from '../utils/residentOptions';
+
+const EMPTY_HOUSEHOLD = {
+  householdNo: '',
+  purok: '',
+  address: ''
+};
+
+/**
+ * @param {Object} props - Component props
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onSubmit - Called with the form data on save
+ * @param {Object} [props.household] - Household being edited; omitted when creating
+ * @returns {JSX.Element|null} Rendered modal or null when hidden
+ */
+const HouseholdModal = ({ show, onClose, onSubmit, household }) => {
+  const [formData, setFormData] = useState(EMPTY_HOUSEHOLD);
+
+  // Reset the form whenever the modal opens for a different household
+  useEffect(() => {
+    if (household) {
+      setFormData({
+        householdNo: household.householdNo || '',
+        purok: household.purok || '',
+        address: household.address || ''
+      });
+    } else {
+      setFormData(EMPTY_HOUSEHOLD);
+    }
+  }, [household, show]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(formData);
+  };
+
+  if (!show) return null;
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h2>{household ? 'Edit Household' : 'New Household'}</h2>
+        <form onSubmit={handleSubmit} className="household-form">
+          <div className="form-group">
+            <label>Household No.*</label>
+            <input
+              type="text"
+              name="householdNo"
+              value={formData.householdNo}
+              onChange={handleChange}
+              required
+              placeholder="Enter household number"
+            />
+          </div>
+          <div className="form-group">
+            <label>Purok</label>
+            <select name="purok" value={formData.purok} onChange={handleChange}>
+              <option value="">Select Purok</option>
+              {PUROKS.map(purok => (
+                <option key={purok} value={purok}>{purok}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Address</label>
+            <textarea
+              name="address"
+              value={formData.address}
+              onChange={handleChange}
+              rows={2}
+              placeholder="Enter household address"
+            />
+          </div>
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary">
+              Save Household
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default HouseholdModal;
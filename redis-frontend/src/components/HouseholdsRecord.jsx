@@ -0,0 +1,217 @@
+/**
+ * HouseholdsRecord Component
+ *
+ * This component lists the barangay's households and lets users whose role
+ * allows it manage them.
+ *
+ * Features:
+ * - Display households with their head and member count
+ * - View the members of a household and their relationship to the head
+ * - Add, edit and delete households (households:write)
+ * - Designate the household head and move residents between households (households:write)
+ */
+import { useState, useEffect } from 'react';
+import DataTable from './DataTable';
+import HouseholdModal from './HouseholdModal';
+import HouseholdMembersModal from './HouseholdMembersModal';
+import { householdService } from '../services/householdService';
+import { showToast } from '../utils/toast';
+import { hasPermission } from '../utils/permissions';
+import { FaPlus } from 'react-icons/fa';
+import './ResidentsRecord.css';
+import './HouseholdsRecord.css';
+
+const HouseholdsRecord = () => {
+  const [households, setHouseholds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Household form modal (add when editingHousehold is null)
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingHousehold, setEditingHousehold] = useState(null);
+
+  // Household whose members are being viewed
+  const [selectedHousehold, setSelectedHousehold] = useState(null);
+
+  const canEdit = hasPermission('households:write');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  /**
+   * Fetches the households list
+   */
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const householdData = await householdService.getAllHouseholds();
+      setHouseholds(householdData || []);
+    } catch (apiError) {
+      console.error('Error fetching households:', apiError);
+      setError(`Failed to load households: ${apiError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Loads a household's members and opens the members modal
+   * @param {Object} household - Household row from the table
+   */
+  const handleView = async (household) => {
+    try {
+      const data = await householdService.getHousehold(household.id);
+      setSelectedHousehold(data);
+    } catch (error) {
+      console.error('Error loading household members:', error);
+    }
+  };
+
+  /**
+   * Reloads the open household and the list after a membership change
+   */
+  const handleMembersChanged = async () => {
+    await fetchData();
+    if (selectedHousehold) {
+      await handleView(selectedHousehold);
+    }
+  };
+
+  const handleAdd = () => {
+    setEditingHousehold(null);
+    setShowFormModal(true);
+  };
+
+  const handleEdit = (household) => {
+    setEditingHousehold(household);
+    setShowFormModal(true);
+  };
+
+  /**
+   * Creates or updates a household from the form modal
+   * @param {Object} formData - Household form values
+   */
+  const handleSave = async (formData) => {
+    try {
+      if (editingHousehold) {
+        await householdService.updateHousehold(editingHousehold.id, formData);
+      } else {
+        await householdService.createHousehold(formData);
+      }
+      setShowFormModal(false);
+      setEditingHousehold(null);
+      fetchData();
+    } catch (error) {
+      console.error('Error saving household:', error);
+    }
+  };
+
+  /**
+   * Deletes a household after confirmation; its members stay as residents
+   * @param {Object} household - Household to delete
+   */
+  const handleDelete = async (household) => {
+    const confirmMessage = household.memberCount > 0
+      ? `Household ${household.householdNo} has ${household.memberCount} member(s). They will be kept as residents without a household. Continue?`
+      : `Delete household ${household.householdNo}?`;
+
+    if (!window.confirm(confirmMessage)) {
+      return;
+    }
+
+    try {
+      await householdService.deleteHousehold(household.id);
+      fetchData();
+    } catch (error) {
+      console.error('Error deleting household:', error);
+      showToast.error('Failed to delete household');
+    }
+  };
+
+  const columns = [
+    {
+      header: 'Household No.',
+      accessor: (household) => household.householdNo
+    },
+    {
+      header: 'Purok',
+      accessor: (household) => household.purok || 'N/A'
+    },
+    {
+      header: 'Household Head',
+      accessor: (household) => household.headName || 'Not set'
+    },
+    {
+      header: 'Members',
+      accessor: (household) => household.memberCount
+    },
+    {
+      header: 'Address',
+      accessor: (household) => household.address || 'N/A'
+    }
+  ];
+
+  return (
+    <div className="residents-record">
+      <h2>Households</h2>
+
+      {canEdit && (
+        <div className="actions-bar">
+          <button className="btn btn-primary" onClick={handleAdd}>
+            <FaPlus /> Add Household
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button className="btn btn-primary retry-btn" onClick={fetchData}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-message">Loading households...</div>
+      ) : households.length === 0 && !error ? (
+        <div className="no-data-message">
+          No households found. {canEdit ? 'Add a household to get started.' : 'No household records available.'}
+        </div>
+      ) : (
+        <DataTable
+          data={households}
+          columns={columns}
+          onView={handleView}
+          onEdit={canEdit ? handleEdit : null}
+          onDelete={canEdit ? handleDelete : null}
+          loading={loading}
+        />
+      )}
+
+      {selectedHousehold && (
+        <HouseholdMembersModal
+          household={selectedHousehold}
+          households={households}
+          canEdit={canEdit}
+          onChanged={handleMembersChanged}
+          onClose={() => setSelectedHousehold(null)}
+        />
+      )}
+
+      {canEdit && (
+        <HouseholdModal
+          show={showFormModal}
+          household={editingHousehold}
+          onClose={() => setShowFormModal(false)}
+          onSubmit={handleSave}
+        />
+      )}
+    </div>
+  );
+};
+
+export default HouseholdsRecord;
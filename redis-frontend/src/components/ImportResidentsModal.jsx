@@ -0,0 +1,256 @@
+/**
+ * ImportResidentsModal Component
+ *
+ * Imports residents from a CSV or Excel file in three steps: pick the file, check which
+ * field each column holds (guessed from the headers, the export's layout is
+ * recognized as is), then review the dry-run report of invalid rows and likely
+ * duplicates before importing every row in one go.
+ *
+ * @module components/ImportResidentsModal
+ */
+import { useState } from 'react';
+import { FaFileImport } from 'react-icons/fa';
+import { residentService } from '../services/residentService';
+import './ImportResidentsModal.css';
+
+/**
+ * @param {Object} entry - Report entry with a row number and, for workbooks, a sheet name
+ * @returns {string} Where the row is, e.g. "4" or "Purok 2, row 4"
+ */
+const rowLabel = (entry) => (entry.sheet ? `${entry.sheet}, row ${entry.row}` : String(entry.row));
+
+/**
+ * @param {Object} props - Component props
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onImported - Called with the import result after residents were saved
+ * @returns {JSX.Element|null} Rendered modal or null when hidden
+ */
+const ImportResidentsModal = ({ show, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [mappingChanged, setMappingChanged] = useState(false);
+  const [allowDuplicates, setAllowDuplicates] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  /**
+   * Runs a dry run of the file with the given mapping and shows its report
+   *
+   * @param {File} csvFile - File to check
+   * @param {Object} [columnMapping] - Mapping to use; the server guesses one when omitted
+   */
+  const checkFile = async (csvFile, columnMapping) => {
+    try {
+      setChecking(true);
+      const result = await residentService.importResidentsCSV(csvFile, { mapping: columnMapping });
+      setReport(result);
+      setMapping(result.mapping);
+      setMappingChanged(false);
+    } catch (error) {
+      console.error('Error checking import file:', error);
+      setReport(null);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0] || null;
+    setFile(selected);
+    setReport(null);
+    setAllowDuplicates(false);
+    if (selected) {
+      checkFile(selected);
+    }
+  };
+
+  const handleMappingChange = (header, field) => {
+    setMapping(prev => ({ ...prev, [header]: field }));
+    setMappingChanged(true);
+  };
+
+  const handleClose = () => {
+    setFile(null);
+    setReport(null);
+    setMapping({});
+    setAllowDuplicates(false);
+    onClose();
+  };
+
+  const rowsToImport = report
+    ? report.valid - (allowDuplicates ? 0 : report.duplicates.length)
+    : 0;
+  const canImport = report && !mappingChanged && report.mappingErrors.length === 0 &&
+    report.errors.length === 0 && rowsToImport > 0;
+
+  const handleImport = async () => {
+    if (!window.confirm(`Import ${rowsToImport} residents?`)) {
+      return;
+    }
+
+    try {
+      setImporting(true);
+      const result = await residentService.importResidentsCSV(file, { mapping, dryRun: false, allowDuplicates });
+      handleClose();
+      onImported(result);
+    } catch (error) {
+      console.error('Error importing residents:', error);
+      // The data may have changed since the dry run; show the fresh report
+      if (error.response?.data?.headers) {
+        setReport(error.response.data);
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (!show) return null;
+
+  const fieldLabel = (field) => report?.fields[field] || field;
+
+  return (
+    <div className="modal">
+      <div className="modal-content import-modal">
+        <h2>Import Residents</h2>
+        <p className="import-intro">
+          Choose a CSV or Excel file with one resident per row. Files saved from Export CSV or
+          Export Excel can be imported as they are; the Age column is ignored since age follows
+          the birthdate.
+        </p>
+
+        <input type="file" accept=".csv,.xlsx,text/csv" onChange={handleFileChange} />
+        {checking && <p className="import-status">Checking file...</p>}
+
+        {report && (
+          <>
+            <h3>Columns</h3>
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th>Column in file</th>
+                  <th>Imported as</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.headers.map((header, index) => (
+                  <tr key={index}>
+                    <td>{header}</td>
+                    <td>
+                      <select
+                        value={mapping[header] || ''}
+                        onChange={(e) => handleMappingChange(header, e.target.value)}
+                        aria-label={`Field for column ${header}`}
+                      >
+                        <option value="">Do not import</option>
+                        {Object.entries(report.fields).map(([field, label]) => (
+                          <option key={field} value={field}>{label}</option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {mappingChanged && (
+              <button className="btn btn-secondary" onClick={() => checkFile(file, mapping)} disabled={checking}>
+                Check Again
+              </button>
+            )}
+
+            {!mappingChanged && report.mappingErrors.length > 0 && (
+              <ul className="import-errors">
+                {report.mappingErrors.map(message => <li key={message}>{message}</li>)}
+              </ul>
+            )}
+
+            {!mappingChanged && report.mappingErrors.length === 0 && (
+              <>
+                <h3>Report</h3>
+                <p className="import-status">
+                  {report.total} rows: {report.valid} valid, {report.errors.length > 0 ? `${report.total - report.valid} with errors, ` : ''}
+                  {report.duplicates.length} possible duplicates
+                </p>
+
+                {report.errors.length > 0 && (
+                  <table className="import-table import-problems">
+                    <thead>
+                      <tr>
+                        <th>Row</th>
+                        <th>Field</th>
+                        <th>Problem</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.errors.map(error => (
+                        <tr key={`${error.sheet}-${error.row}-${error.field}`}>
+                          <td>{rowLabel(error)}</td>
+                          <td>{fieldLabel(error.field)}</td>
+                          <td>{error.message}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                {report.duplicates.length > 0 && (
+                  <>
+                    <table className="import-table import-problems">
+                      <thead>
+                        <tr>
+                          <th>Row</th>
+                          <th>Name</th>
+                          <th>Looks like</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {report.duplicates.map(duplicate => (
+                          <tr key={`${duplicate.sheet}-${duplicate.row}`}>
+                            <td>{rowLabel(duplicate)}</td>
+                            <td>{duplicate.name}</td>
+                            <td>
+                              {duplicate.duplicateOfRow
+                                ? `${duplicate.duplicateOfSheet ? `${duplicate.duplicateOfSheet}, row` : 'Row'} ${duplicate.duplicateOfRow} of this file`
+                                : duplicate.matches.map(match => match.name).join(', ')}
+                              {' '}({duplicate.reason})
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <label className="import-option">
+                      <input
+                        type="checkbox"
+                        checked={allowDuplicates}
+                        onChange={(e) => setAllowDuplicates(e.target.checked)}
+                      />
+                      Import possible duplicates too
+                    </label>
+                  </>
+                )}
+
+                {report.errors.length > 0 && (
+                  <div className="error-message">
+                    Fix the rows with errors in the file and choose it again; nothing is imported while any row has errors.
+                  </div>
+                )}
+              </>
+            )}
+          </>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" className="btn btn-secondary" onClick={handleClose}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={handleImport} disabled={!canImport || importing}>
+            <FaFileImport /> {importing ? 'Importing...' : `Import ${canImport ? rowsToImport : ''} Residents`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportResidentsModal;
@@ -0,0 +1,125 @@
+/**
+ * ImportStudentsModal Component
+ *
+ * Imports students from an Excel workbook laid out like the student export.
+ * Choosing a file runs a dry run that lists the invalid rows; the students are
+ * only saved, all together, once no row has errors.
+ *
+ * @module components/ImportStudentsModal
+ */
+import { useState } from 'react';
+import { FaFileImport } from 'react-icons/fa';
+import { studentService } from '../services/studentService';
+import { STUDENT_FIELD_LABELS } from '../utils/studentOptions';
+import './ImportResidentsModal.css';
+
+/**
+ * @param {Object} props - Component props
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onImported - Called with the import result after students were saved
+ * @returns {JSX.Element|null} Rendered modal or null when hidden
+ */
+const ImportStudentsModal = ({ show, onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0] || null;
+    setFile(selected);
+    setReport(null);
+    if (!selected) return;
+
+    try {
+      setChecking(true);
+      setReport(await studentService.importStudents(selected));
+    } catch (error) {
+      console.error('Error checking import file:', error);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleClose = () => {
+    setFile(null);
+    setReport(null);
+    onClose();
+  };
+
+  const canImport = report && report.errors.length === 0 && report.total > 0;
+
+  const handleImport = async () => {
+    try {
+      setImporting(true);
+      const result = await studentService.importStudents(file, { dryRun: false });
+      handleClose();
+      onImported(result);
+    } catch (error) {
+      console.error('Error importing students:', error);
+      // Student IDs may have been taken since the dry run; show the fresh report
+      if (error.response?.data?.errors) {
+        setReport(error.response.data);
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (!show) return null;
+
+  return (
+    <div className="modal">
+      <div className="modal-content import-modal">
+        <h2>Import Students</h2>
+        <p className="import-intro">
+          Choose an Excel file with the columns of Export Excel: Student ID, First Name and
+          Last Name are required, Age, Address, Course, Year Level, Section and Major are optional.
+        </p>
+
+        <input type="file" accept=".xlsx,.csv" onChange={handleFileChange} />
+        {checking && <p className="import-status">Checking file...</p>}
+
+        {report && (
+          <>
+            <p className="import-status">
+              {report.total} rows: {report.valid} valid{report.errors.length > 0 ? `, ${report.total - report.valid} with errors` : ''}
+            </p>
+            {report.errors.length > 0 && (
+              <table className="import-table import-problems">
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    <th>Field</th>
+                    <th>Problem</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.errors.map(error => (
+                    <tr key={`${error.row}-${error.field}`}>
+                      <td>{error.row}</td>
+                      <td>{STUDENT_FIELD_LABELS[error.field] || error.field}</td>
+                      <td>{error.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" className="btn btn-secondary" onClick={handleClose}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={handleImport} disabled={!canImport || importing}>
+            <FaFileImport /> {importing ? 'Importing...' : `Import ${canImport ? report.total : ''} Students`}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportStudentsModal;
@@ -7,21 +7,36 @@
  * 
  * Features:
  * - User login with username/password
+ * - Countdown while failed attempts make the user wait before trying again
  * - Role-based registration (admin/user)
- * - Form validation
+ * - Form validation, with the password rules the server enforces
+ * - Sending users whose password was reset to their profile to choose a new one
+ * - Link to set a new password with a reset code from an admin
  * - Toast notifications for success/error feedback
  * - Navigation to dashboard on successful login
  * 
  * @module components/Login
  */
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import { showToast } from '../utils/toast';
+import { BARANGAY_NAME, BARANGAY_LOCATION } from '../utils/barangay';
+import { storeRole } from '../utils/permissions';
+import { MIN_PASSWORD_LENGTH, PASSWORD_HINT, getPasswordProblem } from '../utils/passwords';
 import './Login.css'; // We'll create this file next
 
 const API_URL = 'http://localhost:5000';
 
+/**
+ * Formats a wait as minutes and seconds
+ *
+ * @param {number} seconds - Seconds left
+ * @returns {string} e.g. "2:05"
+ */
+const formatCountdown = (seconds) =>
+  `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
 /**
  * Login component for user authentication
  * 
@@ -48,8 +63,26 @@ const Login = ({ onLoginSuccess }) => {
     adminCode: ''
   });
   
+  // Time (ms) until which the server refuses login attempts, and the seconds left
+  const [retryUntil, setRetryUntil] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+
   const navigate = useNavigate();
 
+  // Count down the wait imposed after failed attempts
+  useEffect(() => {
+    if (!retryUntil) return undefined;
+
+    const tick = () => {
+      const left = Math.max(0, Math.ceil((retryUntil - Date.now()) / 1000));
+      setSecondsLeft(left);
+      if (left === 0) setRetryUntil(null);
+    };
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [retryUntil]);
+
   /**
    * Handles changes to login form input fields
    * 
@@ -89,18 +122,30 @@ const Login = ({ onLoginSuccess }) => {
       const response = await axios.post(`${API_URL}/auth/login`, credentials);
       if (response.data.token) {
         localStorage.setItem('token', response.data.token);
-        // Store user role - default to 'admin' for backward compatibility with existing backend
-        // This will be updated when we implement role-based auth in the backend
-        localStorage.setItem('userRole', response.data.role || 'admin');
-        showToast.success('Login successful');
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        // The role's permissions decide which pages and actions are offered
+        storeRole(response.data);
         onLoginSuccess();
-        navigate('/dashboard');
+        // After a forced reset the user must choose their own password first
+        if (response.data.user?.mustChangePassword) {
+          showToast.info('Your password was reset. Please choose a new password.');
+          navigate('/profile');
+        } else {
+          showToast.success('Login successful');
+          navigate('/dashboard');
+        }
       } else {
         showToast.error('Login failed - No token received');
       }
     } catch (error) {
       console.error('Login error:', error);
       showToast.error(error.response?.data?.message || 'Login failed');
+
+      // Too many failures: the server says how long to wait before the next attempt
+      const retryAfter = error.response?.data?.retryAfter;
+      if (retryAfter) {
+        setRetryUntil(Date.now() + retryAfter * 1000);
+      }
     }
   };
 
@@ -119,6 +164,12 @@ const Login = ({ onLoginSuccess }) => {
       return;
     }
 
+    const passwordProblem = getPasswordProblem(registerData.password, registerData.username);
+    if (passwordProblem) {
+      showToast.error(passwordProblem);
+      return;
+    }
+
     // Validate admin code if admin role is selected
     if (registerData.role === 'admin' && !registerData.adminCode) {
       showToast.error('Admin code is required for admin registration');
@@ -177,8 +228,8 @@ const Login = ({ onLoginSuccess }) => {
       <div className="login-content">
         <div className="brgy-info">
           <div className="brgy-text">
-            <h1>Brgy. Sto. Rosario</h1>
-            <h2>Iligan City, Lanao Del Norte</h2>
+            <h1>{BARANGAY_NAME}</h1>
+            <h2>{BARANGAY_LOCATION}</h2>
           </div>
         </div>
         <div className="login-form-container">
@@ -205,8 +256,13 @@ const Login = ({ onLoginSuccess }) => {
                   required
                 />
               </div>
-              <button type="submit" className="login-btn">
-                Login
+              {secondsLeft > 0 && (
+                <p className="login-wait">
+                  Too many failed login attempts. Try again in {formatCountdown(secondsLeft)}.
+                </p>
+              )}
+              <button type="submit" className="login-btn" disabled={secondsLeft > 0}>
+                {secondsLeft > 0 ? `Wait ${formatCountdown(secondsLeft)}` : 'Login'}
               </button>
             </form>
             <div className="form-footer">
@@ -216,6 +272,12 @@ const Login = ({ onLoginSuccess }) => {
               >
                 Create new account
               </button>
+              <button
+                className="create-account reset-code"
+                onClick={() => navigate('/reset-password')}
+              >
+                Have a reset code? Set a new password
+              </button>
             </div>
           </div>
         </div>
@@ -244,9 +306,9 @@ const Login = ({ onLoginSuccess }) => {
                   onChange={handleRegisterChange}
                   placeholder="Password"
                   required
-                  minLength="6"
+                  minLength={MIN_PASSWORD_LENGTH}
                 />
-                <small>Password must be at least 6 characters</small>
+                <small>{PASSWORD_HINT}</small>
               </div>
               <div className="form-group">
                 <input
@@ -0,0 +1,250 @@
+/**
+ * MergeResidents Component
+ *
+ * Screen for combining two records of the same person, for users with the
+ * residents:write and residents:delete permissions. The user picks
+ * the record to keep and the duplicate, chooses which value to keep for each
+ * field that differs, and the duplicate is then removed.
+ *
+ * @module components/MergeResidents
+ */
+import { useState, useEffect } from 'react';
+import { FaCompressArrowsAlt, FaTimes } from 'react-icons/fa';
+import { residentService } from '../services/residentService';
+import { getImageUrl } from '../utils/imageUtils';
+import { hasPermission } from '../utils/permissions';
+import './ResidentsRecord.css';
+import './MergeResidents.css';
+
+// Fields compared side by side, in display order
+const MERGE_FIELDS = [
+  { key: 'profileImage', label: 'Photo' },
+  { key: 'firstName', label: 'First Name' },
+  { key: 'middleName', label: 'Middle Name' },
+  { key: 'lastName', label: 'Last Name' },
+  { key: 'alias', label: 'Alias' },
+  { key: 'birthdate', label: 'Birthdate' },
+  { key: 'birthplace', label: 'Birthplace' },
+  { key: 'gender', label: 'Gender' },
+  { key: 'civilStatus', label: 'Civil Status' },
+  { key: 'citizenship', label: 'Citizenship' },
+  { key: 'occupation', label: 'Occupation' },
+  { key: 'purok', label: 'Purok' },
+  { key: 'address', label: 'Address' },
+  { key: 'householdId', label: 'Household' },
+  { key: 'votersStatus', label: 'Voter Status' },
+  { key: 'precinctNo', label: 'Precinct No.' },
+  { key: 'email', label: 'Email' },
+  { key: 'contactNumber', label: 'Contact Number' }
+];
+
+/**
+ * Formats a resident's name as "Last, First Middle"
+ * @param {Object} resident - Resident record
+ * @returns {string} Display name
+ */
+const formatName = (resident) =>
+  `${resident.lastName || ''}, ${resident.firstName || ''} ${resident.middleName || ''}`.trim();
+
+/**
+ * Renders a field value for the comparison table
+ * @param {Object} resident - Resident record
+ * @param {string} key - Field name
+ * @returns {JSX.Element|string} Displayable value
+ */
+const renderValue = (resident, key) => {
+  if (key === 'profileImage') {
+    return resident.profileImage
+      ? <img className="merge-photo" src={getImageUrl(resident.profileImage)} alt="Profile" />
+      : 'No photo';
+  }
+  if (key === 'householdId') {
+    return resident.householdNo
+      ? `Household ${resident.householdNo}${resident.relationshipToHead ? ` (${resident.relationshipToHead})` : ''}`
+      : 'None';
+  }
+  return resident[key] || '—';
+};
+
+/**
+ * Search box that lets the admin pick one resident by name
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.label - Heading for the picker
+ * @param {Object|null} props.selected - Picked resident
+ * @param {string} [props.excludeId] - Resident that cannot be picked (the other side)
+ * @param {Function} props.onSelect - Called with the picked resident, or null to clear
+ * @returns {JSX.Element} Rendered picker
+ */
+const ResidentPicker = ({ label, selected, excludeId, onSelect }) => {
+  const [search, setSearch] = useState('');
+  const [matches, setMatches] = useState([]);
+
+  // Search the server once the user stops typing
+  useEffect(() => {
+    const text = search.trim();
+    if (!text) {
+      setMatches([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        setMatches(await residentService.searchResidents(text));
+      } catch (error) {
+        console.error('Error searching residents:', error);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  return (
+    <div className="merge-picker">
+      <h3>{label}</h3>
+      {selected ? (
+        <div className="merge-selected">
+          <span>{formatName(selected)}</span>
+          <button className="btn-action btn-delete" title="Choose another resident" onClick={() => onSelect(null)}>
+            <FaTimes />
+          </button>
+        </div>
+      ) : (
+        <>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search resident by name"
+            aria-label={label}
+          />
+          <ul className="merge-matches">
+            {matches.filter(r => r.id !== excludeId).map(resident => (
+              <li key={resident.id}>
+                <button type="button" onClick={() => { onSelect(resident); setSearch(''); }}>
+                  {formatName(resident)}
+                  <small>{resident.birthdate || 'No birthdate'} · {resident.purok || 'No purok'}</small>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+const MergeResidents = () => {
+  const [primary, setPrimary] = useState(null);
+  const [duplicate, setDuplicate] = useState(null);
+
+  // Field name -> 'primary' or 'duplicate'
+  const [choices, setChoices] = useState({});
+  const [merging, setMerging] = useState(false);
+
+  const canMerge = hasPermission('residents:write', 'residents:delete');
+
+  // Default to the kept record, except where only the duplicate has a value
+  useEffect(() => {
+    if (!primary || !duplicate) {
+      setChoices({});
+      return;
+    }
+
+    setChoices(Object.fromEntries(MERGE_FIELDS.map(({ key }) => [
+      key,
+      !primary[key] && duplicate[key] ? 'duplicate' : 'primary'
+    ])));
+  }, [primary, duplicate]);
+
+  /**
+   * Merges the duplicate into the kept record after confirmation
+   */
+  const handleMerge = async () => {
+    if (!window.confirm(`Merge ${formatName(duplicate)} into ${formatName(primary)}? The duplicate record will be deleted.`)) {
+      return;
+    }
+
+    try {
+      setMerging(true);
+      // The server derives the merged age from the birthdate that is kept
+      await residentService.mergeResidents(primary.id, duplicate.id, choices);
+      setPrimary(null);
+      setDuplicate(null);
+    } catch (error) {
+      console.error('Error merging residents:', error);
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  if (!canMerge) {
+    return (
+      <div className="residents-record">
+        <h2>Merge Residents</h2>
+        <div className="error-message">Your role does not have access to this page</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="residents-record">
+      <h2>Merge Residents</h2>
+      <p className="merge-intro">
+        Combine two records of the same person. The record to keep stays; the duplicate is deleted
+        and the population counters are corrected.
+      </p>
+
+      <div className="merge-pickers">
+        <ResidentPicker label="Record to keep" selected={primary} excludeId={duplicate?.id} onSelect={setPrimary} />
+        <ResidentPicker label="Duplicate record" selected={duplicate} excludeId={primary?.id} onSelect={setDuplicate} />
+      </div>
+
+      {primary && duplicate && (
+        <>
+          <table className="merge-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Record to keep</th>
+                <th>Duplicate record</th>
+              </tr>
+            </thead>
+            <tbody>
+              {MERGE_FIELDS.map(({ key, label }) => {
+                const differs = (primary[key] || '') !== (duplicate[key] || '');
+                return (
+                  <tr key={key} className={differs ? 'differs' : ''}>
+                    <td>{label}</td>
+                    {['primary', 'duplicate'].map(source => (
+                      <td key={source} className={differs && choices[key] === source ? 'chosen' : ''}>
+                        {differs ? (
+                          <label>
+                            <input
+                              type="radio"
+                              name={`merge-${key}`}
+                              checked={choices[key] === source}
+                              onChange={() => setChoices({ ...choices, [key]: source })}
+                            />
+                            {renderValue(source === 'primary' ? primary : duplicate, key)}
+                          </label>
+                        ) : renderValue(source === 'primary' ? primary : duplicate, key)}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div className="actions-bar">
+            <button className="btn btn-primary" onClick={handleMerge} disabled={merging}>
+              <FaCompressArrowsAlt /> {merging ? 'Merging...' : 'Merge Residents'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MergeResidents;
@@ -0,0 +1,184 @@
+/**
+ * Profile Component
+ *
+ * This component shows the signed-in user's account and lets them change
+ * their password. Users whose password was reset by an admin are sent here
+ * after logging in to choose their own.
+ *
+ * Features:
+ * - Display the username, role and the permissions the role grants
+ * - Change the password, confirming the current one
+ * - Password rules checked before sending, with the server's field errors shown
+ * - Other devices are logged out when the password changes
+ */
+import { useState, useEffect } from 'react';
+import FieldError from './FieldError';
+import { authService } from '../services/authService';
+import { PASSWORD_HINT, getPasswordProblem } from '../utils/passwords';
+import './ResidentsRecord.css';
+import './HouseholdsRecord.css';
+import './Profile.css';
+
+const EMPTY_PASSWORDS = {
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: ''
+};
+
+const Profile = () => {
+  const [account, setAccount] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const [passwords, setPasswords] = useState(EMPTY_PASSWORDS);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchAccount();
+  }, []);
+
+  /**
+   * Fetches the account from the server
+   */
+  const fetchAccount = async () => {
+    try {
+      setLoading(true);
+      setAccount(await authService.verifyToken());
+    } catch (error) {
+      console.error('Error fetching account:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setPasswords(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Changes the password after checking it locally; the server's
+   * confirmation or error is shown as a toast
+   * @param {Object} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newPasswordProblem = getPasswordProblem(passwords.newPassword, account?.username);
+    if (newPasswordProblem) {
+      setFieldErrors({ newPassword: newPasswordProblem });
+      return;
+    }
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setFieldErrors({ confirmPassword: 'Passwords do not match' });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setFieldErrors({});
+      await authService.changePassword({
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword
+      });
+      setPasswords(EMPTY_PASSWORDS);
+      setAccount(prev => ({ ...prev, mustChangePassword: false }));
+    } catch (error) {
+      console.error('Error changing password:', error);
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="residents-record">
+        <h2>My Profile</h2>
+        <div className="loading-message">Loading profile...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="residents-record">
+      <h2>My Profile</h2>
+
+      {account?.mustChangePassword && (
+        <div className="error-message">
+          Your password was reset by an administrator. Please choose a new password.
+        </div>
+      )}
+
+      {account && (
+        <div className="profile-section">
+          <h3>Account</h3>
+          <dl className="profile-details">
+            <dt>Username</dt>
+            <dd>{account.username}</dd>
+            <dt>Role</dt>
+            <dd>{account.roleLabel}</dd>
+            <dt>Permissions</dt>
+            <dd>{account.permissions?.length > 0 ? account.permissions.join(', ') : 'None'}</dd>
+          </dl>
+        </div>
+      )}
+
+      <div className="profile-section">
+        <h3>Change Password</h3>
+        <p className="profile-note">Changing your password logs you out on every other device.</p>
+        <form onSubmit={handleSubmit} className="household-form profile-form">
+          <div className="form-group">
+            <label htmlFor="current-password">Current Password*</label>
+            <input
+              id="current-password"
+              type="password"
+              name="currentPassword"
+              value={passwords.currentPassword}
+              onChange={handleChange}
+              required
+              autoComplete="current-password"
+            />
+            <FieldError message={fieldErrors.currentPassword} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="new-password">New Password*</label>
+            <input
+              id="new-password"
+              type="password"
+              name="newPassword"
+              value={passwords.newPassword}
+              onChange={handleChange}
+              required
+              autoComplete="new-password"
+              placeholder={PASSWORD_HINT}
+            />
+            <FieldError message={fieldErrors.newPassword} />
+          </div>
+          <div className="form-group">
+            <label htmlFor="confirm-password">Confirm New Password*</label>
+            <input
+              id="confirm-password"
+              type="password"
+              name="confirmPassword"
+              value={passwords.confirmPassword}
+              onChange={handleChange}
+              required
+              autoComplete="new-password"
+            />
+            <FieldError message={fieldErrors.confirmPassword} />
+          </div>
+          <div className="modal-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Change Password'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
@@ -0,0 +1,142 @@
+/**
+ * ResetPassword Component
+ *
+ * Lets a user set a new password with the one-time reset code an admin gave
+ * them, without logging in. The code is filled in from the ?token= part of a
+ * reset link, or typed in.
+ *
+ * @module components/ResetPassword
+ */
+import { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import FieldError from './FieldError';
+import { authService } from '../services/authService';
+import { BARANGAY_NAME, BARANGAY_LOCATION } from '../utils/barangay';
+import { MIN_PASSWORD_LENGTH, PASSWORD_HINT, getPasswordProblem } from '../utils/passwords';
+import './ResidentsRecord.css';
+import './Login.css';
+
+/**
+ * @returns {JSX.Element} Rendered reset form
+ */
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const [formData, setFormData] = useState({
+    token: searchParams.get('token') || '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Sets the new password and goes to the login page; the server's
+   * confirmation or error is shown as a toast
+   * @param {Object} e - Form submission event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const passwordProblem = getPasswordProblem(formData.newPassword);
+    if (passwordProblem) {
+      setFieldErrors({ newPassword: passwordProblem });
+      return;
+    }
+    if (formData.newPassword !== formData.confirmPassword) {
+      setFieldErrors({ confirmPassword: 'Passwords do not match' });
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setFieldErrors({});
+      await authService.resetPassword({
+        token: formData.token.trim(),
+        newPassword: formData.newPassword
+      });
+      navigate('/login');
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-content">
+        <div className="brgy-info">
+          <div className="brgy-text">
+            <h1>{BARANGAY_NAME}</h1>
+            <h2>{BARANGAY_LOCATION}</h2>
+          </div>
+        </div>
+        <div className="login-form-container">
+          <div className="login-form">
+            <h2>Set New Password</h2>
+            <form onSubmit={handleSubmit}>
+              <div className="form-group">
+                <input
+                  type="text"
+                  name="token"
+                  value={formData.token}
+                  onChange={handleChange}
+                  placeholder="Reset code"
+                  required
+                  autoComplete="off"
+                />
+                <FieldError message={fieldErrors.token} />
+              </div>
+              <div className="form-group">
+                <input
+                  type="password"
+                  name="newPassword"
+                  value={formData.newPassword}
+                  onChange={handleChange}
+                  placeholder="New password"
+                  required
+                  minLength={MIN_PASSWORD_LENGTH}
+                  autoComplete="new-password"
+                />
+                <small>{PASSWORD_HINT}</small>
+                <FieldError message={fieldErrors.newPassword} />
+              </div>
+              <div className="form-group">
+                <input
+                  type="password"
+                  name="confirmPassword"
+                  value={formData.confirmPassword}
+                  onChange={handleChange}
+                  placeholder="Confirm new password"
+                  required
+                  autoComplete="new-password"
+                />
+                <FieldError message={fieldErrors.confirmPassword} />
+              </div>
+              <button type="submit" className="login-btn" disabled={saving}>
+                {saving ? 'Saving...' : 'Set Password'}
+              </button>
+            </form>
+            <div className="form-footer">
+              <button className="create-account" onClick={() => navigate('/login')}>
+                Back to login
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,74 @@
+/**
+ * ResidentFilters Component
+ *
+ * Filter bar for the residents list. Filters are applied by the server,
+ * so every change is reported to the parent which refetches the list.
+ *
+ * @module components/ResidentFilters
+ */
+import { FaFilter, FaTimes } from 'react-icons/fa';
+import {
+  PUROKS, GENDERS, CIVIL_STATUSES, VOTERS_STATUSES, EMPTY_RESIDENT_FILTERS
+} from '../utils/residentOptions';
+
+/**
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Current filter values
+ * @param {Function} props.onChange - Called with the updated filter values
+ * @returns {JSX.Element} Rendered filter bar
+ */
+const ResidentFilters = ({ filters, onChange }) => {
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    onChange({ ...filters, [name]: value });
+  };
+
+  const hasActiveFilters = Object.values(filters).some(value => value !== '');
+
+  return (
+    <div className="resident-filters">
+      <FaFilter className="filter-icon" />
+      <select name="purok" value={filters.purok} onChange={handleChange} aria-label="Filter by purok">
+        <option value="">All Puroks</option>
+        {PUROKS.map(purok => <option key={purok} value={purok}>{purok}</option>)}
+      </select>
+      <select name="gender" value={filters.gender} onChange={handleChange} aria-label="Filter by gender">
+        <option value="">All Genders</option>
+        {GENDERS.map(gender => <option key={gender} value={gender}>{gender}</option>)}
+      </select>
+      <select name="votersStatus" value={filters.votersStatus} onChange={handleChange} aria-label="Filter by voter status">
+        <option value="">All Voter Status</option>
+        {VOTERS_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+      </select>
+      <select name="civilStatus" value={filters.civilStatus} onChange={handleChange} aria-label="Filter by civil status">
+        <option value="">All Civil Status</option>
+        {CIVIL_STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+      </select>
+      <input
+        type="number"
+        name="ageMin"
+        min="0"
+        value={filters.ageMin}
+        onChange={handleChange}
+        placeholder="Min age"
+        aria-label="Minimum age"
+      />
+      <input
+        type="number"
+        name="ageMax"
+        min="0"
+        value={filters.ageMax}
+        onChange={handleChange}
+        placeholder="Max age"
+        aria-label="Maximum age"
+      />
+      {hasActiveFilters && (
+        <button className="btn btn-secondary" onClick={() => onChange(EMPTY_RESIDENT_FILTERS)}>
+          <FaTimes /> Clear
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ResidentFilters;
@@ -0,0 +1,127 @@
+/**
+ * ResidentHistory Component
+ *
+ * History tab of the resident view modal. Lists every saved version of a
+ * resident with who made the change, when, and the old and new value of each
+ * changed field. Admins can revert the resident to any earlier version.
+ *
+ * @module components/ResidentHistory
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { FaUndo } from 'react-icons/fa';
+import { residentService } from '../services/residentService';
+import { RESIDENT_FIELD_LABELS } from '../utils/residentOptions';
+
+// How each kind of change is described
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Updated',
+  merge: 'Merged with a duplicate',
+  revert: 'Reverted',
+  household: 'Household changed',
+  original: 'Recorded before history was kept'
+};
+
+/**
+ * @param {Object} props - Component props
+ * @param {string} props.residentId - Resident whose history is shown
+ * @param {boolean} props.canRevert - Whether the current user may revert
+ * @param {Function} props.onReverted - Called with the reverted resident
+ * @returns {JSX.Element} Rendered history list
+ */
+const ResidentHistory = ({ residentId, canRevert, onReverted }) => {
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [reverting, setReverting] = useState(null);
+
+  /**
+   * Fetches the resident's versions
+   */
+  const fetchHistory = useCallback(async () => {
+    try {
+      setLoading(true);
+      setVersions(await residentService.getResidentHistory(residentId));
+    } catch (error) {
+      console.error('Error fetching resident history:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [residentId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  /**
+   * Reverts the resident to a version after confirmation
+   * @param {number} version - Version to restore
+   */
+  const handleRevert = async (version) => {
+    if (!window.confirm(`Revert this resident to version ${version}? The current values will be kept in the history.`)) {
+      return;
+    }
+
+    try {
+      setReverting(version);
+      const resident = await residentService.revertResident(residentId, version);
+      onReverted(resident);
+      await fetchHistory();
+    } catch (error) {
+      console.error('Error reverting resident:', error);
+    } finally {
+      setReverting(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading-message">Loading history...</div>;
+  }
+
+  if (versions.length === 0) {
+    return <div className="no-data-message">No changes have been recorded for this resident.</div>;
+  }
+
+  return (
+    <ul className="history-list">
+      {versions.map((entry, index) => (
+        <li key={entry.version} className="history-entry">
+          <div className="history-header">
+            <div>
+              <strong>Version {entry.version}</strong> · {ACTION_LABELS[entry.action] || entry.action}
+              {entry.revertedTo && ` to version ${entry.revertedTo}`}
+              <div className="history-meta">
+                {entry.changedAt ? new Date(entry.changedAt).toLocaleString() : 'Date unknown'}
+                {entry.changedBy && ` by ${entry.changedBy}`}
+              </div>
+            </div>
+            {canRevert && index > 0 && (
+              <button
+                className="btn btn-secondary"
+                onClick={() => handleRevert(entry.version)}
+                disabled={reverting !== null}
+              >
+                <FaUndo /> {reverting === entry.version ? 'Reverting...' : 'Revert to this version'}
+              </button>
+            )}
+          </div>
+
+          {entry.action !== 'original' && entry.changes.length > 0 && (
+            <table className="history-changes">
+              <tbody>
+                {entry.changes.map(({ field, from, to }) => (
+                  <tr key={field}>
+                    <td>{RESIDENT_FIELD_LABELS[field] || field}</td>
+                    <td className="history-from">{from || '—'}</td>
+                    <td className="history-to">{to || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default ResidentHistory;
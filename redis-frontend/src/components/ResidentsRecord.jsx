@@ -6,30 +6,43 @@
  * for adding, viewing, editing, and deleting residents.
  * 
  * Features:
- * - Display residents in a paginated, searchable table
- * - View detailed resident information
- * - Add new residents (admin only)
- * - Edit existing residents (admin only)
- * - Delete residents (admin only)
- * - Export residents data to CSV
- * - Role-based access control for data modification
+ * - Display residents in a paginated, searchable, sortable table (paged by the server)
+ * - Filter residents by purok, gender, voter status, civil status and age
+ * - View detailed resident information and its change history
+ * - Revert a resident to an earlier version (residents:write)
+ * - Add new residents (residents:write)
+ * - Edit existing residents (residents:write)
+ * - Delete residents (residents:delete)
+ * - Export the listed residents to CSV with chosen columns, or everyone to an Excel workbook
+ *   with a sheet per purok (export)
+ * - Print a PDF masterlist of the listed residents, grouped by purok and household (export)
+ * - Import residents from a CSV or Excel file (residents:write and import)
+ * - Actions offered according to the permissions of the user's role
  */
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import DataTable from './DataTable';
+import ResidentFilters from './ResidentFilters';
 import AddResidentModal from './AddResidentModal';
 import EditResidentModal from './EditResidentModal';
+import ImportResidentsModal from './ImportResidentsModal';
+import ExportResidentsModal from './ExportResidentsModal';
+import ResidentHistory from './ResidentHistory';
 import { residentService } from '../services/residentService';
+import { householdService } from '../services/householdService';
 import { showToast } from '../utils/toast';
+import { hasPermission } from '../utils/permissions';
+import { downloadFile } from '../utils/download';
 import { getImageUrl } from '../utils/imageUtils';
-import { FaPlus, FaFileExport, FaEye, FaEdit, FaTrash } from 'react-icons/fa';
-import axios from 'axios';
+import { EMPTY_RESIDENT_FILTERS } from '../utils/residentOptions';
+import { buildMasterlistPdf } from '../utils/masterlistPdf';
+import { FaPlus, FaFileExport, FaFileExcel, FaFileImport, FaPrint, FaEye, FaEdit, FaTrash } from 'react-icons/fa';
 import './ResidentsRecord.css';
 
-const API_URL = 'http://localhost:5000';
-
 const ResidentsRecord = () => {
   // State management for residents data and UI
   const [residents, setResidents] = useState([]);
+  const [totalResidents, setTotalResidents] = useState(0);
+  const [households, setHouseholds] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
@@ -37,59 +50,129 @@ const ResidentsRecord = () => {
   const [showViewModal, setShowViewModal] = useState(false);
   const [showAddModal, setShowAddModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [printing, setPrinting] = useState(false);
   
   // Currently selected resident for view/edit operations
   const [selectedResident, setSelectedResident] = useState(null);
+
+  // Tab shown in the view modal: 'details' or 'history'
+  const [viewTab, setViewTab] = useState('details');
   
-  // DataTable configuration
+  // DataTable configuration; paging, sorting and filtering happen on the server
   const [entriesPerPage, setEntriesPerPage] = useState(10);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [sort, setSort] = useState('lastName');
+  const [filters, setFilters] = useState(EMPTY_RESIDENT_FILTERS);
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   
   // Track image loading errors
   const [imageError, setImageError] = useState(false);
   
-  // User role for permission control
-  const [userRole, setUserRole] = useState('user');
+  // What the user's role allows; the server checks the same permissions
+  const canWrite = hasPermission('residents:write');
+  const canDelete = hasPermission('residents:delete');
+  const canImport = hasPermission('residents:write', 'import');
+  const canExport = hasPermission('export');
 
-  // Fetch residents data on component mount and check user role
+  // Fetch households for the household pickers on component mount
   useEffect(() => {
-    fetchResidents();
-    
-    // Get user role from localStorage
-    const storedRole = localStorage.getItem('userRole');
-    if (storedRole) {
-      setUserRole(storedRole);
+    if (hasPermission('households:read')) {
+      fetchHouseholds();
     }
   }, []);
 
-  /**
-   * Checks if the current user has admin privileges
-   * @returns {boolean} True if user is an admin
-   */
-  const isAdmin = () => {
-    return userRole === 'admin';
-  };
+  // Wait for the user to stop typing before searching on the server
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setCurrentPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
   /**
-   * Fetches all residents from the API
+   * Fetches the current page of residents from the API
    * Handles loading state and errors
    */
-  const fetchResidents = async () => {
+  const fetchResidents = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
       
       try {
-        const data = await residentService.getAllResidents();
-        setResidents(data || []);
+        const result = await residentService.getResidentsPage({
+          page: currentPage,
+          pageSize: entriesPerPage,
+          sort,
+          q: debouncedSearch,
+          ...filters
+        });
+
+        // Step back a page if the last record on this page was removed
+        if (result.data.length === 0 && currentPage > 1 && result.total > 0) {
+          setCurrentPage(result.totalPages);
+          return;
+        }
+
+        setResidents(result.data || []);
+        setTotalResidents(result.total || 0);
       } catch (apiError) {
         console.error('Error fetching residents:', apiError);
         setError(`Failed to load residents data: ${apiError.message}`);
         setResidents([]);
+        setTotalResidents(0);
       }
     } finally {
       setLoading(false);
     }
+  }, [currentPage, entriesPerPage, sort, debouncedSearch, filters]);
+
+  useEffect(() => {
+    fetchResidents();
+  }, [fetchResidents]);
+
+  /**
+   * Applies new filter values and returns to the first page
+   * @param {Object} newFilters - Updated filter values
+   */
+  const handleFiltersChange = (newFilters) => {
+    setFilters(newFilters);
+    setCurrentPage(1);
+  };
+
+  /**
+   * Changes the sort order and returns to the first page
+   * @param {string} newSort - Sort field, prefixed with "-" for descending
+   */
+  const handleSortChange = (newSort) => {
+    setSort(newSort);
+    setCurrentPage(1);
+  };
+
+  /**
+   * Changes the page size and returns to the first page
+   * @param {number} size - Residents per page
+   */
+  const handleEntriesPerPageChange = (size) => {
+    setEntriesPerPage(size);
+    setCurrentPage(1);
+  };
+
+  /**
+   * Fetches households for the household picker in the add/edit forms
+   * A failure here only disables household selection, so it is not shown as a page error
+   */
+  const fetchHouseholds = async () => {
+    try {
+      const data = await householdService.getAllHouseholds();
+      setHouseholds(data || []);
+    } catch (apiError) {
+      console.error('Error fetching households:', apiError);
+      setHouseholds([]);
+    }
   };
 
   /**
@@ -99,16 +182,25 @@ const ResidentsRecord = () => {
   const handleView = (resident) => {
     setSelectedResident(resident);
     setImageError(false);
+    setViewTab('details');
     setShowViewModal(true);
   };
 
+  /**
+   * Shows the reverted values in the view modal and refreshes the list
+   * @param {Object} resident - The resident as reverted
+   */
+  const handleReverted = (resident) => {
+    setSelectedResident(resident);
+    fetchResidents();
+  };
+
   /**
    * Opens the edit modal for a resident
    * @param {Object} resident - The resident to edit
    */
   const handleEdit = (resident) => {
-    // Check if user has admin privileges
-    if (!isAdmin()) {
+    if (!canWrite) {
       showToast.error('You do not have permission to edit residents');
       return;
     }
@@ -124,7 +216,7 @@ const ResidentsRecord = () => {
    */
   const handleUpdateResident = async (id, formData) => {
     // Double check permissions before updating
-    if (!isAdmin()) {
+    if (!canWrite) {
       showToast.error('You do not have permission to update residents');
       return;
     }
@@ -133,8 +225,8 @@ const ResidentsRecord = () => {
       // Show a loading toast with longer timeout for image uploads
       showToast.info('Updating resident...', { autoClose: 10000 });
       
+      // The server's confirmation is shown as a toast
       await residentService.updateResident(id, formData);
-      showToast.success('Resident updated successfully');
       setShowEditModal(false);
       
       // Reset the selected resident to avoid stale data
@@ -142,8 +234,14 @@ const ResidentsRecord = () => {
       
       // Fetch fresh data
       fetchResidents();
+      fetchHouseholds();
     } catch (error) {
       console.error('Error updating resident:', error);
+
+      // Let the form show field errors next to the inputs
+      if (error.response?.data?.errors) {
+        throw error;
+      }
       
       // Provide specific error messages based on the error type
       let errorMessage = 'Failed to update resident';
@@ -169,20 +267,19 @@ const ResidentsRecord = () => {
    * @param {Object} resident - The resident to delete
    */
   const handleDelete = async (resident) => {
-    // Check if user has admin privileges
-    if (!isAdmin()) {
+    if (!canDelete) {
       showToast.error('You do not have permission to delete residents');
       return;
     }
     
     // Confirm deletion with the user
-    if (!window.confirm('Are you sure you want to delete this resident?')) {
+    if (!window.confirm('Move this resident to the recycle bin? An admin can restore it from Deleted Residents.')) {
       return;
     }
     
     try {
       await residentService.deleteResident(resident.id);
-      showToast.success('Resident deleted successfully');
+      showToast.success('Resident moved to the recycle bin');
       fetchResidents();
     } catch (error) {
       console.error('Error deleting resident:', error);
@@ -195,8 +292,7 @@ const ResidentsRecord = () => {
    * @param {Object} formData - The new resident data
    */
   const handleAddResident = async (formData) => {
-    // Check if user has admin privileges
-    if (!isAdmin()) {
+    if (!canWrite) {
       showToast.error('You do not have permission to add residents');
       return;
     }
@@ -206,34 +302,46 @@ const ResidentsRecord = () => {
       showToast.success('Resident added successfully');
       setShowAddModal(false);
       fetchResidents();
+      fetchHouseholds();
     } catch (error) {
       console.error('Error adding resident:', error);
+
+      // Let the form show field errors next to the inputs
+      if (error.response?.data?.errors) {
+        throw error;
+      }
       showToast.error('Failed to add resident');
     }
   };
 
   /**
-   * Exports residents data to CSV format
-   * Creates a downloadable file with all resident records
+   * Exports residents to an Excel workbook with a summary sheet and one sheet per purok
+   */
+  const exportToExcel = async () => {
+    try {
+      const response = await residentService.exportResidentsXLSX();
+      downloadFile(response.data, 'residents.xlsx');
+      showToast.success('Excel file exported successfully');
+    } catch (error) {
+      console.error('Error exporting Excel file:', error);
+      showToast.error('Failed to export Excel file');
+    }
+  };
+
+  /**
+   * Exports the listed residents to CSV, honoring the current search, filters and sort
+   *
+   * @param {string[]} columns - Fields to export, in column order
    */
-  const exportToCSV = async () => {
+  const exportToCSV = async (columns) => {
     try {
-      const token = localStorage.getItem('token');
-      const response = await axios.get(`${API_URL}/residents/export/csv`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        },
-        responseType: 'blob'
+      const response = await residentService.exportResidentsCSV({
+        sort,
+        q: debouncedSearch,
+        ...filters,
+        columns
       });
-      
-      // Create and trigger download of the CSV file
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement('a');
-      link.href = url;
-      link.setAttribute('download', 'residents.csv');
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
+      downloadFile(response.data, 'residents.csv');
       showToast.success('CSV exported successfully');
     } catch (error) {
       console.error('Error exporting CSV:', error);
@@ -241,11 +349,29 @@ const ResidentsRecord = () => {
     }
   };
 
+  /**
+   * Downloads the printable masterlist of the listed residents, grouped by purok and household
+   */
+  const printMasterlist = async () => {
+    try {
+      setPrinting(true);
+      const listed = await residentService.getAllResidents({ sort, q: debouncedSearch, ...filters });
+      buildMasterlistPdf({ residents: listed, filters, q: debouncedSearch })
+        .save(`resident-masterlist-${new Date().toISOString().slice(0, 10)}.pdf`);
+    } catch (error) {
+      console.error('Error printing masterlist:', error);
+      showToast.error('Failed to print masterlist');
+    } finally {
+      setPrinting(false);
+    }
+  };
+
   // Define columns for the DataTable
   const columns = [
     {
       header: 'Fullname',
       accessor: (resident) => `${resident.firstName || ''} ${resident.middleName ? resident.middleName + ' ' : ''}${resident.lastName || ''}`,
+      sortKey: 'lastName',
     },
     {
       header: 'Citizenship',
@@ -254,46 +380,37 @@ const ResidentsRecord = () => {
     {
       header: 'Age',
       accessor: (resident) => resident.age || 'N/A',
+      sortKey: 'age',
     },
     {
       header: 'Civil Status',
       accessor: (resident) => resident.civilStatus || 'N/A',
+      sortKey: 'civilStatus',
     },
     {
       header: 'Gender',
       accessor: (resident) => resident.gender || 'N/A',
+      sortKey: 'gender',
     },
     {
       header: 'Voter Status',
       accessor: (resident) => resident.votersStatus || 'N/A',
+      sortKey: 'votersStatus',
     }
   ];
 
-  /**
-   * Filter residents based on search term
-   * Searches in name, citizenship, purok, and voter status fields
-   */
-  const filteredResidents = residents.filter(resident => {
-    if (!searchTerm) return true;
-    
-    const searchLower = searchTerm.toLowerCase();
-    const fullName = `${resident.firstName || ''} ${resident.middleName || ''} ${resident.lastName || ''}`.toLowerCase();
-    
-    return fullName.includes(searchLower) ||
-           (resident.citizenship && resident.citizenship.toLowerCase().includes(searchLower)) ||
-           (resident.purok && resident.purok.toLowerCase().includes(searchLower)) ||
-           (resident.votersStatus && resident.votersStatus.toLowerCase().includes(searchLower));
-  });
+  // Whether the list is narrowed by a search or filter, as opposed to being empty
+  const isFiltered = debouncedSearch !== '' || Object.values(filters).some(value => value !== '');
 
   // Render the component UI
   return (
     <div className="residents-record">
       <h2>Residents Record</h2>
       
-      {/* Action buttons for adding residents and exporting data */}
+      {/* Action buttons for adding, importing, exporting and printing residents */}
       <div className="actions-bar">
-        {/* Only show Add Resident button for admin users */}
-        {isAdmin() && (
+        {/* Only show Add Resident button to users who may add residents */}
+        {canWrite && (
           <button 
             className="btn btn-primary"
             onClick={() => setShowAddModal(true)}
@@ -301,13 +418,39 @@ const ResidentsRecord = () => {
             <FaPlus /> Add Resident
           </button>
         )}
-        <button 
-          className="btn btn-secondary"
-          onClick={exportToCSV}
-          disabled={loading || residents.length === 0}
-        >
-          <FaFileExport /> Export CSV
-        </button>
+        {canImport && (
+          <button 
+            className="btn btn-secondary"
+            onClick={() => setShowImportModal(true)}
+          >
+            <FaFileImport /> Import CSV / Excel
+          </button>
+        )}
+        {canExport && (
+          <>
+            <button 
+              className="btn btn-secondary"
+              onClick={() => setShowExportModal(true)}
+              disabled={loading || totalResidents === 0}
+            >
+              <FaFileExport /> Export CSV
+            </button>
+            <button 
+              className="btn btn-secondary"
+              onClick={exportToExcel}
+              disabled={loading || totalResidents === 0}
+            >
+              <FaFileExcel /> Export Excel
+            </button>
+            <button 
+              className="btn btn-secondary"
+              onClick={printMasterlist}
+              disabled={loading || printing || totalResidents === 0}
+            >
+              <FaPrint /> {printing ? 'Preparing...' : 'Print Masterlist'}
+            </button>
+          </>
+        )}
       </div>
 
       {/* Display error message if there's an error fetching data */}
@@ -323,25 +466,32 @@ const ResidentsRecord = () => {
         </div>
       )}
 
+      <ResidentFilters filters={filters} onChange={handleFiltersChange} />
+
       {/* Display appropriate UI based on loading and data state */}
-      {loading ? (
+      {loading && residents.length === 0 ? (
         <div className="loading-message">Loading residents data...</div>
-      ) : residents.length === 0 && !error ? (
+      ) : totalResidents === 0 && !isFiltered && !error ? (
         <div className="no-data-message">
-          No residents found. {isAdmin() ? 'Add a new resident to get started.' : 'No resident records available.'}
+          No residents found. {canWrite ? 'Add a new resident to get started.' : 'No resident records available.'}
         </div>
       ) : (
         <DataTable
-          data={filteredResidents}
+          data={residents}
           columns={columns}
           onView={handleView}
-          onEdit={isAdmin() ? handleEdit : null} // Only provide edit handler for admins
-          onDelete={isAdmin() ? handleDelete : null} // Only provide delete handler for admins
+          onEdit={canWrite ? handleEdit : null} // Only provide edit handler to users who may edit
+          onDelete={canDelete ? handleDelete : null} // Only provide delete handler to users who may delete
           loading={loading}
           entriesPerPage={entriesPerPage}
-          setEntriesPerPage={setEntriesPerPage}
+          setEntriesPerPage={handleEntriesPerPageChange}
           searchTerm={searchTerm}
           setSearchTerm={setSearchTerm}
+          totalEntries={totalResidents}
+          currentPage={currentPage}
+          onPageChange={setCurrentPage}
+          sort={sort}
+          onSortChange={handleSortChange}
         />
       )}
 
@@ -350,95 +500,121 @@ const ResidentsRecord = () => {
         <div className="modal">
           <div className="modal-content">
             <h2>Resident Details</h2>
-            <div className="view-details">
-              {/* Display resident profile image if available */}
-              {selectedResident.profileImage && !imageError && (
-                <div className="profile-image">
-                  <img 
-                    src={getImageUrl(selectedResident.profileImage)} 
-                    alt="Profile" 
-                    onError={() => setImageError(true)}
-                  />
+            <div className="view-tabs">
+              <button
+                className={`view-tab ${viewTab === 'details' ? 'active' : ''}`}
+                onClick={() => setViewTab('details')}
+              >
+                Details
+              </button>
+              <button
+                className={`view-tab ${viewTab === 'history' ? 'active' : ''}`}
+                onClick={() => setViewTab('history')}
+              >
+                History
+              </button>
+            </div>
+            {viewTab === 'history' ? (
+              <ResidentHistory
+                residentId={selectedResident.id}
+                canRevert={canWrite}
+                onReverted={handleReverted}
+              />
+            ) : (
+              <div className="view-details">
+                {/* Display resident profile image if available */}
+                {selectedResident.profileImage && !imageError && (
+                  <div className="profile-image">
+                    <img 
+                      src={getImageUrl(selectedResident.profileImage)} 
+                      alt="Profile" 
+                      onError={() => setImageError(true)}
+                    />
+                  </div>
+                )}
+                {/* Resident details section */}
+                <div className="detail-row">
+                  <label>First Name:</label>
+                  <span>{selectedResident.firstName || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Middle Name:</label>
+                  <span>{selectedResident.middleName || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Last Name:</label>
+                  <span>{selectedResident.lastName || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Alias:</label>
+                  <span>{selectedResident.alias || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Birthplace:</label>
+                  <span>{selectedResident.birthplace || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Birthdate:</label>
+                  <span>{selectedResident.birthdate || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Age:</label>
+                  <span>{selectedResident.age || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Civil Status:</label>
+                  <span>{selectedResident.civilStatus || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Gender:</label>
+                  <span>{selectedResident.gender || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Purok:</label>
+                  <span>{selectedResident.purok || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Voters Status:</label>
+                  <span>{selectedResident.votersStatus || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Identified As:</label>
+                  <span>{selectedResident.identifiedAs || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Email:</label>
+                  <span>{selectedResident.email || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Contact Number:</label>
+                  <span>{selectedResident.contactNumber || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Occupation:</label>
+                  <span>{selectedResident.occupation || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Citizenship:</label>
+                  <span>{selectedResident.citizenship || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Address:</label>
+                  <span>{selectedResident.address || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Household No.:</label>
+                  <span>{selectedResident.householdNo || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Relationship to Head:</label>
+                  <span>{selectedResident.relationshipToHead || 'N/A'}</span>
+                </div>
+                <div className="detail-row">
+                  <label>Precinct No.:</label>
+                  <span>{selectedResident.precinctNo || 'N/A'}</span>
                 </div>
-              )}
-              {/* Resident details section */}
-              <div className="detail-row">
-                <label>First Name:</label>
-                <span>{selectedResident.firstName || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Middle Name:</label>
-                <span>{selectedResident.middleName || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Last Name:</label>
-                <span>{selectedResident.lastName || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Alias:</label>
-                <span>{selectedResident.alias || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Birthplace:</label>
-                <span>{selectedResident.birthplace || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Birthdate:</label>
-                <span>{selectedResident.birthdate || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Age:</label>
-                <span>{selectedResident.age || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Civil Status:</label>
-                <span>{selectedResident.civilStatus || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Gender:</label>
-                <span>{selectedResident.gender || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Purok:</label>
-                <span>{selectedResident.purok || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Voters Status:</label>
-                <span>{selectedResident.votersStatus || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Identified As:</label>
-                <span>{selectedResident.identifiedAs || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Email:</label>
-                <span>{selectedResident.email || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Contact Number:</label>
-                <span>{selectedResident.contactNumber || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Occupation:</label>
-                <span>{selectedResident.occupation || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Citizenship:</label>
-                <span>{selectedResident.citizenship || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Address:</label>
-                <span>{selectedResident.address || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Household No.:</label>
-                <span>{selectedResident.householdNo || 'N/A'}</span>
-              </div>
-              <div className="detail-row">
-                <label>Precinct No.:</label>
-                <span>{selectedResident.precinctNo || 'N/A'}</span>
               </div>
-            </div>
+            )}
             <div className="modal-actions">
               <button 
                 className="btn btn-secondary" 
@@ -451,24 +627,47 @@ const ResidentsRecord = () => {
         </div>
       )}
 
-      {/* Add resident modal - only shown if user is admin */}
-      {isAdmin() && (
+      {/* Add resident modal - only shown if user may add residents */}
+      {canWrite && (
         <AddResidentModal
           show={showAddModal}
           onClose={() => setShowAddModal(false)}
           onSubmit={handleAddResident}
+          households={households}
         />
       )}
 
-      {/* Edit resident modal - only shown if user is admin */}
-      {isAdmin() && (
+      {/* Edit resident modal - only shown if user may edit residents */}
+      {canWrite && (
         <EditResidentModal
           show={showEditModal}
           onClose={() => setShowEditModal(false)}
           onSubmit={handleUpdateResident}
           resident={selectedResident}
+          households={households}
         />
       )}
+
+      {/* Import residents modal - only shown if user may import residents */}
+      {canImport && (
+        <ImportResidentsModal
+          show={showImportModal}
+          onClose={() => setShowImportModal(false)}
+          onImported={() => {
+            fetchResidents();
+            fetchHouseholds();
+          }}
+        />
+      )}
+
+      {/* Column picker for the CSV export of the listed residents */}
+      <ExportResidentsModal
+        show={showExportModal}
+        total={totalResidents}
+        isFiltered={isFiltered}
+        onClose={() => setShowExportModal(false)}
+        onExport={exportToCSV}
+      />
     </div>
   );
 };
@@ -0,0 +1,147 @@
+/**
+ * RoleModal Component
+ *
+ * Form modal for creating a role or changing one. A new role gets a name,
+ * which cannot change later; every role has a label and the permissions it
+ * grants, picked from the list the server offers. Only permissions the
+ * signed-in user holds can be added; the server refuses the others.
+ *
+ * @module components/RoleModal
+ */
+import { useState, useEffect } from 'react';
+import FieldError from './FieldError';
+import { hasPermission } from '../utils/permissions';
+
+const EMPTY_ROLE = {
+  name: '',
+  label: '',
+  permissions: []
+};
+
+/**
+ * @param {Object} props - Component props
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onSubmit - Called with the form data on save; rejects when the server refuses it
+ * @param {Array} props.permissions - Permissions a role can grant, as { name, description }
+ * @param {Object} [props.role] - Role being changed; omitted when creating
+ * @returns {JSX.Element|null} Rendered modal or null when hidden
+ */
+const RoleModal = ({ show, onClose, onSubmit, permissions, role }) => {
+  const [formData, setFormData] = useState(EMPTY_ROLE);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  // Reset the form whenever the modal opens for a different role
+  useEffect(() => {
+    setFormData(role
+      ? { name: role.name, label: role.label, permissions: role.permissions }
+      : EMPTY_ROLE);
+    setFieldErrors({});
+  }, [role, show]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Adds or removes a permission when its checkbox changes
+   * @param {Object} e - Change event from a permission checkbox
+   */
+  const handlePermissionChange = (e) => {
+    const { value, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      permissions: checked
+        ? [...prev.permissions, value]
+        : prev.permissions.filter(permission => permission !== value)
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await onSubmit(formData);
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!show) return null;
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h2>{role ? `Edit ${role.label}` : 'New Role'}</h2>
+        <form onSubmit={handleSubmit} className="household-form">
+          {!role && (
+            <div className="form-group">
+              <label htmlFor="role-name">Name*</label>
+              <input
+                id="role-name"
+                type="text"
+                name="name"
+                value={formData.name}
+                onChange={handleChange}
+                required
+                autoComplete="off"
+                placeholder="Lowercase letters, numbers or underscores, e.g. encoder"
+              />
+              <FieldError message={fieldErrors.name} />
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor="role-label">Label*</label>
+            <input
+              id="role-label"
+              type="text"
+              name="label"
+              value={formData.label}
+              onChange={handleChange}
+              required
+              placeholder="Shown in the user list, e.g. Encoder"
+            />
+            <FieldError message={fieldErrors.label} />
+          </div>
+          <div className="form-group">
+            <label>Permissions</label>
+            <div className="permission-list">
+              {permissions.map(permission => (
+                <label key={permission.name} className="permission-option">
+                  <input
+                    type="checkbox"
+                    value={permission.name}
+                    checked={formData.permissions.includes(permission.name)}
+                    onChange={handlePermissionChange}
+                    disabled={!hasPermission(permission.name) && !formData.permissions.includes(permission.name)}
+                  />
+                  <span>
+                    <strong>{permission.name}</strong> - {permission.description}
+                  </span>
+                </label>
+              ))}
+            </div>
+            <FieldError message={fieldErrors.permissions} />
+          </div>
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Role'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default RoleModal;
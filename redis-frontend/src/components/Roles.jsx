@@ -0,0 +1,195 @@
+/**
+ * Roles Component
+ *
+ * This component lists the roles accounts can have and the permissions each
+ * one grants, and lets users with the roles:manage permission change them.
+ *
+ * Features:
+ * - Display roles with their permissions
+ * - Create roles and change their label and permissions
+ * - Delete roles that are not built in and that no account has
+ * - The admin role always has every permission and cannot be changed
+ */
+import { useState, useEffect } from 'react';
+import DataTable from './DataTable';
+import RoleModal from './RoleModal';
+import { roleService } from '../services/roleService';
+import { showToast } from '../utils/toast';
+import { hasPermission, getRole } from '../utils/permissions';
+import { FaPlus } from 'react-icons/fa';
+import './ResidentsRecord.css';
+import './HouseholdsRecord.css';
+import './Roles.css';
+
+const Roles = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Role form modal (create when editingRole is null)
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+
+  const canManageRoles = hasPermission('roles:manage');
+
+  useEffect(() => {
+    if (canManageRoles) {
+      fetchData();
+    }
+  }, [canManageRoles]);
+
+  /**
+   * Fetches the roles and the permissions a role can grant
+   */
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await roleService.getRoles();
+      setRoles(result.data);
+      setPermissions(result.permissions);
+    } catch (apiError) {
+      console.error('Error fetching roles:', apiError);
+      setError(`Failed to load roles: ${apiError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = () => {
+    setEditingRole(null);
+    setShowFormModal(true);
+  };
+
+  const handleEdit = (role) => {
+    if (role.name === 'admin') {
+      showToast.info('The admin role always has every permission');
+      return;
+    }
+    if (role.name === getRole()) {
+      showToast.info('You cannot change your own role');
+      return;
+    }
+    setEditingRole(role);
+    setShowFormModal(true);
+  };
+
+  const handleCloseForm = () => {
+    setShowFormModal(false);
+    setEditingRole(null);
+  };
+
+  /**
+   * Creates a role or saves changes from the form modal.
+   * Rethrows so the modal can show the server's field errors.
+   * @param {Object} formData - Role form values
+   */
+  const handleSave = async (formData) => {
+    try {
+      const { label, permissions: granted } = formData;
+      if (editingRole) {
+        await roleService.updateRole(editingRole.name, { label, permissions: granted });
+      } else {
+        await roleService.createRole({ name: formData.name, label, permissions: granted });
+      }
+      handleCloseForm();
+      fetchData();
+    } catch (error) {
+      console.error('Error saving role:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Deletes a role after confirmation
+   * @param {Object} role - Role to delete
+   */
+  const handleDelete = async (role) => {
+    if (role.builtIn) {
+      showToast.error('Built-in roles cannot be deleted');
+      return;
+    }
+    if (!window.confirm(`Delete the role ${role.label}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await roleService.deleteRole(role.name);
+      fetchData();
+    } catch (error) {
+      console.error('Error deleting role:', error);
+    }
+  };
+
+  const columns = [
+    {
+      header: 'Role',
+      accessor: (role) => role.label
+    },
+    {
+      header: 'Name',
+      accessor: (role) => role.builtIn ? `${role.name} (built in)` : role.name
+    },
+    {
+      header: 'Permissions',
+      accessor: (role) => (
+        <span className="role-permissions">
+          {role.permissions.length > 0 ? role.permissions.join(', ') : 'None'}
+        </span>
+      )
+    }
+  ];
+
+  if (!canManageRoles) {
+    return (
+      <div className="residents-record">
+        <h2>Roles</h2>
+        <div className="error-message">Your role does not have access to this page</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="residents-record">
+      <h2>Roles</h2>
+
+      <div className="actions-bar">
+        <button className="btn btn-primary" onClick={handleAdd}>
+          <FaPlus /> Add Role
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button className="btn btn-primary retry-btn" onClick={fetchData}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-message">Loading roles...</div>
+      ) : (
+        <DataTable
+          data={roles}
+          columns={columns}
+          onEdit={handleEdit}
+          onDelete={handleDelete}
+          loading={loading}
+        />
+      )}
+
+      <RoleModal
+        show={showFormModal}
+        role={editingRole}
+        permissions={permissions}
+        onClose={handleCloseForm}
+        onSubmit={handleSave}
+      />
+    </div>
+  );
+};
+
+export default Roles;
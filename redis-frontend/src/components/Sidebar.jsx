@@ -8,17 +8,24 @@
  * - Navigation links to Dashboard and Data sections
  * - Expandable/collapsible submenu for Data section
  * - Active state highlighting based on current route
- * - Role indicator showing current user's permissions
+ * - Role indicator showing current user's role
+ * - Links shown only when the user's role has the permissions the page needs
+ * - Link to the user's profile, where they change their password
  * - Logout functionality with toast notifications
+ * - Logging out of all devices
  * - Responsive design
  * 
  * @module components/Sidebar
  */
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
-import { FaChartBar, FaDatabase, FaAngleRight, FaAngleDown, FaSignOutAlt, FaUser, FaUserShield } from 'react-icons/fa';
+import { FaChartBar, FaDatabase, FaAngleRight, FaAngleDown, FaSignOutAlt, FaUser, FaUserShield, FaHistory, FaSave, FaUsersCog, FaUserLock, FaUserTag, FaIdCard } from 'react-icons/fa';
 import { logoutUser } from '../App';
 import { showToast } from '../utils/toast';
+import { hasPermission, getRoleLabel } from '../utils/permissions';
+
+// Routes listed under the Data submenu
+const DATA_PATHS = ['/residents', '/households', '/students', '/residents/merge', '/residents/deleted'];
 
 /**
  * Sidebar navigation component for the Barangay Management System
@@ -29,19 +36,20 @@ const Sidebar = () => {
   // State to track if the Data submenu is expanded
   const [dataExpanded, setDataExpanded] = useState(false);
   
-  // State to track user role
+  // State to track user role and the label the server gives it
   const [userRole, setUserRole] = useState('user');
+  const [roleLabel, setRoleLabel] = useState('');
   
   // Hooks for navigation and location tracking
   const navigate = useNavigate();
   const location = useLocation();
 
   /**
-   * Auto-expand the Data menu when navigating to the residents page
+   * Auto-expand the Data menu when navigating to a page inside it
    * This ensures the submenu is visible when the user is on a related page
    */
   useEffect(() => {
-    if (location.pathname === '/residents') {
+    if (DATA_PATHS.includes(location.pathname)) {
       setDataExpanded(true);
     }
     
@@ -50,19 +58,19 @@ const Sidebar = () => {
     if (storedRole) {
       setUserRole(storedRole);
     }
+    setRoleLabel(getRoleLabel());
   }, [location.pathname]);
 
   /**
    * Handles user logout with error handling and toast notifications
-   * Calls the logoutUser function and navigates to the login page
+   * Calls the logoutUser function and navigates to the login page; the server's
+   * confirmation is shown as a toast
+   *
+   * @param {boolean} [everywhere=false] - Whether to end the user's sessions on every device
    */
-  const handleLogout = () => {
+  const handleLogout = async (everywhere = false) => {
     try {
-      // First call the logout function directly
-      logoutUser(navigate);
-      
-      // Then show toast (this won't block the navigation)
-      showToast.success('Logged out successfully');
+      await logoutUser(navigate, { everywhere });
     } catch (error) {
       console.error('Error during logout:', error);
       showToast.error('Error logging out');
@@ -83,12 +91,12 @@ const Sidebar = () => {
         {userRole === 'admin' ? (
           <>
             <FaUserShield className="role-icon admin" />
-            <span className="role-text admin">Admin</span>
+            <span className="role-text admin">{roleLabel}</span>
           </>
         ) : (
           <>
             <FaUser className="role-icon user" />
-            <span className="role-text user">Regular User</span>
+            <span className="role-text user">{roleLabel}</span>
           </>
         )}
       </div>
@@ -107,7 +115,7 @@ const Sidebar = () => {
         {/* Data dropdown with residents submenu */}
         <div className="sidebar-dropdown">
           <div 
-            className={`sidebar-item ${location.pathname === '/residents' ? 'active' : ''}`}
+            className={`sidebar-item ${DATA_PATHS.includes(location.pathname) ? 'active' : ''}`}
             onClick={() => setDataExpanded(!dataExpanded)}
           >
             <FaDatabase className="sidebar-icon" />
@@ -118,21 +126,112 @@ const Sidebar = () => {
           {/* Submenu that shows only when expanded */}
           {dataExpanded && (
             <div className="sidebar-submenu">
-              <Link 
-                to="/residents"
-                className={`sidebar-subitem ${location.pathname === '/residents' ? 'active' : ''}`}
-              >
-                Residents
-              </Link>
+              {hasPermission('residents:read') && (
+                <Link 
+                  to="/residents"
+                  className={`sidebar-subitem ${location.pathname === '/residents' ? 'active' : ''}`}
+                >
+                  Residents
+                </Link>
+              )}
+              {hasPermission('households:read') && (
+                <Link 
+                  to="/households"
+                  className={`sidebar-subitem ${location.pathname === '/households' ? 'active' : ''}`}
+                >
+                  Households
+                </Link>
+              )}
+              {hasPermission('students:read') && (
+                <Link 
+                  to="/students"
+                  className={`sidebar-subitem ${location.pathname === '/students' ? 'active' : ''}`}
+                >
+                  Students
+                </Link>
+              )}
+              {hasPermission('residents:write', 'residents:delete') && (
+                <Link 
+                  to="/residents/merge"
+                  className={`sidebar-subitem ${location.pathname === '/residents/merge' ? 'active' : ''}`}
+                >
+                  Merge Residents
+                </Link>
+              )}
+              {hasPermission('residents:delete') && (
+                <Link 
+                  to="/residents/deleted"
+                  className={`sidebar-subitem ${location.pathname === '/residents/deleted' ? 'active' : ''}`}
+                >
+                  Deleted Residents
+                </Link>
+              )}
             </div>
           )}
         </div>
 
-        {/* Logout button */}
-        <div className="sidebar-item logout" onClick={handleLogout}>
+        {/* Audit log link */}
+        {hasPermission('audit:read') && (
+          <Link 
+            to="/audit-log"
+            className={`sidebar-item ${location.pathname === '/audit-log' ? 'active' : ''}`}
+          >
+            <FaHistory className="sidebar-icon" />
+            <span>Audit Log</span>
+          </Link>
+        )}
+
+        {/* Backup and restore link */}
+        {hasPermission('backup:manage') && (
+          <Link 
+            to="/backup"
+            className={`sidebar-item ${location.pathname === '/backup' ? 'active' : ''}`}
+          >
+            <FaSave className="sidebar-icon" />
+            <span>Backup &amp; Restore</span>
+          </Link>
+        )}
+
+        {/* User management link */}
+        {hasPermission('users:manage') && (
+          <Link 
+            to="/users"
+            className={`sidebar-item ${location.pathname === '/users' ? 'active' : ''}`}
+          >
+            <FaUsersCog className="sidebar-icon" />
+            <span>Users</span>
+          </Link>
+        )}
+
+        {/* Role management link */}
+        {hasPermission('roles:manage') && (
+          <Link 
+            to="/roles"
+            className={`sidebar-item ${location.pathname === '/roles' ? 'active' : ''}`}
+          >
+            <FaUserTag className="sidebar-icon" />
+            <span>Roles</span>
+          </Link>
+        )}
+
+        {/* Profile link, open to every user */}
+        <Link 
+          to="/profile"
+          className={`sidebar-item ${location.pathname === '/profile' ? 'active' : ''}`}
+        >
+          <FaIdCard className="sidebar-icon" />
+          <span>My Profile</span>
+        </Link>
+
+        {/* Logout buttons */}
+        <div className="sidebar-item logout" onClick={() => handleLogout()}>
           <FaSignOutAlt className="sidebar-icon" />
           <span>Logout</span>
         </div>
+        <div className="sidebar-item logout" onClick={() => handleLogout(true)}>
+          <FaUserLock className="sidebar-icon" />
+          <span>Logout All Devices</span>
+        </div>
       </div>
     </div>
   );
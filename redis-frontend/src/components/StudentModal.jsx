@@ -0,0 +1,145 @@
+/**
+ * StudentModal Component
+ *
+ * Form modal for adding a student or editing an existing one. The form is
+ * checked with the backend's rules before it is sent, and errors the server
+ * returns (e.g. a student ID already in use) are shown next to their field.
+ *
+ * @module components/StudentModal
+ */
+import { useState, useEffect } from 'react';
+import FieldError from './FieldError';
+import {
+  EMPTY_STUDENT,
+  YEAR_LEVELS,
+  MIN_STUDENT_AGE,
+  MAX_STUDENT_AGE,
+  validateStudentForm
+} from '../utils/studentOptions';
+import './Students.css';
+
+/**
+ * @param {Object} props - Component props
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onSubmit - Called with the form data on save; rejects when the server refuses it
+ * @param {Object} [props.student] - Student being edited; omitted when adding
+ * @returns {JSX.Element|null} Rendered modal or null when hidden
+ */
+const StudentModal = ({ show, onClose, onSubmit, student }) => {
+  const [formData, setFormData] = useState(EMPTY_STUDENT);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  // Reset the form whenever the modal opens for a different student
+  useEffect(() => {
+    setFormData(student
+      ? Object.fromEntries(Object.keys(EMPTY_STUDENT).map(field => [field, student[field] || '']))
+      : EMPTY_STUDENT);
+    setFieldErrors({});
+  }, [student, show]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    // The message no longer applies once the field is edited
+    if (fieldErrors[name]) {
+      setFieldErrors(prev => {
+        const next = { ...prev };
+        delete next[name];
+        return next;
+      });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateStudentForm(formData);
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await onSubmit(formData);
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!show) return null;
+
+  /**
+   * Renders a labelled text input with its error message
+   * @param {string} name - Field name
+   * @param {string} label - Field label
+   * @param {Object} [inputProps] - Extra input attributes
+   * @returns {JSX.Element} Form group
+   */
+  const renderInput = (name, label, inputProps = {}) => (
+    <div className="form-group">
+      <label htmlFor={`student-${name}`}>{label}</label>
+      <input
+        id={`student-${name}`}
+        type="text"
+        name={name}
+        value={formData[name]}
+        onChange={handleChange}
+        {...inputProps}
+      />
+      <FieldError message={fieldErrors[name]} />
+    </div>
+  );
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h2>{student ? 'Edit Student' : 'New Student'}</h2>
+        <form onSubmit={handleSubmit} className="student-form" noValidate>
+          {renderInput('studentId', 'Student ID*', { inputMode: 'numeric', placeholder: 'Numbers only' })}
+          {renderInput('age', 'Age', {
+            type: 'number',
+            min: MIN_STUDENT_AGE,
+            max: MAX_STUDENT_AGE,
+            placeholder: `${MIN_STUDENT_AGE} to ${MAX_STUDENT_AGE}`
+          })}
+          {renderInput('firstName', 'First Name*')}
+          {renderInput('lastName', 'Last Name*')}
+          {renderInput('course', 'Course', { placeholder: 'e.g. BS Information Technology' })}
+          {renderInput('yearLevel', 'Year Level', { list: 'student-year-levels' })}
+          <datalist id="student-year-levels">
+            {YEAR_LEVELS.map(yearLevel => (
+              <option key={yearLevel} value={yearLevel} />
+            ))}
+          </datalist>
+          {renderInput('section', 'Section')}
+          {renderInput('major', 'Major')}
+          <div className="student-form-wide">
+            {renderInput('address', 'Address')}
+          </div>
+
+          <div className="modal-actions student-form-wide">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Student'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default StudentModal;
@@ -0,0 +1,336 @@
+/**
+ * Students Component
+ *
+ * This component lists the student records and lets users whose role allows
+ * it manage them.
+ *
+ * Features:
+ * - Display students with their course and year level
+ * - Show the number of students per year level and per course
+ * - Add and edit students (students:write) and delete them (students:delete)
+ * - Export the students to an Excel workbook (export)
+ * - Import students from an Excel or CSV file (students:write and import)
+ */
+import { useState, useEffect } from 'react';
+import DataTable from './DataTable';
+import StudentModal from './StudentModal';
+import ImportStudentsModal from './ImportStudentsModal';
+import { studentService } from '../services/studentService';
+import { showToast } from '../utils/toast';
+import { hasPermission } from '../utils/permissions';
+import { downloadFile } from '../utils/download';
+import { YEAR_LEVELS } from '../utils/studentOptions';
+import {
+  BarChart, Bar, XAxis, YAxis, CartesianGrid,
+  Tooltip, ResponsiveContainer
+} from 'recharts';
+import { FaFileExcel, FaFileImport, FaPlus, FaTrash, FaUserGraduate, FaBook } from 'react-icons/fa';
+import './ResidentsRecord.css';
+import '../styles/Dashboard.css';
+import './Students.css';
+
+/**
+ * Orders year levels as in the form, then any other value alphabetically
+ * @param {Array<Object>} distribution - Year level counts as [{ name, value }]
+ * @returns {Array<Object>} Sorted copy
+ */
+const sortYearLevels = (distribution) => {
+  const rank = (name) => {
+    const index = YEAR_LEVELS.indexOf(name);
+    return index === -1 ? YEAR_LEVELS.length : index;
+  };
+  return [...distribution].sort((a, b) => rank(a.name) - rank(b.name) || a.name.localeCompare(b.name));
+};
+
+const Students = () => {
+  const [students, setStudents] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+
+  // Student form modal (add when editingStudent is null)
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingStudent, setEditingStudent] = useState(null);
+
+  const canWrite = hasPermission('students:write');
+  const canDelete = hasPermission('students:delete');
+  const canImport = hasPermission('students:write', 'import');
+  const canExport = hasPermission('export');
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  /**
+   * Fetches the students list and their year level and course counts
+   */
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setStudents(await studentService.getAllStudents());
+    } catch (apiError) {
+      console.error('Error fetching students:', apiError);
+      setError(`Failed to load students: ${apiError.message}`);
+    } finally {
+      setLoading(false);
+    }
+
+    // The list stays usable when the counts cannot be loaded
+    try {
+      setStats(await studentService.getStudentStats());
+    } catch (statsError) {
+      console.error('Error fetching student statistics:', statsError);
+      setStats(null);
+    }
+  };
+
+  /**
+   * Downloads all students as an Excel workbook
+   */
+  const exportToExcel = async () => {
+    try {
+      const response = await studentService.exportStudentsXLSX();
+      downloadFile(response.data, 'students.xlsx');
+      showToast.success('Excel file exported successfully');
+    } catch (error) {
+      console.error('Error exporting Excel file:', error);
+      showToast.error('Failed to export Excel file');
+    }
+  };
+
+  const handleAdd = () => {
+    setEditingStudent(null);
+    setShowFormModal(true);
+  };
+
+  const handleEdit = (student) => {
+    setEditingStudent(student);
+    setShowFormModal(true);
+  };
+
+  const handleCloseForm = () => {
+    setShowFormModal(false);
+    setEditingStudent(null);
+  };
+
+  /**
+   * Creates or updates a student from the form modal.
+   * Rethrows so the modal can show the server's field errors.
+   * @param {Object} formData - Student form values
+   */
+  const handleSave = async (formData) => {
+    try {
+      if (editingStudent) {
+        await studentService.updateStudent(editingStudent.id, formData);
+      } else {
+        await studentService.createStudent(formData);
+      }
+      handleCloseForm();
+      fetchData();
+    } catch (error) {
+      console.error('Error saving student:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Deletes a student after confirmation
+   * @param {Object} student - Student to delete
+   */
+  const handleDelete = async (student) => {
+    if (!window.confirm(`Delete student ${student.studentId} (${student.firstName} ${student.lastName})?`)) {
+      return;
+    }
+
+    try {
+      await studentService.deleteStudent(student.id);
+      fetchData();
+    } catch (error) {
+      console.error('Error deleting student:', error);
+    }
+  };
+
+  /**
+   * Deletes every student record after confirmation
+   */
+  const handleDeleteAll = async () => {
+    if (!window.confirm(`Delete all ${students.length} students? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await studentService.deleteAllStudents();
+      fetchData();
+    } catch (error) {
+      console.error('Error deleting all students:', error);
+    }
+  };
+
+  const columns = [
+    {
+      header: 'Student ID',
+      accessor: (student) => student.studentId
+    },
+    {
+      header: 'Name',
+      accessor: (student) => `${student.lastName}, ${student.firstName}`
+    },
+    {
+      header: 'Age',
+      accessor: (student) => student.age || 'N/A'
+    },
+    {
+      header: 'Course',
+      accessor: (student) => student.course || 'N/A'
+    },
+    {
+      header: 'Year Level',
+      accessor: (student) => student.yearLevel || 'N/A'
+    },
+    {
+      header: 'Section',
+      accessor: (student) => student.section || 'N/A'
+    }
+  ];
+
+  const yearLevelData = stats ? sortYearLevels(stats.yearLevelDistribution) : [];
+  const courseData = stats
+    ? [...stats.courseDistribution].sort((a, b) => b.value - a.value || a.name.localeCompare(b.name))
+    : [];
+
+  return (
+    <div className="residents-record">
+      <h2>Students</h2>
+
+      <div className="actions-bar">
+        {canWrite && (
+          <button className="btn btn-primary" onClick={handleAdd}>
+            <FaPlus /> Add Student
+          </button>
+        )}
+        {canImport && (
+          <button className="btn btn-primary" onClick={() => setShowImportModal(true)}>
+            <FaFileImport /> Import Excel
+          </button>
+        )}
+        {canExport && (
+          <button
+            className="btn btn-secondary"
+            onClick={exportToExcel}
+            disabled={loading || students.length === 0}
+          >
+            <FaFileExcel /> Export Excel
+          </button>
+        )}
+        {canDelete && (
+          <button
+            className="btn btn-danger"
+            onClick={handleDeleteAll}
+            disabled={loading || students.length === 0}
+          >
+            <FaTrash /> Delete All
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button className="btn btn-primary retry-btn" onClick={fetchData}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {/* Year level and course counts */}
+      {stats && stats.totalStudents > 0 && (
+        <div className="student-analytics">
+          <div className="stats-grid">
+            <div className="stat-card student-total">
+              <div className="stat-icon">
+                <FaUserGraduate />
+              </div>
+              <div className="stat-info">
+                <h3>{stats.totalStudents}</h3>
+                <div className="stat-label">Total Students</div>
+              </div>
+            </div>
+            <div className="stat-card student-courses">
+              <div className="stat-icon">
+                <FaBook />
+              </div>
+              <div className="stat-info">
+                <h3>{courseData.length}</h3>
+                <div className="stat-label">Courses</div>
+              </div>
+            </div>
+          </div>
+
+          <div className="charts-grid">
+            <div className="chart-card">
+              <h3>Students per Year Level</h3>
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={yearLevelData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip />
+                  <Bar dataKey="value" name="Students" fill="#4a69bd" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="chart-card">
+              <h3>Students per Course</h3>
+              <ResponsiveContainer width="100%" height={240}>
+                <BarChart data={courseData} layout="vertical">
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis type="number" allowDecimals={false} />
+                  <YAxis type="category" dataKey="name" width={140} />
+                  <Tooltip />
+                  <Bar dataKey="value" name="Students" fill="#48bb78" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-message">Loading students...</div>
+      ) : students.length === 0 && !error ? (
+        <div className="no-data-message">
+          No students found. {canWrite ? 'Add a student or import an Excel file to get started.' : 'No student records available.'}
+        </div>
+      ) : (
+        <DataTable
+          data={students}
+          columns={columns}
+          onEdit={canWrite ? handleEdit : null}
+          onDelete={canDelete ? handleDelete : null}
+          loading={loading}
+        />
+      )}
+
+      {canWrite && (
+        <StudentModal
+          show={showFormModal}
+          student={editingStudent}
+          onClose={handleCloseForm}
+          onSubmit={handleSave}
+        />
+      )}
+      {canImport && (
+        <ImportStudentsModal
+          show={showImportModal}
+          onClose={() => setShowImportModal(false)}
+          onImported={fetchData}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Students;
@@ -0,0 +1,142 @@
+/**
+ * UserModal Component
+ *
+ * Form modal for creating an account or changing an existing one. New accounts
+ * get a username, password and role; existing accounts can change role and be
+ * disabled or enabled. Passwords are changed with a reset instead.
+ *
+ * @module components/UserModal
+ */
+import { useState, useEffect } from 'react';
+import FieldError from './FieldError';
+import { PASSWORD_HINT } from '../utils/passwords';
+
+const EMPTY_USER = {
+  username: '',
+  password: '',
+  role: 'user',
+  disabled: false
+};
+
+/**
+ * @param {Object} props - Component props
+ * @param {boolean} props.show - Whether the modal is visible
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {Function} props.onSubmit - Called with the form data on save; rejects when the server refuses it
+ * @param {Array} props.roles - Roles an account can have, as { name, label }
+ * @param {Object} [props.user] - Account being changed; omitted when creating
+ * @returns {JSX.Element|null} Rendered modal or null when hidden
+ */
+const UserModal = ({ show, onClose, onSubmit, roles, user }) => {
+  const [formData, setFormData] = useState(EMPTY_USER);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  // Reset the form whenever the modal opens for a different account
+  useEffect(() => {
+    setFormData(user
+      ? { ...EMPTY_USER, username: user.username, role: user.role || 'user', disabled: Boolean(user.disabled) }
+      : EMPTY_USER);
+    setFieldErrors({});
+  }, [user, show]);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await onSubmit(formData);
+    } catch (error) {
+      if (error.response?.data?.errors) {
+        setFieldErrors(error.response.data.errors);
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!show) return null;
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <h2>{user ? `Edit ${user.username}` : 'New User'}</h2>
+        <form onSubmit={handleSubmit} className="household-form">
+          {!user && (
+            <>
+              <div className="form-group">
+                <label htmlFor="user-username">Username*</label>
+                <input
+                  id="user-username"
+                  type="text"
+                  name="username"
+                  value={formData.username}
+                  onChange={handleChange}
+                  required
+                  autoComplete="off"
+                  placeholder="Letters, numbers, dots, dashes or underscores"
+                />
+                <FieldError message={fieldErrors.username} />
+              </div>
+              <div className="form-group">
+                <label htmlFor="user-password">Password*</label>
+                <input
+                  id="user-password"
+                  type="password"
+                  name="password"
+                  value={formData.password}
+                  onChange={handleChange}
+                  required
+                  autoComplete="new-password"
+                  placeholder={PASSWORD_HINT}
+                />
+                <FieldError message={fieldErrors.password} />
+              </div>
+            </>
+          )}
+          <div className="form-group">
+            <label htmlFor="user-role">Role</label>
+            <select id="user-role" name="role" value={formData.role} onChange={handleChange}>
+              {roles.map(role => (
+                <option key={role.name} value={role.name}>{role.label}</option>
+              ))}
+            </select>
+            <FieldError message={fieldErrors.role} />
+          </div>
+          {user && (
+            <div className="form-group">
+              <label>
+                <input
+                  type="checkbox"
+                  name="disabled"
+                  checked={formData.disabled}
+                  onChange={handleChange}
+                />{' '}
+                Account disabled
+              </label>
+              <FieldError message={fieldErrors.disabled} />
+            </div>
+          )}
+          <div className="modal-actions">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save User'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default UserModal;
@@ -0,0 +1,324 @@
+/**
+ * Users Component
+ *
+ * This component lists the user accounts and lets users with the
+ * users:manage permission manage them. Only admins can manage admin accounts.
+ *
+ * Features:
+ * - Display accounts with their role and status
+ * - Create accounts and give them one of the configured roles
+ * - Disable and enable accounts; a disabled user is logged out at once
+ * - Reset a password to a temporary one shown a single time
+ * - Issue a one-time reset link the user opens to choose their own password
+ * - Unlock accounts locked out by failed logins
+ * - Delete accounts
+ */
+import { useState, useEffect } from 'react';
+import DataTable from './DataTable';
+import UserModal from './UserModal';
+import { userService } from '../services/userService';
+import { roleService } from '../services/roleService';
+import { hasPermission } from '../utils/permissions';
+import { FaPlus, FaKey, FaLink, FaUnlock } from 'react-icons/fa';
+import './ResidentsRecord.css';
+import './HouseholdsRecord.css';
+
+const Users = () => {
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // User form modal (create when editingUser is null)
+  const [showFormModal, setShowFormModal] = useState(false);
+  const [editingUser, setEditingUser] = useState(null);
+
+  // Temporary password from the last reset, shown until dismissed
+  const [passwordReset, setPasswordReset] = useState(null);
+
+  // Reset link from the last issued reset token, shown until dismissed
+  const [resetLink, setResetLink] = useState(null);
+
+  const canManageUsers = hasPermission('users:manage');
+
+  useEffect(() => {
+    if (canManageUsers) {
+      fetchData();
+    }
+  }, [canManageUsers]);
+
+  /**
+   * Fetches the accounts list and the roles they can have
+   */
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [accounts, roleList] = await Promise.all([userService.getAllUsers(), roleService.getRoles()]);
+      setUsers(accounts);
+      setRoles(roleList.data);
+    } catch (apiError) {
+      console.error('Error fetching users:', apiError);
+      setError(`Failed to load users: ${apiError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = () => {
+    setEditingUser(null);
+    setShowFormModal(true);
+  };
+
+  const handleEdit = (user) => {
+    setEditingUser(user);
+    setShowFormModal(true);
+  };
+
+  const handleCloseForm = () => {
+    setShowFormModal(false);
+    setEditingUser(null);
+  };
+
+  /**
+   * Creates an account or saves a role or status change from the form modal.
+   * Rethrows so the modal can show the server's field errors.
+   * @param {Object} formData - User form values
+   */
+  const handleSave = async (formData) => {
+    try {
+      if (editingUser) {
+        await userService.updateUser(editingUser.username, {
+          role: formData.role,
+          disabled: formData.disabled
+        });
+      } else {
+        await userService.createUser({
+          username: formData.username,
+          password: formData.password,
+          role: formData.role
+        });
+      }
+      handleCloseForm();
+      fetchData();
+    } catch (error) {
+      console.error('Error saving user:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Resets an account's password after confirmation and shows the temporary one
+   * @param {Object} user - Account to reset
+   */
+  const handleResetPassword = async (user) => {
+    if (!window.confirm(`Reset the password of ${user.username}? Their current password will stop working.`)) {
+      return;
+    }
+
+    try {
+      const temporaryPassword = await userService.resetPassword(user.username);
+      setPasswordReset({ username: user.username, temporaryPassword });
+      fetchData();
+    } catch (error) {
+      console.error('Error resetting password:', error);
+    }
+  };
+
+  /**
+   * Issues a one-time reset token and shows the link the user opens with it
+   * @param {Object} user - Account the link resets
+   */
+  const handleIssueResetLink = async (user) => {
+    try {
+      const { resetToken, expiresAt } = await userService.issueResetToken(user.username);
+      setResetLink({
+        username: user.username,
+        url: `${window.location.origin}/reset-password?token=${encodeURIComponent(resetToken)}`,
+        expiresAt
+      });
+    } catch (error) {
+      console.error('Error issuing reset link:', error);
+    }
+  };
+
+  /**
+   * Ends the lockout of an account after failed logins
+   * @param {Object} user - Account to unlock
+   */
+  const handleUnlock = async (user) => {
+    try {
+      await userService.unlockUser(user.username);
+      fetchData();
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+    }
+  };
+
+  /**
+   * Deletes an account after confirmation
+   * @param {Object} user - Account to delete
+   */
+  const handleDelete = async (user) => {
+    if (!window.confirm(`Delete the account ${user.username}? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await userService.deleteUser(user.username);
+      fetchData();
+    } catch (error) {
+      console.error('Error deleting user:', error);
+    }
+  };
+
+  const columns = [
+    {
+      header: 'Username',
+      accessor: (user) => user.username
+    },
+    {
+      header: 'Role',
+      accessor: (user) => roles.find(role => role.name === user.role)?.label || user.role
+    },
+    {
+      header: 'Status',
+      accessor: (user) => {
+        let status = user.disabled ? 'Disabled' : 'Active';
+        if (user.lockedUntil) {
+          status += `, locked until ${new Date(user.lockedUntil).toLocaleTimeString()}`;
+        }
+        return user.mustChangePassword ? `${status} (password reset)` : status;
+      }
+    },
+    {
+      header: 'Created',
+      accessor: (user) => user.createdAt ? new Date(user.createdAt).toLocaleString() : 'N/A'
+    }
+  ];
+
+  const actions = [
+    {
+      title: 'Reset password',
+      icon: <FaKey />,
+      onClick: handleResetPassword
+    },
+    {
+      title: 'Issue reset link',
+      icon: <FaLink />,
+      onClick: handleIssueResetLink
+    },
+    {
+      title: 'Unlock',
+      icon: <FaUnlock />,
+      onClick: handleUnlock,
+      visible: (user) => Boolean(user.lockedUntil)
+    }
+  ];
+
+  if (!canManageUsers) {
+    return (
+      <div className="residents-record">
+        <h2>Users</h2>
+        <div className="error-message">Your role does not have access to this page</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="residents-record">
+      <h2>Users</h2>
+
+      <div className="actions-bar">
+        <button className="btn btn-primary" onClick={handleAdd}>
+          <FaPlus /> Add User
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button className="btn btn-primary retry-btn" onClick={fetchData}>
+            Retry
+          </button>
+        </div>
+      )}
+
+      {loading ? (
+        <div className="loading-message">Loading users...</div>
+      ) : users.length === 0 && !error ? (
+        <div className="no-data-message">No users found.</div>
+      ) : (
+        <DataTable
+          data={users}
+          columns={columns}
+          onEdit={handleEdit}
+          onDelete={handleDelete}
+          actions={actions}
+          loading={loading}
+        />
+      )}
+
+      <UserModal
+        show={showFormModal}
+        user={editingUser}
+        roles={roles}
+        onClose={handleCloseForm}
+        onSubmit={handleSave}
+      />
+
+      {passwordReset && (
+        <div className="modal">
+          <div className="modal-content">
+            <h2>Temporary Password</h2>
+            <p>
+              Give this password to {passwordReset.username}. It is shown only once; ask them to
+              choose a new password after logging in.
+            </p>
+            <div className="form-group household-form">
+              <input
+                type="text"
+                value={passwordReset.temporaryPassword}
+                readOnly
+                onFocus={(e) => e.target.select()}
+              />
+            </div>
+            <div className="modal-actions">
+              <button className="btn btn-primary" onClick={() => setPasswordReset(null)}>
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {resetLink && (
+        <div className="modal">
+          <div className="modal-content">
+            <h2>Password Reset Link</h2>
+            <p>
+              Give this link to {resetLink.username} to choose a new password. It is shown only
+              once, works a single time and expires {new Date(resetLink.expiresAt).toLocaleString()}.
+              Issuing another link cancels this one.
+            </p>
+            <div className="form-group household-form">
+              <input
+                type="text"
+                value={resetLink.url}
+                readOnly
+                onFocus={(e) => e.target.select()}
+              />
+            </div>
+            <div className="modal-actions">
+              <button className="btn btn-primary" onClick={() => setResetLink(null)}>
+                Done
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Users;
@@ -16,8 +16,6 @@ import axios from 'axios';
 import api from './axios';
 import { showToast } from '../utils/toast';
 
-const API_URL = 'http://localhost:5000';
-
 /**
  * Creates a new cancellation token source for axios requests
  * This allows in-flight requests to be cancelled if they're no longer needed
@@ -53,18 +51,8 @@ export const analyticsService = {
       // Create new cancel token source for this request
       analyticsService.cancelTokenSource = createCancelTokenSource();
       
-      // Ensure authentication token is available
-      const token = localStorage.getItem('token');
-      if (!token) {
-        console.warn('No token found for analytics request');
-        return null;
-      }
-      
-      // Make the API request with authorization and cancellation token
-      const response = await axios.get(`${API_URL}/analytics/stats`, {
-        headers: {
-          'Authorization': `Bearer ${token}`
-        },
+      // Make the API request using the configured axios instance with cancellation token
+      const response = await api.get('/analytics/stats', {
         cancelToken: analyticsService.cancelTokenSource?.token
       });
       
@@ -0,0 +1,67 @@
+/**
+ * Audit Service Module
+ *
+ * This module reads the audit trail of changes made through the backend API.
+ * Every create, update and delete is recorded with the user, time, client IP
+ * and the values before and after the change.
+ *
+ * Features:
+ * - Paged, filtered audit log retrieval (admin only)
+ * - CSV export of the filtered audit log (admin only)
+ *
+ * @module services/auditService
+ */
+import api from './axios';
+
+/**
+ * Drops empty filter values so they are not sent as query parameters
+ * @param {Object} params - Filter and paging values
+ * @returns {Object} Non-empty values
+ */
+const toQuery = (params) =>
+  Object.fromEntries(Object.entries(params).filter(([, value]) => value !== '' && value !== undefined));
+
+/**
+ * Audit Service
+ * Handles all audit log API calls
+ */
+export const auditService = {
+  /**
+   * Get one page of audit entries, newest first
+   *
+   * @async
+   * @param {Object} params - page, pageSize and filters (actor, action, targetType, targetId, q, from, to)
+   * @returns {Promise<Object>} { data, total, page, pageSize, totalPages }
+   * @throws {Error} Error object with message if the request fails
+   */
+  getAuditLog: async (params) => {
+    try {
+      const response = await api.get('/audit-log', { params: toQuery(params) });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Export the audit entries matching the filters to CSV
+   *
+   * @async
+   * @param {Object} params - Filters (actor, action, targetType, targetId, q, from, to)
+   * @returns {Promise<Object>} Response containing blob data for CSV download
+   * @throws {Error} Error object with message if the request fails
+   */
+  exportAuditLogCSV: async (params) => {
+    try {
+      const response = await api.get('/audit-log/export/csv', {
+        params: toQuery(params),
+        responseType: 'blob'
+      });
+      return response;
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      throw error;
+    }
+  }
+};
@@ -1,5 +1,15 @@
 import api from './axios';
 import { showToast } from '../utils/toast';
+import { storeRole, clearRole } from '../utils/permissions';
+
+/**
+ * Removes the tokens, role and permissions of the current session from localStorage
+ */
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  clearRole();
+};
 
 /**
  * Authentication Service
@@ -16,15 +26,13 @@ export const authService = {
   login: async (credentials) => {
     try {
       const response = await api.post('/auth/login', credentials);
-      console.log('Raw login response:', response);
       
       // Check if we have a valid response with token
       if (response && response.data && response.data.token) {
-        // Store token in localStorage
+        // Store the access and refresh tokens in localStorage
         localStorage.setItem('token', response.data.token);
-        if (response.data.user && response.data.user.role) {
-          localStorage.setItem('userRole', response.data.user.role);
-        }
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        storeRole(response.data);
         
         // Return the data directly, not the axios response object
         return response.data;
@@ -73,15 +81,71 @@ export const authService = {
 
   /**
    * User logout
-   * Removes authentication tokens from localStorage
+   * Revokes the session on the server, then removes the tokens from localStorage.
+   * The tokens are removed even when the server cannot be reached.
+   */
+  logout: async () => {
+    try {
+      await api.post('/auth/logout', { refreshToken: localStorage.getItem('refreshToken') });
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      clearSession();
+    }
+  },
+
+  /**
+   * Logout everywhere
+   * Ends every session of the current user on the server, on every device,
+   * then removes the tokens from localStorage
+   */
+  logoutEverywhere: async () => {
+    try {
+      await api.post('/auth/logout-all');
+    } catch (error) {
+      console.error('Logout error:', error);
+    } finally {
+      clearSession();
+    }
+  },
+
+  /**
+   * Change the current user's password
+   * The server ends the user's other sessions and returns new tokens for this one.
+   * @param {Object} passwords - { currentPassword, newPassword }
+   * @returns {Promise<Object>} Response with message, token and refreshToken
+   */
+  changePassword: async (passwords) => {
+    try {
+      const response = await api.post('/auth/change-password', passwords);
+      localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      return response.data;
+    } catch (error) {
+      console.error('Change password error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Set a new password with a one-time reset token issued by an admin
+   * @param {Object} data - { token, newPassword }
+   * @returns {Promise<Object>} Reset response
    */
-  logout: () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('userRole');
+  resetPassword: async (data) => {
+    try {
+      const response = await api.post('/auth/reset-password', data);
+      return response.data;
+    } catch (error) {
+      console.error('Reset password error:', error);
+      throw error;
+    }
   },
 
   /**
    * Verify authentication token
+   * Stores the current role, its label and permissions from the server, so role changes
+   * made by an admin show without logging in again.
    * @returns {Promise<Object|null>} User data if token is valid, null otherwise
    */
   verifyToken: async () => {
@@ -92,25 +156,18 @@ export const authService = {
         return null;
       }
       
-      console.log('Verifying token...');
       const response = await api.get('/auth/verify');
-      console.log('Token verification response:', response);
       
       if (response && response.data) {
-        const role = localStorage.getItem('userRole') || 'user';
-        return { 
-          ...response.data, 
-          role,
-          isAdmin: role === 'admin'
-        };
+        storeRole(response.data);
+        return response.data;
       }
       
       console.log('Token verification failed or invalid response');
       return null;
     } catch (error) {
       console.error('Token verification error:', error);
-      localStorage.removeItem('token');
-      localStorage.removeItem('userRole');
+      clearSession();
       return null;
     }
   }
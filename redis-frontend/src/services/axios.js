@@ -11,12 +11,15 @@
  * - Proper Content-Type handling for different request types
  * - Comprehensive error handling with user-friendly messages
  * - Session expiration detection and handling
+ * - Renewing expired access tokens with the refresh token, then retrying the request
+ * - Announcing SESSION_EXPIRED_EVENT on window when the session cannot be renewed
  * - Automatic success message display
  * 
  * @module services/axios
  */
 import axios from 'axios';
 import { showToast } from '../utils/toast';
+import { storeRole, clearRole } from '../utils/permissions';
 
 /**
  * Create axios instance with base configuration
@@ -27,6 +30,44 @@ const api = axios.create({
   timeout: 10000 // 10 second timeout
 });
 
+// Separate instance without the interceptors below, so a failed refresh is not refreshed again
+const refreshClient = axios.create({
+  baseURL: api.defaults.baseURL,
+  timeout: api.defaults.timeout
+});
+
+// Calls that answer 401 for a reason a refresh cannot fix
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
+// Dispatched on window when a request fails because the session is over, so the app can go to the login page
+export const SESSION_EXPIRED_EVENT = 'session-expired';
+
+let refreshRequest = null;
+
+/**
+ * Exchanges the stored refresh token for a new access token and refresh token
+ * Requests failing at the same time share one refresh, since a refresh token
+ * works only once.
+ *
+ * @returns {Promise<void>} Resolves once the new tokens are stored
+ */
+const refreshSession = () => {
+  if (!refreshRequest) {
+    refreshRequest = refreshClient.post('/auth/refresh', {
+      refreshToken: localStorage.getItem('refreshToken')
+    })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        storeRole(data);
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
 /**
  * Request interceptor
  * This interceptor runs before each request is sent
@@ -63,9 +104,10 @@ api.interceptors.request.use(
  * 
  * It handles:
  * 1. Displaying success messages
- * 2. Processing errors based on status code
- * 3. Handling authentication issues
- * 4. Providing user-friendly error notifications
+ * 2. Renewing an expired session once and retrying the request
+ * 3. Processing errors based on status code
+ * 4. Handling authentication issues
+ * 5. Providing user-friendly error notifications
  */
 api.interceptors.response.use(
   (response) => {
@@ -75,7 +117,7 @@ api.interceptors.response.use(
     }
     return response;
   },
-  (error) => {
+  async (error) => {
     // Don't show toast or handle cancellation errors
     // Request cancellations are not actual errors and should be handled silently
     if (axios.isCancel(error)) {
@@ -88,15 +130,38 @@ api.interceptors.response.use(
       status: error.response?.status,
       message: error.response?.data?.message || error.message,
       url: error.config?.url,
-      data: error.config?.data
+      // Auth requests carry passwords and tokens, which must not reach the console
+      data: error.config?.url?.startsWith('/auth/') ? undefined : error.config?.data
     });
 
+    // The access token expired or was revoked: renew the session and retry once
+    const { config } = error;
+    if (
+      error.response?.status === 401 &&
+      config &&
+      !config._retried &&
+      !NO_REFRESH_URLS.includes(config.url) &&
+      localStorage.getItem('refreshToken')
+    ) {
+      try {
+        await refreshSession();
+        config._retried = true;
+        return api(config);
+      } catch (refreshError) {
+        console.error('Session refresh failed:', refreshError.response?.data?.message || refreshError.message);
+      }
+    }
+
     // Handle unauthorized access (401)
-    // This typically means the token is invalid or expired
+    // The session could not be renewed, so the user has to log in again
     if (error.response?.status === 401) {
       localStorage.removeItem('token');
-      localStorage.removeItem('userRole');
+      localStorage.removeItem('refreshToken');
+      clearRole();
       showToast.error('Session expired. Please login again.');
+      if (!NO_REFRESH_URLS.includes(config?.url)) {
+        window.dispatchEvent(new Event(SESSION_EXPIRED_EVENT));
+      }
       return Promise.reject(error);
     }
 
@@ -0,0 +1,74 @@
+/**
+ * Backup Service Module
+ *
+ * This module downloads and restores full backups of the barangay data:
+ * residents (with the recycle bin and change history), households, students,
+ * users, the stats counters and the profile images, in one archive file.
+ *
+ * Features:
+ * - Backup download, optionally without password hashes (admin only)
+ * - Restore from an archive, replacing or merging the data (admin only)
+ *
+ * @module services/backupService
+ */
+import api from './axios';
+
+// Archives include every profile image, so allow far longer than the default timeout
+const BACKUP_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Backup Service
+ * Handles all backup and restore API calls
+ */
+export const backupService = {
+  /**
+   * Download a backup archive
+   *
+   * @async
+   * @param {Object} options
+   * @param {boolean} [options.excludePasswords=false] - Leave the users' password hashes out
+   * @returns {Promise<Object>} Response containing blob data and the suggested file name header
+   * @throws {Error} Error object with message if the request fails
+   */
+  downloadBackup: async ({ excludePasswords = false } = {}) => {
+    try {
+      const response = await api.get('/backup', {
+        params: excludePasswords ? { excludePasswords: true } : {},
+        responseType: 'blob',
+        timeout: BACKUP_TIMEOUT
+      });
+      return response;
+    } catch (error) {
+      console.error('Error downloading backup:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Restore data from a backup archive
+   *
+   * @async
+   * @param {File} file - Archive downloaded from downloadBackup
+   * @param {string} mode - "replace" to make the data match the archive, "merge" to only add missing records
+   * @returns {Promise<Object>} { message, mode, restored, skipped } with record counts per kind
+   * @throws {Error} Error object with message (and errors for an invalid archive) if the request fails
+   */
+  restoreBackup: async (file, mode) => {
+    try {
+      const formData = new FormData();
+      formData.append('mode', mode);
+      formData.append('archive', file);
+
+      const response = await api.post('/backup/restore', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        },
+        timeout: BACKUP_TIMEOUT
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,156 @@
+/**
+ * Household Service Module
+ *
+ * This module provides functions for managing households and their members
+ * through the backend API.
+ *
+ * Features:
+ * - Household retrieval (list and single household with members)
+ * - Household creation, update and deletion
+ * - Designating the household head
+ * - Adding, moving and removing household members
+ *
+ * @module services/householdService
+ */
+import api from './axios';
+
+/**
+ * Household Service
+ * Handles all household-related API calls
+ */
+export const householdService = {
+  /**
+   * Get all households with their member count and head name
+   *
+   * @async
+   * @returns {Promise<Array>} Array of household objects
+   * @throws {Error} Error object with message if the request fails
+   */
+  getAllHouseholds: async () => {
+    try {
+      const response = await api.get('/households');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching households:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a household and its members
+   *
+   * @async
+   * @param {string} id - Household unique identifier
+   * @returns {Promise<Object>} Household data with a members array
+   * @throws {Error} Error object with message if the request fails
+   */
+  getHousehold: async (id) => {
+    try {
+      const response = await api.get(`/households/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching household:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a new household
+   *
+   * @async
+   * @param {Object} householdData - Household information
+   * @param {string} householdData.householdNo - Household number (unique)
+   * @param {string} [householdData.purok] - Purok the household is in
+   * @param {string} [householdData.address] - Household address
+   * @returns {Promise<Object>} Created household data with ID
+   * @throws {Error} Error object with message if the request fails
+   */
+  createHousehold: async (householdData) => {
+    try {
+      const response = await api.post('/households', householdData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating household:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Update a household
+   *
+   * @async
+   * @param {string} id - Household unique identifier
+   * @param {Object} householdData - Fields to update (householdNo, purok, address, headId)
+   * @returns {Promise<Object>} Updated household data
+   * @throws {Error} Error object with message if the request fails
+   */
+  updateHousehold: async (id, householdData) => {
+    try {
+      const response = await api.put(`/households/${id}`, householdData);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating household:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a household; its members are kept as residents
+   *
+   * @async
+   * @param {string} id - Household unique identifier
+   * @returns {Promise<Object>} Confirmation message object
+   * @throws {Error} Error object with message if the request fails
+   */
+  deleteHousehold: async (id) => {
+    try {
+      const response = await api.delete(`/households/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting household:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add a resident to a household, moving them out of their current one
+   *
+   * @async
+   * @param {string} householdId - Target household
+   * @param {string} residentId - Resident to add or move
+   * @param {string} relationshipToHead - Relationship to the household head
+   * @returns {Promise<Object>} Response with the updated resident
+   * @throws {Error} Error object with message if the request fails
+   */
+  addMember: async (householdId, residentId, relationshipToHead) => {
+    try {
+      const response = await api.post(`/households/${householdId}/members`, {
+        residentId,
+        relationshipToHead
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error adding household member:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remove a resident from a household
+   *
+   * @async
+   * @param {string} householdId - Household the resident belongs to
+   * @param {string} residentId - Resident to remove
+   * @returns {Promise<Object>} Confirmation message object
+   * @throws {Error} Error object with message if the request fails
+   */
+  removeMember: async (householdId, residentId) => {
+    try {
+      const response = await api.delete(`/households/${householdId}/members/${residentId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing household member:', error);
+      throw error;
+    }
+  }
+};
@@ -5,20 +5,32 @@
  * It handles CRUD operations, data formatting, file uploads, and error handling.
  * 
  * Features:
- * - Resident data retrieval (individual and collection)
+ * - Resident data retrieval (individual, collection and server-side pages)
+ * - Name search
+ * - Duplicate detection and merging
  * - Resident creation with profile image upload
  * - Resident data updates with profile image management
  * - Resident deletion
- * - CSV export for reporting
+ * - CSV and Excel export for reporting
+ * - Bulk CSV or Excel import with a dry-run report
  * - Statistics retrieval
  * 
  * @module services/residentService
  */
-import axios from 'axios';
 import api from './axios';
 import { showToast } from '../utils/toast';
 
-const API_URL = 'http://localhost:5000';
+// Building or checking every row of a large file takes longer than the default timeout
+const SPREADSHEET_TIMEOUT = 2 * 60 * 1000;
+
+/**
+ * Leaves out empty list options so the server does not treat them as values
+ * @param {Object} params - Query options
+ * @returns {Object} The options that are set
+ */
+const withoutEmptyValues = (params) => Object.fromEntries(
+  Object.entries(params).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+);
 
 /**
  * Resident Service
@@ -29,12 +41,13 @@ export const residentService = {
    * Get all residents from the database
    * 
    * @async
+   * @param {Object} [params] - Sort, search and filter options as for getResidentsPage, without page
    * @returns {Promise<Array>} Array of resident objects
    * @throws {Error} Error object with message if the request fails
    */
-  getAllResidents: async () => {
+  getAllResidents: async (params = {}) => {
     try {
-      const response = await api.get('/residents');
+      const response = await api.get('/residents', { params: withoutEmptyValues(params) });
       return response.data;
     } catch (error) {
       console.error('Error fetching residents:', error);
@@ -42,6 +55,53 @@ export const residentService = {
     }
   },
 
+  /**
+   * Get one page of residents with server-side sorting and filtering
+   * 
+   * @async
+   * @param {Object} params - Query options
+   * @param {number} params.page - Page number (1-based)
+   * @param {number} params.pageSize - Residents per page
+   * @param {string} [params.sort] - Sort field, prefixed with "-" for descending
+   * @param {string} [params.q] - Name search text
+   * @param {string} [params.purok] - Purok filter
+   * @param {string} [params.gender] - Gender filter
+   * @param {string} [params.votersStatus] - Voter status filter
+   * @param {string} [params.civilStatus] - Civil status filter
+   * @param {number} [params.ageMin] - Minimum age (inclusive)
+   * @param {number} [params.ageMax] - Maximum age (inclusive)
+   * @returns {Promise<Object>} { data, total, page, pageSize, totalPages }
+   * @throws {Error} Error object with message if the request fails
+   */
+  getResidentsPage: async (params) => {
+    try {
+      const response = await api.get('/residents', { params: withoutEmptyValues(params) });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching residents page:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Search residents by name, tolerating spelling variants and typos
+   * 
+   * @async
+   * @param {string} q - Name search text
+   * @param {number} [limit=10] - Maximum number of matches
+   * @returns {Promise<Array>} Matching residents, best match first
+   * @throws {Error} Error object with message if the request fails
+   */
+  searchResidents: async (q, limit = 10) => {
+    try {
+      const response = await api.get('/residents/search', { params: { q, limit } });
+      return response.data;
+    } catch (error) {
+      console.error('Error searching residents:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get a specific resident by ID
    * 
@@ -123,14 +183,6 @@ export const residentService = {
    */
   updateResident: async (id, residentData) => {
     try {
-      console.log('Update resident data:', JSON.stringify(residentData, (key, value) => {
-        // Don't log the file contents, just the fact that it exists
-        if (key === 'profileImage' && value instanceof File) {
-          return `File: ${value.name}, size: ${value.size}, type: ${value.type}`;
-        }
-        return value;
-      }));
-
       // Create a FormData object for file upload
       const formData = new FormData();
       
@@ -142,14 +194,10 @@ export const residentService = {
         }
         
         if (key === 'profileImage') {
-          // Only append if it's a file object (new image)
+          // Only append a file object (new image); for an existing image URL
+          // nothing is sent and the server keeps the current image
           if (residentData[key] instanceof File) {
-            console.log(`Appending image file: ${residentData[key].name}`);
             formData.append('profileImage', residentData[key]);
-          } else if (typeof residentData[key] === 'string') {
-            console.log('Profile image is a string, not appending to FormData');
-            // If it's a string URL, we don't send it back to the server
-            // The server keeps the existing image
           }
         } else {
           // Convert values to strings to ensure they're properly formatted
@@ -157,39 +205,100 @@ export const residentService = {
         }
       });
 
-      // Debug FormData contents for troubleshooting
-      for (let pair of formData.entries()) {
-        console.log(`FormData: ${pair[0]}: ${pair[1] instanceof File ? 'File object' : pair[1]}`);
-      }
-      
-      // Use direct axios call with timeout increase for file uploads
-      const response = await axios.put(`${API_URL}/residents/${id}`, formData, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-          'Content-Type': 'multipart/form-data'
-        },
-        timeout: 30000, // Increase timeout for file uploads
-        onUploadProgress: progressEvent => {
-          console.log(`Upload progress: ${Math.round((progressEvent.loaded * 100) / progressEvent.total)}%`);
-        }
+      // Longer timeout for file uploads
+      const response = await api.put(`/residents/${id}`, formData, {
+        timeout: 30000
       });
       
       return response.data;
     } catch (error) {
       console.error('Error updating resident:', error);
-      console.error('Error details:', {
-        message: error.message,
-        status: error.response?.status,
-        data: error.response?.data,
-        url: error.config?.url,
-        method: error.config?.method
-      });
       throw error;
     }
   },
 
   /**
-   * Delete a resident by ID
+   * Find existing residents that look like the same person
+   * Matches on the same name and birthdate, or a similar name in the same household
+   * 
+   * @async
+   * @param {Object} residentData - Resident information being encoded
+   * @returns {Promise<Array>} Possible duplicates, each with a duplicateReason
+   * @throws {Error} Error object with message if the request fails
+   */
+  checkDuplicates: async (residentData) => {
+    try {
+      // The image file is not needed to compare residents
+      const data = Object.fromEntries(
+        Object.entries(residentData).filter(([key]) => key !== 'profileImage')
+      );
+      const response = await api.post('/residents/check-duplicates', data);
+      return response.data.duplicates;
+    } catch (error) {
+      console.error('Error checking duplicate residents:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Merge a duplicate resident into a primary record (admin only)
+   * 
+   * @async
+   * @param {string} primaryId - Resident record to keep
+   * @param {string} duplicateId - Resident record to merge and remove
+   * @param {Object} choices - Field name to 'primary' or 'duplicate', choosing whose value to keep
+   * @returns {Promise<Object>} Merged resident data
+   * @throws {Error} Error object with message if the request fails
+   */
+  mergeResidents: async (primaryId, duplicateId, choices) => {
+    try {
+      const response = await api.post('/residents/merge', { primaryId, duplicateId, choices });
+      return response.data;
+    } catch (error) {
+      console.error('Error merging residents:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get a resident's saved versions, newest first
+   * 
+   * @async
+   * @param {string} id - Resident unique identifier
+   * @returns {Promise<Array>} Versions with who and when, the changed fields and a snapshot
+   * @throws {Error} Error object with message if the request fails
+   */
+  getResidentHistory: async (id) => {
+    try {
+      const response = await api.get(`/residents/${id}/history`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching resident history:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Revert a resident to an earlier version (admin only)
+   * 
+   * @async
+   * @param {string} id - Resident unique identifier
+   * @param {number} version - Version number to restore
+   * @returns {Promise<Object>} Reverted resident data
+   * @throws {Error} Error object with message if the request fails
+   */
+  revertResident: async (id, version) => {
+    try {
+      const response = await api.post(`/residents/${id}/revert`, { version });
+      return response.data;
+    } catch (error) {
+      console.error('Error reverting resident:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Move a resident to the recycle bin
    * 
    * @async
    * @param {string} id - Resident unique identifier
@@ -206,6 +315,59 @@ export const residentService = {
     }
   },
 
+  /**
+   * Get the residents in the recycle bin, most recently deleted first (admin only)
+   * 
+   * @async
+   * @returns {Promise<Array>} Deleted residents with deletedAt and deletedBy
+   * @throws {Error} Error object with message if the request fails
+   */
+  getDeletedResidents: async () => {
+    try {
+      const response = await api.get('/residents/deleted');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching deleted residents:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Restore a resident from the recycle bin (admin only)
+   * 
+   * @async
+   * @param {string} id - Resident unique identifier
+   * @returns {Promise<Object>} Restored resident data
+   * @throws {Error} Error object with message if the request fails
+   */
+  restoreResident: async (id) => {
+    try {
+      const response = await api.post(`/residents/deleted/${id}/restore`);
+      return response.data;
+    } catch (error) {
+      console.error('Error restoring resident:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Permanently delete a resident from the recycle bin (admin only)
+   * 
+   * @async
+   * @param {string} id - Resident unique identifier
+   * @returns {Promise<Object>} Confirmation message object
+   * @throws {Error} Error object with message if the request fails
+   */
+  purgeResident: async (id) => {
+    try {
+      const response = await api.delete(`/residents/deleted/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error purging resident:', error);
+      throw error;
+    }
+  },
+
   /**
    * Get statistical information about residents
    * 
@@ -224,21 +386,86 @@ export const residentService = {
   },
 
   /**
-   * Export residents data to CSV format
-   * 
+   * Export residents to CSV, limited to the residents and columns asked for
+   *
    * @async
+   * @param {Object} [params] - Same sort, search and filter options as getResidentsPage
+   * @param {string[]} [params.columns] - Fields to export, in column order; every column when omitted
    * @returns {Promise<Object>} Response containing blob data for CSV download
    * @throws {Error} Error object with message if the request fails
    */
-  exportResidentsCSV: async () => {
+  exportResidentsCSV: async ({ columns = [], ...params } = {}) => {
     try {
+      const query = withoutEmptyValues(params);
+      if (columns.length > 0) {
+        query.columns = columns.join(',');
+      }
       const response = await api.get('/residents/export/csv', {
-        responseType: 'blob' // Important for handling file downloads
+        params: query,
+        responseType: 'blob', // Important for handling file downloads
+        timeout: SPREADSHEET_TIMEOUT
       });
       return response;
     } catch (error) {
       console.error('Error exporting residents:', error);
       throw error;
     }
+  },
+
+  /**
+   * Export residents to an Excel workbook with a summary sheet and one sheet per purok
+   *
+   * @async
+   * @returns {Promise<Object>} Response containing blob data for the XLSX download
+   * @throws {Error} Error object with message if the request fails
+   */
+  exportResidentsXLSX: async () => {
+    try {
+      const response = await api.get('/residents/export/xlsx', {
+        responseType: 'blob',
+        timeout: SPREADSHEET_TIMEOUT
+      });
+      return response;
+    } catch (error) {
+      console.error('Error exporting residents:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check or import a CSV or Excel file of residents (admin only)
+   * The file uses the export's columns unless a mapping says which field each column holds.
+   *
+   * @async
+   * @param {File} file - CSV or XLSX file
+   * @param {Object} [options]
+   * @param {Object} [options.mapping] - Column header to resident field ('' skips the column); guessed from the headers when omitted
+   * @param {boolean} [options.dryRun=true] - Only validate and report; false imports the rows
+   * @param {boolean} [options.allowDuplicates=false] - Also import rows that look like existing residents
+   * @returns {Promise<Object>} Report with headers, mapping, fields, mappingErrors, total, valid, errors and duplicates;
+   *   after an import also imported and skipped
+   * @throws {Error} Error object with message (and the report when rows have errors) if the request fails
+   */
+  importResidentsCSV: async (file, { mapping, dryRun = true, allowDuplicates = false } = {}) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dryRun', String(dryRun));
+      formData.append('allowDuplicates', String(allowDuplicates));
+      if (mapping) {
+        formData.append('mapping', JSON.stringify(mapping));
+      }
+
+      const response = await api.post('/residents/import', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        },
+        timeout: SPREADSHEET_TIMEOUT
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error importing residents:', error);
+      throw error;
+    }
   }
 }; 
\ No newline at end of file
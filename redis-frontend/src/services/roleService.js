@@ -0,0 +1,93 @@
+/**
+ * Role Service Module
+ *
+ * This module provides functions for managing the roles accounts can have
+ * and the permissions each role grants. Listing needs only a session;
+ * changes need the roles:manage permission.
+ *
+ * Features:
+ * - Role listing, with the permissions a role can grant
+ * - Role creation and deletion
+ * - Changing a role's label and permissions
+ *
+ * @module services/roleService
+ */
+import api from './axios';
+
+/**
+ * Role Service
+ * Handles all role management API calls
+ */
+export const roleService = {
+  /**
+   * Get every role and the permissions a role can grant
+   *
+   * @async
+   * @returns {Promise<Object>} { data: [{ name, label, permissions, builtIn }], permissions: [{ name, description }] }
+   * @throws {Error} Error object with message if the request fails
+   */
+  getRoles: async () => {
+    try {
+      const response = await api.get('/roles');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create a role
+   *
+   * @async
+   * @param {Object} roleData - { name, label, permissions }
+   * @returns {Promise<Object>} Created role
+   * @throws {Error} Error object with message if the request fails
+   */
+  createRole: async (roleData) => {
+    try {
+      const response = await api.post('/roles', roleData);
+      return response.data.role;
+    } catch (error) {
+      console.error('Error creating role:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Change a role's label and permissions
+   *
+   * @async
+   * @param {string} name - Role to change
+   * @param {Object} changes - { label, permissions }
+   * @returns {Promise<Object>} Updated role
+   * @throws {Error} Error object with message if the request fails
+   */
+  updateRole: async (name, changes) => {
+    try {
+      const response = await api.put(`/roles/${encodeURIComponent(name)}`, changes);
+      return response.data.role;
+    } catch (error) {
+      console.error('Error updating role:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete a role no account has
+   *
+   * @async
+   * @param {string} name - Role to delete
+   * @returns {Promise<Object>} Deletion response
+   * @throws {Error} Error object with message if the request fails
+   */
+  deleteRole: async (name) => {
+    try {
+      const response = await api.delete(`/roles/${encodeURIComponent(name)}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      throw error;
+    }
+  }
+};
@@ -1,6 +1,9 @@
 import api from './axios';
 import { showToast } from '../utils/toast';
 
+// Checking every row of a large file takes longer than the default timeout
+const IMPORT_TIMEOUT = 2 * 60 * 1000;
+
 /**
  * Student Service
  * Handles all student-related API calls and data management
@@ -32,61 +35,117 @@ export const studentService = {
   },
 
   /**
-   * Create new student
+   * Create new student (admin only)
    * @param {Object} studentData - Student information
    * @returns {Promise<Object>} Created student data
    */
   createStudent: async (studentData) => {
     try {
-      const token = localStorage.getItem('token');
-      if (!token) {
-        throw new Error('Authentication required');
-      }
-
       const response = await api.post('/students', studentData);
-      if (response.data && response.data.student) {
-        showToast.success('Student added successfully');
-        return response.data.student;
-      } else {
-        throw new Error('Invalid response format');
-      }
+      return response.data.student;
     } catch (error) {
       console.error('Error creating student:', error);
-      let message = 'Error creating student';
-      if (error.response?.data?.message) {
-        message = error.response.data.message;
-      } else if (error.message === 'Authentication required') {
-        message = 'Please login as admin to add students';
-      }
-      showToast.error(message);
       throw error;
     }
   },
 
   /**
-   * Update student
-   * @param {string} id - Student ID
+   * Update student (admin only)
+   * Only the fields given are changed; an empty value clears an optional field.
+   * @param {string} id - Student record ID
    * @param {Object} data - Updated student data
    * @returns {Promise<Object>} Updated student data
    */
-  updateStudent: (id, data) => {
-    return api.put(`/students/${id}`, data);
+  updateStudent: async (id, data) => {
+    try {
+      const response = await api.put(`/students/${id}`, data);
+      return response.data.student;
+    } catch (error) {
+      console.error('Error updating student:', error);
+      throw error;
+    }
   },
 
   /**
-   * Delete student
-   * @param {string} id - Student ID
+   * Delete student (admin only)
+   * @param {string} id - Student record ID
    * @returns {Promise<Object>} Deletion response
    */
-  deleteStudent: (id) => {
-    return api.delete(`/students/${id}`);
+  deleteStudent: async (id) => {
+    try {
+      const response = await api.delete(`/students/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting student:', error);
+      throw error;
+    }
   },
 
   /**
-   * Delete all students
+   * Delete all students (admin only)
    * @returns {Promise<Object>} Deletion response
    */
-  deleteAllStudents: () => {
-    return api.delete('/students/all');
+  deleteAllStudents: async () => {
+    try {
+      const response = await api.delete('/students/all');
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting all students:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get student counts per year level and course
+   * @returns {Promise<Object>} { totalStudents, yearLevelDistribution, courseDistribution },
+   *   the distributions as [{ name, value }]
+   */
+  getStudentStats: async () => {
+    try {
+      const response = await api.get('/analytics/student-stats');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching student statistics:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Export students to an Excel workbook
+   * @returns {Promise<Object>} Response containing blob data for the XLSX download
+   */
+  exportStudentsXLSX: async () => {
+    try {
+      return await api.get('/students/export/xlsx', { responseType: 'blob' });
+    } catch (error) {
+      console.error('Error exporting students:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check or import an Excel (or CSV) file of students laid out like the export (admin only)
+   * @param {File} file - XLSX or CSV file
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=true] - Only validate and report; false imports the rows
+   * @returns {Promise<Object>} Report { total, valid, errors }; after an import also imported
+   */
+  importStudents: async (file, { dryRun = true } = {}) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dryRun', String(dryRun));
+
+      const response = await api.post('/students/import', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        },
+        timeout: IMPORT_TIMEOUT
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error importing students:', error);
+      throw error;
+    }
   }
 }; 
\ No newline at end of file
@@ -0,0 +1,149 @@
+/**
+ * User Service Module
+ *
+ * This module provides functions for managing user accounts through the
+ * backend API. Every call requires an admin session.
+ *
+ * Features:
+ * - User listing, creation and deletion
+ * - Changing a user's role and disabling or enabling their account
+ * - Forcing a password reset, or issuing a reset token the user trades for a new password
+ * - Unlocking accounts locked out by failed logins
+ *
+ * @module services/userService
+ */
+import api from './axios';
+
+/**
+ * User Service
+ * Handles all user management API calls
+ */
+export const userService = {
+  /**
+   * Get every account, ordered by username
+   *
+   * @async
+   * @returns {Promise<Array>} { username, role, createdAt, updatedAt, disabled, mustChangePassword, lockedUntil } objects
+   * @throws {Error} Error object with message if the request fails
+   */
+  getAllUsers: async () => {
+    try {
+      const response = await api.get('/users');
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Create an account
+   *
+   * @async
+   * @param {Object} userData - { username, password, role }
+   * @returns {Promise<Object>} Created account
+   * @throws {Error} Error object with message if the request fails
+   */
+  createUser: async (userData) => {
+    try {
+      const response = await api.post('/users', userData);
+      return response.data.user;
+    } catch (error) {
+      console.error('Error creating user:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Change an account's role and/or disabled state
+   *
+   * @async
+   * @param {string} username - Account to change
+   * @param {Object} changes - { role } and/or { disabled }
+   * @returns {Promise<Object>} Updated account
+   * @throws {Error} Error object with message if the request fails
+   */
+  updateUser: async (username, changes) => {
+    try {
+      const response = await api.put(`/users/${encodeURIComponent(username)}`, changes);
+      return response.data.user;
+    } catch (error) {
+      console.error('Error updating user:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reset an account's password to a generated temporary one
+   * The user is asked to choose a new password after logging in with it.
+   *
+   * @async
+   * @param {string} username - Account to reset
+   * @returns {Promise<string>} The temporary password; it cannot be retrieved again
+   * @throws {Error} Error object with message if the request fails
+   */
+  resetPassword: async (username) => {
+    try {
+      const response = await api.post(`/users/${encodeURIComponent(username)}/reset-password`);
+      return response.data.temporaryPassword;
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Issue a one-time password reset token for an account
+   * It replaces any token issued to the account before and expires after a day.
+   *
+   * @async
+   * @param {string} username - Account the token resets
+   * @returns {Promise<Object>} { resetToken, expiresAt }; the token cannot be retrieved again
+   * @throws {Error} Error object with message if the request fails
+   */
+  issueResetToken: async (username) => {
+    try {
+      const response = await api.post(`/users/${encodeURIComponent(username)}/reset-token`);
+      return { resetToken: response.data.resetToken, expiresAt: response.data.expiresAt };
+    } catch (error) {
+      console.error('Error issuing reset token:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Unlock an account locked out by failed logins
+   *
+   * @async
+   * @param {string} username - Account to unlock
+   * @returns {Promise<Object>} Unlock response
+   * @throws {Error} Error object with message if the request fails
+   */
+  unlockUser: async (username) => {
+    try {
+      const response = await api.post(`/users/${encodeURIComponent(username)}/unlock`);
+      return response.data;
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delete an account
+   *
+   * @async
+   * @param {string} username - Account to delete
+   * @returns {Promise<Object>} Deletion response
+   * @throws {Error} Error object with message if the request fails
+   */
+  deleteUser: async (username) => {
+    try {
+      const response = await api.delete(`/users/${encodeURIComponent(username)}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * Age Helpers
+ *
+ * Ages are never entered by hand; they follow from the birthdate.
+ * The backend derives stored and listed ages the same way.
+ *
+ * @module utils/age
+ */
+
+/**
+ * Calculates the age in whole years on a given day
+ * @param {string} birthdate - Birthdate (YYYY-MM-DD)
+ * @param {Date} [today=new Date()] - Reference date
+ * @returns {string} Age, or an empty string if the birthdate is missing or invalid
+ */
+export const calculateAge = (birthdate, today = new Date()) => {
+  const birthDate = birthdate ? new Date(birthdate) : null;
+  if (!birthDate || isNaN(birthDate.getTime())) return '';
+
+  let age = today.getFullYear() - birthDate.getFullYear();
+  const monthDiff = today.getMonth() - birthDate.getMonth();
+  if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+    age--;
+  }
+
+  return age >= 0 ? age.toString() : '';
+};
@@ -0,0 +1,12 @@
+/**
+ * Barangay Details
+ *
+ * Name and location of the barangay, shown on the login screen and printed
+ * on reports.
+ *
+ * @module utils/barangay
+ */
+
+export const BARANGAY_NAME = 'Brgy. Sto. Rosario';
+
+export const BARANGAY_LOCATION = 'Iligan City, Lanao Del Norte';
@@ -0,0 +1,21 @@
+/**
+ * Download Helpers
+ *
+ * @module utils/download
+ */
+
+/**
+ * Saves a file received from the API through the browser's download prompt
+ * @param {Blob|ArrayBuffer} data - File contents, e.g. the data of a blob response
+ * @param {string} fileName - Suggested file name
+ */
+export const downloadFile = (data, fileName) => {
+  const url = window.URL.createObjectURL(new Blob([data]));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', fileName);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
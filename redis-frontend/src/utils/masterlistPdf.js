@@ -0,0 +1,271 @@
+/**
+ * Resident Masterlist PDF
+ *
+ * Builds the printable masterlist of residents: one section per purok, with the
+ * residents listed by household (head first), each section closed by its totals,
+ * and a summary page of the totals per purok. Every page carries the barangay
+ * header, the search and filters the list was printed with, and page numbers.
+ *
+ * @module utils/masterlistPdf
+ */
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { BARANGAY_NAME, BARANGAY_LOCATION } from './barangay';
+import { RELATIONSHIPS_TO_HEAD } from './residentOptions';
+
+const NO_PUROK = 'No Purok';
+const NO_HOUSEHOLD = 'Not in a household';
+
+// Page layout in millimetres (A4 portrait)
+const PAGE_MARGIN = 12;
+const HEADER_HEIGHT = 40;
+const FOOTER_HEIGHT = 14;
+
+const HEADER_COLOR = [44, 62, 80];
+const HOUSEHOLD_ROW_COLOR = [236, 240, 241];
+
+const RESIDENT_HEAD = [['#', 'Name', 'Relationship', 'Sex', 'Birthdate', 'Age', 'Civil Status', 'Voter Status']];
+const SUMMARY_HEAD = [['Purok', 'Households', 'Residents', 'Male', 'Female', 'Registered Voters']];
+
+const FILTER_LABELS = {
+  purok: 'Purok',
+  gender: 'Sex',
+  votersStatus: 'Voter status',
+  civilStatus: 'Civil status'
+};
+
+/**
+ * Describes the search and filters a list was narrowed by
+ *
+ * @param {Object} [filters] - Residents list filters (purok, gender, votersStatus, civilStatus, ageMin, ageMax)
+ * @param {string} [q] - Name search text
+ * @returns {string} e.g. "Purok: Purok 1 | Age: 18 to 30", or "All residents"
+ */
+export const describeFilters = (filters = {}, q = '') => {
+  const parts = Object.entries(FILTER_LABELS)
+    .filter(([field]) => filters[field])
+    .map(([field, label]) => `${label}: ${filters[field]}`);
+
+  const hasMin = filters.ageMin !== undefined && filters.ageMin !== '';
+  const hasMax = filters.ageMax !== undefined && filters.ageMax !== '';
+  if (hasMin && hasMax) {
+    parts.push(`Age: ${filters.ageMin} to ${filters.ageMax}`);
+  } else if (hasMin) {
+    parts.push(`Age: ${filters.ageMin} and over`);
+  } else if (hasMax) {
+    parts.push(`Age: up to ${filters.ageMax}`);
+  }
+
+  if (q) {
+    parts.push(`Name: "${q}"`);
+  }
+
+  return parts.length > 0 ? parts.join(' | ') : 'All residents';
+};
+
+const compareText = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Groups items by a key, keeping the groups sorted with the empty key last
+ *
+ * @param {Object[]} items - Items to group
+ * @param {Function} getKey - Returns the group key of an item
+ * @returns {Array<[string, Object[]]>} [key, items] pairs
+ */
+const groupBy = (items, getKey) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = (getKey(item) || '').trim();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return [...groups.entries()].sort(([a], [b]) => (a ? 0 : 1) - (b ? 0 : 1) || compareText(a, b));
+};
+
+/**
+ * @param {Object} resident - Resident
+ * @returns {string} "Last, First Middle"
+ */
+const formatName = (resident) =>
+  `${resident.lastName || ''}, ${resident.firstName || ''}${resident.middleName ? ` ${resident.middleName}` : ''}`;
+
+/**
+ * @param {Object} a - Resident
+ * @param {Object} b - Resident
+ * @returns {number} Sort order within a household: by relationship to the head, then name
+ */
+const compareMembers = (a, b) => {
+  const rank = (resident) => {
+    const index = RELATIONSHIPS_TO_HEAD.indexOf(resident.relationshipToHead);
+    return index === -1 ? RELATIONSHIPS_TO_HEAD.length : index;
+  };
+  return rank(a) - rank(b) || compareText(formatName(a), formatName(b));
+};
+
+/**
+ * Counts the totals printed for a group of residents
+ *
+ * @param {Object[]} residents - Residents
+ * @returns {{ households: number, residents: number, male: number, female: number, voters: number }} Totals
+ */
+const countTotals = (residents) => ({
+  households: new Set(residents.map(resident => resident.householdNo).filter(Boolean)).size,
+  residents: residents.length,
+  male: residents.filter(resident => resident.gender === 'Male').length,
+  female: residents.filter(resident => resident.gender === 'Female').length,
+  voters: residents.filter(resident => resident.votersStatus === 'Registered').length
+});
+
+/**
+ * Draws the barangay header at the top of the current page
+ *
+ * @param {jsPDF} doc - Document
+ * @param {string} description - Search and filters the list was printed with
+ */
+const drawPageHeader = (doc, description) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const center = pageWidth / 2;
+
+  doc.setTextColor(0);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text('Republic of the Philippines', center, 10, { align: 'center' });
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text(BARANGAY_NAME, center, 16, { align: 'center' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(BARANGAY_LOCATION, center, 21, { align: 'center' });
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(12);
+  doc.text('RESIDENT MASTERLIST', center, 27, { align: 'center' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.text(description, center, 31.5, { align: 'center' });
+  doc.line(PAGE_MARGIN, 34, pageWidth - PAGE_MARGIN, 34);
+};
+
+/**
+ * Draws the print date and page number at the bottom of the current page
+ *
+ * @param {jsPDF} doc - Document
+ * @param {number} page - Page number
+ * @param {number} pageCount - Number of pages
+ * @param {string} printedOn - Print date
+ */
+const drawPageFooter = (doc, page, pageCount, printedOn) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const y = doc.internal.pageSize.getHeight() - 7;
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(8);
+  doc.text(`Printed ${printedOn}`, PAGE_MARGIN, y);
+  doc.text(`Page ${page} of ${pageCount}`, pageWidth - PAGE_MARGIN, y, { align: 'right' });
+};
+
+// Shared table options: keep clear of the header and footer on every page
+const TABLE_OPTIONS = {
+  margin: { top: HEADER_HEIGHT, bottom: FOOTER_HEIGHT, left: PAGE_MARGIN, right: PAGE_MARGIN },
+  theme: 'grid',
+  styles: { fontSize: 8, cellPadding: 1.5 },
+  headStyles: { fillColor: HEADER_COLOR }
+};
+
+/**
+ * Writes a bold line of text, moving to a new page when it would run into the footer
+ *
+ * @param {jsPDF} doc - Document
+ * @param {string} text - Text to write
+ * @param {number} y - Baseline position
+ * @param {number} [fontSize=11] - Font size
+ */
+const writeHeading = (doc, text, y, fontSize = 11) => {
+  if (y > doc.internal.pageSize.getHeight() - FOOTER_HEIGHT) {
+    doc.addPage();
+    y = HEADER_HEIGHT;
+  }
+  doc.setTextColor(0);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(fontSize);
+  doc.text(text, PAGE_MARGIN, y);
+};
+
+/**
+ * Builds the masterlist PDF
+ *
+ * @param {Object} options
+ * @param {Object[]} options.residents - Residents to list, with their current age and household number
+ * @param {Object} [options.filters] - Residents list filters the residents were fetched with
+ * @param {string} [options.q] - Name search text the residents were fetched with
+ * @param {Date} [options.printedAt=new Date()] - Date printed on every page
+ * @returns {jsPDF} The document, ready to save
+ */
+export const buildMasterlistPdf = ({ residents, filters = {}, q = '', printedAt = new Date() }) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const puroks = groupBy(residents, resident => resident.purok);
+
+  puroks.forEach(([purok, members], index) => {
+    if (index > 0) doc.addPage();
+    const purokName = purok || NO_PUROK;
+    writeHeading(doc, purokName, HEADER_HEIGHT);
+
+    const body = [];
+    let number = 0;
+    groupBy(members, resident => resident.householdNo).forEach(([householdNo, people]) => {
+      body.push([{
+        content: householdNo ? `Household No. ${householdNo}` : NO_HOUSEHOLD,
+        colSpan: RESIDENT_HEAD[0].length,
+        styles: { fontStyle: 'bold', fillColor: HOUSEHOLD_ROW_COLOR }
+      }]);
+      [...people].sort(compareMembers).forEach(resident => {
+        number += 1;
+        body.push([
+          number,
+          formatName(resident),
+          resident.relationshipToHead || '',
+          resident.gender || '',
+          resident.birthdate || '',
+          resident.age ?? '',
+          resident.civilStatus || '',
+          resident.votersStatus || ''
+        ]);
+      });
+    });
+
+    autoTable(doc, { ...TABLE_OPTIONS, head: RESIDENT_HEAD, body, startY: HEADER_HEIGHT + 3 });
+
+    const totals = countTotals(members);
+    writeHeading(
+      doc,
+      `Total for ${purokName}: ${totals.residents} residents in ${totals.households} households ` +
+        `(${totals.male} male, ${totals.female} female, ${totals.voters} registered voters)`,
+      doc.lastAutoTable.finalY + 7,
+      9
+    );
+  });
+
+  doc.addPage();
+  writeHeading(doc, 'Summary', HEADER_HEIGHT);
+  const summaryRow = (name, totals) =>
+    [name, totals.households, totals.residents, totals.male, totals.female, totals.voters];
+  autoTable(doc, {
+    ...TABLE_OPTIONS,
+    head: SUMMARY_HEAD,
+    body: puroks.map(([purok, members]) => summaryRow(purok || NO_PUROK, countTotals(members))),
+    foot: [summaryRow('Total', countTotals(residents))],
+    footStyles: { fillColor: HEADER_COLOR },
+    startY: HEADER_HEIGHT + 3
+  });
+
+  // Headers and page numbers go on last, once the page count is known
+  const printedOn = printedAt.toLocaleDateString('en-PH', { year: 'numeric', month: 'long', day: 'numeric' });
+  const description = describeFilters(filters, q);
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    drawPageHeader(doc, description);
+    drawPageFooter(doc, page, pageCount, printedOn);
+  }
+
+  return doc;
+};
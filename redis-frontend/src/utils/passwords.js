@@ -0,0 +1,34 @@
+/**
+ * Password Helpers
+ *
+ * The password rules of the backend (utils/userAccounts.js), so forms can
+ * point out a weak password before sending it. The backend applies the full
+ * check, including its list of common passwords, and has the final say.
+ *
+ * @module utils/passwords
+ */
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Shown under every field where a new password is chosen
+export const PASSWORD_HINT =
+  `At least ${MIN_PASSWORD_LENGTH} characters with letters and numbers, not containing the username`;
+
+/**
+ * Checks a new password against the rules the backend enforces
+ * @param {string} password - Password to check
+ * @param {string} [username] - Username the password is for
+ * @returns {string|undefined} What is wrong with the password, if anything
+ */
+export const getPasswordProblem = (password, username) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain both letters and numbers';
+  }
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    return 'Password must not contain the username';
+  }
+  return undefined;
+};
@@ -0,0 +1,68 @@
+/**
+ * Permission Helpers
+ *
+ * The signed-in user's role, its label and the permissions it grants, kept in
+ * localStorage as the server last returned them. They only decide what the UI
+ * offers; the backend checks the permissions again on every request.
+ *
+ * @module utils/permissions
+ */
+
+const ROLE_KEY = 'userRole';
+const ROLE_LABEL_KEY = 'roleLabel';
+const PERMISSIONS_KEY = 'permissions';
+
+/**
+ * Stores the role returned by login, refresh or /auth/verify
+ * @param {Object} data - Response body
+ * @param {string} data.role - Role name
+ * @param {string} [data.roleLabel] - Label of the role
+ * @param {string[]} [data.permissions] - Permissions of the role
+ */
+export const storeRole = ({ role, roleLabel, permissions }) => {
+  localStorage.setItem(ROLE_KEY, role);
+  localStorage.setItem(ROLE_LABEL_KEY, roleLabel || role);
+  localStorage.setItem(PERMISSIONS_KEY, JSON.stringify(Array.isArray(permissions) ? permissions : []));
+};
+
+/**
+ * Removes the stored role when the session ends
+ */
+export const clearRole = () => {
+  localStorage.removeItem(ROLE_KEY);
+  localStorage.removeItem(ROLE_LABEL_KEY);
+  localStorage.removeItem(PERMISSIONS_KEY);
+};
+
+/**
+ * @returns {string} Label of the signed-in user's role, as the server names it
+ */
+export const getRoleLabel = () => localStorage.getItem(ROLE_LABEL_KEY) || localStorage.getItem(ROLE_KEY) || '';
+
+/**
+ * @returns {string} Name of the signed-in user's role
+ */
+export const getRole = () => localStorage.getItem(ROLE_KEY) || '';
+
+/**
+ * @returns {string[]} Permissions of the signed-in user; none when unknown
+ */
+export const getPermissions = () => {
+  try {
+    const permissions = JSON.parse(localStorage.getItem(PERMISSIONS_KEY));
+    return Array.isArray(permissions) ? permissions : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Checks whether the signed-in user holds every permission listed
+ * @param {...string} permissions - Permissions needed, e.g. 'residents:write'
+ * @returns {boolean} True when none is missing
+ */
+export const hasPermission = (...permissions) => {
+  const granted = getPermissions();
+  return permissions.every(permission => granted.includes(permission));
+};
+
@@ -0,0 +1,109 @@
+/**
+ * Resident Form Options
+ *
+ * Dropdown values shared by the resident and household screens.
+ * These mirror the values accepted by the backend.
+ *
+ * @module utils/residentOptions
+ */
+
+/**
+ * Allowed relationships of a household member to the household head
+ */
+export const RELATIONSHIPS_TO_HEAD = [
+  'Head',
+  'Spouse',
+  'Son',
+  'Daughter',
+  'Father',
+  'Mother',
+  'Brother',
+  'Sister',
+  'Grandchild',
+  'Grandparent',
+  'Other Relative',
+  'Non-relative'
+];
+
+/**
+ * Puroks (subdivisions) of the barangay
+ */
+export const PUROKS = ['Purok 1', 'Purok 2', 'Purok 3', 'Purok 4', 'Purok 5', 'Purok 6', 'Purok 7'];
+
+/**
+ * Gender options
+ */
+export const GENDERS = ['Male', 'Female', 'Other'];
+
+/**
+ * Civil status options
+ */
+export const CIVIL_STATUSES = ['Single', 'Married', 'Widowed', 'Divorced', 'Separated'];
+
+/**
+ * Voter registration status options
+ */
+export const VOTERS_STATUSES = ['Registered', 'Not-Registered'];
+
+/**
+ * Residents list filter values when nothing is selected
+ */
+export const EMPTY_RESIDENT_FILTERS = {
+  purok: '',
+  gender: '',
+  votersStatus: '',
+  civilStatus: '',
+  ageMin: '',
+  ageMax: ''
+};
+
+/**
+ * Columns the resident CSV export can hold, in their default order
+ * The values are the field names GET /residents/export/csv accepts in `columns`
+ */
+export const RESIDENT_EXPORT_COLUMNS = [
+  { field: 'firstName', label: 'First Name' },
+  { field: 'middleName', label: 'Middle Name' },
+  { field: 'lastName', label: 'Last Name' },
+  { field: 'alias', label: 'Alias' },
+  { field: 'birthplace', label: 'Place of Birth' },
+  { field: 'birthdate', label: 'Birthdate' },
+  { field: 'age', label: 'Age' },
+  { field: 'civilStatus', label: 'Civil Status' },
+  { field: 'gender', label: 'Gender' },
+  { field: 'purok', label: 'Purok' },
+  { field: 'votersStatus', label: 'Voters Status' },
+  { field: 'identifiedAs', label: 'Identified As' },
+  { field: 'email', label: 'Email' },
+  { field: 'contactNumber', label: 'Contact Number' },
+  { field: 'occupation', label: 'Occupation' },
+  { field: 'citizenship', label: 'Citizenship' },
+  { field: 'address', label: 'Address' },
+  { field: 'householdNo', label: 'Household No.' },
+  { field: 'precinctNo', label: 'Precinct No.' }
+];
+
+/**
+ * Display labels for resident fields, used where changes are listed by field
+ */
+export const RESIDENT_FIELD_LABELS = {
+  firstName: 'First Name',
+  middleName: 'Middle Name',
+  lastName: 'Last Name',
+  alias: 'Alias',
+  birthplace: 'Birthplace',
+  birthdate: 'Birthdate',
+  age: 'Age',
+  civilStatus: 'Civil Status',
+  gender: 'Gender',
+  purok: 'Purok',
+  votersStatus: 'Voters Status',
+  email: 'Email',
+  contactNumber: 'Contact Number',
+  occupation: 'Occupation',
+  citizenship: 'Citizenship',
+  address: 'Address',
+  householdNo: 'Household No.',
+  relationshipToHead: 'Relationship to Head',
+  precinctNo: 'Precinct No.'
+};
@@ -0,0 +1,63 @@
+/**
+ * Student Form Options
+ *
+ * Field rules and suggestions shared by the student screens.
+ * The rules mirror the backend's student schema, so mistakes are shown before
+ * the form is sent; the server still checks every save.
+ *
+ * @module utils/studentOptions
+ */
+
+export const MIN_STUDENT_AGE = 16;
+export const MAX_STUDENT_AGE = 100;
+
+/**
+ * Year levels offered in the form; other values are accepted as typed
+ */
+export const YEAR_LEVELS = ['1st Year', '2nd Year', '3rd Year', '4th Year', '5th Year'];
+
+/**
+ * Student fields with their form label, in form order
+ */
+export const STUDENT_FIELD_LABELS = {
+  studentId: 'Student ID',
+  firstName: 'First Name',
+  lastName: 'Last Name',
+  age: 'Age',
+  address: 'Address',
+  course: 'Course',
+  yearLevel: 'Year Level',
+  section: 'Section',
+  major: 'Major'
+};
+
+export const EMPTY_STUDENT = Object.fromEntries(Object.keys(STUDENT_FIELD_LABELS).map(field => [field, '']));
+
+/**
+ * Checks a student form the way the backend does
+ *
+ * @param {Object} values - Form values keyed by field
+ * @returns {Object} Error messages keyed by field; empty when the form is valid
+ */
+export const validateStudentForm = (values) => {
+  const errors = {};
+  const value = (field) => String(values[field] ?? '').trim();
+
+  if (!value('firstName')) errors.firstName = 'First name is required';
+  if (!value('lastName')) errors.lastName = 'Last name is required';
+
+  if (!value('studentId')) {
+    errors.studentId = 'Student ID is required';
+  } else if (!/^\d+$/.test(value('studentId'))) {
+    errors.studentId = 'Student ID must contain only numbers';
+  }
+
+  if (value('age')) {
+    const age = Number(value('age'));
+    if (!Number.isInteger(age) || age < MIN_STUDENT_AGE || age > MAX_STUDENT_AGE) {
+      errors.age = `Age must be between ${MIN_STUDENT_AGE} and ${MAX_STUDENT_AGE}`;
+    }
+  }
+
+  return errors;
+};